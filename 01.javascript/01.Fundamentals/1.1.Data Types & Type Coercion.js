@@ -495,32 +495,264 @@ console.log("\n\n=== 8. PRACTICAL INTERVIEW QUESTIONS ===\n");
 // Q1: Deep comparison function
 console.log("--- Q1: Deep Object Comparison ---");
 
-function deepEqual(obj1, obj2) {
-  // Same reference
-  if (obj1 === obj2) return true;
-
-  // Not both objects
-  if (
-    typeof obj1 !== "object" ||
-    typeof obj2 !== "object" ||
-    obj1 === null ||
-    obj2 === null
-  ) {
+// A configurable comparison module:
+// - strict mode: Object.is for primitives (NaN equals NaN, +0 !== -0),
+//   prototypes must match, `{ a: undefined }` differs from `{}`
+// - loose mode: == for primitives (NaN still equals NaN), prototypes ignored,
+//   undefined properties ignored (like Jest's toEqual vs toStrictEqual)
+// - arrays are never equal to plain objects
+// - Map/Set compared regardless of insertion order
+// - cycles detected by tracking the pairs currently being compared
+// - per-type custom comparators: { date: (a, b) => boolean, ... }
+// - diff(a, b) → list of paths where the two values differ
+
+function typeTag(value) {
+  if (value === null) return "null";
+  if (typeof value !== "object" && typeof value !== "function") return typeof value;
+  return Object.prototype.toString.call(value).slice(8, -1).toLowerCase();
+}
+
+function formatPath(path) {
+  return path.reduce((out, key) => {
+    if (typeof key === "number") return `${out}[${key}]`;
+    if (typeof key === "symbol") return `${out}[${String(key)}]`;
+    if (key.startsWith("<")) return `${out}${key}`; // Map/Set markers
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${out}.${key}` : `${out}["${key}"]`;
+  }, "$");
+}
+
+function compareValues(a, b, options = {}, diffs = null) {
+  const { strict = true, comparators = {} } = options;
+  const inProgress = new Map(); // a → Set of b's currently being compared
+
+  function report(path, kind, left, right) {
+    if (diffs) diffs.push({ path: formatPath(path), kind, left, right });
+    return false;
+  }
+
+  function primitivesEqual(x, y) {
+    if (Number.isNaN(x) && Number.isNaN(y)) return true;
+    return strict ? Object.is(x, y) : x == y;
+  }
+
+  function ownKeys(obj) {
+    const keys = Reflect.ownKeys(obj).filter((key) =>
+      Object.prototype.propertyIsEnumerable.call(obj, key)
+    );
+    return strict ? keys : keys.filter((key) => obj[key] !== undefined);
+  }
+
+  // Is x deep-equal to y? Uses the same cycle tracking as the main walk
+  // (a fresh compareValues would recurse forever on `set.add(set)`) and
+  // records no diffs - a failed candidate isn't a difference
+  function matches(x, y) {
+    const saved = diffs;
+    diffs = null;
+    try {
+      return walk(x, y, []);
+    } finally {
+      diffs = saved;
+    }
+  }
+
+  // Find an unused entry in `candidates` deep-equal to `target`
+  function findMatch(target, candidates, used) {
+    for (let i = 0; i < candidates.length; i++) {
+      if (!used.has(i) && matches(target, candidates[i])) {
+        used.add(i);
+        return true;
+      }
+    }
     return false;
   }
 
-  // Different number of keys
-  const keys1 = Object.keys(obj1);
-  const keys2 = Object.keys(obj2);
-  if (keys1.length !== keys2.length) return false;
+  function compareMaps(x, y, path) {
+    let equal = true;
+    const candidateKeys = [...y.keys()].filter((key) => !x.has(key));
+    const used = new Set();
+
+    for (const [key, value] of x) {
+      const label = typeof key === "object" && key !== null ? "<object key>" : String(key);
+      const keyPath = [...path, `<Map ${label}>`];
+      if (y.has(key)) {
+        equal = walk(value, y.get(key), keyPath) && equal;
+      } else {
+        // Object keys: look for a deep-equal key with a deep-equal value
+        const i = candidateKeys.findIndex(
+          (candidate, idx) =>
+            !used.has(idx) &&
+            matches(key, candidate) &&
+            matches(value, y.get(candidate))
+        );
+        if (i === -1) equal = report(keyPath, "removed", value, undefined);
+        else used.add(i);
+      }
+      if (!equal && !diffs) return false;
+    }
+
+    candidateKeys.forEach((key, i) => {
+      if (!used.has(i)) equal = report([...path, `<Map ${String(key)}>`], "added", undefined, y.get(key));
+    });
+    return equal;
+  }
+
+  function compareSets(x, y, path) {
+    let equal = true;
+    const candidates = [...y].filter((value) => !x.has(value));
+    const used = new Set();
 
-  // Compare each key recursively
-  for (let key of keys1) {
-    if (!keys2.includes(key)) return false;
-    if (!deepEqual(obj1[key], obj2[key])) return false;
+    for (const value of x) {
+      if (y.has(value) || findMatch(value, candidates, used)) continue;
+      equal = report([...path, "<Set>"], "removed", value, undefined);
+      if (!diffs) return false;
+    }
+    candidates.forEach((value, i) => {
+      if (!used.has(i)) equal = report([...path, "<Set>"], "added", undefined, value);
+    });
+    return equal;
   }
 
-  return true;
+  function compareObjects(x, y, path) {
+    let equal = true;
+    const keysX = ownKeys(x);
+    const keysY = ownKeys(y);
+
+    for (const key of keysX) {
+      const keyPath = [...path, Array.isArray(x) && /^\d+$/.test(key) ? Number(key) : key];
+      if (!keysY.includes(key)) {
+        equal = report(keyPath, "removed", x[key], undefined);
+      } else {
+        equal = walk(x[key], y[key], keyPath) && equal;
+      }
+      if (!equal && !diffs) return false;
+    }
+    for (const key of keysY) {
+      if (!keysX.includes(key)) {
+        const keyPath = [...path, Array.isArray(y) && /^\d+$/.test(key) ? Number(key) : key];
+        equal = report(keyPath, "added", undefined, y[key]);
+      }
+    }
+    return equal;
+  }
+
+  // Buffers and DataViews have no enumerable keys - compare the bytes
+  function compareBytes(x, y, path) {
+    if (x.length !== y.length) return report([...path, "length"], "changed", x.length, y.length);
+    for (let i = 0; i < x.length; i++) {
+      if (x[i] !== y[i]) return report([...path, i], "changed", x[i], y[i]);
+    }
+    return true;
+  }
+
+  // name/message/cause aren't enumerable, so check them before the own keys
+  function compareErrors(x, y, path) {
+    let equal = true;
+    for (const key of ["name", "message", "cause"]) {
+      equal = walk(x[key], y[key], [...path, key]) && equal;
+      if (!equal && !diffs) return false;
+    }
+    return compareObjects(x, y, path) && equal;
+  }
+
+  function walk(x, y, path) {
+    const tagX = typeTag(x);
+    const tagY = typeTag(y);
+
+    // Custom comparator wins when it returns a boolean
+    const custom = tagX === tagY && comparators[tagX];
+    if (custom) {
+      const result = custom(x, y);
+      if (typeof result === "boolean") {
+        return result || report(path, "changed", x, y);
+      }
+    }
+
+    const isObjX = x !== null && typeof x === "object";
+    const isObjY = y !== null && typeof y === "object";
+    if (!isObjX || !isObjY) {
+      // Loose mode lets 1 == "1" through, but never an object vs a primitive
+      if (isObjX !== isObjY) return report(path, "type", x, y);
+      return primitivesEqual(x, y) || report(path, "changed", x, y);
+    }
+
+    if (x === y) return true;
+    if (tagX !== tagY) return report(path, "type", x, y);
+    if (strict && Object.getPrototypeOf(x) !== Object.getPrototypeOf(y)) {
+      return report(path, "type", x, y);
+    }
+
+    // Cycle: this exact pair is already being compared further up the stack
+    let partners = inProgress.get(x);
+    if (partners && partners.has(y)) return true;
+    if (!partners) inProgress.set(x, (partners = new Set()));
+    partners.add(y);
+
+    let equal;
+    switch (tagX) {
+      case "date":
+        equal = primitivesEqual(x.getTime(), y.getTime()) || report(path, "changed", x, y);
+        break;
+      case "regexp":
+        equal = String(x) === String(y) || report(path, "changed", x, y);
+        break;
+      case "number":
+      case "string":
+      case "boolean":
+      case "bigint":
+        equal = primitivesEqual(x.valueOf(), y.valueOf()) || report(path, "changed", x, y);
+        break;
+      case "arraybuffer":
+      case "sharedarraybuffer":
+        equal = compareBytes(new Uint8Array(x), new Uint8Array(y), path);
+        break;
+      case "dataview":
+        equal = compareBytes(
+          new Uint8Array(x.buffer, x.byteOffset, x.byteLength),
+          new Uint8Array(y.buffer, y.byteOffset, y.byteLength),
+          path
+        );
+        break;
+      case "error":
+        equal = compareErrors(x, y, path);
+        break;
+      case "map":
+        equal = compareMaps(x, y, path);
+        break;
+      case "set":
+        equal = compareSets(x, y, path);
+        break;
+      default:
+        equal = compareObjects(x, y, path);
+    }
+
+    partners.delete(y);
+    return equal;
+  }
+
+  return walk(a, b, []);
+}
+
+function deepEqual(a, b, options) {
+  return compareValues(a, b, options);
+}
+
+function diff(a, b, options) {
+  const diffs = [];
+  compareValues(a, b, options, diffs);
+  return diffs;
+}
+
+// Jest-style failure message built from diff()
+function formatDiff(diffs) {
+  const show = (value) =>
+    typeof value === "string" ? JSON.stringify(value) : String(value);
+  return diffs
+    .map(({ path, kind, left, right }) => {
+      if (kind === "added") return `  ${path}\n    + ${show(right)}`;
+      if (kind === "removed") return `  ${path}\n    - ${show(left)}`;
+      return `  ${path}\n    - ${show(left)}\n    + ${show(right)}`;
+    })
+    .join("\n");
 }
 
 console.log("deepEqual({a:1}, {a:1}):", deepEqual({ a: 1 }, { a: 1 })); // true
@@ -530,27 +762,249 @@ console.log(
   deepEqual({ a: { b: 1 } }, { a: { b: 1 } })
 ); // true
 
+// Arrays are no longer equal to objects with the same keys
+console.log("deepEqual([1], {0:1}):", deepEqual([1], { 0: 1 })); // false
+
+// NaN and ±0
+console.log("deepEqual(NaN, NaN):", deepEqual(NaN, NaN)); // true
+console.log("deepEqual(0, -0):", deepEqual(0, -0)); // false (strict)
+console.log(
+  "deepEqual(0, -0, loose):",
+  deepEqual(0, -0, { strict: false })
+); // true
+
+// Strict vs loose
+console.log(
+  'deepEqual({a:1}, {a:"1"}, loose):',
+  deepEqual({ a: 1 }, { a: "1" }, { strict: false })
+); // true
+console.log(
+  "deepEqual({a:1, b:undefined}, {a:1}):",
+  deepEqual({ a: 1, b: undefined }, { a: 1 })
+); // false
+console.log(
+  "deepEqual({a:1, b:undefined}, {a:1}, loose):",
+  deepEqual({ a: 1, b: undefined }, { a: 1 }, { strict: false })
+); // true
+
+// Cycles
+const cyclic1 = { name: "node" };
+cyclic1.self = cyclic1;
+const cyclic2 = { name: "node" };
+cyclic2.self = cyclic2;
+console.log("deepEqual(cyclic1, cyclic2):", deepEqual(cyclic1, cyclic2)); // true
+
+// Cycles through Set members and Map keys
+const selfSet1 = new Set([1]);
+selfSet1.add(selfSet1);
+const selfSet2 = new Set([1]);
+selfSet2.add(selfSet2);
+console.log("deepEqual(self-containing Sets):", deepEqual(selfSet1, selfSet2)); // true
+const keyNode1 = { id: 1 };
+keyNode1.self = keyNode1;
+const keyNode2 = { id: 1 };
+keyNode2.self = keyNode2;
+console.log(
+  "deepEqual(Maps with cyclic keys):",
+  deepEqual(new Map([[keyNode1, "a"]]), new Map([[keyNode2, "a"]]))
+); // true
+console.log(
+  "deepEqual(Maps with cyclic keys, other value):",
+  deepEqual(new Map([[keyNode1, "a"]]), new Map([[keyNode2, "b"]]))
+); // false
+
+// Map / Set / Date / RegExp - insertion order doesn't matter
+console.log(
+  "deepEqual(Map, Map reordered):",
+  deepEqual(
+    new Map([["a", 1], ["b", 2]]),
+    new Map([["b", 2], ["a", 1]])
+  )
+); // true
+console.log(
+  "deepEqual(Set of objects):",
+  deepEqual(new Set([{ id: 1 }, { id: 2 }]), new Set([{ id: 2 }, { id: 1 }]))
+); // true
+console.log(
+  "deepEqual(Date, Date):",
+  deepEqual(new Date(0), new Date(0))
+); // true
+console.log("deepEqual(/a/g, /a/i):", deepEqual(/a/g, /a/i)); // false
+
+// Values whose contents aren't enumerable keys
+console.log(
+  "deepEqual(ArrayBuffer [1], ArrayBuffer [2]):",
+  deepEqual(new Uint8Array([1]).buffer, new Uint8Array([2]).buffer)
+); // false
+console.log(
+  "deepEqual(DataView, DataView):",
+  deepEqual(new DataView(new Uint8Array([1, 2]).buffer), new DataView(new Uint8Array([1, 2]).buffer))
+); // true
+console.log(
+  'deepEqual(Error("a"), Error("b")):',
+  deepEqual(new Error("a"), new Error("b"))
+); // false
+console.log(
+  "deepEqual(Error causes):",
+  deepEqual(new Error("a", { cause: 1 }), new Error("a", { cause: 2 }))
+); // false
+console.log(
+  "deepEqual(Object(1n), Object(2n)):",
+  deepEqual(Object(1n), Object(2n))
+); // false
+
+// Custom comparators per type
+const roughly = { number: (a, b) => Math.abs(a - b) < 0.001 };
+console.log(
+  "deepEqual(0.1 + 0.2, 0.3):",
+  deepEqual({ total: 0.1 + 0.2 }, { total: 0.3 })
+); // false
+console.log(
+  "deepEqual(0.1 + 0.2, 0.3, comparators):",
+  deepEqual({ total: 0.1 + 0.2 }, { total: 0.3 }, { comparators: roughly })
+); // true
+
+// diff() - where exactly do they differ?
+const expected = { user: { name: "Alice", tags: ["admin", "dev"] }, active: true };
+const received = { user: { name: "Alicia", tags: ["admin"] }, active: true, extra: 1 };
+const differences = diff(expected, received);
+console.log(
+  "diff paths:",
+  differences.map((d) => d.path)
+); // [ '$.user.name', '$.user.tags[1]', '$.extra' ]
+console.log("diff kinds:", differences.map((d) => d.kind)); // [ 'changed', 'removed', 'added' ]
+console.log(`\nExpected vs received:\n${formatDiff(differences)}`);
+// $.user.name  - "Alice"  + "Alicia"
+// $.user.tags[1]  - "dev"
+// $.extra  + 1
+
 // Q2: Clone object deeply
 console.log("\n--- Q2: Deep Clone ---");
 
-function deepClone(obj) {
-  // Handle primitives and null
-  if (obj === null || typeof obj !== "object") return obj;
+// A structuredClone-style engine:
+// - a WeakMap of original → clone handles cycles AND shared references
+// - Map, Set, Date, RegExp, ArrayBuffer, typed arrays/DataView, Error, boxed primitives
+// - symbol keys are copied (structuredClone drops them)
+// - options: keep property descriptors (getters/setters, writable...) and prototypes
+function deepClone(value, options = {}) {
+  const { preserveDescriptors = false, preservePrototype = false } = options;
+  const seen = new WeakMap();
+
+  // Copy own keys (strings AND symbols) from source onto target
+  function copyProperties(source, target, skip = []) {
+    for (const key of Reflect.ownKeys(source)) {
+      if (skip.includes(key)) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(source, key);
+
+      if (preserveDescriptors) {
+        // Accessors are kept as-is, data values are cloned
+        if ("value" in descriptor) descriptor.value = clone(descriptor.value);
+        Object.defineProperty(target, key, descriptor);
+      } else if (descriptor.enumerable) {
+        target[key] = clone(source[key]);
+      }
+    }
+  }
+
+  function createEmpty(val, tag) {
+    switch (tag) {
+      case "[object Date]":
+        return new Date(val.getTime());
+      case "[object RegExp]": {
+        const re = new RegExp(val.source, val.flags);
+        re.lastIndex = val.lastIndex;
+        return re;
+      }
+      // Boxed primitives: new Number(1), new String("a"), Object(1n)...
+      case "[object Boolean]":
+        return Object(Boolean.prototype.valueOf.call(val));
+      case "[object Number]":
+        return Object(Number.prototype.valueOf.call(val));
+      case "[object String]":
+        return Object(String.prototype.valueOf.call(val));
+      case "[object BigInt]":
+        return Object(BigInt.prototype.valueOf.call(val));
+      case "[object Symbol]":
+        return Object(Symbol.prototype.valueOf.call(val));
+      case "[object ArrayBuffer]":
+        return val.slice(0);
+      case "[object Map]":
+        return new Map();
+      case "[object Set]":
+        return new Set();
+      case "[object Array]":
+        return new Array(val.length);
+      case "[object Error]": {
+        // Errors always keep their prototype (TypeError stays TypeError)
+        const err = Object.create(Object.getPrototypeOf(val));
+        for (const key of ["message", "stack", "cause"]) {
+          if (Object.prototype.hasOwnProperty.call(val, key)) {
+            Object.defineProperty(err, key, {
+              value: clone(val[key]),
+              writable: true,
+              configurable: true,
+              enumerable: false,
+            });
+          }
+        }
+        return err;
+      }
+    }
+
+    if (ArrayBuffer.isView(val)) {
+      // Clone the underlying buffer through `clone` so views that share
+      // one buffer still share it after cloning
+      const buffer = clone(val.buffer);
+      return val instanceof DataView
+        ? new DataView(buffer, val.byteOffset, val.byteLength)
+        : new val.constructor(buffer, val.byteOffset, val.length);
+    }
+
+    if (tag === "[object WeakMap]" || tag === "[object WeakSet]") {
+      throw new TypeError(`deepClone: ${tag} cannot be cloned`);
+    }
+
+    return Object.create(
+      preservePrototype ? Object.getPrototypeOf(val) : Object.prototype
+    );
+  }
+
+  function clone(val) {
+    // Primitives (including symbol & bigint) are immutable - return as-is.
+    // Functions are shared by reference (structuredClone throws instead)
+    if (val === null || typeof val !== "object") return val;
 
-  // Handle Date
-  if (obj instanceof Date) return new Date(obj);
+    // Cycle or shared reference - reuse the clone we already made
+    if (seen.has(val)) return seen.get(val);
 
-  // Handle Array
-  if (Array.isArray(obj)) return obj.map((item) => deepClone(item));
+    const tag = Object.prototype.toString.call(val);
+    const result = createEmpty(val, tag);
 
-  // Handle Object
-  const cloned = {};
-  for (let key in obj) {
-    if (obj.hasOwnProperty(key)) {
-      cloned[key] = deepClone(obj[key]);
+    // Register BEFORE recursing so cycles resolve to this clone
+    seen.set(val, result);
+
+    if (tag === "[object Map]") {
+      val.forEach((v, k) => result.set(clone(k), clone(v)));
+    } else if (tag === "[object Set]") {
+      val.forEach((v) => result.add(clone(v)));
     }
+
+    // Typed arrays' indices live in the cloned buffer, and boxed strings'
+    // indices are read-only - only copy the extra own properties
+    const skip =
+      ArrayBuffer.isView(val) || tag === "[object String]"
+        ? Reflect.ownKeys(val).filter((key) => typeof key === "string" && /^\d+$/.test(key))
+        : [];
+    if (Array.isArray(val)) skip.push("length");
+    if (tag === "[object String]") skip.push("length");
+    if (tag === "[object Error]") skip.push("message", "stack", "cause");
+    if (tag === "[object RegExp]") skip.push("lastIndex");
+
+    copyProperties(val, result, skip);
+    return result;
   }
-  return cloned;
+
+  return clone(value);
 }
 
 const original2 = { a: 1, b: { c: 2 } };
@@ -559,6 +1013,158 @@ cloned.b.c = 999;
 console.log("Original:", original2.b.c); // 2 (unchanged)
 console.log("Cloned:", cloned.b.c); // 999
 
+// Circular & shared references
+const shared = { tag: "shared" };
+const circular = { name: "root", left: shared, right: shared };
+circular.self = circular;
+const circularClone = deepClone(circular);
+console.log("Cycle kept:", circularClone.self === circularClone); // true
+console.log("Shared ref kept:", circularClone.left === circularClone.right); // true
+console.log("Shared ref copied:", circularClone.left !== shared); // true
+console.log("deepEqual(clone, original):", deepEqual(circularClone, circular)); // true
+
+// Descriptors & prototypes (opt-in)
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+  get length() {
+    return Math.hypot(this.x, this.y);
+  }
+}
+const frozenId = Object.defineProperty(new Point(3, 4), "id", {
+  value: 7,
+  writable: false,
+  enumerable: false,
+});
+
+const plainCopy = deepClone(frozenId);
+const fullCopy = deepClone(frozenId, {
+  preserveDescriptors: true,
+  preservePrototype: true,
+});
+console.log("Default is plain object:", plainCopy instanceof Point); // false
+console.log("Default drops non-enumerable:", plainCopy.id); // undefined
+console.log("preservePrototype:", fullCopy instanceof Point, fullCopy.length); // true 5
+console.log(
+  "preserveDescriptors:",
+  Object.getOwnPropertyDescriptor(fullCopy, "id").writable
+); // false
+
+// Verifying deepClone against structuredClone
+console.log("\n--- Q2b: deepClone vs structuredClone ---");
+
+// Each case runs the same check on both clones - the columns should match
+const cloneCases = [
+  {
+    name: "cycle",
+    input: circular,
+    check: (c, o) => c !== o && c.self === c,
+  },
+  {
+    name: "shared reference",
+    input: circular,
+    check: (c) => c.left === c.right && c.left !== shared,
+  },
+  {
+    name: "Date",
+    input: { when: new Date(0) },
+    check: (c, o) => c.when !== o.when && c.when.getTime() === 0,
+  },
+  {
+    name: "RegExp",
+    input: /ab+c/gi,
+    check: (c, o) => c !== o && c.source === "ab+c" && c.flags === "gi",
+  },
+  {
+    name: "Map",
+    input: new Map([[{ k: 1 }, { v: 1 }]]),
+    check: (c, o) => {
+      const [[key, val]] = c;
+      const [[origKey]] = o;
+      return c instanceof Map && key !== origKey && key.k === 1 && val.v === 1;
+    },
+  },
+  {
+    name: "Set",
+    input: new Set([1, "two", { three: 3 }]),
+    check: (c, o) => c instanceof Set && c !== o && c.size === 3 && c.has("two"),
+  },
+  {
+    name: "ArrayBuffer",
+    input: new Uint8Array([1, 2, 3]).buffer,
+    check: (c, o) => c !== o && c.byteLength === 3 && new Uint8Array(c)[2] === 3,
+  },
+  {
+    name: "typed arrays share buffer",
+    input: (() => {
+      const buffer = new ArrayBuffer(8);
+      return { a: new Uint8Array(buffer), b: new Float32Array(buffer, 4, 1) };
+    })(),
+    check: (c, o) =>
+      c.a.buffer === c.b.buffer &&
+      c.a.buffer !== o.a.buffer &&
+      c.b instanceof Float32Array &&
+      c.b.byteOffset === 4,
+  },
+  {
+    name: "Error",
+    input: new TypeError("boom", { cause: "test" }),
+    check: (c, o) =>
+      c !== o &&
+      c instanceof TypeError &&
+      c.message === "boom" &&
+      c.cause === "test",
+  },
+  {
+    name: "boxed primitives",
+    input: [new Number(1), new String("s"), new Boolean(false), Object(1n)],
+    check: (c, o) =>
+      c[0] !== o[0] &&
+      typeof c[0] === "object" &&
+      c[0].valueOf() === 1 &&
+      c[1].valueOf() === "s" &&
+      c[2].valueOf() === false &&
+      c[3].valueOf() === 1n,
+  },
+  {
+    name: "sparse array",
+    input: [1, , 3],
+    check: (c) => c.length === 3 && !(1 in c) && c[2] === 3,
+  },
+];
+
+cloneCases.forEach(({ name, input, check }) => {
+  const ours = check(deepClone(input), input);
+  const native = check(structuredClone(input), input);
+  console.log(
+    `${name.padEnd(26)} deepClone: ${ours}  structuredClone: ${native}`
+  );
+}); // every row: true true
+
+// Where deepClone deliberately goes further than structuredClone
+const sym = Symbol("meta");
+const withSymbol = { [sym]: "kept", visible: 1 };
+console.log("Symbol key (deepClone):", deepClone(withSymbol)[sym]); // "kept"
+console.log("Symbol key (structuredClone):", structuredClone(withSymbol)[sym]); // undefined
+
+// Functions: shared by reference vs DataCloneError
+const withFn = { fn: () => "hi" };
+console.log("deepClone(function):", deepClone(withFn).fn === withFn.fn); // true
+try {
+  structuredClone(withFn);
+} catch (e) {
+  console.log("structuredClone(function):", e.name); // DataCloneError
+}
+
+// Weak collections can't be enumerated, so neither can clone them
+try {
+  deepClone(new WeakMap());
+} catch (e) {
+  console.log("deepClone(WeakMap):", e.message); // "deepClone: [object WeakMap] cannot be cloned"
+}
+
 // Q3: Type checking utility
 console.log("\n--- Q3: Type Checking Utility ---");
 
@@ -196,8 +196,8 @@ var sayHi = function () {
 };
 sayHi(); // ✅ Now works
 
-// Arrow function - follows variable hoisting
-// bye(); // ❌ TypeError
+// Arrow function - follows variable hoisting (const → TDZ)
+// bye(); // ❌ ReferenceError
 const bye = () => console.log("Bye!");
 bye(); // ✅ Works
 
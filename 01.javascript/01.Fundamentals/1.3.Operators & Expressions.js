@@ -203,10 +203,10 @@ const c = "value";
 
 // Must use parentheses with && or ||
 const result1 = (a ?? b) && c;
-console.log("(null ?? 0) && 'value':", result1); // false (0 is falsy)
+console.log("(null ?? 0) && 'value':", result1); // 0 (0 is falsy)
 
 const result2 = a ?? (b && c);
-console.log("null ?? (0 && 'value'):", result2); // false
+console.log("null ?? (0 && 'value'):", result2); // 0
 
 // This would be SyntaxError:
 // const result3 = a ?? b && c;
@@ -236,7 +236,7 @@ console.log("user2?.name:", user2?.name); // undefined (safe!)
 // Without optional chaining (old way)
 console.log("\n--- Without Optional Chaining (OLD) ---");
 const oldWay = user2 && user2.profile && user2.profile.email; // Verbose!
-console.log("Old way:", oldWay); // undefined
+console.log("Old way:", oldWay); // null (&& returns the first falsy value)
 
 // Method calls
 console.log("\n--- Method Calls ---");
@@ -422,10 +422,10 @@ const r = "value";
 
 // Must use parentheses
 const result3 = (p ?? q) && r;
-console.log("(null ?? 0) && 'value':", result3); // false
+console.log("(null ?? 0) && 'value':", result3); // 0
 
 const result4 = p ?? (q && r);
-console.log("null ?? (0 && 'value'):", result4); // false
+console.log("null ?? (0 && 'value'):", result4); // 0
 
 /* ============================================
    5. TERNARY OPERATOR
@@ -0,0 +1,388 @@
+// Lesson Verifier - checks console.log output against inline expected comments
+// Run with Node.js:
+//   node 01.javascript/verify-lessons.js                 (every lesson .js file)
+//   node 01.javascript/verify-lessons.js path/to/file.js (specific files)
+//
+// Lessons document their results as trailing comments:
+//   console.log("getTypeOf([]):", getTypeOf([])); // "array"
+// This script splits each lesson on its section banners (`/* ===== 1. ... */`),
+// runs every section in its own isolated vm context, records every
+// console.log call with the line it came from, and compares the logged value
+// with the comment on that statement. Sections reuse names freely
+// (`let a` in one, `const a` in the next), so one lesson-wide script would
+// stop compiling at the first repeated top-level declaration. Comments that don't start with a value
+// ("// ✅ Works!", "// Prints: 3, 3, 3") are treated as prose and skipped.
+//
+// Commented-out error demos are checked too:
+//   // console.log("let j after loop:", j); // ❌ ReferenceError!
+// The line is uncommented in a copy of the lesson, the copy is run, and the
+// verifier checks that exactly that error is thrown from exactly that line.
+//
+// Exit code: 0 when everything matches, 1 when anything drifted.
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const vm = require("vm");
+
+const LESSONS_DIR = __dirname;
+const TIMER_BUDGET_MS = 2000; // how long to wait for setTimeout demos
+const ERROR_NAMES = ["ReferenceError", "TypeError", "SyntaxError", "RangeError"];
+
+/* ============================================
+   1. FINDING LESSON FILES
+   ============================================ */
+
+function findLessons(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return findLessons(full);
+      // Lessons are named "1.1.Something.js" - skip tools like this file
+      return /^\d+\.\d+.*\.js$/.test(entry.name) ? [full] : [];
+    })
+    .sort();
+}
+
+/* ============================================
+   2. PARSING EXPECTED COMMENTS
+   ============================================ */
+
+// Split "code; // comment" on the first // that isn't inside a string
+function splitComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'" || ch === "`") {
+      quote = ch;
+    } else if (ch === "/" && line[i + 1] === "/") {
+      return { code: line.slice(0, i), comment: line.slice(i + 2).trim() };
+    }
+  }
+  return { code: line, comment: null };
+}
+
+// A console.log call can span several lines - the expected comment sits on
+// the line that closes the statement
+function findStatementComment(lines, startIndex) {
+  let depth = 0;
+  for (let i = startIndex; i < Math.min(lines.length, startIndex + 15); i++) {
+    const { code, comment } = splitComment(lines[i]);
+    for (const ch of code.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, "")) {
+      if ("([{".includes(ch)) depth++;
+      if (")]}".includes(ch)) depth--;
+    }
+    if (depth <= 0) return comment;
+  }
+  return null;
+}
+
+const VALUE_START = /^(["'[{\-\d]|true\b|false\b|null\b|undefined\b|NaN\b|Infinity\b)/;
+
+// Evaluate a comment fragment as a literal - only plain data is accepted
+function parseLiteral(text) {
+  try {
+    const value = vm.runInNewContext(`(${text})`, Object.create(null), {
+      timeout: 50,
+    });
+    if (typeof value === "function" || typeof value === "symbol") return null;
+    return { value };
+  } catch {
+    return null;
+  }
+}
+
+// "5 (unchanged!)" → 5, '"object" ❌ BUG!' → "object", "[1, 2] ✅" → [1, 2]
+function parseValue(comment) {
+  const candidates = [
+    comment,
+    comment.split(/\s+\(/)[0],
+    comment.split(/\s+[^\w\s"'[\]{}(),.:\-+]/u)[0],
+    comment.split(/\s+(?:-|→)\s+/)[0],
+    comment.split(/\s+/)[0],
+  ];
+
+  for (const raw of candidates) {
+    const text = raw.trim();
+    if (!text) continue;
+    const parsed = parseLiteral(text);
+    if (parsed) return { text, value: parsed.value };
+  }
+  return null;
+}
+
+// Returns every acceptable value: '0 or "[object Object]"' allows both
+function parseExpected(comment) {
+  if (!comment || !VALUE_START.test(comment)) return null;
+
+  const alternatives = comment
+    .split(/\s+or\s+/)
+    .filter((part) => VALUE_START.test(part))
+    .map(parseValue)
+    .filter(Boolean);
+
+  return alternatives.length ? alternatives : null;
+}
+
+/* ============================================
+   3. SPLITTING A LESSON INTO SECTIONS
+   ============================================ */
+
+const BANNER = /^\/\*\s*={5,}/;
+
+// [{ start, end }] line ranges (0-based, end exclusive). Anything above the
+// first banner belongs to the first section.
+function splitSections(lines) {
+  const starts = lines.flatMap((line, index) => (index > 0 && BANNER.test(line) ? [index] : []));
+  const bounds = [0, ...starts, lines.length];
+  return bounds.slice(0, -1).map((start, i) => ({ start, end: bounds[i + 1] }));
+}
+
+// The section's code with every other line blanked, so stack traces and
+// SyntaxErrors still report the line numbers of the original file
+function sectionSource(lines, { start, end }) {
+  return lines.map((line, index) => (index >= start && index < end ? line : "")).join("\n");
+}
+
+/* ============================================
+   4. RUNNING A SECTION IN A SANDBOX
+   ============================================ */
+
+const inspect = (value) => util.inspect(value, { depth: 4, breakLength: Infinity });
+
+// Returns the 1-based line of the frame that belongs to `filename`
+// (SyntaxErrors report "file:line" without a column)
+function callerLine(stack, filename) {
+  const escaped = filename.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const match = stack.match(new RegExp(`${escaped}:(\\d+)`));
+  return match ? Number(match[1]) : null;
+}
+
+async function runInSandbox(source, filename) {
+  const logs = [];
+  const timers = new Set();
+
+  const record = (...args) => {
+    logs.push({ line: callerLine(new Error().stack, filename), args });
+  };
+  const sandboxConsole = {
+    log: record,
+    info: record,
+    warn: () => {},
+    error: () => {},
+    table: () => {},
+    group: () => {},
+    groupEnd: () => {},
+    time: () => {},
+    timeEnd: () => {},
+  };
+
+  // Track timers so we can wait for delayed demos and clean up afterwards
+  const sandboxSetTimeout = (fn, ms, ...rest) => {
+    const id = setTimeout(() => {
+      timers.delete(id);
+      fn(...rest);
+    }, ms);
+    timers.add(id);
+    return id;
+  };
+  const sandboxClearTimeout = (id) => {
+    timers.delete(id);
+    clearTimeout(id);
+  };
+
+  const context = vm.createContext({
+    console: sandboxConsole,
+    setTimeout: sandboxSetTimeout,
+    clearTimeout: sandboxClearTimeout,
+    // Intervals never settle on their own - stop them right away
+    setInterval: () => 0,
+    clearInterval: () => {},
+    queueMicrotask,
+    structuredClone,
+    TextEncoder,
+    TextDecoder,
+  });
+
+  let error = null;
+  try {
+    new vm.Script(source, { filename }).runInContext(context, { timeout: 5000 });
+  } catch (e) {
+    error = e;
+  }
+
+  // Let pending timers (e.g. the var-in-loop setTimeout demo) flush
+  const deadline = Date.now() + TIMER_BUDGET_MS;
+  while (timers.size && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  timers.forEach((id) => clearTimeout(id));
+
+  return { logs, error };
+}
+
+/* ============================================
+   5. CHECKS
+   ============================================ */
+
+function checkLogs(lines, logs) {
+  const byLine = new Map();
+
+  for (const { line, args } of logs) {
+    if (!line || args.length === 0) continue;
+    const comment = findStatementComment(lines, line - 1);
+    const expected = parseExpected(comment);
+    if (!expected) continue;
+
+    const actual = args[args.length - 1];
+    const printed = util.format(...args);
+    const prose = comment.split(/\s+[(✅❌⚠🤯]/u)[0];
+    const ok = expected.some(
+      ({ text, value }) =>
+        inspect(actual) === inspect(value) ||
+        // Unquoted strings: console.log("Value:", name); // Alice
+        (typeof actual === "string" && actual === text)
+    ) ||
+      // Whole-output comments: console.log(a + " knows " + b); // undefined knows Bob
+      // and multi-value ones: console.log("x:", a, b); // true 5
+      printed === prose ||
+      printed.endsWith(` ${prose}`);
+
+    // Loops log the same statement many times - the comment describes
+    // one iteration, so a line passes when any of its logs matches
+    const entry = byLine.get(line) || {
+      line,
+      ok: false,
+      expected: expected.map(({ text }) => text).join(" or "),
+      actual: inspect(actual),
+    };
+    entry.ok = entry.ok || ok;
+    byLine.set(line, entry);
+  }
+
+  return [...byLine.values()];
+}
+
+// "// console.log(j); // ❌ ReferenceError!" → { index, code, errorName }
+function findCommentedErrorDemos(lines) {
+  const demos = [];
+  lines.forEach((line, index) => {
+    const match = line.match(/^(\s*)\/\/\s?(.*)$/);
+    if (!match) return;
+    const { code, comment } = splitComment(match[2]);
+    if (!comment || !code.trim()) return;
+    const errorName = ERROR_NAMES.find((name) => comment.includes(name));
+    if (!errorName) return;
+    // Prose such as "// Error: b in TDZ" - the "code" must look like code
+    if (!/[;)]\s*$/.test(code.trim())) return;
+    demos.push({ index, code: match[1] + code, errorName });
+  });
+  return demos;
+}
+
+async function checkErrorDemo(lines, section, demo, filename) {
+  const variant = [...lines];
+  variant[demo.index] = demo.code;
+  const { error } = await runInSandbox(sectionSource(variant, section), filename);
+  const line = demo.index + 1;
+
+  if (!error) {
+    return { line, ok: false, expected: demo.errorName, actual: "no error" };
+  }
+
+  // A SyntaxError stops the whole file compiling - it can't be located by
+  // stack frame, so we only check it's the error we expected
+  const thrownHere =
+    error.name === "SyntaxError" || callerLine(error.stack || "", filename) === line;
+
+  // The uncommented line only made sense inside a commented-out block
+  if (error.name === "SyntaxError" && demo.errorName !== "SyntaxError") {
+    return { line, skipped: true, reason: "not a standalone statement" };
+  }
+
+  return {
+    line,
+    ok: error.name === demo.errorName && thrownHere,
+    expected: demo.errorName,
+    actual: thrownHere ? error.name : `${error.name} from another line`,
+  };
+}
+
+/* ============================================
+   6. CLI
+   ============================================ */
+
+async function verifyFile(file) {
+  const source = fs.readFileSync(file, "utf8");
+  const lines = source.split("\n");
+  const filename = path.resolve(file);
+  const results = [];
+
+  for (const section of splitSections(lines)) {
+    const { logs, error } = await runInSandbox(sectionSource(lines, section), filename);
+    results.push(...checkLogs(lines, logs));
+
+    if (error) {
+      results.push({
+        line: callerLine(error.stack || "", filename) || section.start + 1,
+        ok: false,
+        expected: "section runs to the end",
+        actual: `${error.name}: ${error.message}`,
+      });
+    }
+
+    // Error demos need the rest of the section to compile, otherwise every
+    // variant fails with the same unrelated SyntaxError
+    if (!error || error.name !== "SyntaxError") {
+      const demos = findCommentedErrorDemos(lines).filter(
+        ({ index }) => index >= section.start && index < section.end
+      );
+      for (const demo of demos) {
+        results.push(await checkErrorDemo(lines, section, demo, filename));
+      }
+    }
+  }
+
+  return results;
+}
+
+async function main(argv) {
+  const files = argv.length ? argv : findLessons(LESSONS_DIR);
+  let failures = 0;
+
+  for (const file of files) {
+    const results = await verifyFile(file);
+    const checked = results.filter((r) => !r.skipped);
+    const failed = checked.filter((r) => !r.ok);
+    failures += failed.length;
+
+    const name = path.relative(process.cwd(), file);
+    const status = failed.length ? "✗" : "✓";
+    console.log(`${status} ${name} (${checked.length - failed.length}/${checked.length} checks)`);
+
+    failed
+      .sort((a, b) => a.line - b.line)
+      .forEach(({ line, expected, actual }) => {
+        console.log(`    line ${line}: expected ${expected}, got ${actual}`);
+      });
+  }
+
+  console.log(failures ? `\n${failures} mismatch(es) found` : "\nAll lessons match their comments");
+  process.exitCode = failures ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  verifyFile,
+  splitSections,
+  parseExpected,
+  findStatementComment,
+  findCommentedErrorDemos,
+};
@@ -2,6 +2,8 @@
 // Run with: npx ts-node 01-basic-types.ts
 // Or in TypeScript Playground: https://www.typescriptlang.org/play
 
+import * as s from "./schema";
+
 /* ============================================
    1. ANY vs UNKNOWN - Critical Pattern
    ============================================ */
@@ -39,31 +41,27 @@ processWithUnknown("hello"); // ✅ Works safely
 processWithUnknown([1, 2, 3]); // ✅ Works safely
 
 // Practical example: API Response
-interface User {
-  id: number;
-  name: string;
-}
+// A schema (see schema.ts) is the runtime check AND the type in one place -
+// no hand-written `"id" in response` / typeof chain, no `as` cast
+const UserSchema = s.object({
+  id: s.number(),
+  name: s.string(),
+});
+
+type User = s.Infer<typeof UserSchema>; // { id: number; name: string }
 
 function handleAPIResponse(response: unknown): User {
   // Validate before using
-  if (
-    typeof response === "object" &&
-    response !== null &&
-    "id" in response &&
-    "name" in response
-  ) {
-    const data = response as { id: unknown; name: unknown };
-
-    if (typeof data.id === "number" && typeof data.name === "string") {
-      console.log("Valid user:", data);
-      return { id: data.id, name: data.name };
-    }
+  const result = UserSchema.safeParse(response);
+  if (!result.success) {
+    throw new Error(`Invalid user data - ${result.error.message}`);
   }
-
-  throw new Error("Invalid user data");
+  console.log("Valid user:", result.data);
+  return result.data; // typed as User
 }
 
 handleAPIResponse({ id: 1, name: "Alice" }); // ✅ Safe validation
+// handleAPIResponse({ id: "1", name: "Alice" }); // ❌ Error: Invalid user data - id: Expected number, received string
 
 /* ============================================
    2. VOID vs UNDEFINED vs NEVER
@@ -444,16 +442,17 @@ console.log(createSize(1.5, "rem")); // "1.5rem"
 // console.log(createSize(100, "percent")); // ❌ Error!
 
 // Example 4: Safe JSON parsing
-function parseJSON<T>(json: string): T | null {
+// JSON.parse returns any - the schema decides what T really is
+function parseJSON<T>(json: string, schema: s.Schema<T>): T | null {
   try {
-    const result: unknown = JSON.parse(json);
-    return result as T; // Assertion needed here
+    const result = schema.safeParse(JSON.parse(json));
+    return result.success ? result.data : null; // No assertion needed
   } catch {
-    return null;
+    return null; // Not JSON at all
   }
 }
 
-const user = parseJSON<User>('{"id": 1, "name": "Alice"}');
+const user = parseJSON('{"id": 1, "name": "Alice"}', UserSchema); // User | null
 if (user !== null) {
   console.log("Parsed user:", user);
 }
@@ -530,10 +529,11 @@ function isUser(value: unknown): value is User {
     value !== null &&
     "id" in value &&
     "name" in value &&
-    typeof (value as User).id === "number" &&
-    typeof (value as User).name === "string"
+    typeof value.id === "number" && // `in` narrowed value - no cast needed
+    typeof value.name === "string"
   );
 }
+// In real code: UserSchema.is(value) is the same guard, generated
 
 const maybeUser: unknown = { id: 1, name: "Bob" };
 if (isUser(maybeUser)) {
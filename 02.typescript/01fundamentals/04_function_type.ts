@@ -2,6 +2,9 @@
 // Run with: npx ts-node 04-functions.ts
 // Or in TypeScript Playground: https://www.typescriptlang.org/play
 
+import * as http from "./httpClient";
+import * as logging from "./logger";
+
 /* ============================================
    1. FUNCTION TYPE ANNOTATIONS - The Basics
    ============================================ */
@@ -158,6 +161,25 @@ function fetchData(url: string, config?: FetchConfig) {
 fetchData("https://api.example.com/users");
 fetchData("https://api.example.com/posts", { method: "POST", timeout: 5000 });
 
+// The real version: httpClient.ts takes the same FetchConfig and actually
+// aborts the request when the timeout runs out
+const api = http.createHttpClient({
+  baseURL: "https://api.example.com",
+  // In-memory fetch so the lesson runs offline - a real app leaves it out
+  fetch: async () => Response.json([{ name: "Alice" }, { name: "Bob" }]),
+});
+
+async function loadUserNames(): Promise<string[]> {
+  const response = await api.get<{ name: string }[]>("/users", {
+    timeout: 5000,
+  });
+  return response.status === http.ResponseStatus.Success
+    ? response.data.map((user) => user.name)
+    : [];
+}
+
+loadUserNames().then((names) => console.log("loadUserNames():", names)); // ["Alice", "Bob"]
+
 /* ============================================
    3. DEFAULT PARAMETERS - Convenience
    ============================================ */
@@ -216,6 +238,8 @@ fetchWithOptions("https://api.example.com/data", {
   retries: 5,
   cache: false,
 });
+// createHttpClient() destructures its options with these same defaults -
+// and really retries (GET/PUT/DELETE only) and caches GET responses
 
 // Default can reference earlier parameters
 function createRange(start: number, end: number = start + 10) {
@@ -226,13 +250,21 @@ console.log("createRange(5):", createRange(5));
 console.log("createRange(5, 20):", createRange(5, 20));
 
 // Complex default values
+// (logger.ts does the real work: levels, context, redaction, transports)
 function createLogger(
   prefix: string = new Date().toISOString(),
   formatter: (msg: string) => string = (msg) => msg.toUpperCase()
 ) {
-  return (message: string) => {
-    console.log(`[${prefix}] ${formatter(message)}`);
-  };
+  const log = logging.createLogger({
+    name: prefix,
+    transports: [
+      logging.createConsoleTransport({
+        formatter: (record) =>
+          `[${record.logger}] ${formatter(record.message)}`,
+      }),
+    ],
+  });
+  return (message: string) => log.info(message);
 }
 
 const logger1 = createLogger();
@@ -241,6 +273,13 @@ logger1("Hello");
 const logger2 = createLogger("APP", (msg) => `>>> ${msg} <<<`);
 logger2("Important message");
 
+// The structured version: data goes in a context object, not the string
+const appLog = logging.createLogger({ name: "app" });
+const checkoutLog = appLog.child({ cartId: "c-42" }, "checkout");
+checkoutLog.info("Payment accepted", { amount: 1999, token: "tok_123" });
+// ... INFO    [app:checkout] Payment accepted {"cartId":"c-42","amount":1999,"token":"[REDACTED]"}
+checkoutLog.debug("Not shown - below the default INFO level");
+
 // Default vs optional comparison
 function compareParams1(required: string, optional?: string) {
   // optional is string | undefined
@@ -2,6 +2,8 @@
 // Run with: npx ts-node 05-union-intersection.ts
 // Or in TypeScript Playground: https://www.typescriptlang.org/play
 
+import * as fsm from "./stateMachine";
+
 /* ============================================
    1. UNION TYPES - OR Logic
    ============================================ */
@@ -244,6 +246,55 @@ console.log(renderState({ status: "loading" }));
 console.log(renderState({ status: "success", data: "User data" }));
 console.log(renderState({ status: "error", error: "Network failed" }));
 
+// renderState says what each status LOOKS like, but nothing stops
+// "success" → "loading" or two errors in a row. As a state machine
+// (stateMachine.ts) the statuses become states and the allowed moves are
+// written down. State["status"] keeps the two in sync.
+type FetchEvent =
+  | { type: "RESOLVE"; data: string }
+  | { type: "REJECT"; error: string }
+  | { type: "RETRY" };
+
+const statusMachine = fsm.createMachine<
+  State["status"],
+  FetchEvent,
+  { data: string; error: string }
+>({
+  id: "status",
+  initial: "loading",
+  context: { data: "", error: "" },
+  states: {
+    loading: {
+      on: {
+        RESOLVE: { target: "success", actions: (_, e) => ({ data: e.data }) },
+        REJECT: { target: "error", actions: (_, e) => ({ error: e.error }) },
+      },
+    },
+    success: { final: true },
+    error: { on: { RETRY: "loading" } },
+  },
+});
+
+// Machine state → the discriminated union, so renderState works unchanged
+function toState({ value, context }: typeof statusMachine.initialState): State {
+  switch (value) {
+    case "loading":
+      return { status: "loading" };
+    case "success":
+      return { status: "success", data: context.data };
+    case "error":
+      return { status: "error", error: context.error };
+  }
+}
+
+const statusService = fsm.createService(statusMachine);
+statusService.send({ type: "REJECT", error: "Network failed" });
+console.log(renderState(toState(statusService.getState()))); // Error: Network failed
+statusService.send("RETRY");
+statusService.send({ type: "RESOLVE", data: "User data" });
+console.log(renderState(toState(statusService.getState()))); // Data: User data
+console.log(statusService.send("RETRY").reason); // State "success" is final
+
 // Complex discriminated union - Shapes
 type Rectangle = {
   kind: "rectangle";
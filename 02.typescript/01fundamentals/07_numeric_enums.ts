@@ -2,6 +2,12 @@
 // Run with: npx ts-node 07-enums.ts
 // Or in TypeScript Playground: https://www.typescriptlang.org/play
 
+import * as http from "./httpClient";
+import { APIEndpoint, ResponseStatus } from "./httpClient";
+import * as rbac from "./permissions";
+import * as fsm from "./stateMachine";
+import * as logging from "./logger";
+
 /* ============================================
    1. NUMERIC ENUMS - Auto-incrementing
    ============================================ */
@@ -98,22 +104,35 @@ enum LogLevel {
   Error = "ERROR",
 }
 
+// logger.ts filters on the same string values, so this enum can be passed
+// straight in - the threshold and the call both take a LogLevel
+const enumLog = logging.createLogger({
+  name: "enums",
+  level: LogLevel.Info,
+  transports: [
+    logging.createConsoleTransport({
+      formatter: logging.prettyFormatter({ time: false }),
+    }),
+  ],
+});
+
 function log(level: LogLevel, message: string) {
-  console.log(`[${level}] ${message}`);
+  enumLog.log(level, message);
 }
 
-log(LogLevel.Debug, "Debug message");
+log(LogLevel.Debug, "Debug message"); // filtered out: below LogLevel.Info
 log(LogLevel.Info, "Info message");
 log(LogLevel.Warning, "Warning message");
 log(LogLevel.Error, "Error message");
 
-// API endpoints enum
-enum APIEndpoint {
-  Users = "/api/users",
-  Posts = "/api/posts",
-  Comments = "/api/comments",
-  Auth = "/api/auth",
-}
+// API endpoints enum - declared once in httpClient.ts, the client that
+// actually requests these paths:
+//   export enum APIEndpoint {
+//     Users = "/api/users",
+//     Posts = "/api/posts",
+//     Comments = "/api/comments",
+//     Auth = "/api/auth",
+//   }
 
 function fetchData(endpoint: APIEndpoint) {
   console.log(`Fetching from ${endpoint}`);
@@ -419,13 +438,13 @@ console.log("Direction:", dir);
 
 console.log("\n=== 8. PRACTICAL PATTERNS ===\n");
 
-// Pattern 1: API Response Status
-enum ResponseStatus {
-  Success = "SUCCESS",
-  Error = "ERROR",
-  Timeout = "TIMEOUT",
-  Cancelled = "CANCELLED",
-}
+// Pattern 1: API Response Status - also from httpClient.ts:
+//   export enum ResponseStatus {
+//     Success = "SUCCESS",
+//     Error = "ERROR",
+//     Timeout = "TIMEOUT",
+//     Cancelled = "CANCELLED",
+//   }
 
 interface APIResponse<T> {
   status: ResponseStatus;
@@ -455,6 +474,25 @@ handleAPIResponse<string>({
   data: "User data",
 });
 
+// httpClient.ts returns these statuses for real requests (Timeout when the
+// AbortSignal fires, Cancelled when you abort). Its APIResponse<T> is a
+// discriminated union, so `data` only exists once status is Success:
+async function loadPostTitles(client: http.HttpClient): Promise<string[]> {
+  const response = await client.get<{ title: string }[]>(APIEndpoint.Posts);
+  if (response.status !== ResponseStatus.Success) {
+    console.log(`${response.status}: ${response.error}`);
+    return [];
+  }
+  return response.data.map((post) => post.title);
+}
+
+// An in-memory fetch keeps the lesson offline - a real app leaves it out
+const postsClient = http.createHttpClient({
+  baseURL: "https://api.example.com",
+  fetch: async () => Response.json([{ title: "Enums" }, { title: "Generics" }]),
+});
+loadPostTitles(postsClient).then((titles) => console.log("Post titles:", titles)); // ["Enums", "Generics"]
+
 // Pattern 2: User Roles
 enum UserRole {
   Guest = "GUEST",
@@ -464,32 +502,78 @@ enum UserRole {
   SuperAdmin = "SUPER_ADMIN",
 }
 
-// Role hierarchy
-const roleHierarchy: Record<UserRole, number> = {
-  [UserRole.Guest]: 0,
-  [UserRole.User]: 1,
-  [UserRole.Moderator]: 2,
-  [UserRole.Admin]: 3,
-  [UserRole.SuperAdmin]: 4,
-};
-
-function hasPermission(userRole: UserRole, requiredRole: UserRole): boolean {
-  return roleHierarchy[userRole] >= roleHierarchy[requiredRole];
-}
+// Role hierarchy + FilePermission flags (section 6) in one engine:
+// permissions.ts. Each role inherits the one below it and grants flags per
+// resource; rules add attribute checks and explicit denies.
+// Record<UserRole, ...> means forgetting a role is a compile error.
+const fileAccess = rbac.createAccessControl({
+  flags: FilePermission,
+  roles: {
+    [UserRole.Guest]: { grants: { docs: FilePermission.Read } },
+    [UserRole.User]: { inherits: [UserRole.Guest] },
+    [UserRole.Moderator]: {
+      inherits: [UserRole.User],
+      grants: { docs: FilePermission.Write },
+    },
+    [UserRole.Admin]: {
+      inherits: [UserRole.Moderator],
+      grants: { scripts: FilePermission.Read | FilePermission.Execute },
+    },
+    [UserRole.SuperAdmin]: {
+      inherits: [UserRole.Admin],
+      grants: { "*": FilePermission.All },
+    },
+  },
+  rules: [
+    {
+      id: "owners-edit-own-docs",
+      effect: "allow",
+      resource: "docs",
+      permission: FilePermission.Write,
+      when: (user, doc) => doc.ownerId === user.id,
+    },
+    {
+      id: "archived-is-read-only",
+      effect: "deny",
+      resource: "*",
+      permission: FilePermission.Write | FilePermission.Execute,
+      when: (user, file) => file.archived === true,
+    },
+  ],
+});
 
 console.log("\nRole permissions:");
 console.log(
   "User has User permission?",
-  hasPermission(UserRole.User, UserRole.User)
-);
+  fileAccess.hasRole(UserRole.User, UserRole.User)
+); // true
 console.log(
   "User has Admin permission?",
-  hasPermission(UserRole.User, UserRole.Admin)
-);
+  fileAccess.hasRole(UserRole.User, UserRole.Admin)
+); // false
 console.log(
   "Admin has User permission?",
-  hasPermission(UserRole.Admin, UserRole.User)
-);
+  fileAccess.hasRole(UserRole.Admin, UserRole.User)
+); // true
+
+const alice = { id: 1, role: UserRole.User };
+const root = { id: 2, role: UserRole.SuperAdmin };
+
+// explain() says WHY - the answer you need when a user reports "I can't edit"
+const canRead = fileAccess.explain(alice, FilePermission.Read, "docs");
+console.log(canRead.reason); // Allowed: "GUEST" (inherited) grants Read on docs
+const canWrite = fileAccess.explain(alice, FilePermission.Write, "docs");
+console.log(canWrite.reason); // Denied: "USER" lacks Write on docs
+console.log(
+  fileAccess.explain(alice, FilePermission.Write, { type: "docs", ownerId: 1 })
+    .reason
+); // Allowed: Rule "owners-edit-own-docs" allows Write on docs
+console.log(
+  fileAccess.explain(root, FilePermission.Write, {
+    type: "scripts",
+    archived: true,
+  }).reason
+); // Denied by rule "archived-is-read-only" - deny beats SuperAdmin's All
 
 // Pattern 3: Order Status Workflow
 enum OrderStatus {
@@ -527,6 +611,78 @@ console.log(
   canTransition(OrderStatus.Shipped, OrderStatus.Delivered)
 );
 
+// canTransition only says yes or no. The same table as a state machine
+// (stateMachine.ts) gets named events with payloads, guards, an event log
+// and a diagram - and refuses anything the table doesn't allow
+type OrderEvent =
+  | { type: "PROCESS" }
+  | { type: "SHIP"; trackingNumber: string }
+  | { type: "DELIVER" }
+  | { type: "CANCEL"; reason: string };
+
+interface OrderContext {
+  trackingNumber: string | null;
+  cancelReason: string | null;
+}
+
+const hasTrackingNumber = (
+  _: OrderContext,
+  event: { trackingNumber: string }
+) => event.trackingNumber.trim() !== "";
+
+const cancelOrder = {
+  target: OrderStatus.Cancelled,
+  actions: (_: OrderContext, event: { reason: string }) => ({
+    cancelReason: event.reason,
+  }),
+};
+
+const orderMachine = fsm.createMachine<OrderStatus, OrderEvent, OrderContext>({
+  id: "order",
+  initial: OrderStatus.Pending,
+  context: { trackingNumber: null, cancelReason: null },
+  states: {
+    [OrderStatus.Pending]: {
+      on: { PROCESS: OrderStatus.Processing, CANCEL: cancelOrder },
+    },
+    [OrderStatus.Processing]: {
+      on: {
+        SHIP: {
+          target: OrderStatus.Shipped,
+          guard: hasTrackingNumber,
+          actions: (_, event) => ({ trackingNumber: event.trackingNumber }),
+        },
+        CANCEL: cancelOrder,
+      },
+    },
+    [OrderStatus.Shipped]: { on: { DELIVER: OrderStatus.Delivered } },
+    [OrderStatus.Delivered]: { final: true },
+    [OrderStatus.Cancelled]: { final: true },
+  },
+});
+
+const order = fsm.createService(orderMachine);
+order.send("PROCESS");
+console.log(order.send({ type: "SHIP", trackingNumber: " " }).reason);
+// Guard "hasTrackingNumber" blocked "SHIP" in state "PROCESSING"
+order.send({ type: "SHIP", trackingNumber: "1Z999" });
+console.log(order.send({ type: "CANCEL", reason: "Too slow" }).reason);
+// No transition for "CANCEL" in state "SHIPPED"
+console.log("Order:", order.getState());
+// { value: "SHIPPED", context: { trackingNumber: "1Z999", ... }, done: false }
+console.log(
+  "Log:",
+  order.getLog().map((entry) => `${entry.event.type}: ${entry.accepted}`)
+); // ["PROCESS: true", "SHIP: false", "SHIP: true", "CANCEL: false"]
+console.log(order.serialize()); // save it, then orderMachine.restore(json)
+try {
+  // Only the machine's own states restore - not Object.prototype's
+  orderMachine.restore('{"machine":"order","value":"toString","context":{}}');
+} catch (error) {
+  console.log((error as Error).message); // Can't restore: unknown state "toString"
+}
+console.log(orderMachine.toMermaid());
+
 // Pattern 4: Feature Flags
 enum Feature {
   DarkMode = "DARK_MODE",
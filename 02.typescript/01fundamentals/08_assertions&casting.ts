@@ -2,6 +2,8 @@
 // Run with: npx ts-node 08-type-assertions.ts
 // Or in TypeScript Playground: https://www.typescriptlang.org/play
 
+import * as s from "./schema";
+
 /* ============================================
    1. TYPE ASSERTIONS WITH 'as' SYNTAX
    ============================================ */
@@ -34,6 +36,7 @@ interface User {
 async function fetchUser(id: number): Promise<User> {
   const response = await fetch(`/api/users/${id}`);
   // Assert the JSON response to User type
+  // ⚠️ Nothing is checked - see safelyFetchUser (section 8) for the validated way
   return (await response.json()) as User;
 }
 
@@ -323,6 +326,21 @@ function processUser(data: unknown) {
 
 processUser({ id: 1, name: "Bob", email: "bob@example.com" });
 
+// Schema: the same guard, generated from one definition (see schema.ts)
+const UserSchema = s.object({
+  id: s.number(),
+  name: s.string(),
+  email: s.string(),
+});
+// s.Infer<typeof UserSchema> is { id: number; name: string; email: string }
+
+const userCheck = UserSchema.safeParse({ id: "1", name: "Bob" });
+if (!userCheck.success) {
+  // Every problem, with the path to it - not just "invalid"
+  console.log("Schema issues:", userCheck.error.flatten());
+  // { id: ["Expected number, received string"], email: ["Expected string, received undefined"] }
+}
+
 // Discriminated union with type guard
 type Shape =
   | { kind: "circle"; radius: number }
@@ -345,6 +363,21 @@ function getArea(shape: Shape): number {
 
 console.log("Circle area:", getArea({ kind: "circle", radius: 5 }));
 
+// Unknown data → Shape: the discriminant picks the variant to validate
+const ShapeSchema = s.discriminatedUnion("kind", [
+  s.object({ kind: s.literal("circle"), radius: s.number() }),
+  s.object({ kind: s.literal("square"), size: s.number() }),
+  s.object({
+    kind: s.literal("rectangle"),
+    width: s.number(),
+    height: s.number(),
+  }),
+]);
+
+const shapeJson: unknown = JSON.parse('{"kind": "square", "size": 4}');
+console.log("Parsed square area:", getArea(ShapeSchema.parse(shapeJson))); // 16
+// ShapeSchema.parse({ kind: "triangle" }); // ❌ SchemaError: kind: Expected "circle" | "square" | "rectangle", received "triangle"
+
 /* ============================================
    7. ASSERTION FUNCTIONS
    ============================================ */
@@ -407,6 +440,14 @@ function handleUser(data: unknown) {
 
 handleUser({ id: 1, name: "Charlie", email: "charlie@example.com" });
 
+// Same assertion, driven by a schema - throws SchemaError with the paths
+function handleUserWithSchema(data: unknown) {
+  s.assertValid(UserSchema, data);
+  console.log("User email:", data.email); // data is narrowed here
+}
+
+handleUserWithSchema({ id: 2, name: "Dana", email: "dana@example.com" });
+
 // Non-null assertion function
 function assertNonNull<T>(
   value: T,
@@ -458,11 +499,10 @@ interface APIResponse<T> {
 
 async function safelyFetchUser(id: number): Promise<User> {
   const response = await fetch(`/api/users/${id}`);
-  const json = await response.json();
+  const json: unknown = await response.json();
 
-  // Validate before using
-  assertIsUser(json);
-  return json;
+  // Validate before using - parse() returns the typed value or throws
+  return UserSchema.parse(json);
 }
 
 // Pattern 2: Event handler with specific target
@@ -472,10 +512,16 @@ function handleInputChange(event: Event) {
 }
 
 // Pattern 3: Local storage with type safety
-function getFromLocalStorage<T>(key: string): T | null {
+// Storage can hold anything (old versions, hand edits) - validate, don't cast
+function getFromLocalStorage<T>(key: string, schema: s.Schema<T>): T | null {
   const item = localStorage.getItem(key);
   if (!item) return null;
-  return JSON.parse(item) as T;
+  try {
+    const result = schema.safeParse(JSON.parse(item));
+    return result.success ? result.data : null;
+  } catch {
+    return null;
+  }
 }
 
 function saveToLocalStorage<T>(key: string, value: T): void {
@@ -509,6 +555,13 @@ const validatedUser = validateAndParse(
 );
 console.log("Validated user:", validatedUser.name);
 
+// A schema's .is works as the validator too
+const schemaUser = validateAndParse(
+  { id: 2, name: "Erin", email: "erin@example.com" },
+  UserSchema.is
+);
+console.log("Schema-validated user:", schemaUser.name);
+
 // Pattern 6: Branded types with assertions
 type Brand<K, T> = K & { __brand: T };
 type UserId = Brand<number, "UserId">;
@@ -763,6 +816,7 @@ KEY TAKEAWAYS:
 8. Best Practices
    ✅ Use assertions sparingly
    ✅ Validate external data with guards
+   ✅ Or with a schema: one definition → type + runtime check
    ✅ Prefer 'as const' for immutable data
    ✅ Add runtime checks for safety
    ✅ Document why assertions are needed
@@ -0,0 +1,265 @@
+/**
+ * @jest-environment node
+ */
+// HTTP Client against a real server
+// A local http.createServer on port 0 (any free port) plays the API, so
+// timeouts really abort a socket and retries really hit the server again.
+
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { createHttpClient, ResponseStatus } from "./httpClient";
+import * as s from "./schema";
+
+type Handler = (req: http.IncomingMessage, res: http.ServerResponse) => void;
+
+let server: http.Server;
+let baseURL: string;
+let routes: Record<string, Handler> = {};
+let hits: Record<string, number> = {};
+
+const json = (res: http.ServerResponse, status: number, body: unknown) => {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+// Answers after `ms` - unless the client hangs up first
+const slow =
+  (ms: number): Handler =>
+  (_req, res) => {
+    const timer = setTimeout(() => json(res, 200, { ok: true }), ms);
+    res.on("close", () => clearTimeout(timer));
+  };
+
+// 503 for the first `failures` hits, then 200
+const flaky =
+  (failures: number): Handler =>
+  (req, res) => {
+    if (hits[req.url!] <= failures) json(res, 503, { error: "busy" });
+    else json(res, 200, { ok: true });
+  };
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const path = req.url!;
+    hits[path] = (hits[path] ?? 0) + 1;
+    const handler = routes[path];
+    if (handler) handler(req, res);
+    else json(res, 404, { error: "not found" });
+  });
+  await new Promise<void>((resolve) => server.listen(0, resolve));
+  baseURL = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  routes = {};
+  hits = {};
+});
+
+const client = (options = {}) =>
+  createHttpClient({ baseURL, retryDelay: 10, ...options });
+
+describe("timeouts and cancelling", () => {
+  test("an attempt that takes too long is aborted as a Timeout", async () => {
+    routes["/slow"] = slow(1000);
+
+    const res = await client().get("/slow", { timeout: 150, retries: 1 });
+
+    expect(res.status).toBe(ResponseStatus.Timeout);
+    expect(res.attempts).toBe(2);
+    expect(hits["/slow"]).toBe(2);
+  });
+
+  test("the caller's signal ends the request as Cancelled", async () => {
+    routes["/slow"] = slow(1000);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const res = await client().get("/slow", { signal: controller.signal });
+
+    expect(res.status).toBe(ResponseStatus.Cancelled);
+    expect(res.attempts).toBe(1);
+  });
+});
+
+describe("retries", () => {
+  test("a GET backs off and retries a 5xx", async () => {
+    routes["/flaky"] = flaky(2);
+
+    const res = await client().get("/flaky");
+
+    expect(res.status).toBe(ResponseStatus.Success);
+    expect(res.attempts).toBe(3);
+    expect(hits["/flaky"]).toBe(3);
+  });
+
+  test("gives up after `retries` and reports the last failure", async () => {
+    routes["/flaky"] = flaky(10);
+
+    const res = await client().get("/flaky", { retries: 2 });
+
+    expect(res.status).toBe(ResponseStatus.Error);
+    expect(res.status === ResponseStatus.Error && res.httpStatus).toBe(503);
+    expect(hits["/flaky"]).toBe(3);
+  });
+
+  test("a POST is never retried", async () => {
+    routes["/flaky"] = flaky(1);
+
+    const res = await client().post("/flaky", { amount: 1999 });
+
+    expect(res.status).toBe(ResponseStatus.Error);
+    expect(res.attempts).toBe(1);
+    expect(hits["/flaky"]).toBe(1);
+  });
+
+  test("a 4xx is not retried", async () => {
+    const res = await client().get("/missing");
+
+    expect(res.status).toBe(ResponseStatus.Error);
+    expect(hits["/missing"]).toBe(1);
+  });
+
+  test("a 200 with broken JSON is an Error, not retried", async () => {
+    routes["/broken"] = (_req, res) => {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end("{ oops");
+    };
+
+    const res = await client().get("/broken");
+
+    expect(res.status).toBe(ResponseStatus.Error);
+    expect(res.status === ResponseStatus.Error && res.error).toMatch(
+      /Invalid JSON/
+    );
+    expect(hits["/broken"]).toBe(1);
+  });
+});
+
+describe("cache", () => {
+  beforeEach(() => {
+    routes["/users"] = (req, res) =>
+      json(res, 200, [{ id: 1, seenAuth: req.headers.authorization ?? null }]);
+  });
+
+  test("a second GET is served from the cache", async () => {
+    const api = client();
+
+    const first = await api.get("/users");
+    const second = await api.get("/users");
+
+    expect(first.status === ResponseStatus.Success && first.fromCache).toBe(false);
+    expect(second.status === ResponseStatus.Success && second.fromCache).toBe(true);
+    expect(hits["/users"]).toBe(1);
+  });
+
+  test("cache: false, clearCache() and other credentials miss", async () => {
+    const api = client();
+    await api.get("/users");
+
+    await api.get("/users", { cache: false });
+    expect(hits["/users"]).toBe(2);
+
+    const other = await api.get("/users", {
+      headers: { Authorization: "Bearer other" },
+    });
+    expect(other.status === ResponseStatus.Success && other.data).toEqual([
+      { id: 1, seenAuth: "Bearer other" },
+    ]);
+    expect(hits["/users"]).toBe(3);
+
+    api.clearCache("/users");
+    await api.get("/users");
+    expect(hits["/users"]).toBe(4);
+  });
+
+  test("concurrent identical GETs share one request", async () => {
+    const api = client();
+
+    const results = await Promise.all([api.get("/users"), api.get("/users")]);
+
+    expect(results.map((res) => res.status)).toEqual([
+      ResponseStatus.Success,
+      ResponseStatus.Success,
+    ]);
+    expect(hits["/users"]).toBe(1);
+
+    // A caller with its own timeout / retries doesn't ride on someone else's
+    api.clearCache();
+    await Promise.all([api.get("/users"), api.get("/users", { timeout: 500 })]);
+    expect(hits["/users"]).toBe(3);
+  });
+
+  test("every caller's schema checks the cached body", async () => {
+    const api = client();
+    const User = s.object({ id: s.number(), name: s.string() });
+
+    await api.get("/users");
+    const checked = await api.get("/users", { schema: s.array(User) });
+
+    expect(checked.status).toBe(ResponseStatus.Error);
+    expect(checked.status === ResponseStatus.Error && checked.error).toMatch(
+      /Invalid response/
+    );
+    expect(hits["/users"]).toBe(1);
+  });
+});
+
+describe("interceptors", () => {
+  beforeEach(() => {
+    routes["/me"] = (req, res) =>
+      json(res, 200, { auth: req.headers.authorization ?? null });
+  });
+
+  test("request interceptors change what is sent, response ones what is returned", async () => {
+    const api = client({ cache: false });
+    const seen: string[] = [];
+
+    api.interceptors.request.use((req) => ({
+      ...req,
+      headers: { ...req.headers, authorization: "Bearer token" },
+    }));
+    const eject = api.interceptors.response.use((res, req) => {
+      seen.push(`${req.method} ${res.status}`);
+      return res;
+    });
+
+    const res = await api.get("/me");
+    expect(res.status === ResponseStatus.Success && res.data).toEqual({
+      auth: "Bearer token",
+    });
+    expect(seen).toEqual(["GET SUCCESS"]);
+
+    eject();
+    await api.get("/me");
+    expect(seen).toHaveLength(1);
+  });
+
+  test("a throwing interceptor becomes an Error result", async () => {
+    const api = client({ cache: false });
+    const eject = api.interceptors.request.use(() => {
+      throw new Error("no token");
+    });
+
+    const before = await api.get("/me");
+    expect(before.status === ResponseStatus.Error && before.error).toBe(
+      "Request interceptor failed - no token"
+    );
+    expect(hits["/me"]).toBeUndefined();
+
+    eject();
+    api.interceptors.response.use(async () => {
+      throw new Error("logger down");
+    });
+
+    const after = await api.get("/me");
+    expect(after.status === ResponseStatus.Error && after.error).toBe(
+      "Response interceptor failed - logger down"
+    );
+    expect(hits["/me"]).toBe(1);
+  });
+});
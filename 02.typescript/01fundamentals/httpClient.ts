@@ -0,0 +1,487 @@
+// HTTP Client - the real version of fetchData / fetchWithOptions
+// 04_function_type.ts sketches FetchConfig and Options, 07_numeric_enums.ts
+// sketches APIEndpoint and APIResponse<T>; this module implements them:
+//
+//   import { createHttpClient, APIEndpoint, ResponseStatus } from "./httpClient";
+//
+//   const api = createHttpClient({ baseURL: "https://api.example.com" });
+//   const res = await api.get<User[]>(APIEndpoint.Users, { timeout: 5000 });
+//
+//   switch (res.status) {
+//     case ResponseStatus.Success:   res.data;   // User[]
+//     case ResponseStatus.Error:     res.error;  // + res.httpStatus if any
+//     case ResponseStatus.Timeout:   // every attempt timed out
+//     case ResponseStatus.Cancelled: // your AbortSignal fired
+//   }
+//
+// - Never throws for HTTP/network problems, a bad URL or a failing
+//   interceptor: every outcome is an APIResponse
+// - timeout: per attempt, enforced with an AbortSignal (the request is
+//   really aborted, not just ignored)
+// - retries: exponential backoff (retryDelay, 2x, 4x, ...) - ONLY for
+//   idempotent methods (GET, PUT, DELETE). A retried POST could charge a
+//   card twice. Retried: network errors, timeouts, 408, 429, 5xx. A 2xx
+//   whose JSON doesn't parse is an Error straight away - asking again
+//   returns the same broken body.
+// - cache: successful GETs are cached for cacheTTL ms, per URL and
+//   credentials (authorization / cookie headers); identical GETs in flight at
+//   the same time share one request
+// - interceptors: change every request (auth headers) or response (logging)
+// - schema: validate the JSON (see schema.ts) so `data` is checked, not cast.
+//   Cached and shared responses are validated against each caller's schema.
+
+import type { Schema } from "./schema";
+
+/* ============================================
+   1. TYPES
+   ============================================ */
+
+export enum APIEndpoint {
+  Users = "/api/users",
+  Posts = "/api/posts",
+  Comments = "/api/comments",
+  Auth = "/api/auth",
+}
+
+export enum ResponseStatus {
+  Success = "SUCCESS",
+  Error = "ERROR",
+  Timeout = "TIMEOUT",
+  Cancelled = "CANCELLED",
+}
+
+export type HttpMethod = "GET" | "POST" | "PUT" | "DELETE";
+
+const IDEMPOTENT_METHODS: ReadonlySet<HttpMethod> = new Set([
+  "GET",
+  "PUT",
+  "DELETE",
+]);
+
+// Same fields as the lesson versions
+export interface FetchConfig {
+  method?: HttpMethod;
+  headers?: Record<string, string>;
+  timeout?: number;
+}
+
+export interface Options {
+  timeout?: number;
+  retries?: number;
+  cache?: boolean;
+}
+
+export interface RequestConfig<T = unknown> extends FetchConfig, Options {
+  body?: unknown; // objects are sent as JSON
+  query?: Record<string, string | number | boolean | undefined>;
+  signal?: AbortSignal; // cancel from outside → ResponseStatus.Cancelled
+  schema?: Schema<T>;
+}
+
+interface Meta {
+  url: string;
+  method: HttpMethod;
+  attempts: number;
+}
+
+// A discriminated union: checking `status` narrows to the right fields
+export type APIResponse<T> =
+  | (Meta & {
+      status: ResponseStatus.Success;
+      data: T;
+      httpStatus: number;
+      headers: Headers;
+      fromCache: boolean;
+    })
+  | (Meta & {
+      status: ResponseStatus.Error;
+      error: string;
+      httpStatus?: number;
+    })
+  | (Meta & { status: ResponseStatus.Timeout; error: string })
+  | (Meta & { status: ResponseStatus.Cancelled; error: string });
+
+// What request interceptors see and return - everything already resolved
+export interface PreparedRequest {
+  url: string;
+  method: HttpMethod;
+  headers: Record<string, string>;
+  body?: unknown;
+}
+
+export type RequestInterceptor = (
+  request: PreparedRequest
+) => PreparedRequest | Promise<PreparedRequest>;
+
+export type ResponseInterceptor = (
+  response: APIResponse<unknown>,
+  request: PreparedRequest
+) => APIResponse<unknown> | Promise<APIResponse<unknown>>;
+
+export interface ClientOptions extends Options {
+  baseURL?: string;
+  headers?: Record<string, string>;
+  retryDelay?: number; // first backoff step in ms
+  maxRetryDelay?: number;
+  cacheTTL?: number;
+  fetch?: typeof fetch; // injectable for tests
+}
+
+/* ============================================
+   2. HELPERS
+   ============================================ */
+
+function buildURL(
+  path: string,
+  baseURL: string | undefined,
+  query: RequestConfig["query"]
+): string {
+  const url = new URL(path, baseURL);
+  for (const [key, value] of Object.entries(query ?? {})) {
+    if (value !== undefined) url.searchParams.set(key, String(value));
+  }
+  return url.toString();
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Headers that change WHO is asking - a response for one user must not be
+// served from the cache to another
+const CREDENTIAL_HEADERS = ["authorization", "cookie"];
+
+function cacheKey({ method, url, headers }: PreparedRequest): string {
+  const credentials = Object.entries(headers)
+    .filter(([name]) => CREDENTIAL_HEADERS.includes(name.toLowerCase()))
+    .map(([name, value]) => `${name.toLowerCase()}=${value}`)
+    .sort();
+  return [`${method} ${url}`, ...credentials].join("\n");
+}
+
+const isRetryableStatus = (status: number) =>
+  status === 408 || status === 429 || status >= 500;
+
+// Retry-After: "<seconds>" or an HTTP date
+function retryAfterMs(headers: Headers): number | undefined {
+  const value = headers.get("retry-after");
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+async function readBody(response: Response): Promise<unknown> {
+  if (response.status === 204) return undefined;
+  const text = await response.text();
+  const type = response.headers.get("content-type") ?? "";
+  if (!type.includes("json")) return text;
+  return text ? JSON.parse(text) : undefined;
+}
+
+function encodeBody(
+  body: unknown,
+  headers: Record<string, string>
+): BodyInit | undefined {
+  if (body === undefined) return undefined;
+  if (typeof body === "string" || body instanceof FormData) return body;
+  headers["content-type"] ??= "application/json";
+  return JSON.stringify(body);
+}
+
+/* ============================================
+   3. CLIENT
+   ============================================ */
+
+type Success = Extract<
+  APIResponse<unknown>,
+  { status: ResponseStatus.Success }
+>;
+
+// Only successful responses are cached - with the raw body, so every
+// caller's schema checks it
+interface CacheEntry {
+  expires: number;
+  response: Success;
+}
+
+function validate(
+  response: APIResponse<unknown>,
+  schema: Schema<unknown> | undefined
+): APIResponse<unknown> {
+  if (!schema || response.status !== ResponseStatus.Success) return response;
+  const parsed = schema.safeParse(response.data);
+  if (parsed.success) return { ...response, data: parsed.data };
+  const { url, method, attempts, httpStatus } = response;
+  return {
+    url,
+    method,
+    attempts,
+    status: ResponseStatus.Error,
+    error: `Invalid response - ${parsed.error.message}`,
+    httpStatus,
+  };
+}
+
+const errorMessage = (error: unknown) =>
+  error instanceof Error ? error.message : String(error);
+
+export function createHttpClient({
+  baseURL,
+  headers: defaultHeaders = {},
+  timeout: defaultTimeout = 3000,
+  retries: defaultRetries = 3,
+  cache: defaultCache = true,
+  retryDelay = 200,
+  maxRetryDelay = 5000,
+  cacheTTL = 60_000,
+  fetch: fetchImpl = globalThis.fetch,
+}: ClientOptions = {}) {
+  const requestInterceptors: RequestInterceptor[] = [];
+  const responseInterceptors: ResponseInterceptor[] = [];
+  const cache = new Map<string, CacheEntry>();
+  const inFlight = new Map<string, Promise<APIResponse<unknown>>>();
+
+  // use(fn) returns an eject function, like axios
+  const register =
+    <F>(list: F[]) =>
+    (interceptor: F) => {
+      list.push(interceptor);
+      return () => {
+        const index = list.indexOf(interceptor);
+        if (index !== -1) list.splice(index, 1);
+      };
+    };
+
+  // One HTTP round trip, retried as configured. Never throws.
+  async function send(
+    request: PreparedRequest,
+    config: RequestConfig<unknown>
+  ): Promise<APIResponse<unknown>> {
+    const timeout = config.timeout ?? defaultTimeout;
+    const maxRetries = IDEMPOTENT_METHODS.has(request.method)
+      ? (config.retries ?? defaultRetries)
+      : 0;
+    const meta = (attempts: number): Meta => ({
+      url: request.url,
+      method: request.method,
+      attempts,
+    });
+    const headers = { ...request.headers };
+    const body = encodeBody(request.body, headers);
+
+    for (let attempt = 1; ; attempt++) {
+      const timeoutSignal = AbortSignal.timeout(timeout);
+      const signal = config.signal
+        ? AbortSignal.any([config.signal, timeoutSignal])
+        : timeoutSignal;
+
+      let failure: APIResponse<unknown>;
+      let wait: number | undefined;
+
+      try {
+        const response = await fetchImpl(request.url, {
+          method: request.method,
+          headers,
+          body,
+          signal,
+        });
+
+        if (response.ok) {
+          let data: unknown;
+          try {
+            data = await readBody(response);
+          } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            return {
+              ...meta(attempt),
+              status: ResponseStatus.Error,
+              error: `Invalid JSON - ${error.message}`,
+              httpStatus: response.status,
+            };
+          }
+          return {
+            ...meta(attempt),
+            status: ResponseStatus.Success,
+            data,
+            httpStatus: response.status,
+            headers: response.headers,
+            fromCache: false,
+          };
+        }
+
+        await response.body?.cancel(); // the error body isn't used
+        failure = {
+          ...meta(attempt),
+          status: ResponseStatus.Error,
+          error: `HTTP ${response.status} ${response.statusText}`.trim(),
+          httpStatus: response.status,
+        };
+        if (!isRetryableStatus(response.status)) return failure;
+        wait = retryAfterMs(response.headers);
+      } catch (error) {
+        if (config.signal?.aborted) {
+          return {
+            ...meta(attempt),
+            status: ResponseStatus.Cancelled,
+            error: "Request cancelled",
+          };
+        }
+        failure = timeoutSignal.aborted
+          ? {
+              ...meta(attempt),
+              status: ResponseStatus.Timeout,
+              error: `Timed out after ${timeout}ms`,
+            }
+          : {
+              ...meta(attempt),
+              status: ResponseStatus.Error,
+              error: errorMessage(error),
+            };
+      }
+
+      if (attempt > maxRetries) return failure;
+      try {
+        await sleep(
+          wait ?? Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay),
+          config.signal
+        );
+      } catch {
+        return {
+          ...meta(attempt),
+          status: ResponseStatus.Cancelled,
+          error: "Request cancelled",
+        };
+      }
+    }
+  }
+
+  async function request<T = unknown>(
+    path: string,
+    config: RequestConfig<T> = {}
+  ): Promise<APIResponse<T>> {
+    const method = config.method ?? "GET";
+    let url: string;
+    try {
+      url = buildURL(path, baseURL, config.query);
+    } catch {
+      // new URL("/users") throws without a base - report it like any failure
+      return {
+        url: path,
+        method,
+        attempts: 0,
+        status: ResponseStatus.Error,
+        error: baseURL
+          ? `Invalid URL "${path}"`
+          : `Invalid URL "${path}" - relative paths need a baseURL`,
+      };
+    }
+
+    let prepared: PreparedRequest = {
+      url,
+      method,
+      headers: { ...defaultHeaders, ...config.headers },
+      body: config.body,
+    };
+    try {
+      for (const interceptor of requestInterceptors) {
+        prepared = await interceptor(prepared);
+      }
+    } catch (error) {
+      return {
+        url,
+        method,
+        attempts: 0,
+        status: ResponseStatus.Error,
+        error: `Request interceptor failed - ${errorMessage(error)}`,
+      };
+    }
+
+    const cacheable =
+      prepared.method === "GET" && (config.cache ?? defaultCache);
+    const key = cacheKey(prepared);
+    // Only share a round trip that would be made the same way
+    const flightKey = [
+      key,
+      config.timeout ?? defaultTimeout,
+      config.retries ?? defaultRetries,
+    ].join("\n");
+
+    let response: APIResponse<unknown>;
+    const cached = cacheable ? cache.get(key) : undefined;
+
+    if (cached && cached.expires > Date.now()) {
+      response = { ...cached.response, fromCache: true };
+    } else if (cacheable && inFlight.has(flightKey) && !config.signal) {
+      response = await inFlight.get(flightKey)!;
+    } else {
+      const pending = send(prepared, config);
+      if (cacheable && !config.signal) inFlight.set(flightKey, pending);
+      try {
+        response = await pending;
+      } finally {
+        if (inFlight.get(flightKey) === pending) inFlight.delete(flightKey);
+      }
+      if (cacheable && response.status === ResponseStatus.Success) {
+        cache.set(key, { expires: Date.now() + cacheTTL, response });
+      }
+    }
+    response = validate(response, config.schema);
+
+    try {
+      for (const interceptor of responseInterceptors) {
+        response = await interceptor(response, prepared);
+      }
+    } catch (error) {
+      return {
+        url: prepared.url,
+        method: prepared.method,
+        attempts: response.attempts,
+        status: ResponseStatus.Error,
+        error: `Response interceptor failed - ${errorMessage(error)}`,
+      };
+    }
+    // `data` was validated by config.schema (or T is the caller's claim, as
+    // with fetch().json()) - the one cast in the client
+    return response as APIResponse<T>;
+  }
+
+  type Config<T> = Omit<RequestConfig<T>, "method">;
+
+  return {
+    request,
+    get: <T = unknown>(path: string, config?: Config<T>) =>
+      request<T>(path, { ...config, method: "GET" }),
+    post: <T = unknown>(path: string, body?: unknown, config?: Config<T>) =>
+      request<T>(path, { ...config, method: "POST", body }),
+    put: <T = unknown>(path: string, body?: unknown, config?: Config<T>) =>
+      request<T>(path, { ...config, method: "PUT", body }),
+    delete: <T = unknown>(path: string, config?: Config<T>) =>
+      request<T>(path, { ...config, method: "DELETE" }),
+    interceptors: {
+      request: { use: register(requestInterceptors) },
+      response: { use: register(responseInterceptors) },
+    },
+    // Drop everything, or just the entries whose URL contains `match`
+    clearCache(match?: string) {
+      for (const [key, entry] of cache) {
+        if (!match || entry.response.url.includes(match)) cache.delete(key);
+      }
+    },
+  };
+}
+
+export type HttpClient = ReturnType<typeof createHttpClient>;
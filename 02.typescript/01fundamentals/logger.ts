@@ -0,0 +1,377 @@
+// Logger - leveled, structured logging with pluggable transports
+// The grown-up version of createLogger() in 04_function_type.ts and log()
+// in 07_numeric_enums.ts, which both just call console.log. Also used by
+// the Jest setup in 04.testing/Testing Fundamentals/1.6.jest&Configuration.js:
+//
+//   const log = createLogger({ name: "api", level: LogLevel.Info });
+//   log.info("Server started", { port: 3000 });
+//   // 12:00:00.000 INFO    [api] Server started {"port":3000}
+//
+//   const requestLog = log.child({ requestId: "abc" }, "users");
+//   requestLog.warn("Slow query", { ms: 812, password: "hunter2" });
+//   // WARNING [api:users] Slow query {"requestId":"abc","ms":812,"password":"[REDACTED]"}
+//
+// - Messages are fixed strings, data goes in the context object - so logs
+//   can be searched ("every Slow query over 500ms") instead of grepped
+// - Children share the root's level and transports: configure() the root
+//   and the whole tree follows
+// - Sensitive keys are redacted at any depth before a transport sees them
+// - Logging never throws - a failing transport is reported, not rethrown
+//
+// In tests: captureLogs(logger) swaps the transports for a memory buffer -
+// silent output, and the records can be asserted on.
+
+/* ============================================
+   1. LEVELS
+   ============================================ */
+
+export enum LogLevel {
+  Debug = "DEBUG",
+  Info = "INFO",
+  Warning = "WARNING",
+  Error = "ERROR",
+}
+
+// The enum's values as a type, so any string enum with the same values
+// (07_numeric_enums.ts declares its own LogLevel) or a plain "INFO" works
+export type Level = `${LogLevel}`;
+
+// A minimum level; "SILENT" turns everything off
+export type Threshold = Level | "SILENT";
+
+const SEVERITY: Record<Threshold, number> = {
+  DEBUG: 10,
+  INFO: 20,
+  WARNING: 30,
+  ERROR: 40,
+  SILENT: Infinity,
+};
+
+export const isEnabled = (level: Level, threshold: Threshold): boolean =>
+  SEVERITY[level] >= SEVERITY[threshold];
+
+/* ============================================
+   2. RECORDS & REDACTION
+   ============================================ */
+
+export type Context = Record<string, unknown>;
+
+export interface LogRecord {
+  time: Date;
+  level: Level;
+  logger: string; // "" for an unnamed logger, "api:users" for a child
+  message: string;
+  context: Context; // already redacted and JSON-safe
+}
+
+export const REDACTED = "[REDACTED]";
+
+// Compared case-insensitively, at any depth
+export const DEFAULT_REDACT = [
+  "password",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "secret",
+  "apiKey",
+  "authorization",
+  "cookie",
+];
+
+// Errors → plain objects (JSON.stringify(new Error()) is "{}"),
+// redacted keys → "[REDACTED]", cycles → "[Circular]"
+function sanitize(
+  value: unknown,
+  redact: ReadonlySet<string>,
+  ancestors: object[] = []
+): unknown {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value !== "object" || value === null) return value;
+  if (ancestors.includes(value)) return "[Circular]";
+
+  const path = [...ancestors, value];
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, redact, path));
+  }
+  const result: Context = {};
+  for (const [key, field] of Object.entries(value)) {
+    result[key] = redact.has(key.toLowerCase())
+      ? REDACTED
+      : sanitize(field, redact, path);
+  }
+  return result;
+}
+
+/* ============================================
+   3. FORMATTERS
+   ============================================ */
+
+export type Formatter = (record: LogRecord) => string;
+
+// One JSON object per line - for files and log aggregators
+export const jsonFormatter: Formatter = ({
+  time,
+  level,
+  logger,
+  message,
+  context,
+}) =>
+  JSON.stringify({
+    time: time.toISOString(),
+    level,
+    ...(logger && { logger }),
+    message,
+    ...(Object.keys(context).length > 0 && { context }),
+  });
+
+// 12:00:00.000 WARNING [api:users] Slow query {"ms":812} - for humans
+export const prettyFormatter =
+  ({ time: showTime = true }: { time?: boolean } = {}): Formatter =>
+  ({ time, level, logger, message, context }) => {
+    const parts = [level.padEnd(7)];
+    if (showTime) parts.unshift(time.toISOString().slice(11, 23));
+    if (logger) parts.push(`[${logger}]`);
+    parts.push(message);
+    if (Object.keys(context).length > 0) parts.push(JSON.stringify(context));
+    return parts.join(" ");
+  };
+
+/* ============================================
+   4. TRANSPORTS
+   ============================================ */
+
+// `level` is an extra minimum for this transport only - e.g. everything
+// to a file, but only errors to the console
+export interface Transport {
+  level?: Threshold;
+  write(record: LogRecord): void;
+}
+
+interface TransportOptions {
+  formatter?: Formatter;
+  level?: Threshold;
+}
+
+const CONSOLE_METHOD: Record<Level, "debug" | "info" | "warn" | "error"> = {
+  DEBUG: "debug",
+  INFO: "info",
+  WARNING: "warn",
+  ERROR: "error",
+};
+
+export function createConsoleTransport({
+  formatter = prettyFormatter(),
+  level,
+}: TransportOptions = {}): Transport {
+  return {
+    level,
+    write: (record) => console[CONSOLE_METHOD[record.level]](formatter(record)),
+  };
+}
+
+// Anything with write(string):
+//   fs.createWriteStream("app.log", { flags: "a" }), process.stdout, ...
+export interface WritableLike {
+  write(chunk: string): unknown;
+}
+
+export function createFileTransport(
+  stream: WritableLike,
+  { formatter = jsonFormatter, level }: TransportOptions = {}
+): Transport {
+  return {
+    level,
+    write: (record) => {
+      stream.write(`${formatter(record)}\n`);
+    },
+  };
+}
+
+export interface LogQuery {
+  level?: Level;
+  logger?: string;
+  message?: string | RegExp;
+  context?: Context; // every given key must be equal (===)
+}
+
+const matches = (record: LogRecord, query: LogQuery = {}): boolean =>
+  (query.level === undefined || record.level === query.level) &&
+  (query.logger === undefined || record.logger === query.logger) &&
+  (query.message === undefined ||
+    (typeof query.message === "string"
+      ? record.message === query.message
+      : query.message.test(record.message))) &&
+  Object.entries(query.context ?? {}).every(
+    ([key, value]) => record.context[key] === value
+  );
+
+// Ring buffer: keeps the last `limit` records. For tests, and for a
+// "recent logs" panel or crash report in the app.
+export function createMemoryTransport({
+  limit = 1000,
+  level,
+}: { limit?: number; level?: Threshold } = {}) {
+  const buffer: LogRecord[] = [];
+  let start = 0; // index of the oldest record once the buffer is full
+
+  const all = () => [...buffer.slice(start), ...buffer.slice(0, start)];
+
+  return {
+    level,
+    write(record: LogRecord) {
+      if (buffer.length < limit) {
+        buffer.push(record);
+      } else {
+        buffer[start] = record;
+        start = (start + 1) % limit;
+      }
+    },
+    // Oldest first
+    records: (query?: LogQuery) =>
+      all().filter((record) => matches(record, query)),
+    find: (query: LogQuery) => all().find((record) => matches(record, query)),
+    // expect(logs.messages()).toEqual(["Saved", "Sent"])
+    messages: (query?: LogQuery) =>
+      all()
+        .filter((record) => matches(record, query))
+        .map((record) => record.message),
+    clear() {
+      buffer.length = 0;
+      start = 0;
+    },
+  };
+}
+
+export type MemoryTransport = ReturnType<typeof createMemoryTransport>;
+
+/* ============================================
+   5. LOGGER
+   ============================================ */
+
+export interface LoggerConfig {
+  level: Threshold;
+  transports: Transport[];
+  redact: string[];
+}
+
+export interface LoggerOptions extends Partial<LoggerConfig> {
+  name?: string;
+  context?: Context; // fields added to every record
+  clock?: () => Date; // injectable for tests
+}
+
+// One per createLogger() call, shared by all of its children
+interface Core {
+  config: LoggerConfig;
+  redact: Set<string>;
+  clock: () => Date;
+}
+
+function write(transport: Transport, record: LogRecord) {
+  try {
+    transport.write(record);
+  } catch (error) {
+    // Reporting through the logger could fail the same way again
+    console.error("Log transport failed:", error);
+  }
+}
+
+function buildLogger(core: Core, name: string, bindings: Context) {
+  function log(level: Level, message: string, context?: Context): void {
+    if (!isEnabled(level, core.config.level)) return;
+    const record: LogRecord = {
+      time: core.clock(),
+      level,
+      logger: name,
+      message,
+      context: sanitize({ ...bindings, ...context }, core.redact) as Context,
+    };
+    for (const transport of core.config.transports) {
+      if (isEnabled(level, transport.level ?? LogLevel.Debug)) {
+        write(transport, record);
+      }
+    }
+  }
+
+  return {
+    name,
+    log,
+    debug: (message: string, context?: Context) =>
+      log(LogLevel.Debug, message, context),
+    info: (message: string, context?: Context) =>
+      log(LogLevel.Info, message, context),
+    warn: (message: string, context?: Context) =>
+      log(LogLevel.Warning, message, context),
+    // log.error("Payment failed", { error, orderId }) - the Error is
+    // serialized with name, message and stack
+    error: (message: string, context?: Context) =>
+      log(LogLevel.Error, message, context),
+
+    // Same core, more context: log.child({ requestId }, "db")
+    child: (context: Context, childName?: string) =>
+      buildLogger(
+        core,
+        childName ? [name, childName].filter(Boolean).join(":") : name,
+        { ...bindings, ...context }
+      ),
+
+    // Skip expensive work when nobody would see it:
+    // if (log.isLevelEnabled("DEBUG")) log.debug("State", { dump: big() })
+    isLevelEnabled: (level: Level) => isEnabled(level, core.config.level),
+
+    getConfig: (): LoggerConfig => ({ ...core.config }),
+
+    // Affects this logger, its parent and all children alike
+    configure(changes: Partial<LoggerConfig>) {
+      core.config = { ...core.config, ...changes };
+      core.redact = new Set(core.config.redact.map((key) => key.toLowerCase()));
+    },
+  };
+}
+
+export type Logger = ReturnType<typeof buildLogger>;
+
+export function createLogger({
+  name = "",
+  context = {},
+  level = LogLevel.Info,
+  transports = [createConsoleTransport()],
+  redact = DEFAULT_REDACT,
+  clock = () => new Date(),
+}: LoggerOptions = {}): Logger {
+  const core: Core = {
+    config: { level, transports, redact },
+    redact: new Set(redact.map((key) => key.toLowerCase())),
+    clock,
+  };
+  return buildLogger(core, name, context);
+}
+
+// The app-wide logger. Modules take a child: logger.child({}, "cart")
+export const logger = createLogger();
+
+/* ============================================
+   6. TESTING
+   ============================================ */
+
+// Routes a logger (and its children) into memory until restore():
+//
+//   const logs = captureLogs(logger);
+//   await checkout(cart);
+//   expect(logs.find({ level: "ERROR", message: "Payment failed" })).toBeDefined();
+//   logs.restore();
+//
+// Captures from DEBUG up by default, so nothing is missed.
+export function captureLogs(
+  target: Logger,
+  { level = LogLevel.Debug, limit }: { level?: Threshold; limit?: number } = {}
+) {
+  const previous = target.getConfig();
+  const memory = createMemoryTransport({ limit });
+  target.configure({ level, transports: [memory] });
+  return { ...memory, restore: () => target.configure(previous) };
+}
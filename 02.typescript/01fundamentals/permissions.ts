@@ -0,0 +1,299 @@
+// Permissions - one access-control engine (RBAC + ABAC)
+// 07_numeric_enums.ts has two separate ideas: a UserRole hierarchy and
+// FilePermission bit flags. Here they are combined. Used by 07_numeric_enums.ts
+// and by <Can> / usePermission in 03.react/1_hooks/6_useContext.jsx:
+//
+//   const acl = createAccessControl({
+//     roles: {
+//       GUEST: { grants: { posts: Permission.Read } },
+//       USER: { inherits: ["GUEST"], grants: { comments: Permission.Write } },
+//       ADMIN: { inherits: ["USER"], grants: { "*": Permission.All } },
+//     },
+//     rules: [
+//       { id: "locked-posts", effect: "deny", resource: "posts",
+//         permission: Permission.Write, when: (user, post) => post.locked },
+//     ],
+//   });
+//
+//   acl.can(user, Permission.Write, { type: "posts", locked: true }); // false
+//   acl.explain(user, Permission.Write, "comments").reason;
+//   // 'Allowed: "USER" grants Write on comments'
+//
+// How a decision is made:
+// 1. A matching DENY rule refuses access - explicit deny always wins
+// 2. Otherwise every requested flag must be granted by one of:
+//    - the subject's role or a role it inherits (RBAC)
+//    - the subject's own per-resource grants (e.g. a shared document)
+//    - an ALLOW rule whose condition holds (ABAC: "authors edit their posts")
+// Unknown roles are refused, never guessed.
+
+/* ============================================
+   1. PERMISSION FLAGS
+   ============================================ */
+
+// FilePermission from 07_numeric_enums.ts, for any kind of resource.
+// Any numeric enum of single-bit flags works - pass it as `flags`.
+export enum Permission {
+  None = 0,
+  Read = 1 << 0, // 1
+  Write = 1 << 1, // 2
+  Execute = 1 << 2, // 4
+  Delete = 1 << 3, // 8
+  All = Read | Write | Execute | Delete, // 15
+}
+
+export type Flags = Record<string, string | number>;
+
+export const hasFlags = (mask: number, required: number): boolean =>
+  (mask & required) === required;
+
+export const addFlags = (mask: number, toAdd: number): number => mask | toAdd;
+
+export const removeFlags = (mask: number, toRemove: number): number =>
+  mask & ~toRemove;
+
+const isSingleBit = (value: number) => value > 0 && (value & (value - 1)) === 0;
+
+// describeFlags(Permission.Read | Permission.Write) → "Read|Write"
+export function describeFlags(mask: number, flags: Flags = Permission): string {
+  const names = Object.entries(flags)
+    .filter(
+      ([, value]) =>
+        typeof value === "number" && isSingleBit(value) && hasFlags(mask, value)
+    )
+    .map(([name]) => name);
+  return names.length ? names.join("|") : "None";
+}
+
+/* ============================================
+   2. POLICY TYPES
+   ============================================ */
+
+// "*" grants the flags on every resource type
+export type Grants<Resource extends string> = Partial<
+  Record<Resource | "*", number>
+>;
+
+export interface RoleDefinition<Role extends string, Resource extends string> {
+  inherits?: Role[];
+  grants?: Grants<Resource>;
+}
+
+export interface Subject<Role extends string, Resource extends string> {
+  role: Role;
+  id?: string | number;
+  grants?: Grants<Resource>; // extra flags for this subject only
+  [attribute: string]: unknown;
+}
+
+// A resource type ("posts") or a concrete resource with attributes
+export type Target<Resource extends string> =
+  Resource | { type: Resource; [attribute: string]: unknown };
+
+export interface Rule<Role extends string, Resource extends string> {
+  id: string; // shown by explain()
+  effect: "allow" | "deny";
+  resource: Resource | "*";
+  permission: number; // the flags this rule allows / denies
+  roles?: Role[]; // the subject's OWN role must be listed; omit = everyone
+  when?: (
+    subject: Subject<Role, Resource>,
+    target: { type: Resource; [attribute: string]: unknown }
+  ) => boolean;
+}
+
+// Role is inferred from the keys of `roles` only, so a typo in `inherits`
+// or a rule is an error instead of a new role
+export interface Policy<Role extends string, Resource extends string> {
+  roles: Record<Role, RoleDefinition<NoInfer<Role>, Resource>>;
+  rules?: Rule<NoInfer<Role>, NoInfer<Resource>>[];
+  flags?: Flags; // names for explain(); defaults to Permission
+}
+
+export interface Decision {
+  allowed: boolean;
+  reason: string;
+  granted: number; // requested flags that some source granted
+  missing: number; // requested flags nobody granted (or that were denied)
+  steps: string[]; // every source that was considered, in order
+}
+
+/* ============================================
+   3. ENGINE
+   ============================================ */
+
+export function createAccessControl<
+  Role extends string,
+  Resource extends string = string,
+>(policy: Policy<Role, Resource>) {
+  const { roles, rules = [], flags = Permission } = policy;
+  const describe = (mask: number) => describeFlags(mask, flags);
+  const singleFlags = Object.values(flags).filter(
+    (value): value is number => typeof value === "number" && isSingleBit(value)
+  );
+
+  // Role → [role, ...every role it inherits], resolved once up front so a
+  // broken policy fails at startup instead of on some later request
+  const chains = new Map<Role, Role[]>();
+
+  const resolve = (role: Role, visiting: Role[]): Role[] => {
+    const cached = chains.get(role);
+    if (cached) return cached;
+    if (visiting.includes(role)) {
+      throw new Error(
+        `Role inheritance cycle: ${[...visiting, role].join(" → ")}`
+      );
+    }
+    const definition = roles[role];
+    if (!definition) {
+      throw new Error(`Unknown role "${role}" in inherits`);
+    }
+    const chain = [role];
+    for (const parent of definition.inherits ?? []) {
+      for (const inherited of resolve(parent, [...visiting, role])) {
+        if (!chain.includes(inherited)) chain.push(inherited);
+      }
+    }
+    chains.set(role, chain);
+    return chain;
+  };
+
+  for (const role of Object.keys(roles) as Role[]) resolve(role, []);
+
+  const grantsOn = (grants: Grants<Resource> | undefined, type: Resource) =>
+    (grants?.[type] ?? 0) | (grants?.["*"] ?? 0);
+
+  const applies = (
+    rule: Rule<Role, Resource>,
+    subject: Subject<Role, Resource>,
+    target: { type: Resource; [attribute: string]: unknown },
+    permission: number
+  ) =>
+    (rule.resource === "*" || rule.resource === target.type) &&
+    (rule.permission & permission) !== 0 &&
+    (!rule.roles || rule.roles.includes(subject.role)) &&
+    (!rule.when || rule.when(subject, target));
+
+  function explain(
+    subject: Subject<Role, Resource>,
+    permission: number,
+    target: Target<Resource>
+  ): Decision {
+    const resource = typeof target === "string" ? { type: target } : target;
+    const type = resource.type;
+    const steps: string[] = [];
+
+    const chain = chains.get(subject.role);
+    if (!chain) {
+      return {
+        allowed: false,
+        reason: `Denied: unknown role "${subject.role}"`,
+        granted: 0,
+        missing: permission,
+        steps,
+      };
+    }
+
+    for (const rule of rules) {
+      if (
+        rule.effect === "deny" &&
+        applies(rule, subject, resource, permission)
+      ) {
+        const denied = rule.permission & permission;
+        steps.push(`Rule "${rule.id}" denies ${describe(denied)} on ${type}`);
+        return {
+          allowed: false,
+          reason: `Denied by rule "${rule.id}"`,
+          granted: 0,
+          missing: denied,
+          steps,
+        };
+      }
+    }
+
+    let granted = 0;
+    for (const role of chain) {
+      const flagsFromRole = grantsOn(roles[role].grants, type) & permission;
+      if (!flagsFromRole) continue;
+      granted |= flagsFromRole;
+      steps.push(
+        role === subject.role
+          ? `"${role}" grants ${describe(flagsFromRole)} on ${type}`
+          : `"${role}" (inherited) grants ${describe(flagsFromRole)} on ${type}`
+      );
+    }
+
+    const direct = grantsOn(subject.grants, type) & permission;
+    if (direct) {
+      granted |= direct;
+      steps.push(`Direct grant: ${describe(direct)} on ${type}`);
+    }
+
+    for (const rule of rules) {
+      if (
+        rule.effect === "allow" &&
+        applies(rule, subject, resource, permission)
+      ) {
+        const allowed = rule.permission & permission;
+        granted |= allowed;
+        steps.push(`Rule "${rule.id}" allows ${describe(allowed)} on ${type}`);
+      }
+    }
+
+    const missing = permission & ~granted;
+    if (missing) {
+      return {
+        allowed: false,
+        reason: `Denied: "${subject.role}" lacks ${describe(missing)} on ${type}`,
+        granted,
+        missing,
+        steps,
+      };
+    }
+    return {
+      allowed: true,
+      reason: steps.length
+        ? `Allowed: ${steps.join("; ")}`
+        : "Allowed: nothing requested",
+      granted,
+      missing: 0,
+      steps,
+    };
+  }
+
+  return {
+    explain,
+
+    can: (
+      subject: Subject<Role, Resource>,
+      permission: number,
+      target: Target<Resource>
+    ): boolean => explain(subject, permission, target).allowed,
+
+    // The old roleHierarchy check: is `role` the same as, or does it
+    // inherit from, `required`?
+    hasRole: (role: Role, required: Role): boolean =>
+      chains.get(role)?.includes(required) ?? false,
+
+    // [role, ...inherited roles], nearest first
+    rolesOf: (role: Role): Role[] => [...(chains.get(role) ?? [])],
+
+    // Every flag the subject holds on a resource - handy to enable or
+    // disable a whole toolbar at once
+    permissionsFor(
+      subject: Subject<Role, Resource>,
+      target: Target<Resource>
+    ): number {
+      return singleFlags.reduce(
+        (mask, flag) =>
+          explain(subject, flag, target).allowed ? mask | flag : mask,
+        0
+      );
+    },
+  };
+}
+
+export type AccessControl<
+  Role extends string,
+  Resource extends string = string,
+> = ReturnType<typeof createAccessControl<Role, Resource>>;
@@ -0,0 +1,381 @@
+// Schema - runtime validation that also produces static types (zod-like)
+// Used by 01_basic_types.ts and 08_assertions&casting.ts:
+//   import * as s from "./schema";
+//
+//   const UserSchema = s.object({
+//     id: s.number(),
+//     name: s.string(),
+//     email: s.string().optional(),
+//   });
+//   type User = s.Infer<typeof UserSchema>;
+//   // { id: number; name: string; email?: string | undefined }
+//
+//   const result = UserSchema.safeParse(json); // json: unknown
+//   if (result.success) result.data.name;      // typed - no `as` needed
+//   else result.error.issues;                   // [{ path: ["id"], message }]
+//
+// One definition gives both the TypeScript type AND the runtime check, so the
+// two can't drift apart the way an interface + a hand-written guard can.
+// Objects strip unknown keys; every failing field is reported, not just the
+// first one.
+
+/* ============================================
+   1. ISSUES & ERRORS
+   ============================================ */
+
+export type Path = (string | number)[];
+
+export interface Issue {
+  path: Path;
+  message: string;
+}
+
+// ["items", 0, "id"] → "items[0].id"
+export function formatPath(path: Path): string {
+  return path.reduce<string>((result, key) => {
+    if (typeof key === "number") return `${result}[${key}]`;
+    return result ? `${result}.${key}` : key;
+  }, "");
+}
+
+export class SchemaError extends Error {
+  constructor(readonly issues: Issue[]) {
+    super(
+      issues
+        .map((issue) =>
+          issue.path.length
+            ? `${formatPath(issue.path)}: ${issue.message}`
+            : issue.message
+        )
+        .join("; ")
+    );
+    this.name = "SchemaError";
+  }
+
+  // { "items[0].id": ["Expected number, received string"] } - handy for forms
+  flatten(): Record<string, string[]> {
+    const fields: Record<string, string[]> = {};
+    for (const issue of this.issues) {
+      const key = formatPath(issue.path);
+      (fields[key] ??= []).push(issue.message);
+    }
+    return fields;
+  }
+}
+
+export type SafeParseResult<T> =
+  { success: true; data: T } | { success: false; error: SchemaError };
+
+const describe = (value: unknown): string =>
+  value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+
+/* ============================================
+   2. BASE SCHEMA
+   ============================================ */
+
+// Returned by check() when the value is invalid - the issues say why
+const INVALID = Symbol("invalid");
+type Checked<T> = T | typeof INVALID;
+
+export abstract class Schema<T> {
+  // Type-only: carries T so Infer<> can read it. Never set at runtime.
+  declare readonly _output: T;
+
+  constructor(readonly expected: string) {}
+
+  // Validate `value` found at `path`; push problems to `issues`
+  abstract check(value: unknown, path: Path, issues: Issue[]): Checked<T>;
+
+  safeParse(value: unknown): SafeParseResult<T> {
+    const issues: Issue[] = [];
+    const data = this.check(value, [], issues);
+    if (data === INVALID || issues.length) {
+      return { success: false, error: new SchemaError(issues) };
+    }
+    return { success: true, data };
+  }
+
+  // Throws SchemaError
+  parse(value: unknown): T {
+    const result = this.safeParse(value);
+    if (!result.success) throw result.error;
+    return result.data;
+  }
+
+  // Type guard - an arrow property, so it can be passed around: .filter(S.is)
+  is = (value: unknown): value is T => this.safeParse(value).success;
+
+  optional(): Schema<T | undefined> {
+    return optional(this);
+  }
+
+  // Extra rule on top of the type check: s.number().refine(Number.isInteger, "Expected an integer")
+  refine(predicate: (value: T) => boolean, message: string): Schema<T> {
+    return new RefinedSchema(this, predicate, message);
+  }
+
+  protected invalid(
+    value: unknown,
+    path: Path,
+    issues: Issue[]
+  ): typeof INVALID {
+    issues.push({
+      path,
+      message: `Expected ${this.expected}, received ${describe(value)}`,
+    });
+    return INVALID;
+  }
+}
+
+export type Infer<S extends Schema<unknown>> = S["_output"];
+
+class RefinedSchema<T> extends Schema<T> {
+  constructor(
+    private inner: Schema<T>,
+    private predicate: (value: T) => boolean,
+    private message: string
+  ) {
+    super(inner.expected);
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]): Checked<T> {
+    const result = this.inner.check(value, path, issues);
+    if (result === INVALID) return INVALID;
+    if (!this.predicate(result)) {
+      issues.push({ path, message: this.message });
+      return INVALID;
+    }
+    return result;
+  }
+}
+
+/* ============================================
+   3. PRIMITIVES
+   ============================================ */
+
+class PrimitiveSchema<T> extends Schema<T> {
+  constructor(
+    expected: string,
+    private guard: (value: unknown) => value is T
+  ) {
+    super(expected);
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]): Checked<T> {
+    return this.guard(value) ? value : this.invalid(value, path, issues);
+  }
+}
+
+export const string = () =>
+  new PrimitiveSchema("string", (v): v is string => typeof v === "string");
+
+// NaN is a number to typeof, but never valid data
+export const number = () =>
+  new PrimitiveSchema(
+    "number",
+    (v): v is number => typeof v === "number" && !Number.isNaN(v)
+  );
+
+export const boolean = () =>
+  new PrimitiveSchema("boolean", (v): v is boolean => typeof v === "boolean");
+
+export type Literal = string | number | boolean | null;
+
+export class LiteralSchema<V extends Literal> extends Schema<V> {
+  constructor(readonly value: V) {
+    super(JSON.stringify(value));
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]): Checked<V> {
+    if (value === this.value) return this.value;
+    issues.push({
+      path,
+      message: `Expected ${this.expected}, received ${
+        typeof value === "string" ? JSON.stringify(value) : describe(value)
+      }`,
+    });
+    return INVALID;
+  }
+}
+
+// literal("admin") → Schema<"admin">
+export const literal = <V extends Literal>(value: V) =>
+  new LiteralSchema(value);
+
+/* ============================================
+   4. OPTIONAL, ARRAY, OBJECT
+   ============================================ */
+
+class OptionalSchema<T> extends Schema<T | undefined> {
+  constructor(private inner: Schema<T>) {
+    super(`${inner.expected} | undefined`);
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]) {
+    return value === undefined
+      ? undefined
+      : this.inner.check(value, path, issues);
+  }
+}
+
+export const optional = <T>(schema: Schema<T>): Schema<T | undefined> =>
+  new OptionalSchema(schema);
+
+class ArraySchema<T> extends Schema<T[]> {
+  constructor(readonly item: Schema<T>) {
+    super(`${item.expected}[]`);
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]): Checked<T[]> {
+    if (!Array.isArray(value)) return this.invalid(value, path, issues);
+
+    let valid = true;
+    const result: T[] = [];
+    value.forEach((item, index) => {
+      const checked = this.item.check(item, [...path, index], issues);
+      if (checked === INVALID) valid = false;
+      else result.push(checked);
+    });
+    return valid ? result : INVALID;
+  }
+}
+
+export const array = <T>(item: Schema<T>) => new ArraySchema(item);
+
+export type Shape = { [key: string]: Schema<unknown> };
+
+// Keys whose schema accepts undefined become optional properties
+type OptionalKeys<S extends Shape> = {
+  [K in keyof S]: undefined extends Infer<S[K]> ? K : never;
+}[keyof S];
+
+type Prettify<T> = { [K in keyof T]: T[K] } & {};
+
+export type ObjectOutput<S extends Shape> = Prettify<
+  { [K in Exclude<keyof S, OptionalKeys<S>>]: Infer<S[K]> } & {
+    [K in OptionalKeys<S>]?: Infer<S[K]>;
+  }
+>;
+
+// Only the value's OWN properties count - Object.create({ id: 1 }) has no
+// id, and every object "has" toString through its prototype
+const hasOwn = (value: object, key: string) =>
+  Object.prototype.hasOwnProperty.call(value, key);
+
+const ownField = (value: object, key: string): unknown =>
+  hasOwn(value, key) ? Reflect.get(value, key) : undefined;
+
+export class ObjectSchema<S extends Shape> extends Schema<ObjectOutput<S>> {
+  constructor(readonly shape: S) {
+    super("object");
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]): Checked<ObjectOutput<S>> {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return this.invalid(value, path, issues);
+    }
+
+    let valid = true;
+    const result: Record<string, unknown> = {};
+    for (const [key, schema] of Object.entries(this.shape)) {
+      const checked = schema.check(ownField(value, key), [...path, key], issues);
+      if (checked === INVALID) valid = false;
+      else if (hasOwn(value, key)) result[key] = checked; // missing optional keys stay missing
+    }
+    // result was built key by key from the shape - the one place the
+    // compiler needs to be told what it holds
+    return valid ? (result as ObjectOutput<S>) : INVALID;
+  }
+}
+
+export const object = <S extends Shape>(shape: S) => new ObjectSchema(shape);
+
+/* ============================================
+   5. UNIONS
+   ============================================ */
+
+type Options = readonly [Schema<unknown>, ...Schema<unknown>[]];
+
+class UnionSchema<O extends Options> extends Schema<Infer<O[number]>> {
+  constructor(readonly options: O) {
+    super(options.map((option) => option.expected).join(" | "));
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]) {
+    // First option that accepts the value wins; its own issues are discarded
+    for (const option of this.options) {
+      const checked = option.check(value, path, []);
+      if (checked !== INVALID) return checked;
+    }
+    return this.invalid(value, path, issues);
+  }
+}
+
+// union([s.string(), s.number()]) → Schema<string | number>
+export const union = <O extends Options>(options: O) =>
+  new UnionSchema(options);
+
+type Variant<K extends string> = ObjectSchema<
+  { [P in K]: LiteralSchema<string | number> } & Shape
+>;
+
+class DiscriminatedUnionSchema<
+  K extends string,
+  O extends readonly Variant<K>[],
+> extends Schema<Infer<O[number]>> {
+  private byTag = new Map<unknown, O[number]>();
+
+  constructor(
+    readonly key: K,
+    readonly options: O
+  ) {
+    super(options.map((option) => option.expected).join(" | "));
+    for (const option of options) {
+      this.byTag.set(option.shape[key].value, option);
+    }
+  }
+
+  check(value: unknown, path: Path, issues: Issue[]) {
+    if (typeof value !== "object" || value === null) {
+      return this.invalid(value, path, issues);
+    }
+    // Read the tag first, then report the errors of THAT variant only -
+    // much clearer than "didn't match any of 5 shapes"
+    const tag = ownField(value, this.key);
+    const option = this.byTag.get(tag);
+    if (!option) {
+      const tags = [...this.byTag.keys()].map((t) => JSON.stringify(t));
+      issues.push({
+        path: [...path, this.key],
+        message: `Expected ${tags.join(" | ")}, received ${JSON.stringify(tag)}`,
+      });
+      return INVALID;
+    }
+    return option.check(value, path, issues);
+  }
+}
+
+// discriminatedUnion("kind", [
+//   s.object({ kind: s.literal("circle"), radius: s.number() }),
+//   s.object({ kind: s.literal("square"), size: s.number() }),
+// ])
+export const discriminatedUnion = <
+  K extends string,
+  O extends readonly Variant<K>[],
+>(
+  key: K,
+  options: O
+) => new DiscriminatedUnionSchema(key, options);
+
+/* ============================================
+   6. ASSERTION HELPER
+   ============================================ */
+
+// Assertion-function version of parse(): narrows `value` in place.
+// (A method can't do this unless the schema variable has an explicit type.)
+export function assertValid<T>(
+  schema: Schema<T>,
+  value: unknown
+): asserts value is T {
+  schema.parse(value);
+}
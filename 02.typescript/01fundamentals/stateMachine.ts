@@ -0,0 +1,402 @@
+// State Machine - typed finite state machines (a small XState)
+// `validTransitions` + canTransition() in 07_numeric_enums.ts only answer
+// yes or no. A machine also says WHICH event moves an order on, what data
+// the event carries, what runs on the way and why a move was refused.
+// Used by 05_union&intersection.ts, 07_numeric_enums.ts and by useMachine
+// in 03.react/1_hooks/useMachine.js:
+//
+//   type Event = { type: "PAY" } | { type: "SHIP"; trackingNumber: string };
+//
+//   const order = createMachine<"pending" | "paid" | "shipped", Event, Ctx>({
+//     id: "order",
+//     initial: "pending",
+//     context: { trackingNumber: null },
+//     states: {
+//       pending: { on: { PAY: "paid" } },
+//       paid: {
+//         on: {
+//           SHIP: {
+//             target: "shipped",
+//             actions: (context, event) => ({ trackingNumber: event.trackingNumber }),
+//           },
+//         },
+//       },
+//       shipped: { final: true },
+//     },
+//   });
+//
+//   const service = createService(order);
+//   service.send("PAY");                                // no payload → a string is enough
+//   service.send({ type: "SHIP", trackingNumber: "1Z" });
+//   service.send("PAY").reason; // 'State "shipped" is final' - state unchanged
+//   order.toMermaid();          // stateDiagram-v2 ...
+//
+// - Invalid events never throw: send() returns { accepted: false, reason }
+//   and the attempt is written to the event log
+// - Order of actions: exit (old state) → transition actions → entry (new)
+// - Actions return the part of the context they change (or nothing)
+// - Transitions without `target` stay put and skip exit/entry
+
+/* ============================================
+   1. TYPES
+   ============================================ */
+
+export interface EventObject {
+  type: string;
+}
+
+type EventOfType<E extends EventObject, T extends E["type"]> = Extract<
+  E,
+  { type: T }
+>;
+
+// Events that carry nothing but `type` may be sent as a plain string
+export type SimpleEventType<E extends EventObject> = E extends EventObject
+  ? { type: E["type"] } extends E
+    ? E["type"]
+    : never
+  : never;
+
+export type Guard<C, Ev> = (context: C, event: Ev) => boolean;
+export type Action<C, Ev> = (context: C, event: Ev) => Partial<C> | void;
+export type StateAction<C> = (context: C) => Partial<C> | void;
+
+type OneOrMany<T> = T | T[];
+
+export interface TransitionConfig<S extends string, C, Ev> {
+  target?: S;
+  guard?: Guard<C, Ev>; // a named function - its name shows up in reasons
+  actions?: OneOrMany<Action<C, Ev>>;
+}
+
+// A target state, or a config. An array is tried in order: the first
+// transition whose guard passes is taken.
+export type Transition<S extends string, C, Ev> =
+  S | TransitionConfig<S, C, Ev>;
+
+export interface StateNode<S extends string, E extends EventObject, C> {
+  on?: {
+    [T in E["type"]]?: OneOrMany<Transition<S, C, EventOfType<E, T>>>;
+  };
+  entry?: OneOrMany<StateAction<C>>;
+  exit?: OneOrMany<StateAction<C>>;
+  final?: boolean; // accepts no events; drawn as an end state
+}
+
+export interface MachineConfig<S extends string, E extends EventObject, C> {
+  id: string;
+  initial: S;
+  context: C;
+  states: Record<S, StateNode<S, E, C>>;
+}
+
+export interface MachineState<S extends string, C> {
+  value: S;
+  context: C;
+  done: boolean;
+}
+
+export interface TransitionResult<S extends string, E extends EventObject, C> {
+  accepted: boolean;
+  reason?: string; // why the event was rejected
+  event: E;
+  state: MachineState<S, C>; // the new state, or the old one when rejected
+}
+
+export interface LogEntry<S extends string, E extends EventObject> {
+  id: number; // increasing - usable as a React key
+  event: E;
+  from: S;
+  to: S;
+  accepted: boolean;
+  reason?: string;
+  time: number;
+}
+
+/* ============================================
+   2. MACHINE (pure - no state of its own)
+   ============================================ */
+
+// An inline arrow is named after its property ("guard") - not worth showing
+const guardName = (guard: { name: string }) =>
+  guard.name && guard.name !== "guard" ? guard.name : "anonymous guard";
+
+const toArray = <T>(value: OneOrMany<T> | undefined): T[] =>
+  value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+export function createMachine<
+  S extends string,
+  E extends EventObject,
+  C = undefined,
+>(config: MachineConfig<S, E, C>) {
+  const { id, states } = config;
+  const stateNames = Object.keys(states) as S[];
+
+  // `on` is typed per event for callers. Handlers are only ever looked up
+  // by the type of the event they receive, so treating them as taking any E
+  // is safe - the compiler just can't follow that through a string key.
+  type AnyTransition = TransitionConfig<S, C, E>;
+  type AnyOn = Partial<Record<string, OneOrMany<Transition<S, C, E>>>>;
+  // Own keys only - "constructor" or "toString" are not events or states
+  const transitionsFor = (state: S, type: string): AnyTransition[] => {
+    const on = (states[state].on ?? {}) as AnyOn;
+    if (!Object.hasOwn(on, type)) return [];
+    return toArray(on[type]).map((transition) =>
+      typeof transition === "string" ? { target: transition } : transition
+    );
+  };
+
+  const eventTypes = (state: S): E["type"][] =>
+    Object.keys(states[state].on ?? {});
+
+  const isState = (name: unknown): name is S =>
+    typeof name === "string" && Object.hasOwn(states, name);
+
+  // Catch typos at definition time, not when the event finally arrives
+  if (!isState(config.initial)) {
+    throw new Error(
+      `Machine "${id}": unknown initial state "${config.initial}"`
+    );
+  }
+  for (const state of stateNames) {
+    for (const type of eventTypes(state)) {
+      for (const { target } of transitionsFor(state, type)) {
+        if (target !== undefined && !isState(target)) {
+          throw new Error(
+            `Machine "${id}": "${state}" → "${target}" on ${type} - unknown state`
+          );
+        }
+      }
+    }
+  }
+
+  const runActions = <A extends unknown[]>(
+    context: C,
+    actions: ((context: C, ...args: A) => Partial<C> | void)[],
+    ...args: A
+  ): C =>
+    actions.reduce((current, action) => {
+      const update = action(current, ...args);
+      return update ? { ...current, ...update } : current;
+    }, context);
+
+  const stateOf = (value: S, context: C): MachineState<S, C> => ({
+    value,
+    context,
+    done: states[value].final === true,
+  });
+
+  const toEvent = (event: E | SimpleEventType<E>): E =>
+    // A bare type is only allowed for events that are nothing but a type
+    (typeof event === "string" ? { type: event } : event) as E;
+
+  function transition(
+    state: MachineState<S, C>,
+    input: E | SimpleEventType<E>
+  ): TransitionResult<S, E, C> {
+    const event = toEvent(input);
+    const reject = (reason: string) => ({
+      accepted: false,
+      reason,
+      event,
+      state,
+    });
+
+    if (states[state.value].final) {
+      return reject(`State "${state.value}" is final`);
+    }
+    const candidates = transitionsFor(state.value, event.type);
+    if (candidates.length === 0) {
+      return reject(
+        `No transition for "${event.type}" in state "${state.value}"`
+      );
+    }
+
+    let blockedBy = "";
+    for (const { target, guard, actions } of candidates) {
+      if (guard && !guard(state.context, event)) {
+        blockedBy = guardName(guard);
+        continue;
+      }
+      let context = state.context;
+      if (target !== undefined) {
+        context = runActions(context, toArray(states[state.value].exit));
+      }
+      context = runActions(context, toArray(actions), event);
+      if (target !== undefined) {
+        context = runActions(context, toArray(states[target].entry));
+      }
+      return {
+        accepted: true,
+        event,
+        state: stateOf(target ?? state.value, context),
+      };
+    }
+    return reject(
+      `Guard "${blockedBy}" blocked "${event.type}" in state "${state.value}"`
+    );
+  }
+
+  const initialState = stateOf(
+    config.initial,
+    runActions(config.context, toArray(states[config.initial].entry))
+  );
+
+  // Arrows for the diagrams: [from, to, label]
+  const edges = () =>
+    stateNames.flatMap((from) =>
+      eventTypes(from).flatMap((type) =>
+        transitionsFor(from, type).map(({ target, guard }) => {
+          const label = guard ? `${type} [${guardName(guard)}]` : type;
+          return [from, target ?? from, label] as const;
+        })
+      )
+    );
+
+  return {
+    id,
+    initialState,
+    transition,
+
+    can: (state: MachineState<S, C>, event: E | SimpleEventType<E>) =>
+      transition(state, event).accepted,
+
+    // Event types this state reacts to (guards not evaluated) - e.g. which
+    // buttons to show
+    nextEvents: (state: MachineState<S, C>): E["type"][] =>
+      states[state.value].final ? [] : eventTypes(state.value),
+
+    // JSON string; the context must be JSON-safe (no Dates, Maps, functions)
+    serialize: (state: MachineState<S, C>): string =>
+      JSON.stringify({
+        machine: id,
+        value: state.value,
+        context: state.context,
+      }),
+
+    // Throws for another machine's data or a state that no longer exists
+    restore(json: string): MachineState<S, C> {
+      const saved: unknown = JSON.parse(json);
+      if (
+        typeof saved !== "object" ||
+        saved === null ||
+        Reflect.get(saved, "machine") !== id
+      ) {
+        throw new Error(`Can't restore: not a "${id}" machine state`);
+      }
+      const value: unknown = Reflect.get(saved, "value");
+      if (!isState(value)) {
+        throw new Error(
+          `Can't restore: unknown state ${JSON.stringify(value)}`
+        );
+      }
+      // The state name was checked above; the context is trusted as saved
+      return stateOf(value, Reflect.get(saved, "context") as C);
+    },
+
+    // Paste into https://mermaid.live or a ```mermaid block on GitHub
+    toMermaid(): string {
+      const lines = ["stateDiagram-v2", `  [*] --> ${config.initial}`];
+      for (const [from, to, label] of edges()) {
+        lines.push(`  ${from} --> ${to}: ${label}`);
+      }
+      for (const state of stateNames) {
+        if (states[state].final) lines.push(`  ${state} --> [*]`);
+      }
+      return lines.join("\n");
+    },
+
+    // Graphviz: dot -Tsvg order.dot > order.svg
+    toDot(): string {
+      const q = JSON.stringify;
+      const lines = [
+        `digraph ${q(id)} {`,
+        "  rankdir=LR;",
+        "  node [shape=circle];",
+        '  "__start" [shape=point];',
+        `  "__start" -> ${q(config.initial)};`,
+      ];
+      for (const state of stateNames) {
+        if (states[state].final)
+          lines.push(`  ${q(state)} [shape=doublecircle];`);
+      }
+      for (const [from, to, label] of edges()) {
+        lines.push(`  ${q(from)} -> ${q(to)} [label=${q(label)}];`);
+      }
+      lines.push("}");
+      return lines.join("\n");
+    },
+  };
+}
+
+export type Machine<
+  S extends string,
+  E extends EventObject,
+  C = undefined,
+> = ReturnType<typeof createMachine<S, E, C>>;
+
+/* ============================================
+   3. SERVICE (a running machine)
+   ============================================ */
+
+export interface ServiceOptions<S extends string, C> {
+  state?: MachineState<S, C>; // e.g. machine.restore(saved)
+  logLimit?: number;
+}
+
+export function createService<
+  S extends string,
+  E extends EventObject,
+  C = undefined,
+>(
+  machine: Machine<S, E, C>,
+  { state = machine.initialState, logLimit = 50 }: ServiceOptions<S, C> = {}
+) {
+  let current = state;
+  // Replaced (not pushed to) on every send, so it can be used as a snapshot
+  let log: LogEntry<S, E>[] = [];
+  let nextId = 1;
+  const listeners = new Set<(result: TransitionResult<S, E, C>) => void>();
+
+  return {
+    getState: () => current,
+    getLog: () => log,
+
+    send(event: E | SimpleEventType<E>): TransitionResult<S, E, C> {
+      const result = machine.transition(current, event);
+      log = [
+        ...log,
+        {
+          id: nextId++,
+          event: result.event,
+          from: current.value,
+          to: result.state.value,
+          accepted: result.accepted,
+          reason: result.reason,
+          time: Date.now(),
+        },
+      ].slice(-logLimit);
+      current = result.state;
+      listeners.forEach((listener) => listener(result));
+      return result;
+    },
+
+    can: (event: E | SimpleEventType<E>) => machine.can(current, event),
+    nextEvents: () => machine.nextEvents(current),
+    serialize: () => machine.serialize(current),
+
+    // Called after every send - rejected events too (the log changed)
+    subscribe(listener: (result: TransitionResult<S, E, C>) => void) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+export type Service<
+  S extends string,
+  E extends EventObject,
+  C = undefined,
+> = ReturnType<typeof createService<S, E, C>>;
@@ -1,4 +1,18 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, memo } from "react";
+import {
+  setIn,
+  updateIn,
+  mergeDeep,
+  removeIn,
+  push,
+  move,
+  useImmerState,
+} from "./immutable";
+import {
+  profiled,
+  RenderBadge,
+  ProfilerPanel,
+} from "../2_performance_optimization/profiler";
 
 // ==========================================
 // 1. FUNCTIONAL UPDATES - Critical Pattern
@@ -147,51 +161,134 @@ const AsynchronousUpdates = () => {
 // ==========================================
 // 4. IMMUTABLE UPDATES - Objects & Arrays
 // ==========================================
-const ImmutableUpdates = () => {
-  const [user, setUser] = useState({
-    name: "John",
-    age: 25,
-    address: { city: "NYC" },
-  });
-  const [items, setItems] = useState(["Apple", "Banana"]);
-
-  // ✅ Update nested object immutably
-  const updateCity = () => {
-    setUser((prev) => ({
-      ...prev,
-      address: {
-        ...prev.address,
-        city: "LA",
-      },
-    }));
-  };
+// memo children get ONE branch each - they only re-render when the helper
+// actually replaced that branch (watch the render badges)
+const AddressCard = profiled(
+  memo(({ address }) => (
+    <div className="p-2 bg-white rounded border text-sm">
+      <p>
+        📍 {address.city}
+        {address.zip ? ` (${address.zip})` : ""}
+      </p>
+      <RenderBadge />
+    </div>
+  )),
+  "AddressCard"
+);
+
+const PreferencesCard = profiled(
+  memo(({ preferences }) => (
+    <div className="p-2 bg-white rounded border text-sm">
+      <p>
+        🎨 {preferences.theme}, tags: {preferences.tags.join(", ")}
+      </p>
+      <RenderBadge />
+    </div>
+  )),
+  "PreferencesCard"
+);
+
+const ItemRow = profiled(
+  memo(({ item }) => (
+    <li className="flex justify-between p-1 bg-white rounded border text-sm">
+      {item.name}
+      <RenderBadge as="span" label="renders" />
+    </li>
+  )),
+  "ItemRow"
+);
+
+const INITIAL_USER = {
+  name: "John",
+  age: 25,
+  address: { city: "NYC", zip: "10001" },
+  preferences: { theme: "light", tags: ["react"] },
+};
 
-  // ✅ Array operations immutably
-  const addItem = () => setItems((prev) => [...prev, "Orange"]);
-  const removeFirst = () => setItems((prev) => prev.slice(1));
+const INITIAL_ITEMS = [
+  { id: 1, name: "Apple" },
+  { id: 2, name: "Banana" },
+];
+
+const ImmutableUpdates = () => {
+  const [user, setUser] = useState(INITIAL_USER);
+  const [items, updateItems] = useImmerState(INITIAL_ITEMS);
+
+  // ❌ By hand - every level spelled out:
+  //   setUser((prev) => ({ ...prev, address: { ...prev.address, city: "LA" } }))
+  // ✅ Path helpers - same result, same structural sharing
+  const updateCity = () =>
+    setUser((prev) => setIn(prev, ["address", "city"], "LA"));
+  const birthday = () =>
+    setUser((prev) => updateIn(prev, ["age"], (a) => a + 1));
+  const darkTheme = () =>
+    setUser((prev) => mergeDeep(prev, { preferences: { theme: "dark" } }));
+  const addTag = () =>
+    setUser((prev) =>
+      updateIn(prev, ["preferences", "tags"], (tags) => push(tags, "hooks"))
+    );
+  const removeZip = () => setUser((prev) => removeIn(prev, ["address", "zip"]));
+
+  // ✅ useImmerState - "mutate" a draft, get an immutable update
+  const addItem = () =>
+    updateItems((draft) => {
+      draft.push({ id: Date.now(), name: "Orange" });
+    });
+  const removeFirst = () =>
+    updateItems((draft) => {
+      draft.shift();
+    });
   const updateSecond = () =>
-    setItems((prev) => prev.map((item, i) => (i === 1 ? "Cherry" : item)));
+    updateItems((draft) => {
+      if (draft[1]) draft[1].name = "Cherry";
+    });
+  const lastToTop = () => updateItems((prev) => move(prev, prev.length - 1, 0));
 
   return (
     <div className="p-4 border rounded mb-4 bg-purple-50">
       <h3 className="font-bold text-lg mb-2">4. Immutable Updates</h3>
 
       <div className="mb-3">
-        <p className="font-semibold">Object (Nested):</p>
-        <p className="text-sm">
-          Name: {user.name}, Age: {user.age}, City: {user.address.city}
+        <p className="font-semibold">Object (Nested) - path helpers:</p>
+        <p className="text-sm mb-1">
+          Name: {user.name}, Age: {user.age}
         </p>
-        <button
-          onClick={updateCity}
-          className="px-3 py-1 bg-indigo-500 text-white rounded hover:bg-indigo-600 text-sm mt-1"
-        >
-          Change City to LA
-        </button>
+        <div className="grid grid-cols-2 gap-2 mb-2">
+          <AddressCard address={user.address} />
+          <PreferencesCard preferences={user.preferences} />
+        </div>
+        <div className="flex gap-2 flex-wrap">
+          {[
+            ["setIn: City → LA", updateCity],
+            ["updateIn: Age + 1", birthday],
+            ["mergeDeep: Dark theme", darkTheme],
+            ["updateIn + push: Add tag", addTag],
+            ["removeIn: Zip", removeZip],
+          ].map(([label, onClick]) => (
+            <button
+              key={label}
+              onClick={onClick}
+              className="px-3 py-1 bg-indigo-500 text-white rounded hover:bg-indigo-600 text-sm"
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            onClick={() => setUser(INITIAL_USER)}
+            className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 text-sm"
+          >
+            Reset
+          </button>
+        </div>
       </div>
 
       <div>
-        <p className="font-semibold">Array Operations:</p>
-        <p className="text-sm mb-1">Items: {items.join(", ")}</p>
+        <p className="font-semibold">Array Operations - useImmerState:</p>
+        <ul className="space-y-1 my-1">
+          {items.map((item) => (
+            <ItemRow key={item.id} item={item} />
+          ))}
+        </ul>
         <div className="flex gap-2 flex-wrap">
           <button
             onClick={addItem}
@@ -212,13 +309,26 @@ const ImmutableUpdates = () => {
             Update 2nd → Cherry
           </button>
           <button
-            onClick={() => setItems(["Apple", "Banana"])}
+            onClick={lastToTop}
+            className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm"
+          >
+            Move Last to Top
+          </button>
+          <button
+            onClick={() => updateItems(INITIAL_ITEMS)}
             className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 text-sm"
           >
             Reset
           </button>
         </div>
       </div>
+
+      <p className="text-sm mt-2 text-gray-600">
+        💡 "City → LA" re-renders only AddressCard; "Dark theme" only
+        PreferencesCard. "Update 2nd" re-renders one row - untouched branches
+        keep their reference. Click "City → LA" twice: the second click returns
+        the same object, so nothing renders at all.
+      </p>
     </div>
   );
 };
@@ -362,6 +472,7 @@ export default function App() {
       <ImmutableUpdates />
       <StateStructure />
       <AutomaticBatching />
+      <ProfilerPanel />
 
       <div className="mt-6 p-4 bg-white border-2 border-gray-300 rounded">
         <h3 className="font-bold mb-2">🎯 Interview Checklist:</h3>
@@ -371,7 +482,9 @@ export default function App() {
           </li>
           <li>✅ Use lazy initialization for expensive initial state</li>
           <li>✅ Remember state updates are async - batched for performance</li>
-          <li>✅ Always update objects/arrays immutably (spread operator)</li>
+          <li>
+            ✅ Always update objects/arrays immutably (spread, setIn or a draft)
+          </li>
           <li>
             ✅ Split state logically - multiple for independent, object for
             related
@@ -1,4 +1,9 @@
 import React, { useState, useCallback, memo, useEffect } from "react";
+import {
+  profiled,
+  RenderBadge,
+  ProfilerPanel,
+} from "../2_performance_optimization/profiler";
 
 // ==========================================
 // 1. REFERENTIAL EQUALITY DEMO
@@ -78,13 +83,12 @@ const ReferentialEquality = () => {
 // 2. WITH vs WITHOUT REACT.MEMO
 // ==========================================
 // Child without memo - always re-renders
-const NormalChild = ({ onClick, label }) => {
-  const renderCount = React.useRef(0);
-  renderCount.current++;
-
+const NormalChild = profiled(({ onClick, label }) => {
   return (
     <div className="p-2 bg-red-100 rounded text-sm">
-      <p>❌ Normal Child (renders: {renderCount.current})</p>
+      <p>
+        ❌ Normal Child (<RenderBadge as="span" label="renders" />)
+      </p>
       <button
         onClick={onClick}
         className="px-2 py-1 bg-red-500 text-white rounded text-xs mt-1"
@@ -93,25 +97,28 @@ const NormalChild = ({ onClick, label }) => {
       </button>
     </div>
   );
-};
+}, "NormalChild");
 
 // Child with memo - only re-renders when props change
-const MemoizedChild = memo(({ onClick, label }) => {
-  const renderCount = React.useRef(0);
-  renderCount.current++;
-
-  return (
-    <div className="p-2 bg-green-100 rounded text-sm">
-      <p>✅ Memoized Child (renders: {renderCount.current})</p>
-      <button
-        onClick={onClick}
-        className="px-2 py-1 bg-green-500 text-white rounded text-xs mt-1"
-      >
-        {label}
-      </button>
-    </div>
-  );
-});
+const MemoizedChild = profiled(
+  memo(({ onClick, label }) => {
+    return (
+      <div className="p-2 bg-green-100 rounded text-sm">
+        <p>
+          ✅ Memoized Child (
+          <RenderBadge as="span" label="renders" />)
+        </p>
+        <button
+          onClick={onClick}
+          className="px-2 py-1 bg-green-500 text-white rounded text-xs mt-1"
+        >
+          {label}
+        </button>
+      </div>
+    );
+  }),
+  "MemoizedChild"
+);
 
 const MemoDemo = () => {
   const [parentCount, setParentCount] = useState(0);
@@ -307,6 +314,24 @@ const UseEffectDependency = () => {
 // ==========================================
 // 5. PERFORMANCE COMPARISON
 // ==========================================
+// Expensive child component - defined once at module level. Declared
+// inside PerformanceDemo it would be a NEW component type every render,
+// so React would remount it and memo could never help.
+const ExpensiveItem = profiled(
+  memo(({ id, onClick }) => {
+    // Simulate expensive render
+    let i = 0;
+    while (i < 100000) i++;
+
+    return (
+      <div className="p-1 bg-gray-100 rounded text-xs">
+        Item {id} (<RenderBadge as="span" label="renders" />)
+      </div>
+    );
+  }),
+  "ExpensiveItem"
+);
+
 const PerformanceDemo = () => {
   const [count, setCount] = useState(0);
   const [items] = useState(Array.from({ length: 100 }, (_, i) => i));
@@ -319,22 +344,6 @@ const PerformanceDemo = () => {
     console.log(`Clicked ${id}`);
   }, []);
 
-  // Expensive child component
-  const ExpensiveItem = memo(({ id, onClick }) => {
-    const renderCount = React.useRef(0);
-    renderCount.current++;
-
-    // Simulate expensive render
-    let i = 0;
-    while (i < 100000) i++;
-
-    return (
-      <div className="p-1 bg-gray-100 rounded text-xs">
-        Item {id} (renders: {renderCount.current})
-      </div>
-    );
-  });
-
   return (
     <div className="p-4 border rounded mb-4 bg-orange-50">
       <h3 className="font-bold text-lg mb-2">5. Performance Impact</h3>
@@ -474,6 +483,7 @@ export default function App() {
       <UseEffectDependency />
       <PerformanceDemo />
       <CommonMistakes />
+      <ProfilerPanel />
 
       <div className="mt-6 p-4 bg-white border-2 border-gray-300 rounded">
         <h3 className="font-bold mb-2">🎯 useCallback Interview Checklist:</h3>
@@ -1,4 +1,5 @@
 import React, { useState, useMemo, memo, useCallback } from "react";
+import { useWorkerMemo } from "./workerMemo";
 
 // ==========================================
 // 1. EXPENSIVE CALCULATION DEMO
@@ -127,40 +128,58 @@ const ReferentialEquality = () => {
 // ==========================================
 // 3. FILTERING & SORTING LARGE LIST
 // ==========================================
+const ITEM_COUNT = 500000;
+const CATEGORIES = ["electronics", "books", "clothing"];
+const ADJECTIVES = ["red", "smart", "vintage", "compact", "deluxe", "eco", "wireless", "classic"];
+const NOUNS = ["lamp", "novel", "jacket", "speaker", "notebook", "watch", "backpack", "camera"];
+const PRODUCT_NAMES = ADJECTIVES.flatMap((adjective) =>
+  NOUNS.map((noun) => `${adjective} ${noun}`)
+);
+
+// Columns of typed arrays instead of 500k objects - cloning them into the
+// worker is a fast memory copy
+const createCatalog = (count) => {
+  const catalog = {
+    price: new Float64Array(count),
+    category: new Uint8Array(count),
+    name: new Uint16Array(count),
+  };
+  for (let i = 0; i < count; i++) {
+    catalog.price[i] = Math.random() * 100;
+    catalog.category[i] = i % CATEGORIES.length;
+    catalog.name[i] = (i * 7) % PRODUCT_NAMES.length;
+  }
+  return catalog;
+};
+
+// Runs inside the worker, so it may only use its arguments.
+// Returns the matching ids sorted by price - an Int32Array, transferred back.
+function filterAndSort(catalog, names, categoryIndex, query) {
+  const search = query.trim().toLowerCase();
+  const nameMatches = names.map((name) => name.includes(search));
+
+  const ids = [];
+  for (let i = 0; i < catalog.price.length; i++) {
+    if (categoryIndex !== -1 && catalog.category[i] !== categoryIndex) continue;
+    if (nameMatches[catalog.name[i]]) ids.push(i);
+  }
+  ids.sort((a, b) => catalog.price[b] - catalog.price[a]);
+  return Int32Array.from(ids);
+}
+
 const FilterSortDemo = () => {
   const [filter, setFilter] = useState("all");
+  const [query, setQuery] = useState("");
+  const [inWorker, setInWorker] = useState(true);
   const [count, setCount] = useState(0);
-  const [items] = useState(
-    Array.from({ length: 5000 }, (_, i) => ({
-      id: i,
-      name: `Item ${i}`,
-      category: ["electronics", "books", "clothing"][i % 3],
-      price: Math.random() * 100,
-    }))
-  );
-
-  // Track computation count
-  const [computeCount, setComputeCount] = useState({ without: 0, with: 0 });
-
-  // ❌ WITHOUT useMemo - filters/sorts every render
-  const withoutMemo = () => {
-    setComputeCount((prev) => ({ ...prev, without: prev.without + 1 }));
-    return items
-      .filter((item) => filter === "all" || item.category === filter)
-      .sort((a, b) => b.price - a.price)
-      .slice(0, 100);
-  };
+  const [catalog] = useState(() => createCatalog(ITEM_COUNT));
 
-  const filteredWithout = withoutMemo();
-
-  // ✅ WITH useMemo - only when filter changes
-  const filteredWith = useMemo(() => {
-    setComputeCount((prev) => ({ ...prev, with: prev.with + 1 }));
-    return items
-      .filter((item) => filter === "all" || item.category === filter)
-      .sort((a, b) => b.price - a.price)
-      .slice(0, 100);
-  }, [items, filter]);
+  // ✅ Same deps rule as useMemo - but the work happens off the main thread
+  const { value: ids, pending, error, duration } = useWorkerMemo(
+    filterAndSort,
+    [catalog, PRODUCT_NAMES, CATEGORIES.indexOf(filter), query],
+    { worker: inWorker }
+  );
 
   return (
     <div className="p-4 border rounded mb-4 bg-purple-50">
@@ -168,7 +187,13 @@ const FilterSortDemo = () => {
         3. Filtering & Sorting Large Lists
       </h3>
 
-      <div className="flex gap-2 mb-3">
+      <div className="flex flex-wrap gap-2 mb-3">
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search names (e.g. red lamp)"
+          className="px-2 py-1 border rounded text-sm"
+        />
         <select
           value={filter}
           onChange={(e) => setFilter(e.target.value)}
@@ -185,27 +210,46 @@ const FilterSortDemo = () => {
         >
           Re-render: {count}
         </button>
+        <label className="flex items-center gap-1 text-sm">
+          <input
+            type="checkbox"
+            checked={inWorker}
+            onChange={(e) => setInWorker(e.target.checked)}
+          />
+          Run in Web Worker
+        </label>
       </div>
 
       <div className="bg-white p-3 rounded border text-sm">
-        <p>Total items: 5,000</p>
-        <p className="mb-2">Showing top 100 by price</p>
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <p className="font-semibold text-red-600">❌ Without useMemo:</p>
-            <p>Computed {computeCount.without} times</p>
-            <p className="text-xs">Runs on every render!</p>
-          </div>
-          <div>
-            <p className="font-semibold text-green-600">✅ With useMemo:</p>
-            <p>Computed {computeCount.with} times</p>
-            <p className="text-xs">Only when filter changes!</p>
+        <p>Total items: {ITEM_COUNT.toLocaleString()}</p>
+        {error ? (
+          <p className="text-red-600">❌ {error.message}</p>
+        ) : !ids ? (
+          <p className="animate-pulse">Computing...</p>
+        ) : (
+          <div className={pending ? "opacity-50" : ""}>
+            <p className="mb-2">
+              {ids.length.toLocaleString()} matches, sorted by price in{" "}
+              {duration.toFixed(0)}ms
+              {pending && " - updating..."}
+            </p>
+            <ul className="text-xs space-y-1">
+              {Array.from(ids.subarray(0, 5), (id) => (
+                <li key={id}>
+                  #{id} {PRODUCT_NAMES[catalog.name[id]]} (
+                  {CATEGORIES[catalog.category[id]]}) - $
+                  {catalog.price[id].toFixed(2)}
+                </li>
+              ))}
+            </ul>
           </div>
-        </div>
+        )}
       </div>
 
       <p className="text-xs mt-2 text-gray-600">
-        💡 Click re-render with same filter - without useMemo keeps computing!
+        💡 Type fast: in the worker every keystroke cancels the stale job and
+        the input never stutters. Untick the worker to feel the main thread
+        freeze. Re-render with the same deps - nothing is recomputed!
       </p>
     </div>
   );
@@ -464,6 +508,7 @@ export default function App() {
           <li>✅ Use for stable object/array references</li>
           <li>✅ Include ALL dependencies or get stale data</li>
           <li>✅ Has overhead - measure before using</li>
+          <li>✅ Too slow even once? Move it to a worker (useWorkerMemo)</li>
           <li>✅ useCallback = useMemo(() ={">"} fn, deps)</li>
           <li>✅ Works with React.memo to prevent re-renders</li>
           <li>❌ Don't use for simple calculations (a + b)</li>
@@ -6,6 +6,7 @@ import React, {
   useImperativeHandle,
   useCallback,
 } from "react";
+import { useDebouncedCallback } from "./debounce";
 
 // ==========================================
 // 1. USEREF VS USESTATE DEMO
@@ -369,40 +370,29 @@ const DebouncedSearch = () => {
   const [query, setQuery] = useState("");
   const [results, setResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
-  const timeoutRef = useRef(null);
   const searchCountRef = useRef(0);
 
+  // The timeout + clearTimeout + unmount cleanup now live in the shared
+  // debounce core (./debounce.js). The timer ID sits in the debounce closure,
+  // which useMemo keeps alive across renders; the ref in the hook holds the
+  // latest callback, so the closure never calls a stale one
+  const search = useDebouncedCallback((value) => {
+    // Simulate search
+    searchCountRef.current += 1;
+    const mockResults = value
+      ? Array.from({ length: 5 }, (_, i) => `${value} - Result ${i + 1}`)
+      : [];
+    setResults(mockResults);
+    setIsSearching(false);
+  }, 500);
+
   const handleChange = (e) => {
     const value = e.target.value;
     setQuery(value);
     setIsSearching(true);
-
-    // Clear previous timeout
-    if (timeoutRef.current) {
-      clearTimeout(timeoutRef.current);
-    }
-
-    // Set new timeout
-    timeoutRef.current = setTimeout(() => {
-      // Simulate search
-      searchCountRef.current += 1;
-      const mockResults = value
-        ? Array.from({ length: 5 }, (_, i) => `${value} - Result ${i + 1}`)
-        : [];
-      setResults(mockResults);
-      setIsSearching(false);
-    }, 500);
+    search(value);
   };
 
-  // Cleanup
-  useEffect(() => {
-    return () => {
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-      }
-    };
-  }, []);
-
   return (
     <div className="p-4 border rounded mb-4 bg-pink-50">
       <h3 className="font-bold text-lg mb-2">5. Debounced Search</h3>
@@ -439,8 +429,8 @@ const DebouncedSearch = () => {
       </div>
 
       <div className="bg-yellow-100 p-2 rounded text-xs">
-        💡 useRef stores the timeout ID without causing re-renders on each
-        keystroke!
+        💡 The timeout ID lives in a closure kept by useMemo, and useRef holds
+        the latest callback - neither causes re-renders on each keystroke!
       </div>
     </div>
   );
@@ -7,6 +7,12 @@ import React, {
   useRef,
   memo,
 } from "react";
+// A TypeScript module from the TS section - this lesson needs a bundler that
+// compiles .ts imports (see "Running the Examples" in 03.react/README.MD)
+import {
+  createAccessControl,
+  Permission,
+} from "../../02.typescript/01fundamentals/permissions";
 
 // ==========================================
 // 1. BASIC CONTEXT DEMO
@@ -463,15 +469,62 @@ function ThemedFooter() {
 // ==========================================
 const AuthContext = createContext();
 
-function AuthProvider({ children }) {
+// Who may do what - one policy object instead of `user.role === "admin"`
+// checks scattered through the components (engine: permissions.ts)
+const ROLES = {
+  Guest: "GUEST",
+  User: "USER",
+  Moderator: "MODERATOR",
+  Admin: "ADMIN",
+};
+
+const blogAccess = createAccessControl({
+  roles: {
+    [ROLES.Guest]: { grants: { posts: Permission.Read } },
+    [ROLES.User]: {
+      inherits: [ROLES.Guest],
+      grants: { comments: Permission.Read | Permission.Write },
+    },
+    [ROLES.Moderator]: {
+      inherits: [ROLES.User],
+      grants: { posts: Permission.Write, comments: Permission.Delete },
+    },
+    [ROLES.Admin]: {
+      inherits: [ROLES.Moderator],
+      grants: { "*": Permission.All },
+    },
+  },
+  rules: [
+    {
+      id: "authors-edit-own-posts",
+      effect: "allow",
+      resource: "posts",
+      permission: Permission.Write | Permission.Delete,
+      when: (user, post) =>
+        post.authorId !== undefined && post.authorId === user.id,
+    },
+    {
+      id: "locked-posts",
+      effect: "deny",
+      resource: "posts",
+      permission: Permission.Write | Permission.Delete,
+      when: (user, post) => post.locked === true,
+    },
+  ],
+});
+
+// Logged out = guest, so permission checks never need a null check
+const GUEST = { role: ROLES.Guest };
+
+function AuthProvider({ children, accessControl = blogAccess }) {
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
-  const login = useCallback(async (username, password) => {
+  const login = useCallback(async (username, password, role = ROLES.User) => {
     setIsLoading(true);
     // Simulate API call
     await new Promise((resolve) => setTimeout(resolve, 1000));
-    setUser({ id: 1, name: username, email: `${username}@example.com` });
+    setUser({ id: 1, name: username, email: `${username}@example.com`, role });
     setIsLoading(false);
   }, []);
 
@@ -480,8 +533,8 @@ function AuthProvider({ children }) {
   }, []);
 
   const value = useMemo(
-    () => ({ user, isLoading, login, logout }),
-    [user, isLoading, login, logout]
+    () => ({ user, isLoading, login, logout, accessControl }),
+    [user, isLoading, login, logout, accessControl]
   );
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -495,6 +548,26 @@ function useAuth() {
   return context;
 }
 
+// → { allowed, reason, steps } for the current user.
+// target: a resource type ("posts") or a resource ({ type: "posts", ...post })
+function usePermission(permission, target) {
+  const { user, accessControl } = useAuth();
+  return useMemo(
+    () => accessControl.explain(user ?? GUEST, permission, target),
+    [accessControl, user, permission, target]
+  );
+}
+
+// <Can permission={Permission.Write} on={post} fallback={...}>...</Can>
+// children can be a function to get the decision: {(decision) => ...}
+function Can({ permission, on, fallback = null, children }) {
+  const decision = usePermission(permission, on);
+  if (!decision.allowed) {
+    return typeof fallback === "function" ? fallback(decision) : fallback;
+  }
+  return typeof children === "function" ? children(decision) : children;
+}
+
 function AuthDemo() {
   return (
     <div className="p-4 border rounded mb-4 bg-pink-50">
@@ -507,7 +580,9 @@ function AuthDemo() {
       </AuthProvider>
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
-        💡 Common pattern: Auth state accessible throughout the app!
+        💡 Common pattern: Auth state accessible throughout the app! Permissions
+        hang off the same context: usePermission / &lt;Can&gt; read the user
+        from it, so no component checks roles by hand.
       </div>
     </div>
   );
@@ -527,10 +602,11 @@ function LoginForm() {
   const { login, isLoading } = useAuth();
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [role, setRole] = useState(ROLES.User);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    login(username, password);
+    login(username, password, role);
   };
 
   return (
@@ -551,6 +627,18 @@ function LoginForm() {
         className="border px-3 py-2 rounded w-full"
         required
       />
+      <select
+        value={role}
+        onChange={(e) => setRole(e.target.value)}
+        aria-label="Role"
+        className="border px-3 py-2 rounded w-full"
+      >
+        {Object.entries(ROLES).map(([label, value]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
       <button
         type="submit"
         disabled={isLoading}
@@ -572,7 +660,9 @@ function Dashboard() {
       <div className="flex justify-between items-center">
         <div>
           <h4 className="font-bold text-lg">Dashboard</h4>
-          <p className="text-sm text-gray-600">Welcome, {user.name}!</p>
+          <p className="text-sm text-gray-600">
+            Welcome, {user.name}! ({user.role})
+          </p>
         </div>
         <button
           onClick={logout}
@@ -583,6 +673,7 @@ function Dashboard() {
       </div>
       <UserInfo />
       <UserProfile />
+      <PostList />
     </div>
   );
 }
@@ -623,6 +714,62 @@ function UserProfile() {
   );
 }
 
+const POSTS = [
+  { type: "posts", id: 1, title: "My first post", authorId: 1 },
+  { type: "posts", id: 2, title: "Release notes", authorId: 2 },
+  { type: "posts", id: 3, title: "House rules", authorId: 2, locked: true },
+];
+
+function PostList() {
+  return (
+    <div className="bg-gray-50 p-3 rounded">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm font-semibold">Posts</p>
+        <Can
+          permission={Permission.Write}
+          on="comments"
+          fallback={<span className="text-xs text-gray-500">Read-only</span>}
+        >
+          <span className="text-xs text-green-700">You can comment</span>
+        </Can>
+      </div>
+      <ul className="space-y-2">
+        {POSTS.map((post) => (
+          <PostRow key={post.id} post={post} />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function PostRow({ post }) {
+  // The hook form - when you need the reason, not just yes / no
+  const edit = usePermission(Permission.Write, post);
+
+  return (
+    <li className="text-sm bg-white p-2 rounded border">
+      <div className="flex items-center gap-2">
+        <span className="flex-1">
+          {post.locked && "🔒 "}
+          {post.title}
+        </span>
+        <button
+          disabled={!edit.allowed}
+          className="px-2 py-1 bg-blue-500 text-white rounded text-xs disabled:opacity-40"
+        >
+          Edit
+        </button>
+        <Can permission={Permission.Delete} on={post}>
+          <button className="px-2 py-1 bg-red-500 text-white rounded text-xs">
+            Delete
+          </button>
+        </Can>
+      </div>
+      <p className="text-xs text-gray-500 mt-1">{edit.reason}</p>
+    </li>
+  );
+}
+
 // ==========================================
 // 6. MULTIPLE CONTEXTS
 // ==========================================
@@ -814,6 +961,10 @@ export default function App() {
           <li>✅ Use custom hooks for context (better DX + error handling)</li>
           <li>✅ Split contexts by concern for better performance</li>
           <li>✅ Good for: theme, auth, i18n, global UI state</li>
+          <li>
+            ✅ Derive permissions from the auth context (usePermission,
+            &lt;Can&gt;) - never hard-code role checks in components
+          </li>
           <li>✅ Bad for: frequently changing data, form state</li>
           <li>✅ Context vs Props: Use Context for deep nesting (3+ levels)</li>
           <li>❌ Don't put everything in one giant context</li>
@@ -3,30 +3,58 @@ import React, {
   useState,
   useRef,
   useMemo,
+  useEffect,
   createContext,
   useContext,
 } from "react";
+import { createSlice } from "./createSlice";
+import { withHistory, useUndoable, useUndoShortcuts } from "./history";
+import {
+  useReducerWithMiddleware,
+  thunk,
+  createActionLogger,
+  createRecorder,
+} from "./middleware";
+import { createAsyncThunk } from "./createAsyncThunk";
+// stateMachine.ts lives in the TS section - this lesson needs a bundler that
+// compiles .ts imports (see "Running the Examples" in 03.react/README.MD)
+import { createMachine } from "../../02.typescript/01fundamentals/stateMachine";
+import { useMachine } from "./useMachine";
+import {
+  cartActions,
+  cartSelectors,
+  formatCents,
+  toCents,
+  usePersistentCart,
+  TAX_RATE,
+} from "./cart";
 
 // ==========================================
 // 1. BASIC USEREDUCER DEMO
 // ==========================================
-function counterReducer(state, action) {
-  switch (action.type) {
-    case "INCREMENT":
-      return { count: state.count + 1 };
-    case "DECREMENT":
-      return { count: state.count - 1 };
-    case "INCREMENT_BY":
-      return { count: state.count + action.payload };
-    case "RESET":
-      return { count: 0 };
-    default:
-      throw new Error(`Unknown action: ${action.type}`);
-  }
-}
+// createSlice writes the switch for us: one case reducer per key, action
+// types "counter/increment", ... and a matching action creator for each.
+// strict → unknown actions throw, like the old `default: throw` branch.
+export const counterSlice = createSlice({
+  name: "counter",
+  initialState: { count: 0 },
+  strict: true,
+  reducers: {
+    increment: (state) => ({ count: state.count + 1 }),
+    decrement: (state) => ({ count: state.count - 1 }),
+    incrementBy: (state, action) => ({ count: state.count + action.payload }),
+    reset: () => ({ count: 0 }),
+  },
+});
+
+const counterReducer = counterSlice.reducer;
+const counterActions = counterSlice.actions;
 
 function BasicReducerDemo() {
-  const [state, dispatch] = useReducer(counterReducer, { count: 0 });
+  const [state, dispatch] = useReducer(
+    counterReducer,
+    counterSlice.getInitialState()
+  );
   const [actionLog, setActionLog] = useState([]);
 
   const logAction = (action) => {
@@ -56,25 +84,25 @@ function BasicReducerDemo() {
 
         <div className="grid grid-cols-2 gap-2">
           <button
-            onClick={() => handleDispatch({ type: "INCREMENT" })}
+            onClick={() => handleDispatch(counterActions.increment())}
             className="px-4 py-2 bg-green-500 text-white rounded font-semibold"
           >
             +1
           </button>
           <button
-            onClick={() => handleDispatch({ type: "DECREMENT" })}
+            onClick={() => handleDispatch(counterActions.decrement())}
             className="px-4 py-2 bg-red-500 text-white rounded font-semibold"
           >
             -1
           </button>
           <button
-            onClick={() => handleDispatch({ type: "INCREMENT_BY", payload: 5 })}
+            onClick={() => handleDispatch(counterActions.incrementBy(5))}
             className="px-4 py-2 bg-blue-500 text-white rounded font-semibold"
           >
             +5
           </button>
           <button
-            onClick={() => handleDispatch({ type: "RESET" })}
+            onClick={() => handleDispatch(counterActions.reset())}
             className="px-4 py-2 bg-gray-500 text-white rounded font-semibold"
           >
             Reset
@@ -222,68 +250,70 @@ function StateVsReducer() {
 // ==========================================
 // 3. COMPLEX STATE - TODO LIST
 // ==========================================
-const todoReducer = (state, action) => {
-  switch (action.type) {
-    case "ADD_TODO":
-      return {
-        ...state,
-        todos: [...state.todos, action.payload],
-        nextId: state.nextId + 1,
-      };
-
-    case "TOGGLE_TODO":
-      return {
-        ...state,
-        todos: state.todos.map((todo) =>
-          todo.id === action.payload
-            ? { ...todo, completed: !todo.completed }
-            : todo
-        ),
-      };
-
-    case "DELETE_TODO":
-      return {
-        ...state,
-        todos: state.todos.filter((todo) => todo.id !== action.payload),
-      };
-
-    case "SET_FILTER":
-      return {
-        ...state,
-        filter: action.payload,
-      };
-
-    case "CLEAR_COMPLETED":
-      return {
-        ...state,
-        todos: state.todos.filter((todo) => !todo.completed),
-      };
-
-    default:
-      return state;
-  }
-};
+// draft: true → case reducers "mutate" a draft copy (Immer-style); the
+// result is still a brand-new state object, untouched todos keep their
+// references
+export const todoSlice = createSlice({
+  name: "todos",
+  initialState: { todos: [], filter: "all", nextId: 1 },
+  draft: true,
+  reducers: {
+    addTodo: (state, action) => {
+      state.todos.push(action.payload);
+      state.nextId += 1;
+    },
+    toggleTodo: (state, action) => {
+      const todo = state.todos.find((t) => t.id === action.payload);
+      if (todo) todo.completed = !todo.completed;
+    },
+    deleteTodo: (state, action) => {
+      state.todos = state.todos.filter((todo) => todo.id !== action.payload);
+    },
+    setFilter: (state, action) => {
+      state.filter = action.payload;
+    },
+    clearCompleted: (state) => {
+      state.todos = state.todos.filter((todo) => !todo.completed);
+    },
+  },
+});
+
+const todoReducer = todoSlice.reducer;
+const todoActions = todoSlice.actions;
+
+// withHistory wraps the slice reducer: state becomes { past, present, future }.
+// Switching the filter is a view change, not an edit → it isn't an undo step,
+// and undo/redo keep the filter that's selected now (preserve).
+// Toggling the same todo repeatedly within 300ms counts as one step.
+const undoableTodoReducer = withHistory(todoReducer, {
+  limit: 50,
+  filter: (action) => !todoActions.setFilter.match(action),
+  preserve: (current, restored) =>
+    current.filter === restored.filter
+      ? restored
+      : { ...restored, filter: current.filter },
+  groupBy: (action) =>
+    todoActions.toggleTodo.match(action) ? `toggle-${action.payload}` : null,
+});
 
 function TodoListDemo() {
-  const [state, dispatch] = useReducer(todoReducer, {
-    todos: [],
-    filter: "all",
-    nextId: 1,
-  });
+  const [history, dispatch, { undo, redo, jump, canUndo, canRedo }] =
+    useUndoable(undoableTodoReducer, todoSlice.getInitialState());
+  const state = history.present;
+  useUndoShortcuts({ undo, redo });
 
   const [input, setInput] = useState("");
 
   const handleAdd = (e) => {
     e.preventDefault();
     if (input.trim()) {
-      dispatch({
-        type: "ADD_TODO",
-        payload: {
+      dispatch(
+        todoActions.addTodo({
           id: state.nextId,
           text: input,
           completed: false,
-        },
-      });
+        })
+      );
       setInput("");
     }
   };
@@ -322,9 +352,45 @@ function TodoListDemo() {
           </div>
         </form>
 
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            title="Ctrl+Z"
+            className="px-3 py-1 bg-gray-700 text-white rounded disabled:opacity-40"
+          >
+            ↶ Undo ({history.past.length})
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            title="Ctrl+Shift+Z"
+            className="px-3 py-1 bg-gray-700 text-white rounded disabled:opacity-40"
+          >
+            Redo ({history.future.length}) ↷
+          </button>
+          <div className="flex gap-1 ml-2">
+            {[...history.past, state, ...history.future].map((snapshot, i) => {
+              const steps = i - history.past.length;
+              return (
+                <button
+                  key={i}
+                  onClick={() => jump(steps)}
+                  title={`${snapshot.todos.length} todos`}
+                  className={`w-6 h-6 rounded text-xs ${
+                    steps === 0 ? "bg-purple-500 text-white" : "bg-gray-200"
+                  }`}
+                >
+                  {i}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
         <div className="flex gap-2 mb-4 text-sm">
           <button
-            onClick={() => dispatch({ type: "SET_FILTER", payload: "all" })}
+            onClick={() => dispatch(todoActions.setFilter("all"))}
             className={`px-3 py-1 rounded ${
               state.filter === "all" ? "bg-blue-500 text-white" : "bg-gray-200"
             }`}
@@ -332,7 +398,7 @@ function TodoListDemo() {
             All ({stats.total})
           </button>
           <button
-            onClick={() => dispatch({ type: "SET_FILTER", payload: "active" })}
+            onClick={() => dispatch(todoActions.setFilter("active"))}
             className={`px-3 py-1 rounded ${
               state.filter === "active"
                 ? "bg-blue-500 text-white"
@@ -342,9 +408,7 @@ function TodoListDemo() {
             Active ({stats.active})
           </button>
           <button
-            onClick={() =>
-              dispatch({ type: "SET_FILTER", payload: "completed" })
-            }
+            onClick={() => dispatch(todoActions.setFilter("completed"))}
             className={`px-3 py-1 rounded ${
               state.filter === "completed"
                 ? "bg-blue-500 text-white"
@@ -355,7 +419,7 @@ function TodoListDemo() {
           </button>
           {stats.completed > 0 && (
             <button
-              onClick={() => dispatch({ type: "CLEAR_COMPLETED" })}
+              onClick={() => dispatch(todoActions.clearCompleted())}
               className="ml-auto px-3 py-1 bg-red-500 text-white rounded"
             >
               Clear Completed
@@ -375,9 +439,7 @@ function TodoListDemo() {
                 <input
                   type="checkbox"
                   checked={todo.completed}
-                  onChange={() =>
-                    dispatch({ type: "TOGGLE_TODO", payload: todo.id })
-                  }
+                  onChange={() => dispatch(todoActions.toggleTodo(todo.id))}
                   className="w-5 h-5"
                 />
                 <span
@@ -388,9 +450,7 @@ function TodoListDemo() {
                   {todo.text}
                 </span>
                 <button
-                  onClick={() =>
-                    dispatch({ type: "DELETE_TODO", payload: todo.id })
-                  }
+                  onClick={() => dispatch(todoActions.deleteTodo(todo.id))}
                   className="px-3 py-1 bg-red-500 text-white rounded text-sm"
                 >
                   Delete
@@ -403,6 +463,8 @@ function TodoListDemo() {
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
         💡 Multiple state values (todos, filter, nextId) managed together!
+        Undo/redo just swaps snapshots - the reducer itself never changes. Try
+        Ctrl+Z / Ctrl+Shift+Z outside the input.
       </div>
     </div>
   );
@@ -411,63 +473,104 @@ function TodoListDemo() {
 // ==========================================
 // 4. ASYNC ACTIONS
 // ==========================================
-const dataReducer = (state, action) => {
-  switch (action.type) {
-    case "FETCH_START":
-      return {
-        ...state,
-        isLoading: true,
-        error: null,
-      };
-
-    case "FETCH_SUCCESS":
-      return {
-        ...state,
-        data: action.payload,
-        isLoading: false,
-        error: null,
-      };
-
-    case "FETCH_ERROR":
-      return {
-        ...state,
-        isLoading: false,
-        error: action.payload,
-      };
-
-    default:
-      return state;
-  }
-};
+// createAsyncThunk generates data/fetch/pending|fulfilled|rejected and a
+// thunk that dispatches them; the thunk middleware runs it. The async code
+// lives in the payload creator - not in the component, not in the reducer.
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+
+export const fetchData = createAsyncThunk(
+  "data/fetch",
+  async (_, { signal }) => {
+    // Simulate API call - a real one would be fetch(url, { signal })
+    await wait(1500, signal);
+
+    // Randomly succeed or fail
+    if (Math.random() <= 0.3) throw new Error("Random network error!");
+    return {
+      id: Math.floor(Math.random() * 1000),
+      title: "Sample Data",
+      timestamp: new Date().toLocaleTimeString(),
+    };
+  },
+  // Already loading → don't start a second request
+  { condition: (_, { getState }) => !getState().isLoading }
+);
+
+export const dataSlice = createSlice({
+  name: "data",
+  initialState: { data: null, isLoading: false, error: null, requestId: null },
+  reducers: {},
+  extraReducers: {
+    [fetchData.pending]: (state, action) => ({
+      ...state,
+      isLoading: true,
+      error: null,
+      requestId: action.meta.requestId,
+    }),
+    [fetchData.fulfilled]: (state, action) =>
+      action.meta.requestId !== state.requestId
+        ? state // a response for a request we no longer care about
+        : {
+            ...state,
+            data: action.payload,
+            isLoading: false,
+            error: null,
+            requestId: null,
+          },
+    [fetchData.rejected]: (state, action) =>
+      action.meta.requestId !== state.requestId
+        ? state
+        : {
+            ...state,
+            isLoading: false,
+            error: action.meta.aborted
+              ? "Request cancelled"
+              : action.error.message,
+            requestId: null,
+          },
+  },
+});
+
+const dataReducer = dataSlice.reducer;
+
+// Module-level so the log survives remounts, like a devtools panel.
+// The console logger is opt-in (checkbox in the demo) - left on, it would
+// print every dispatch of the page.
+const dataRecorder = createRecorder({ limit: 6 });
+const consoleLogging = { enabled: false };
+const dataMiddlewares = [
+  thunk,
+  createActionLogger({ predicate: () => consoleLogging.enabled }),
+  dataRecorder.middleware,
+];
 
 function AsyncDemo() {
-  const [state, dispatch] = useReducer(dataReducer, {
-    data: null,
-    isLoading: false,
-    error: null,
-  });
+  const [state, dispatch] = useReducerWithMiddleware(
+    dataReducer,
+    dataSlice.getInitialState(),
+    dataMiddlewares
+  );
+  const recorded = dataRecorder.useEntries();
+  const requestRef = useRef(null);
+  const [logToConsole, setLogToConsole] = useState(consoleLogging.enabled);
 
-  const fetchData = async () => {
-    dispatch({ type: "FETCH_START" });
+  const toggleConsoleLogging = (e) => {
+    consoleLogging.enabled = e.target.checked;
+    setLogToConsole(e.target.checked);
+  };
 
-    try {
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 1500));
+  // Leaving the page cancels the request instead of updating an unmounted tree
+  useEffect(() => () => requestRef.current?.abort(), []);
 
-      // Randomly succeed or fail
-      if (Math.random() > 0.3) {
-        const fakeData = {
-          id: Math.floor(Math.random() * 1000),
-          title: "Sample Data",
-          timestamp: new Date().toLocaleTimeString(),
-        };
-        dispatch({ type: "FETCH_SUCCESS", payload: fakeData });
-      } else {
-        throw new Error("Random network error!");
-      }
-    } catch (error) {
-      dispatch({ type: "FETCH_ERROR", payload: error.message });
-    }
+  const handleFetch = () => {
+    requestRef.current = dispatch(fetchData());
   };
 
   return (
@@ -475,15 +578,25 @@ function AsyncDemo() {
       <h3 className="font-bold text-lg mb-2">4. Async Actions Pattern</h3>
 
       <div className="bg-white p-4 rounded border">
-        <button
-          onClick={fetchData}
-          disabled={state.isLoading}
-          className={`w-full px-4 py-3 rounded font-semibold text-white mb-4 ${
-            state.isLoading ? "bg-gray-400" : "bg-blue-500 hover:bg-blue-600"
-          }`}
-        >
-          {state.isLoading ? "Loading..." : "Fetch Data"}
-        </button>
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={handleFetch}
+            disabled={state.isLoading}
+            className={`flex-1 px-4 py-3 rounded font-semibold text-white ${
+              state.isLoading ? "bg-gray-400" : "bg-blue-500 hover:bg-blue-600"
+            }`}
+          >
+            {state.isLoading ? "Loading..." : "Fetch Data"}
+          </button>
+          {state.isLoading && (
+            <button
+              onClick={() => requestRef.current?.abort()}
+              className="px-4 py-3 rounded font-semibold text-white bg-red-500"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
 
         {state.isLoading && (
           <div className="text-center py-8">
@@ -510,94 +623,198 @@ function AsyncDemo() {
       </div>
 
       <div className="mt-3 bg-gray-800 text-white p-3 rounded text-xs font-mono">
-        <p className="font-bold mb-2">State Flow:</p>
-        <p>1. Click → dispatch(FETCH_START)</p>
-        <p>2. Async operation runs...</p>
-        <p>3. Success → dispatch(FETCH_SUCCESS)</p>
-        <p>4. Error → dispatch(FETCH_ERROR)</p>
+        <div className="flex justify-between mb-2">
+          <p className="font-bold">Recorded Actions (middleware):</p>
+          <label className="flex items-center gap-1 text-gray-300">
+            <input
+              type="checkbox"
+              checked={logToConsole}
+              onChange={toggleConsoleLogging}
+            />
+            also log to console
+          </label>
+        </div>
+        {recorded.length === 0 ? (
+          <p className="text-gray-400">No actions yet...</p>
+        ) : (
+          recorded.map((entry) => (
+            <div key={entry.id} className="mb-1">
+              <span className="text-yellow-400">
+                {new Date(entry.time).toLocaleTimeString()}
+              </span>
+              {" → "}
+              <span className="text-green-400">{entry.type}</span>
+              <span className="text-blue-400">
+                {" "}
+                isLoading: {String(entry.prevState.isLoading)} →{" "}
+                {String(entry.nextState.isLoading)}
+              </span>
+            </div>
+          ))
+        )}
       </div>
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
-        💡 Async logic in component, state updates in reducer!
+        💡 Async logic in a thunk, state updates in the reducer!
+        dispatch(fetchData()) returns a promise with .abort() and .unwrap().
       </div>
     </div>
   );
 }
 
 // ==========================================
-// 5. ACTION CREATORS
+// 5. THE SAME FLOW AS A STATE MACHINE
 // ==========================================
-const cartReducer = (state, action) => {
-  switch (action.type) {
-    case "ADD_ITEM":
-      const existing = state.items.find(
-        (item) => item.id === action.payload.id
-      );
+// The classic FETCH_START / FETCH_SUCCESS / FETCH_ERROR reducer trusts
+// every action it gets: a second FETCH_START while loading, or a late
+// FETCH_SUCCESS after the user cancelled, is applied anyway (section 4
+// needs `condition` and requestId checks for exactly that).
+// A machine lists which event is allowed in which state and rejects the
+// rest. isLoading / error / data become one `state.value`, so impossible
+// combinations ("loading AND error") can't exist.
+const canRetry = (context) => context.retries < 2;
+
+const fetchMachine = createMachine({
+  id: "fetch",
+  initial: "idle",
+  context: { data: null, error: null, retries: 0 },
+  states: {
+    idle: { on: { FETCH: "loading" } },
+    loading: {
+      entry: () => ({ error: null }),
+      on: {
+        RESOLVE: {
+          target: "success",
+          actions: (context, event) => ({ data: event.data, retries: 0 }),
+        },
+        REJECT: {
+          target: "failure",
+          actions: (context, event) => ({ error: event.error }),
+        },
+        CANCEL: "idle",
+      },
+    },
+    success: { on: { FETCH: "loading" } },
+    failure: {
+      on: {
+        RETRY: {
+          target: "loading",
+          guard: canRetry,
+          actions: (context) => ({ retries: context.retries + 1 }),
+        },
+        FETCH: { target: "loading", actions: () => ({ retries: 0 }) },
+      },
+    },
+  },
+});
+
+function FetchMachineDemo() {
+  const [state, send, service] = useMachine(fetchMachine);
+  const log = service.getLog();
+
+  // The side effect follows the STATE: entering "loading" starts a request,
+  // leaving it (resolve, reject, cancel, unmount) aborts it
+  useEffect(() => {
+    if (state.value !== "loading") return;
+    const controller = new AbortController();
+    wait(1500, controller.signal).then(
+      () =>
+        Math.random() <= 0.3
+          ? send({ type: "REJECT", error: "Random network error!" })
+          : send({
+              type: "RESOLVE",
+              data: { id: Math.floor(Math.random() * 1000) },
+            }),
+      () => {} // aborted
+    );
+    return () => controller.abort();
+  }, [state.value, send]);
 
-      if (existing) {
-        return {
-          ...state,
-          items: state.items.map((item) =>
-            item.id === action.payload.id
-              ? { ...item, quantity: item.quantity + 1 }
-              : item
-          ),
-        };
-      }
-
-      return {
-        ...state,
-        items: [...state.items, { ...action.payload, quantity: 1 }],
-      };
-
-    case "REMOVE_ITEM":
-      return {
-        ...state,
-        items: state.items.filter((item) => item.id !== action.payload),
-      };
-
-    case "UPDATE_QUANTITY":
-      return {
-        ...state,
-        items: state.items
-          .map((item) =>
-            item.id === action.payload.id
-              ? { ...item, quantity: action.payload.quantity }
-              : item
-          )
-          .filter((item) => item.quantity > 0),
-      };
-
-    case "CLEAR_CART":
-      return { items: [] };
-
-    default:
-      return state;
-  }
-};
-
-// Action Creators
-const cartActions = {
-  addItem: (item) => ({
-    type: "ADD_ITEM",
-    payload: item,
-  }),
-
-  removeItem: (id) => ({
-    type: "REMOVE_ITEM",
-    payload: id,
-  }),
-
-  updateQuantity: (id, quantity) => ({
-    type: "UPDATE_QUANTITY",
-    payload: { id, quantity },
-  }),
-
-  clearCart: () => ({
-    type: "CLEAR_CART",
-  }),
-};
+  return (
+    <div className="p-4 border rounded mb-4 bg-teal-50">
+      <h3 className="font-bold text-lg mb-2">
+        5. The Same Flow as a State Machine
+      </h3>
+
+      <div className="bg-white p-4 rounded border">
+        <p className="mb-3">
+          State:{" "}
+          <span className="font-mono font-bold text-teal-700">
+            {state.value}
+          </span>
+          {state.context.data && state.value === "success" && (
+            <span className="text-sm"> → ID: {state.context.data.id}</span>
+          )}
+          {state.value === "failure" && (
+            <span className="text-sm text-red-600">
+              {" "}
+              → {state.context.error} (retries: {state.context.retries}/2)
+            </span>
+          )}
+        </p>
+
+        {/* Never disabled on purpose - click anything, the machine decides */}
+        <div className="flex gap-2 flex-wrap">
+          {["FETCH", "CANCEL", "RETRY"].map((type) => (
+            <button
+              key={type}
+              onClick={() => send(type)}
+              className={`px-3 py-2 rounded text-sm font-semibold text-white ${
+                service.nextEvents().includes(type)
+                  ? "bg-teal-500 hover:bg-teal-600"
+                  : "bg-gray-400"
+              }`}
+            >
+              {type}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-3 bg-gray-800 text-white p-3 rounded text-xs font-mono">
+        <p className="font-bold mb-2">Event Log:</p>
+        {log.length === 0 ? (
+          <p className="text-gray-400">No events yet...</p>
+        ) : (
+          log.slice(-6).map((entry) => (
+            <div key={entry.id}>
+              <span className="text-green-400">{entry.event.type}</span>{" "}
+              {entry.accepted ? (
+                <span className="text-blue-400">
+                  {entry.from} → {entry.to}
+                </span>
+              ) : (
+                <span className="text-red-400">✗ {entry.reason}</span>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      <details className="mt-3 text-xs">
+        <summary className="cursor-pointer font-semibold">
+          Diagram (Mermaid)
+        </summary>
+        <pre className="bg-gray-100 p-2 rounded overflow-x-auto">
+          {fetchMachine.toMermaid()}
+        </pre>
+      </details>
 
+      <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
+        💡 FETCH while loading, or a RESOLVE after CANCEL, is rejected by the
+        machine - no isLoading checks or request ids needed!
+      </div>
+    </div>
+  );
+}
+
+// ==========================================
+// 6. ACTION CREATORS
+// ==========================================
+// The cart slice lives in cart.js - the same createSlice definition, plus
+// promo codes, integer-cent money and memoized selectors. Action creators
+// keep their API: addItem(item), removeItem(id), updateQuantity(id,
+// quantity), clearCart() - and add applyPromo(code) / removePromo().
 const products = [
   { id: 1, name: "Widget", price: 19.99 },
   { id: 2, name: "Gadget", price: 29.99 },
@@ -605,16 +822,22 @@ const products = [
 ];
 
 function ActionCreatorsDemo() {
-  const [state, dispatch] = useReducer(cartReducer, { items: [] });
+  // Survives a reload - try adding items and refreshing the page
+  const [state, dispatch] = usePersistentCart();
+  const [promoInput, setPromoInput] = useState("");
 
-  const total = state.items.reduce(
-    (sum, item) => sum + item.price * item.quantity,
-    0
-  );
+  // Memoized: same state → same summary object, no recalculation
+  const summary = cartSelectors.selectSummary(state);
+
+  const handleApplyPromo = (e) => {
+    e.preventDefault();
+    dispatch(cartActions.applyPromo(promoInput));
+    setPromoInput("");
+  };
 
   return (
     <div className="p-4 border rounded mb-4 bg-pink-50">
-      <h3 className="font-bold text-lg mb-2">5. Action Creators Pattern</h3>
+      <h3 className="font-bold text-lg mb-2">6. Action Creators Pattern</h3>
 
       <div className="bg-white p-4 rounded border">
         <h4 className="font-semibold mb-3">Products:</h4>
@@ -626,7 +849,9 @@ function ActionCreatorsDemo() {
             >
               <div>
                 <p className="font-semibold">{product.name}</p>
-                <p className="text-sm text-gray-600">${product.price}</p>
+                <p className="text-sm text-gray-600">
+                  {formatCents(toCents(product.price))}
+                </p>
               </div>
               <button
                 onClick={() => dispatch(cartActions.addItem(product))}
@@ -654,8 +879,8 @@ function ActionCreatorsDemo() {
                     <div className="flex-1">
                       <p className="font-semibold">{item.name}</p>
                       <p className="text-sm text-gray-600">
-                        ${item.price} × {item.quantity} = $
-                        {(item.price * item.quantity).toFixed(2)}
+                        {formatCents(item.priceCents)} × {item.quantity} ={" "}
+                        {formatCents(item.priceCents * item.quantity)}
                       </p>
                     </div>
                     <div className="flex items-center gap-2">
@@ -699,8 +924,55 @@ function ActionCreatorsDemo() {
                 ))}
               </div>
 
+              <form onSubmit={handleApplyPromo} className="flex gap-2 mb-3">
+                <input
+                  value={promoInput}
+                  onChange={(e) => setPromoInput(e.target.value)}
+                  placeholder="Promo code (SAVE10, WELCOME5)"
+                  className="flex-1 border px-3 py-1 rounded text-sm"
+                />
+                <button
+                  type="submit"
+                  className="px-3 py-1 bg-blue-500 text-white rounded text-sm"
+                >
+                  Apply
+                </button>
+              </form>
+              {state.promoError && (
+                <p className="text-sm text-red-600 mb-2">{state.promoError}</p>
+              )}
+
+              <div className="text-sm space-y-1 mb-2">
+                <p>Subtotal: {formatCents(summary.subtotal)}</p>
+                {summary.promo && (
+                  <p
+                    className={
+                      summary.promo.error ? "text-gray-500" : "text-green-700"
+                    }
+                  >
+                    {summary.promo.code}:{" "}
+                    {summary.promo.error ??
+                      `${summary.promo.promo.label} (−${formatCents(
+                        summary.discount
+                      )})`}{" "}
+                    <button
+                      onClick={() => dispatch(cartActions.removePromo())}
+                      className="text-xs underline"
+                    >
+                      remove
+                    </button>
+                  </p>
+                )}
+                <p>
+                  Tax ({TAX_RATE * 100}% after discount):{" "}
+                  {formatCents(summary.tax)}
+                </p>
+              </div>
+
               <div className="flex items-center justify-between pt-4 border-t">
-                <p className="text-xl font-bold">Total: ${total.toFixed(2)}</p>
+                <p className="text-xl font-bold">
+                  Total: {formatCents(summary.total)}
+                </p>
                 <button
                   onClick={() => dispatch(cartActions.clearCart())}
                   className="px-4 py-2 bg-red-500 text-white rounded"
@@ -715,34 +987,40 @@ function ActionCreatorsDemo() {
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
         💡 Action creators encapsulate action structure and prevent typos!
+        createSlice generates them: cartActions.addItem.type ==={" "}
+        <code>"{cartActions.addItem.type}"</code>. Money is integer cents -
+        19.99 × 3 is 5997, not 59.970000000000006.
       </div>
     </div>
   );
 }
 
 // ==========================================
-// 6. USEREDUCER + CONTEXT
+// 7. USEREDUCER + CONTEXT
 // ==========================================
 const ThemeContext = createContext();
 
-const themeReducer = (state, action) => {
-  switch (action.type) {
-    case "SET_THEME":
-      return { ...state, theme: action.payload };
-    case "TOGGLE_THEME":
-      return { ...state, theme: state.theme === "light" ? "dark" : "light" };
-    case "SET_FONT_SIZE":
-      return { ...state, fontSize: action.payload };
-    default:
-      return state;
-  }
-};
+export const themeSlice = createSlice({
+  name: "theme",
+  initialState: { theme: "light", fontSize: "medium" },
+  reducers: {
+    setTheme: (state, action) => ({ ...state, theme: action.payload }),
+    toggleTheme: (state) => ({
+      ...state,
+      theme: state.theme === "light" ? "dark" : "light",
+    }),
+    setFontSize: (state, action) => ({ ...state, fontSize: action.payload }),
+  },
+});
+
+const themeReducer = themeSlice.reducer;
+const themeActions = themeSlice.actions;
 
 function ThemeProvider({ children }) {
-  const [state, dispatch] = useReducer(themeReducer, {
-    theme: "light",
-    fontSize: "medium",
-  });
+  const [state, dispatch] = useReducer(
+    themeReducer,
+    themeSlice.getInitialState()
+  );
 
   const value = useMemo(() => ({ state, dispatch }), [state]);
 
@@ -762,7 +1040,7 @@ function useTheme() {
 function ContextDemo() {
   return (
     <div className="p-4 border rounded mb-4 bg-indigo-50">
-      <h3 className="font-bold text-lg mb-2">6. useReducer + Context</h3>
+      <h3 className="font-bold text-lg mb-2">7. useReducer + Context</h3>
 
       <ThemeProvider>
         <ThemedApp />
@@ -795,7 +1073,7 @@ function ThemedApp() {
         <label className="block font-semibold mb-2">Theme:</label>
         <div className="flex gap-2">
           <button
-            onClick={() => dispatch({ type: "SET_THEME", payload: "light" })}
+            onClick={() => dispatch(themeActions.setTheme("light"))}
             className={`px-4 py-2 rounded ${
               state.theme === "light" ? "bg-blue-500 text-white" : "bg-gray-200"
             }`}
@@ -803,7 +1081,7 @@ function ThemedApp() {
             Light
           </button>
           <button
-            onClick={() => dispatch({ type: "SET_THEME", payload: "dark" })}
+            onClick={() => dispatch(themeActions.setTheme("dark"))}
             className={`px-4 py-2 rounded ${
               state.theme === "dark" ? "bg-blue-500 text-white" : "bg-gray-200"
             }`}
@@ -811,7 +1089,7 @@ function ThemedApp() {
             Dark
           </button>
           <button
-            onClick={() => dispatch({ type: "TOGGLE_THEME" })}
+            onClick={() => dispatch(themeActions.toggleTheme())}
             className="px-4 py-2 bg-purple-500 text-white rounded"
           >
             Toggle
@@ -823,9 +1101,7 @@ function ThemedApp() {
         <label className="block font-semibold mb-2">Font Size:</label>
         <div className="flex gap-2">
           <button
-            onClick={() =>
-              dispatch({ type: "SET_FONT_SIZE", payload: "small" })
-            }
+            onClick={() => dispatch(themeActions.setFontSize("small"))}
             className={`px-4 py-2 rounded ${
               state.fontSize === "small"
                 ? "bg-green-500 text-white"
@@ -835,9 +1111,7 @@ function ThemedApp() {
             Small
           </button>
           <button
-            onClick={() =>
-              dispatch({ type: "SET_FONT_SIZE", payload: "medium" })
-            }
+            onClick={() => dispatch(themeActions.setFontSize("medium"))}
             className={`px-4 py-2 rounded ${
               state.fontSize === "medium"
                 ? "bg-green-500 text-white"
@@ -847,9 +1121,7 @@ function ThemedApp() {
             Medium
           </button>
           <button
-            onClick={() =>
-              dispatch({ type: "SET_FONT_SIZE", payload: "large" })
-            }
+            onClick={() => dispatch(themeActions.setFontSize("large"))}
             className={`px-4 py-2 rounded ${
               state.fontSize === "large"
                 ? "bg-green-500 text-white"
@@ -869,12 +1141,12 @@ function ThemedApp() {
 }
 
 // ==========================================
-// 7. COMMON MISTAKES
+// 8. COMMON MISTAKES
 // ==========================================
 function CommonMistakes() {
   return (
     <div className="p-4 border rounded bg-red-50">
-      <h3 className="font-bold text-lg mb-2">7. Common Mistakes to Avoid</h3>
+      <h3 className="font-bold text-lg mb-2">8. Common Mistakes to Avoid</h3>
 
       <div className="space-y-3">
         <div className="bg-white p-3 rounded border">
@@ -967,6 +1239,7 @@ export default function App() {
       <StateVsReducer />
       <TodoListDemo />
       <AsyncDemo />
+      <FetchMachineDemo />
       <ActionCreatorsDemo />
       <ContextDemo />
       <CommonMistakes />
@@ -980,9 +1253,18 @@ export default function App() {
           <li>✅ Actions have type and optional payload</li>
           <li>✅ Use for complex state with multiple sub-values</li>
           <li>✅ Use when state updates depend on previous state</li>
-          <li>✅ Handle async in components, not reducers</li>
+          <li>✅ Handle async in thunks or components, never in reducers</li>
+          <li>✅ Middleware wraps dispatch: thunks, logging, devtools</li>
           <li>✅ Always include default case in reducer</li>
           <li>✅ Action creators prevent typos and encapsulate logic</li>
+          <li>✅ createSlice generates types + creators from case reducers</li>
+          <li>
+            ✅ Higher-order reducers (withHistory) add undo/redo to any reducer
+          </li>
+          <li>
+            ✅ State machines make impossible states and transitions
+            unrepresentable
+          </li>
           <li>✅ Works great with Context for global state</li>
         </ul>
       </div>
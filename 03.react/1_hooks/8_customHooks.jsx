@@ -4,7 +4,13 @@ import React, {
   useRef,
   useCallback,
   useMemo,
+  useReducer,
 } from "react";
+import {
+  useDebouncedValue,
+  useThrottledValue,
+  useDebouncedCallback,
+} from "./debounce";
 
 // ==========================================
 // CUSTOM HOOKS
@@ -40,32 +46,158 @@ function useCounter(initialValue = 0) {
 }
 
 // 3. useLocalStorage - Sync state with localStorage
-function useLocalStorage(key, initialValue) {
-  const [storedValue, setStoredValue] = useState(() => {
+// - functional updates read the latest value from a ref, so rapid
+//   setCount(c => c + 1) calls never get lost
+// - stays in sync across tabs (`storage` event) and across components in
+//   the same tab (the `storage` event only fires in OTHER tabs)
+// - pluggable serializer for values JSON can't round-trip (Date, Map)
+// - stored data is checked with `validate`; `migrate` can upgrade old shapes
+// - quota errors keep the in-memory value and are reported, not thrown
+const SAME_TAB_STORAGE_EVENT = "same-tab-storage";
+
+const storageSerializers = {
+  json: { serialize: JSON.stringify, deserialize: JSON.parse },
+  date: {
+    serialize: (date) => date.toISOString(),
+    deserialize: (raw) => new Date(raw),
+  },
+  map: {
+    serialize: (map) => JSON.stringify([...map]),
+    deserialize: (raw) => new Map(JSON.parse(raw)),
+  },
+};
+
+function isQuotaError(error) {
+  return (
+    error instanceof DOMException &&
+    (error.name === "QuotaExceededError" ||
+      error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+      error.code === 22)
+  );
+}
+
+function useStorageState(
+  storage,
+  key,
+  initialValue,
+  {
+    serializer = storageSerializers.json,
+    validate = () => true,
+    migrate,
+    onError = console.error,
+  } = {}
+) {
+  const [error, setError] = useState(null);
+  const instanceRef = useRef({}); // identifies our own same-tab events
+  const optionsRef = useRef();
+  optionsRef.current = { serializer, validate, migrate, onError, initialValue };
+
+  const announce = useCallback(() => {
+    window.dispatchEvent(
+      new CustomEvent(SAME_TAB_STORAGE_EVENT, {
+        detail: { storage, key, source: instanceRef.current },
+      })
+    );
+  }, [storage, key]);
+
+  const readValue = useCallback(() => {
+    const { serializer, validate, migrate, onError, initialValue } =
+      optionsRef.current;
+    const fallback =
+      initialValue instanceof Function ? initialValue() : initialValue;
+
     try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error(error);
-      return initialValue;
+      const raw = storage.getItem(key);
+      if (raw === null) return fallback;
+
+      const parsed = serializer.deserialize(raw);
+      if (validate(parsed)) return parsed;
+
+      // Old or foreign shape - try to upgrade it before giving up
+      const migrated = migrate ? migrate(parsed) : undefined;
+      if (migrated !== undefined && validate(migrated)) {
+        storage.setItem(key, serializer.serialize(migrated));
+        return migrated;
+      }
+      onError(new Error(`Invalid stored value for "${key}" - using default`));
+      return fallback;
+    } catch (err) {
+      onError(err);
+      return fallback;
     }
-  });
+  }, [storage, key]);
+
+  const [storedValue, setStoredValue] = useState(readValue);
+  const valueRef = useRef(storedValue);
+
+  // Key (or storage) changed - load what's stored under the new key
+  const lastKey = useRef(key);
+  useEffect(() => {
+    if (lastKey.current === key) return;
+    lastKey.current = key;
+    valueRef.current = readValue();
+    setStoredValue(valueRef.current);
+  }, [key, readValue]);
 
   const setValue = useCallback(
     (value) => {
+      const next = value instanceof Function ? value(valueRef.current) : value;
+      valueRef.current = next;
+      setStoredValue(next);
+
       try {
-        const valueToStore =
-          value instanceof Function ? value(storedValue) : value;
-        setStoredValue(valueToStore);
-        window.localStorage.setItem(key, JSON.stringify(valueToStore));
-      } catch (error) {
-        console.error(error);
+        storage.setItem(key, optionsRef.current.serializer.serialize(next));
+        setError(null);
+        announce();
+      } catch (err) {
+        // Storage full (or disabled) - keep working in memory
+        setError(isQuotaError(err) ? new Error("Storage quota exceeded") : err);
+        optionsRef.current.onError(err);
       }
     },
-    [key, storedValue]
+    [storage, key, announce]
   );
 
-  return [storedValue, setValue];
+  const remove = useCallback(() => {
+    storage.removeItem(key);
+    valueRef.current = readValue();
+    setStoredValue(valueRef.current);
+    announce();
+  }, [storage, key, readValue, announce]);
+
+  useEffect(() => {
+    const sync = () => {
+      valueRef.current = readValue();
+      setStoredValue(valueRef.current);
+    };
+    // Other tabs (key === null means storage.clear())
+    const onStorage = (e) => {
+      if (e.storageArea === storage && (e.key === key || e.key === null)) sync();
+    };
+    // Other components in this tab
+    const { current: self } = instanceRef;
+    const onSameTab = ({ detail }) => {
+      if (detail.source === self) return;
+      if (detail.storage === storage && detail.key === key) sync();
+    };
+
+    window.addEventListener("storage", onStorage);
+    window.addEventListener(SAME_TAB_STORAGE_EVENT, onSameTab);
+    return () => {
+      window.removeEventListener("storage", onStorage);
+      window.removeEventListener(SAME_TAB_STORAGE_EVENT, onSameTab);
+    };
+  }, [storage, key, readValue]);
+
+  return [storedValue, setValue, { remove, error }];
+}
+
+function useLocalStorage(key, initialValue, options) {
+  return useStorageState(window.localStorage, key, initialValue, options);
+}
+
+function useSessionStorage(key, initialValue, options) {
+  return useStorageState(window.sessionStorage, key, initialValue, options);
 }
 
 // 4. usePrevious - Track previous value
@@ -80,21 +212,9 @@ function usePrevious(value) {
 }
 
 // 5. useDebounce - Debounce a value
-function useDebounce(value, delay) {
-  const [debouncedValue, setDebouncedValue] = useState(value);
-
-  useEffect(() => {
-    const handler = setTimeout(() => {
-      setDebouncedValue(value);
-    }, delay);
-
-    return () => {
-      clearTimeout(handler);
-    };
-  }, [value, delay]);
-
-  return debouncedValue;
-}
+// Lives in ./debounce.js with the debounce/throttle core it's built on,
+// because 5_useRef.jsx uses the same core
+const useDebounce = useDebouncedValue;
 
 // 6. useWindowSize - Track window dimensions
 function useWindowSize() {
@@ -135,47 +255,222 @@ function useInterval(callback, delay) {
 }
 
 // 8. useFetch - Data fetching hook
-function useFetch(url) {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+// - shared in-memory cache keyed by URL (every component sees the same data)
+// - in-flight requests are de-duplicated (2 components → 1 request)
+// - AbortController cancels the request once nobody is subscribed
+// - stale-while-revalidate: cached data shows instantly, refreshes when stale
+// - retries network errors and 5xx responses with exponential backoff
+//   (a 4xx won't get better by asking again)
+const fetchCache = new Map(); // url → { data, error, updatedAt, request, ... }
+
+function getCacheEntry(url) {
+  if (!fetchCache.has(url)) {
+    fetchCache.set(url, {
+      data: undefined,
+      hasData: false, // data can legitimately be null (204, `null` body)
+      error: null,
+      updatedAt: 0,
+      request: null,
+      controller: null,
+      isValidating: false,
+      retryCount: 0,
+      listeners: new Set(),
+    });
+  }
+  return fetchCache.get(url);
+}
 
-  useEffect(() => {
-    let cancelled = false;
-
-    setLoading(true);
-    setError(null);
-
-    // Simulate API call
-    setTimeout(() => {
-      if (!cancelled) {
-        if (Math.random() > 0.3) {
-          setData({
-            id: Math.random(),
-            url,
-            timestamp: new Date().toLocaleTimeString(),
+function notifyListeners(entry) {
+  entry.listeners.forEach((listener) => listener());
+}
+
+function abortable(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const id = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(id);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+function isRetryable(error) {
+  // fetch rejects with a TypeError when the network is down
+  return error.status >= 500 || error instanceof TypeError;
+}
+
+function revalidate(url, { fetcher, retries, retryDelay }) {
+  const entry = getCacheEntry(url);
+  if (entry.request) return entry.request; // de-dupe in-flight requests
+
+  const controller = new AbortController();
+  entry.controller = controller;
+  entry.isValidating = true;
+  notifyListeners(entry);
+
+  entry.request = (async () => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetcher(url, { signal: controller.signal });
+        if (!response.ok) {
+          throw Object.assign(new Error(`HTTP ${response.status} for ${url}`), {
+            status: response.status,
           });
-        } else {
-          setError(new Error("Failed to fetch"));
         }
-        setLoading(false);
+        const data = response.status === 204 ? null : await response.json();
+        Object.assign(entry, {
+          data,
+          hasData: true,
+          error: null,
+          updatedAt: Date.now(),
+        });
+        return data;
+      } catch (error) {
+        const giveUp =
+          error.name === "AbortError" || attempt >= retries || !isRetryable(error);
+        if (giveUp) throw error;
+        entry.retryCount = attempt + 1;
+        notifyListeners(entry);
+        await abortable(retryDelay(attempt), controller.signal);
       }
-    }, 1000);
+    }
+  })()
+    .catch((error) => {
+      // Aborts aren't errors - the data we had stays valid
+      if (error.name !== "AbortError") entry.error = error;
+    })
+    .finally(() => {
+      if (entry.controller !== controller) return; // aborted & replaced
+      Object.assign(entry, {
+        request: null,
+        controller: null,
+        isValidating: false,
+        retryCount: 0,
+      });
+      notifyListeners(entry);
+    });
+
+  return entry.request;
+}
+
+function abortEntry(entry) {
+  entry.controller?.abort();
+  // Reset synchronously so a remount (e.g. Strict Mode) starts a fresh request
+  Object.assign(entry, {
+    request: null,
+    controller: null,
+    isValidating: false,
+    retryCount: 0,
+  });
+}
+
+export function useFetch(
+  url,
+  {
+    fetcher = fetch,
+    staleTime = 10000,
+    retries = 2,
+    retryDelay = (attempt) => 2 ** attempt * 500,
+  } = {}
+) {
+  const [, forceRender] = useReducer((n) => n + 1, 0);
+  const optionsRef = useRef();
+  optionsRef.current = { fetcher, retries, retryDelay };
+
+  useEffect(() => {
+    if (!url) return;
+    const entry = getCacheEntry(url);
+    entry.listeners.add(forceRender);
+
+    const isStale = Date.now() - entry.updatedAt > staleTime;
+    if (isStale) revalidate(url, optionsRef.current);
+    forceRender(); // pick up whatever the cache already has
 
     return () => {
-      cancelled = true;
+      entry.listeners.delete(forceRender);
+      // Last subscriber gone - nobody needs the response any more
+      if (entry.listeners.size === 0) abortEntry(entry);
     };
-  }, [url]);
+  }, [url, staleTime]);
 
   const refetch = useCallback(() => {
-    setLoading(true);
-    setError(null);
-    // Trigger re-fetch by updating a dependency
-  }, []);
+    if (url) return revalidate(url, optionsRef.current);
+  }, [url]);
+
+  const entry = url ? fetchCache.get(url) : undefined;
+  const data = entry?.data ?? null;
+  const error = entry?.error ?? null;
 
-  return { data, loading, error, refetch };
+  return {
+    data,
+    error,
+    // Only "loading" when there's nothing to show yet
+    loading: !!url && !entry?.hasData && !(error && !entry.isValidating),
+    isValidating: entry?.isValidating ?? false,
+    retryCount: entry?.retryCount ?? 0,
+    updatedAt: entry?.updatedAt ?? 0,
+    refetch,
+  };
 }
 
+// Local fetch stub - returns Response-like objects from in-memory routes,
+// honours AbortSignal and can fail on demand. Handy for demos and tests.
+export function createFetchStub(routes, { latency = 600, failRate = 0 } = {}) {
+  const listeners = new Set();
+  const emit = (type, url) =>
+    listeners.forEach((listener) => listener({ type, url }));
+
+  function stubFetch(url, { signal } = {}) {
+    stubFetch.calls += 1;
+    emit("request", url);
+
+    return new Promise((resolve, reject) => {
+      const id = setTimeout(() => {
+        if (Math.random() < stubFetch.failRate) {
+          emit("error", url);
+          resolve({ ok: false, status: 500, json: async () => ({}) });
+          return;
+        }
+        const route = routes[url];
+        emit(route ? "success" : "not-found", url);
+        resolve({
+          ok: Boolean(route),
+          status: route ? 200 : 404,
+          json: async () => (route ? route() : {}),
+        });
+      }, latency);
+
+      signal?.addEventListener("abort", () => {
+        clearTimeout(id);
+        emit("abort", url);
+        reject(new DOMException("Aborted", "AbortError"));
+      });
+    });
+  }
+
+  stubFetch.calls = 0;
+  stubFetch.failRate = failRate;
+  stubFetch.subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+  return stubFetch;
+}
+
+const demoFetch = createFetchStub({
+  "/api/users": () => [
+    { id: 1, name: "Alice" },
+    { id: 2, name: "Bob" },
+  ],
+  "/api/posts": () => [{ id: 1, title: "Hooks in depth" }],
+  "/api/products": () => [{ id: 1, name: "Laptop", price: 999 }],
+  "/api/time": () => ({ time: new Date().toLocaleTimeString() }),
+});
+
 // ==========================================
 // 1. BASIC CUSTOM HOOK DEMO
 // ==========================================
@@ -303,10 +598,80 @@ function IndependentStateDemo() {
 // ==========================================
 // 3. USELOCALSTORAGE DEMO
 // ==========================================
+const isSettings = (value) =>
+  typeof value === "object" &&
+  value !== null &&
+  ["light", "dark", "auto"].includes(value.theme) &&
+  typeof value.fontSize === "number";
+
+// v1 stored the theme as a bare string: "dark"
+const migrateSettings = (value) =>
+  typeof value === "string" ? { theme: value, fontSize: 14 } : undefined;
+
+// Two instances of this component share one key - they stay in sync
+function SharedCounter({ label, color }) {
+  const [count, setCount] = useLocalStorage("demo-count", 0, {
+    validate: Number.isFinite,
+  });
+
+  return (
+    <div className={`${color} p-3 rounded border`}>
+      <p className="text-sm font-semibold mb-1">
+        {label}: {count}
+      </p>
+      <div className="flex gap-2">
+        <button
+          onClick={() => setCount((c) => c - 1)}
+          className="flex-1 px-3 py-1 bg-red-500 text-white rounded text-sm"
+        >
+          -
+        </button>
+        <button
+          onClick={() => {
+            // Three functional updates in a row - all three land
+            setCount((c) => c + 1);
+            setCount((c) => c + 1);
+            setCount((c) => c + 1);
+          }}
+          className="flex-1 px-3 py-1 bg-green-500 text-white rounded text-sm"
+        >
+          +3
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function LocalStorageDemo() {
-  const [name, setName] = useLocalStorage("demo-name", "");
-  const [theme, setTheme] = useLocalStorage("demo-theme", "light");
-  const [count, setCount] = useLocalStorage("demo-count", 0);
+  const [name, setName] = useLocalStorage("demo-name", "", {
+    validate: (value) => typeof value === "string",
+  });
+  const [settings, setSettings, { remove: resetSettings }] = useLocalStorage(
+    "demo-settings",
+    { theme: "light", fontSize: 14 },
+    { validate: isSettings, migrate: migrateSettings }
+  );
+  const [lastVisit, setLastVisit] = useLocalStorage(
+    "demo-last-visit",
+    null, // nothing stored yet → first visit
+    { serializer: storageSerializers.date }
+  );
+  const [tags, setTags] = useLocalStorage("demo-tags", () => new Map(), {
+    serializer: storageSerializers.map,
+  });
+  const [draft, setDraft] = useSessionStorage("demo-draft", "");
+  const [blob, setBlob, { error: quotaError }] = useLocalStorage(
+    "demo-blob",
+    "",
+    { onError: () => {} }
+  );
+
+  // Keep what storage held when we mounted, then record this visit -
+  // otherwise "last visit" would always be right now
+  const [previousVisit] = useState(lastVisit);
+  useEffect(() => {
+    setLastVisit(new Date());
+  }, [setLastVisit]);
 
   return (
     <div className="p-4 border rounded mb-4 bg-purple-50">
@@ -323,47 +688,127 @@ function LocalStorageDemo() {
           />
         </div>
 
-        <div>
-          <label className="block text-sm font-semibold mb-1">Theme:</label>
-          <select
-            value={theme}
-            onChange={(e) => setTheme(e.target.value)}
-            className="border px-3 py-2 rounded w-full"
-          >
-            <option value="light">Light</option>
-            <option value="dark">Dark</option>
-            <option value="auto">Auto</option>
-          </select>
-        </div>
-
         <div>
           <label className="block text-sm font-semibold mb-1">
-            Count: {count}
+            Theme (validated + migrated from v1):
           </label>
           <div className="flex gap-2">
+            <select
+              value={settings.theme}
+              onChange={(e) =>
+                setSettings((s) => ({ ...s, theme: e.target.value }))
+              }
+              className="border px-3 py-2 rounded flex-1"
+            >
+              <option value="light">Light</option>
+              <option value="dark">Dark</option>
+              <option value="auto">Auto</option>
+            </select>
             <button
-              onClick={() => setCount((c) => c - 1)}
-              className="flex-1 px-3 py-2 bg-red-500 text-white rounded"
+              onClick={() => {
+                // Write the old v1 format, then reload from storage
+                localStorage.setItem("demo-settings", JSON.stringify("dark"));
+                window.dispatchEvent(
+                  new StorageEvent("storage", {
+                    key: "demo-settings",
+                    storageArea: localStorage,
+                  })
+                );
+              }}
+              className="px-3 py-2 bg-gray-200 rounded text-sm"
             >
-              Decrement
+              Write v1 value
             </button>
             <button
-              onClick={() => setCount((c) => c + 1)}
-              className="flex-1 px-3 py-2 bg-green-500 text-white rounded"
+              onClick={resetSettings}
+              className="px-3 py-2 bg-gray-200 rounded text-sm"
             >
-              Increment
+              Reset
             </button>
           </div>
         </div>
 
+        <div>
+          <p className="text-sm font-semibold mb-1">
+            Same key, two components (open a second tab too!):
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            <SharedCounter label="Component A" color="bg-blue-50" />
+            <SharedCounter label="Component B" color="bg-pink-50" />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div className="bg-gray-50 p-2 rounded text-sm">
+            <p className="font-semibold">Date serializer:</p>
+            <p className="text-xs">
+              Last visit:{" "}
+              {previousVisit
+                ? `${previousVisit.toLocaleString()} (a real Date)`
+                : "first visit - reload to see it"}
+            </p>
+          </div>
+          <div className="bg-gray-50 p-2 rounded text-sm">
+            <p className="font-semibold">Map serializer:</p>
+            <div className="flex gap-1 flex-wrap">
+              {["react", "hooks", "storage"].map((tag) => (
+                <button
+                  key={tag}
+                  onClick={() =>
+                    setTags((prev) =>
+                      new Map(prev).set(tag, (prev.get(tag) ?? 0) + 1)
+                    )
+                  }
+                  className="px-2 py-1 bg-purple-200 rounded text-xs"
+                >
+                  {tag} ({tags.get(tag) ?? 0})
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-semibold mb-1">
+            Draft (sessionStorage - gone when the tab closes):
+          </label>
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            className="border px-3 py-2 rounded w-full"
+          />
+        </div>
+
+        <div className="flex gap-2 items-center text-sm">
+          <button
+            onClick={() => setBlob("x".repeat(6 * 1024 * 1024))}
+            className="px-3 py-2 bg-orange-500 text-white rounded"
+          >
+            Store 6MB
+          </button>
+          <button
+            onClick={() => setBlob("")}
+            className="px-3 py-2 bg-gray-200 rounded"
+          >
+            Clear
+          </button>
+          <span className={quotaError ? "text-red-600" : "text-gray-600"}>
+            {quotaError
+              ? `❌ ${quotaError.message} - kept in memory only`
+              : `${blob.length.toLocaleString()} chars stored`}
+          </span>
+        </div>
+
         <div className="pt-3 border-t">
           <p className="text-sm font-semibold mb-2">Stored Values:</p>
           <pre className="bg-gray-100 p-2 rounded text-xs overflow-x-auto">
             {JSON.stringify(
               {
                 "demo-name": name,
-                "demo-theme": theme,
-                "demo-count": count,
+                "demo-settings": settings,
+                "demo-last-visit": lastVisit,
+                "demo-tags": [...tags],
+                "demo-draft (session)": draft,
               },
               null,
               2
@@ -373,7 +818,8 @@ function LocalStorageDemo() {
       </div>
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
-        💡 Refresh the page - values persist in localStorage!
+        💡 Refresh the page - values persist in localStorage! Open this page in
+        another tab - changes sync both ways.
       </div>
     </div>
   );
@@ -445,10 +891,34 @@ function PreviousValueDemo() {
 // ==========================================
 // 5. USEDEBOUNCE DEMO
 // ==========================================
+const DEBOUNCE_MODES = {
+  trailing: { label: "Trailing (default)", options: {} },
+  leading: {
+    label: "Leading edge",
+    options: { leading: true, trailing: false },
+  },
+  both: { label: "Leading + trailing", options: { leading: true } },
+  maxWait: { label: "maxWait 1500ms", options: { maxWait: 1500 } },
+};
+
 function DebounceDemo() {
   const [searchTerm, setSearchTerm] = useState("");
-  const debouncedSearchTerm = useDebounce(searchTerm, 500);
+  const [mode, setMode] = useState("trailing");
+  const { options } = DEBOUNCE_MODES[mode];
+  const debouncedSearchTerm = useDebounce(searchTerm, 500, options);
+  const throttledSearchTerm = useThrottledValue(searchTerm, 500);
   const [searchHistory, setSearchHistory] = useState([]);
+  const [, forceRender] = useReducer((n) => n + 1, 0);
+
+  // Callback flavour: exposes pending(), flush() and cancel()
+  const saveDraft = useDebouncedCallback(
+    (term) =>
+      setSearchHistory((prev) => [
+        { term: `💾 ${term}`, time: new Date().toLocaleTimeString() },
+        ...prev.slice(0, 4),
+      ]),
+    2000
+  );
 
   useEffect(() => {
     if (debouncedSearchTerm) {
@@ -464,19 +934,36 @@ function DebounceDemo() {
       <h3 className="font-bold text-lg mb-2">5. useDebounce</h3>
 
       <div className="bg-white p-4 rounded border">
+        <div className="flex flex-wrap gap-2 mb-3">
+          {Object.entries(DEBOUNCE_MODES).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setMode(key)}
+              className={`px-3 py-1 rounded text-sm ${
+                mode === key ? "bg-pink-500 text-white" : "bg-gray-200"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
         <div className="mb-4">
           <label className="block text-sm font-semibold mb-2">
             Search (500ms debounce):
           </label>
           <input
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            onChange={(e) => {
+              setSearchTerm(e.target.value);
+              saveDraft(e.target.value);
+            }}
             placeholder="Type to search..."
             className="border px-3 py-2 rounded w-full"
           />
         </div>
 
-        <div className="grid grid-cols-2 gap-4">
+        <div className="grid grid-cols-3 gap-4">
           <div className="bg-blue-50 p-3 rounded">
             <p className="text-sm font-semibold mb-1">Immediate Value:</p>
             <p className="font-mono text-sm">{searchTerm || "(empty)"}</p>
@@ -491,11 +978,43 @@ function DebounceDemo() {
               {debouncedSearchTerm || "(empty)"}
             </p>
             <p className="text-xs text-gray-600 mt-1">
-              Updates after 500ms pause
+              {DEBOUNCE_MODES[mode].label}
+            </p>
+          </div>
+
+          <div className="bg-purple-50 p-3 rounded">
+            <p className="text-sm font-semibold mb-1">Throttled Value:</p>
+            <p className="font-mono text-sm">
+              {throttledSearchTerm || "(empty)"}
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              At most every 500ms while typing
             </p>
           </div>
         </div>
 
+        <div className="flex gap-2 items-center mt-3 text-sm">
+          <span className="text-gray-600">Draft autosave (2s):</span>
+          <button
+            onClick={forceRender}
+            className="px-2 py-1 bg-gray-200 rounded"
+          >
+            pending() = {String(saveDraft.pending())}
+          </button>
+          <button
+            onClick={() => saveDraft.flush()}
+            className="px-2 py-1 bg-green-500 text-white rounded"
+          >
+            Save now (flush)
+          </button>
+          <button
+            onClick={() => saveDraft.cancel()}
+            className="px-2 py-1 bg-red-500 text-white rounded"
+          >
+            Discard (cancel)
+          </button>
+        </div>
+
         {searchHistory.length > 0 && (
           <div className="mt-4">
             <p className="text-sm font-semibold mb-2">
@@ -518,7 +1037,8 @@ function DebounceDemo() {
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
         💡 Debouncing prevents API calls on every keystroke - only calls after
-        user stops typing!
+        user stops typing! maxWait guarantees a call during long bursts,
+        throttling guarantees one per interval.
       </div>
     </div>
   );
@@ -649,9 +1169,42 @@ function IntervalDemo() {
 // ==========================================
 // 8. USEFETCH DEMO
 // ==========================================
+const ENDPOINTS = ["/api/users", "/api/posts", "/api/products", "/api/time", "/api/missing"];
+
+// Second subscriber to the same URL - shares cache and in-flight request
+function FetchPeek({ url }) {
+  const { data, isValidating } = useFetch(url, { fetcher: demoFetch });
+  return (
+    <div className="bg-gray-50 p-2 rounded border text-xs">
+      <p className="font-semibold mb-1">
+        Another component using {url} {isValidating && "🔄"}
+      </p>
+      <p className="font-mono truncate">{data ? JSON.stringify(data) : "—"}</p>
+    </div>
+  );
+}
+
 function FetchDemo() {
   const [endpoint, setEndpoint] = useState("/api/users");
-  const { data, loading, error } = useFetch(endpoint);
+  const [flaky, setFlaky] = useState(false);
+  const [requestLog, setRequestLog] = useState([]);
+  const { data, loading, error, isValidating, retryCount, updatedAt, refetch } =
+    useFetch(endpoint, { fetcher: demoFetch, staleTime: 5000 });
+
+  useEffect(
+    () =>
+      demoFetch.subscribe(({ type, url }) =>
+        setRequestLog((prev) => [
+          `${new Date().toLocaleTimeString()} ${type} ${url}`,
+          ...prev.slice(0, 5),
+        ])
+      ),
+    []
+  );
+
+  useEffect(() => {
+    demoFetch.failRate = flaky ? 0.6 : 0;
+  }, [flaky]);
 
   return (
     <div className="p-4 border rounded mb-4 bg-yellow-50">
@@ -662,37 +1215,39 @@ function FetchDemo() {
           <label className="block text-sm font-semibold mb-2">
             API Endpoint:
           </label>
-          <div className="flex gap-2">
-            <button
-              onClick={() => setEndpoint("/api/users")}
-              className={`px-4 py-2 rounded ${
-                endpoint === "/api/users"
-                  ? "bg-blue-500 text-white"
-                  : "bg-gray-200"
-              }`}
-            >
-              Users
-            </button>
-            <button
-              onClick={() => setEndpoint("/api/posts")}
-              className={`px-4 py-2 rounded ${
-                endpoint === "/api/posts"
-                  ? "bg-blue-500 text-white"
-                  : "bg-gray-200"
-              }`}
-            >
-              Posts
-            </button>
+          <div className="flex flex-wrap gap-2">
+            {ENDPOINTS.map((url) => (
+              <button
+                key={url}
+                onClick={() => setEndpoint(url)}
+                className={`px-4 py-2 rounded ${
+                  endpoint === url ? "bg-blue-500 text-white" : "bg-gray-200"
+                }`}
+              >
+                {url.replace("/api/", "")}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-4 items-center mt-3 text-sm">
             <button
-              onClick={() => setEndpoint("/api/products")}
-              className={`px-4 py-2 rounded ${
-                endpoint === "/api/products"
-                  ? "bg-blue-500 text-white"
-                  : "bg-gray-200"
-              }`}
+              onClick={refetch}
+              className="px-3 py-1 bg-green-500 text-white rounded"
             >
-              Products
+              Refetch
             </button>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={flaky}
+                onChange={(e) => setFlaky(e.target.checked)}
+              />
+              Flaky server (60% 500s)
+            </label>
+            {isValidating && (
+              <span className="text-blue-600">
+                🔄 Revalidating{retryCount > 0 && ` (retry ${retryCount})`}
+              </span>
+            )}
           </div>
         </div>
 
@@ -703,25 +1258,44 @@ function FetchDemo() {
           </div>
         )}
 
-        {error && (
-          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        {error && !isValidating && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-3">
             <p className="font-bold">Error!</p>
             <p className="text-sm">{error.message}</p>
           </div>
         )}
 
-        {data && !loading && (
-          <div className="bg-green-100 border border-green-400 px-4 py-3 rounded">
-            <p className="font-bold text-green-700">Success!</p>
+        {data && (
+          <div className="bg-green-100 border border-green-400 px-4 py-3 rounded mb-3">
+            <p className="font-bold text-green-700">
+              {isValidating ? "Cached (refreshing…)" : "Success!"}
+            </p>
+            <p className="text-xs text-gray-600">
+              Updated {new Date(updatedAt).toLocaleTimeString()}
+            </p>
             <pre className="text-xs mt-2 overflow-x-auto">
               {JSON.stringify(data, null, 2)}
             </pre>
           </div>
         )}
+
+        <div className="grid grid-cols-2 gap-3">
+          <FetchPeek url={endpoint} />
+          <div className="bg-gray-800 text-green-400 p-2 rounded text-xs font-mono">
+            <p className="text-white mb-1">
+              Network ({demoFetch.calls} requests):
+            </p>
+            {requestLog.map((line, i) => (
+              <p key={i}>{line}</p>
+            ))}
+          </div>
+        </div>
       </div>
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
-        💡 useFetch handles loading, error, and data states automatically!
+        💡 Two components, one request: the cache is keyed by URL and
+        in-flight requests are shared. Switch endpoints quickly to see aborts,
+        come back within 5s to get cached data with no request at all!
       </div>
     </div>
   );
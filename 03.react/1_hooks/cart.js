@@ -0,0 +1,359 @@
+import { useEffect, useReducer } from "react";
+import { createSlice } from "./createSlice";
+import { createSelector } from "./createSelector";
+
+// ==========================================
+// CART - one shopping cart domain module
+// ==========================================
+// Used by 7_useReducer.jsx (ActionCreatorsDemo) and by the ShoppingCart /
+// ProductCard components the 04.testing lessons test against.
+//
+// MONEY IS INTEGER CENTS. 0.1 + 0.2 !== 0.3, and 19.99 * 3 is
+// 59.970000000000006 - floats drift and a total ends up a cent off.
+// Prices enter as dollars at the edge (toCents), every sum / discount / tax
+// is an integer, and only formatCents turns it back into "$1,057.00".
+// Every rounding step is an explicit Math.round.
+//
+// const [cart, dispatch] = usePersistentCart();      // localStorage-backed
+// dispatch(cartActions.addItem({ id: 1, name: "Widget", price: 19.99 }));
+// dispatch(cartActions.applyPromo("save10"));
+// const summary = cartSelectors.selectSummary(cart);
+// summary.total → 1943 (cents: 1999 - 200 off + 144 tax) → "$19.43"
+
+/* ============================================
+   1. MONEY
+   ============================================ */
+
+// 19.99 → 1999. Math.round absorbs float noise (1.005 * 100 = 100.49999...)
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const currencyFormat = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+});
+
+export const formatCents = (cents) => currencyFormat.format(cents / 100);
+
+export const percentOf = (cents, percent) =>
+  Math.round((cents * percent) / 100);
+
+// Dollar-in / dollar-out helper for code that isn't cart-shaped:
+// calculateDiscount(19.99, 20) → 15.99, never 15.992
+export function calculateDiscount(price, discountPercent) {
+  if (discountPercent < 0 || discountPercent > 100) {
+    throw new Error("Discount must be between 0 and 100");
+  }
+  const cents = toCents(price);
+  return (cents - percentOf(cents, discountPercent)) / 100;
+}
+
+/* ============================================
+   2. PROMO CODES
+   ============================================ */
+// percent - percent off the subtotal
+// fixed   - amountCents off, never more than the subtotal
+// minSubtotalCents - the code only applies from this subtotal on
+
+export const PROMO_CODES = {
+  SAVE10: { type: "percent", percent: 10, label: "10% off" },
+  HALFOFF: { type: "percent", percent: 50, label: "50% off" },
+  WELCOME5: {
+    type: "fixed",
+    amountCents: 500,
+    minSubtotalCents: 2500,
+    label: "$5 off orders over $25",
+  },
+};
+
+const normalizeCode = (code) =>
+  String(code ?? "")
+    .trim()
+    .toUpperCase();
+
+// → { code, promo } when the code can be used, { code, error } otherwise
+export function validatePromo(code, subtotalCents) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return { code: normalized, error: "Enter a promo code" };
+
+  const promo = PROMO_CODES[normalized];
+  if (!promo) {
+    return { code: normalized, error: `"${normalized}" is not a valid code` };
+  }
+  if (promo.minSubtotalCents && subtotalCents < promo.minSubtotalCents) {
+    const missing = formatCents(promo.minSubtotalCents - subtotalCents);
+    return {
+      code: normalized,
+      error: `Add ${missing} more to use ${normalized}`,
+    };
+  }
+  return { code: normalized, promo };
+}
+
+export function discountFor(promo, subtotalCents) {
+  if (!promo) return 0;
+  if (promo.type === "percent") return percentOf(subtotalCents, promo.percent);
+  return Math.min(promo.amountCents, subtotalCents);
+}
+
+/* ============================================
+   3. SLICE
+   ============================================ */
+
+const lineTotal = (item) => item.priceCents * item.quantity;
+const subtotalOf = (items) =>
+  items.reduce((sum, item) => sum + lineTotal(item), 0);
+
+// Anything product-shaped → a cart line. Accepts priceCents or a dollar price.
+export const toCartItem = (product, quantity = product.quantity ?? 1) => ({
+  id: product.id,
+  name: product.name,
+  priceCents: product.priceCents ?? toCents(product.price),
+  quantity,
+});
+
+const initialState = { items: [], promoCode: null, promoError: null };
+
+// createCartState([{ id, name, price, quantity }]) - e.g. as useReducer's init
+export const createCartState = (items = []) => ({
+  ...initialState,
+  items: items.map((item) => toCartItem(item)),
+});
+
+export const cartSlice = createSlice({
+  name: "cart",
+  initialState,
+  draft: true,
+  reducers: {
+    // addItem(product) / addItem(product, 3)
+    addItem: {
+      prepare: (product, quantity = 1) => ({
+        payload: toCartItem(product, quantity),
+      }),
+      reducer: (state, action) => {
+        const existing = state.items.find(
+          (item) => item.id === action.payload.id
+        );
+        if (existing) {
+          existing.quantity += action.payload.quantity;
+        } else {
+          state.items.push(action.payload);
+        }
+      },
+    },
+
+    removeItem: (state, action) => {
+      state.items = state.items.filter((item) => item.id !== action.payload);
+    },
+
+    // prepare keeps the two-argument creator: updateQuantity(id, quantity)
+    // 0 or less removes the line
+    updateQuantity: {
+      prepare: (id, quantity) => ({ payload: { id, quantity } }),
+      reducer: (state, action) => {
+        const quantity = Math.floor(action.payload.quantity);
+        if (Number.isNaN(quantity)) return;
+        state.items = state.items
+          .map((item) =>
+            item.id === action.payload.id ? { ...item, quantity } : item
+          )
+          .filter((item) => item.quantity > 0);
+      },
+    },
+
+    // Validated against the current subtotal; the selectors re-check it,
+    // so removing items later can make the code stop applying
+    applyPromo: (state, action) => {
+      const { code, error } = validatePromo(
+        action.payload,
+        subtotalOf(state.items)
+      );
+      if (error) {
+        state.promoError = error;
+      } else {
+        state.promoCode = code;
+        state.promoError = null;
+      }
+    },
+
+    removePromo: (state) => {
+      state.promoCode = null;
+      state.promoError = null;
+    },
+
+    // Returning a value replaces the state instead of using the draft
+    clearCart: () => initialState,
+
+    // Replace everything - used when another tab changed the stored cart
+    hydrate: (state, action) => action.payload,
+  },
+});
+
+export const cartReducer = cartSlice.reducer;
+
+// addItem(product, quantity?), removeItem(id), updateQuantity(id, quantity),
+// applyPromo(code), removePromo(), clearCart(), hydrate(state)
+export const cartActions = cartSlice.actions;
+
+/* ============================================
+   4. SELECTORS (memoized, all amounts in cents)
+   ============================================ */
+// Tax is charged on the discounted subtotal (discount BEFORE tax).
+// Each createCartSelectors() call has its own caches - one per cart.
+
+export const TAX_RATE = 0.08;
+
+export function createCartSelectors({ taxRate = TAX_RATE } = {}) {
+  const selectItems = (state) => state.items;
+  const selectPromoCode = (state) => state.promoCode;
+
+  const selectLineCount = (state) => state.items.length;
+  const selectItemCount = createSelector([selectItems], (items) =>
+    items.reduce((sum, item) => sum + item.quantity, 0)
+  );
+  const selectSubtotal = createSelector([selectItems], subtotalOf);
+
+  // { code, promo } | { code, error } | null (no code entered)
+  const selectPromo = createSelector(
+    [selectPromoCode, selectSubtotal],
+    (code, subtotal) => (code ? validatePromo(code, subtotal) : null)
+  );
+  const selectDiscount = createSelector(
+    [selectPromo, selectSubtotal],
+    (result, subtotal) => discountFor(result?.promo, subtotal)
+  );
+  const selectTax = createSelector(
+    [selectSubtotal, selectDiscount],
+    (subtotal, discount) => Math.round((subtotal - discount) * taxRate)
+  );
+  const selectTotal = createSelector(
+    [selectSubtotal, selectDiscount, selectTax],
+    (subtotal, discount, tax) => subtotal - discount + tax
+  );
+
+  const selectSummary = createSelector(
+    [
+      selectItemCount,
+      selectSubtotal,
+      selectPromo,
+      selectDiscount,
+      selectTax,
+      selectTotal,
+    ],
+    (itemCount, subtotal, promo, discount, tax, total) => ({
+      itemCount,
+      subtotal,
+      promo,
+      discount,
+      tax,
+      total,
+    })
+  );
+
+  return {
+    selectItems,
+    selectLineCount,
+    selectItemCount,
+    selectSubtotal,
+    selectPromo,
+    selectDiscount,
+    selectTax,
+    selectTotal,
+    selectSummary,
+  };
+}
+
+export const cartSelectors = createCartSelectors();
+
+/* ============================================
+   5. PERSISTENCE
+   ============================================ */
+// Only items + promoCode are stored, with a version number. Anything that
+// doesn't look like a cart (old format, hand-edited JSON, quota errors,
+// storage disabled in private mode) falls back to an empty cart instead
+// of crashing the page.
+
+export const CART_STORAGE_KEY = "react-lessons/cart";
+const STORAGE_VERSION = 1;
+
+const defaultStorage = () => {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // SecurityError when storage is blocked
+  }
+};
+
+const isCartItem = (item) =>
+  item !== null &&
+  typeof item === "object" &&
+  item.id !== undefined &&
+  Number.isInteger(item.priceCents) &&
+  item.priceCents >= 0 &&
+  Number.isInteger(item.quantity) &&
+  item.quantity > 0;
+
+export function loadCart(storage = defaultStorage(), key = CART_STORAGE_KEY) {
+  try {
+    const saved = JSON.parse(storage?.getItem(key) ?? "null");
+    if (
+      saved?.version !== STORAGE_VERSION ||
+      !Array.isArray(saved.items) ||
+      !saved.items.every(isCartItem)
+    ) {
+      return initialState;
+    }
+    return {
+      ...initialState,
+      items: saved.items,
+      promoCode: typeof saved.promoCode === "string" ? saved.promoCode : null,
+    };
+  } catch {
+    return initialState;
+  }
+}
+
+export function saveCart(
+  state,
+  storage = defaultStorage(),
+  key = CART_STORAGE_KEY
+) {
+  try {
+    storage?.setItem(
+      key,
+      JSON.stringify({
+        version: STORAGE_VERSION,
+        items: state.items,
+        promoCode: state.promoCode,
+      })
+    );
+  } catch {
+    // Quota exceeded / storage disabled - the cart still works in memory
+  }
+}
+
+// useReducer(cartReducer) that starts from storage, writes every change
+// back, and follows changes made in other tabs
+export function usePersistentCart({
+  key = CART_STORAGE_KEY,
+  storage = defaultStorage(),
+} = {}) {
+  const [state, dispatch] = useReducer(cartReducer, undefined, () =>
+    loadCart(storage, key)
+  );
+
+  useEffect(() => {
+    saveCart(state, storage, key);
+  }, [state, storage, key]);
+
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === key && event.storageArea === storage) {
+        dispatch(cartActions.hydrate(loadCart(storage, key)));
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [storage, key]);
+
+  return [state, dispatch];
+}
@@ -0,0 +1,138 @@
+import { createAction } from "./createSlice";
+
+// ==========================================
+// CREATE ASYNC THUNK - pending / fulfilled / rejected for you
+// ==========================================
+// Redux Toolkit's createAsyncThunk. Needs the thunk middleware
+// (middleware.js) - used by 7_useReducer.jsx (AsyncDemo).
+//
+// const fetchUser = createAsyncThunk("user/fetch", async (id, { signal }) => {
+//   const res = await fetch(`/api/users/${id}`, { signal });
+//   return res.json();                      // → fulfilled payload
+// });
+//
+// const promise = dispatch(fetchUser(1));
+//   1. dispatches fetchUser.pending        meta: { arg, requestId }
+//   2. runs the payload creator
+//   3. dispatches fetchUser.fulfilled      payload: the returned value
+//             or fetchUser.rejected        error: { name, message }
+// promise.abort()   → signal aborts, rejected with meta.aborted = true
+// promise.unwrap()  → resolves with the payload / throws the error
+//
+// The reducer side, through createSlice's extraReducers:
+//   [fetchUser.pending]:   (state, action) => { state.requestId = action.meta.requestId }
+//   [fetchUser.fulfilled]: (state, action) => { ... }
+//
+// Options:
+//   condition(arg, { getState }) - return false to skip the request entirely
+//     (no actions dispatched), e.g. "already loading"
+
+let nextRequestId = 1;
+
+// Errors must be serializable to live in state - keep the useful fields
+const serializeError = (error) =>
+  error && typeof error === "object"
+    ? { name: error.name, message: error.message, code: error.code }
+    : { message: String(error) };
+
+// Lets a payload creator reject with a custom payload instead of an error:
+//   if (!res.ok) return rejectWithValue(await res.json());
+class RejectWithValue {
+  constructor(payload) {
+    this.payload = payload;
+  }
+}
+
+export function createAsyncThunk(typePrefix, payloadCreator, options = {}) {
+  const pending = createAction(`${typePrefix}/pending`, (arg, requestId) => ({
+    meta: { arg, requestId, requestStatus: "pending" },
+  }));
+  const fulfilled = createAction(
+    `${typePrefix}/fulfilled`,
+    (payload, arg, requestId) => ({
+      payload,
+      meta: { arg, requestId, requestStatus: "fulfilled" },
+    })
+  );
+  const rejected = createAction(
+    `${typePrefix}/rejected`,
+    (error, arg, requestId, { payload, aborted = false } = {}) => ({
+      payload,
+      error: serializeError(error),
+      meta: { arg, requestId, requestStatus: "rejected", aborted },
+    })
+  );
+
+  const actionCreator = (arg) => (dispatch, getState, extra) => {
+    const requestId = `${typePrefix}#${nextRequestId++}`;
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const promise = (async () => {
+      if (options.condition?.(arg, { getState, extra }) === false) {
+        // Never started - nothing dispatched, unwrap() rejects
+        return rejected(
+          new DOMException("Skipped by condition()", "ConditionError"),
+          arg,
+          requestId
+        );
+      }
+
+      dispatch(pending(arg, requestId));
+
+      let finalAction;
+      try {
+        const result = await Promise.race([
+          payloadCreator(arg, {
+            dispatch,
+            getState,
+            extra,
+            signal,
+            requestId,
+            rejectWithValue: (value) => new RejectWithValue(value),
+          }),
+          // abort() settles the thunk at once, even if the payload creator
+          // ignores the signal
+          new Promise((_, reject) =>
+            signal.addEventListener("abort", () => reject(signal.reason), {
+              once: true,
+            })
+          ),
+        ]);
+
+        finalAction =
+          result instanceof RejectWithValue
+            ? rejected(new Error("Rejected"), arg, requestId, {
+                payload: result.payload,
+              })
+            : fulfilled(result, arg, requestId);
+      } catch (error) {
+        finalAction = rejected(error, arg, requestId, {
+          aborted: signal.aborted,
+        });
+      }
+
+      dispatch(finalAction);
+      return finalAction;
+    })();
+
+    return Object.assign(promise, {
+      arg,
+      requestId,
+      abort: (reason = "Aborted") =>
+        controller.abort(new DOMException(reason, "AbortError")),
+      unwrap: () =>
+        promise.then((action) => {
+          if (fulfilled.match(action)) return action.payload;
+          throw action.payload ?? action.error;
+        }),
+    });
+  };
+
+  return Object.assign(actionCreator, {
+    pending,
+    fulfilled,
+    rejected,
+    typePrefix,
+  });
+}
@@ -0,0 +1,43 @@
+// ==========================================
+// CREATE SELECTOR - memoized derived state
+// ==========================================
+// Reselect's createSelector. Used by cart.js.
+//
+// const selectItems = (state) => state.items;
+// const selectSubtotal = createSelector([selectItems], (items) =>
+//   items.reduce((sum, item) => sum + item.priceCents * item.quantity, 0)
+// );
+//
+// selectSubtotal(state) runs the input selectors first. Only when one of
+// their results changed (===, i.e. a new reference) does the result
+// function run again - otherwise the previous result is returned as is.
+// With immutable updates that means: toggling a promo code doesn't recount
+// the items, and components get the SAME object back when nothing changed
+// (safe for memo / useEffect deps).
+//
+// Cache size is 1 (the last arguments), like Reselect's default.
+
+export function createSelector(inputSelectors, resultFn) {
+  let lastInputs = null;
+  let lastResult;
+  let recomputations = 0;
+
+  const selector = (...args) => {
+    const inputs = inputSelectors.map((select) => select(...args));
+    const changed =
+      !lastInputs ||
+      inputs.some((value, index) => !Object.is(value, lastInputs[index]));
+
+    if (changed) {
+      lastResult = resultFn(...inputs);
+      lastInputs = inputs;
+      recomputations += 1;
+    }
+    return lastResult;
+  };
+
+  // Handy in tests: expect(selectTotal.recomputations()).toBe(1)
+  selector.recomputations = () => recomputations;
+  selector.resultFunc = resultFn;
+  return selector;
+}
@@ -0,0 +1,95 @@
+import { produce } from "./produce";
+
+// ==========================================
+// CREATE SLICE - reducer + action creators from one object
+// ==========================================
+// Redux Toolkit's createSlice, small enough to read in one go.
+//
+// const counterSlice = createSlice({
+//   name: "counter",
+//   initialState: { count: 0 },
+//   reducers: {
+//     increment: (state) => ({ count: state.count + 1 }),
+//     incrementBy: (state, action) => ({ count: state.count + action.payload }),
+//   },
+// });
+//
+// counterSlice.actions.incrementBy(5) → { type: "counter/incrementBy", payload: 5 }
+// counterSlice.reducer              → (state, action) => newState, ready for useReducer
+//
+// Options:
+//   reducers[key] can be a function or { reducer, prepare } - prepare turns
+//     the creator's arguments into { payload } (e.g. (id, quantity) => ...)
+//   draft  - run case reducers through produce(), so they may mutate `state`
+//            (state.items.push(item)) instead of spreading - like Immer
+//   strict - throw on unknown action types instead of returning state
+//   extraReducers - case reducers for action types this slice didn't create,
+//            keyed by type. Action creators stringify to their type, so
+//            { [fetchUser.fulfilled]: (state, action) => ... } works
+//            (see createAsyncThunk.js)
+
+// Called without arguments → plain { type }, same shape as hand-written actions
+const defaultPrepare = (...args) => (args.length ? { payload: args[0] } : {});
+
+export function createAction(type, prepare = defaultPrepare) {
+  const actionCreator = (...args) => ({ type, ...prepare(...args) });
+  actionCreator.type = type;
+  actionCreator.match = (action) => action?.type === type;
+  actionCreator.toString = () => type;
+  return actionCreator;
+}
+
+export function createSlice({
+  name,
+  initialState,
+  reducers,
+  extraReducers = {},
+  draft = false,
+  strict = false,
+}) {
+  if (!name) throw new Error("createSlice: `name` is required");
+
+  const actions = {};
+  const caseReducers = {};
+  const reducersByType = {};
+  const wrap = (caseReducer) =>
+    draft
+      ? (state, action) => produce(state, (d) => caseReducer(d, action))
+      : caseReducer;
+
+  Object.entries(reducers).forEach(([key, definition]) => {
+    const type = `${name}/${key}`;
+    const caseReducer =
+      typeof definition === "function" ? definition : definition.reducer;
+
+    if (typeof caseReducer !== "function") {
+      throw new Error(`createSlice: reducer "${type}" is not a function`);
+    }
+
+    caseReducers[key] = caseReducer;
+    reducersByType[type] = wrap(caseReducer);
+    actions[key] = createAction(type, definition.prepare);
+  });
+
+  Object.entries(extraReducers).forEach(([type, caseReducer]) => {
+    if (reducersByType[type]) {
+      throw new Error(`createSlice: "${type}" is handled twice`);
+    }
+    reducersByType[type] = wrap(caseReducer);
+  });
+
+  const reducer = (state = initialState, action) => {
+    const caseReducer = reducersByType[action.type];
+    if (caseReducer) return caseReducer(state, action);
+    if (strict) throw new Error(`Unknown action: ${action.type}`);
+    return state;
+  };
+
+  return {
+    name,
+    reducer,
+    actions,
+    caseReducers,
+    getInitialState: () => initialState,
+  };
+}
@@ -0,0 +1,337 @@
+// ==========================================
+// createSlice migration - the slices behave like the old switch reducers
+// ==========================================
+// The reducers below are the hand-written switch versions 7_useReducer.jsx
+// used before createSlice. Every test replays the same steps through the
+// old reducer (old action types) and the slice (generated action creators)
+// and expects the same state after each step.
+//
+// The async and cart slices have grown since (requestId tracking, cents,
+// promo codes), so for those only the fields the old reducer had are compared.
+
+import {
+  counterSlice,
+  todoSlice,
+  dataSlice,
+  fetchData,
+  themeSlice,
+} from "./7_useReducer";
+import { cartSlice } from "./cart";
+import { createSlice } from "./createSlice";
+
+// ==========================================
+// OLD REDUCERS
+// ==========================================
+
+function oldCounterReducer(state, action) {
+  switch (action.type) {
+    case "INCREMENT":
+      return { count: state.count + 1 };
+    case "DECREMENT":
+      return { count: state.count - 1 };
+    case "INCREMENT_BY":
+      return { count: state.count + action.payload };
+    case "RESET":
+      return { count: 0 };
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+}
+
+const oldTodoReducer = (state, action) => {
+  switch (action.type) {
+    case "ADD_TODO":
+      return {
+        ...state,
+        todos: [...state.todos, action.payload],
+        nextId: state.nextId + 1,
+      };
+    case "TOGGLE_TODO":
+      return {
+        ...state,
+        todos: state.todos.map((todo) =>
+          todo.id === action.payload
+            ? { ...todo, completed: !todo.completed }
+            : todo
+        ),
+      };
+    case "DELETE_TODO":
+      return {
+        ...state,
+        todos: state.todos.filter((todo) => todo.id !== action.payload),
+      };
+    case "SET_FILTER":
+      return { ...state, filter: action.payload };
+    case "CLEAR_COMPLETED":
+      return {
+        ...state,
+        todos: state.todos.filter((todo) => !todo.completed),
+      };
+    default:
+      return state;
+  }
+};
+
+const oldDataReducer = (state, action) => {
+  switch (action.type) {
+    case "FETCH_START":
+      return { ...state, isLoading: true, error: null };
+    case "FETCH_SUCCESS":
+      return { ...state, data: action.payload, isLoading: false, error: null };
+    case "FETCH_ERROR":
+      return { ...state, isLoading: false, error: action.payload };
+    default:
+      return state;
+  }
+};
+
+const oldCartReducer = (state, action) => {
+  switch (action.type) {
+    case "ADD_ITEM": {
+      const existing = state.items.find(
+        (item) => item.id === action.payload.id
+      );
+      if (existing) {
+        return {
+          ...state,
+          items: state.items.map((item) =>
+            item.id === action.payload.id
+              ? { ...item, quantity: item.quantity + 1 }
+              : item
+          ),
+        };
+      }
+      return {
+        ...state,
+        items: [...state.items, { ...action.payload, quantity: 1 }],
+      };
+    }
+    case "REMOVE_ITEM":
+      return {
+        ...state,
+        items: state.items.filter((item) => item.id !== action.payload),
+      };
+    case "UPDATE_QUANTITY":
+      return {
+        ...state,
+        items: state.items
+          .map((item) =>
+            item.id === action.payload.id
+              ? { ...item, quantity: action.payload.quantity }
+              : item
+          )
+          .filter((item) => item.quantity > 0),
+      };
+    case "CLEAR_CART":
+      return { items: [] };
+    default:
+      return state;
+  }
+};
+
+const oldThemeReducer = (state, action) => {
+  switch (action.type) {
+    case "SET_THEME":
+      return { ...state, theme: action.payload };
+    case "TOGGLE_THEME":
+      return { ...state, theme: state.theme === "light" ? "dark" : "light" };
+    case "SET_FONT_SIZE":
+      return { ...state, fontSize: action.payload };
+    default:
+      return state;
+  }
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+// steps: [oldAction, newAction] pairs. `view` picks what to compare.
+function replay(oldReducer, newReducer, initialState, steps, view = (s) => s) {
+  let oldState = initialState;
+  let newState = initialState;
+
+  steps.forEach(([oldAction, newAction]) => {
+    oldState = oldReducer(oldState, oldAction);
+    newState = newReducer(newState, newAction);
+    expect(view(newState)).toEqual(view(oldState));
+  });
+
+  return { oldState, newState };
+}
+
+// ==========================================
+// TESTS
+// ==========================================
+
+describe("counter slice", () => {
+  const actions = counterSlice.actions;
+
+  test("matches the switch reducer", () => {
+    replay(oldCounterReducer, counterSlice.reducer, { count: 0 }, [
+      [{ type: "INCREMENT" }, actions.increment()],
+      [{ type: "INCREMENT" }, actions.increment()],
+      [{ type: "DECREMENT" }, actions.decrement()],
+      [{ type: "INCREMENT_BY", payload: 5 }, actions.incrementBy(5)],
+      [{ type: "RESET" }, actions.reset()],
+    ]);
+  });
+
+  test("still throws on unknown actions (strict)", () => {
+    expect(() => oldCounterReducer({ count: 0 }, { type: "NOPE" })).toThrow();
+    expect(() => counterSlice.reducer({ count: 0 }, { type: "NOPE" })).toThrow(
+      /NOPE/
+    );
+  });
+
+  test("same initial state", () => {
+    expect(counterSlice.getInitialState()).toEqual({ count: 0 });
+  });
+});
+
+describe("todo slice (draft reducers)", () => {
+  const actions = todoSlice.actions;
+  const todo = (id, text) => ({ id, text, completed: false });
+
+  test("matches the switch reducer", () => {
+    const initial = todoSlice.getInitialState();
+    expect(initial).toEqual({ todos: [], filter: "all", nextId: 1 });
+
+    replay(oldTodoReducer, todoSlice.reducer, initial, [
+      [{ type: "ADD_TODO", payload: todo(1, "a") }, actions.addTodo(todo(1, "a"))],
+      [{ type: "ADD_TODO", payload: todo(2, "b") }, actions.addTodo(todo(2, "b"))],
+      [{ type: "ADD_TODO", payload: todo(3, "c") }, actions.addTodo(todo(3, "c"))],
+      [{ type: "TOGGLE_TODO", payload: 2 }, actions.toggleTodo(2)],
+      [{ type: "TOGGLE_TODO", payload: 99 }, actions.toggleTodo(99)],
+      [{ type: "SET_FILTER", payload: "active" }, actions.setFilter("active")],
+      [{ type: "DELETE_TODO", payload: 1 }, actions.deleteTodo(1)],
+      [{ type: "TOGGLE_TODO", payload: 3 }, actions.toggleTodo(3)],
+      [{ type: "CLEAR_COMPLETED" }, actions.clearCompleted()],
+      [{ type: "UNKNOWN" }, { type: "UNKNOWN" }],
+    ]);
+  });
+
+  test("never mutates the previous state and shares untouched todos", () => {
+    const before = {
+      todos: [todo(1, "a"), todo(2, "b")],
+      filter: "all",
+      nextId: 3,
+    };
+    const snapshot = JSON.parse(JSON.stringify(before));
+
+    const after = todoSlice.reducer(before, actions.toggleTodo(2));
+
+    expect(before).toEqual(snapshot);
+    expect(after).not.toBe(before);
+    expect(after.todos[0]).toBe(before.todos[0]);
+    expect(after.todos[1]).toEqual({ ...before.todos[1], completed: true });
+  });
+
+  test("unknown actions return the same state object", () => {
+    const state = todoSlice.getInitialState();
+    expect(todoSlice.reducer(state, { type: "UNKNOWN" })).toBe(state);
+  });
+});
+
+describe("data slice", () => {
+  // The old FETCH_* reducer had no request ids - compare what it had
+  const view = ({ data, isLoading, error }) => ({ data, isLoading, error });
+  const payload = { id: 1, title: "Sample Data" };
+
+  test("start → success matches the switch reducer", () => {
+    replay(
+      oldDataReducer,
+      dataSlice.reducer,
+      dataSlice.getInitialState(),
+      [
+        [{ type: "FETCH_START" }, fetchData.pending(undefined, "r1")],
+        [
+          { type: "FETCH_SUCCESS", payload },
+          fetchData.fulfilled(payload, undefined, "r1"),
+        ],
+      ],
+      view
+    );
+  });
+
+  test("start → error matches the switch reducer", () => {
+    replay(
+      oldDataReducer,
+      dataSlice.reducer,
+      dataSlice.getInitialState(),
+      [
+        [{ type: "FETCH_START" }, fetchData.pending(undefined, "r1")],
+        [
+          { type: "FETCH_ERROR", payload: "Random network error!" },
+          fetchData.rejected(new Error("Random network error!"), undefined, "r1"),
+        ],
+      ],
+      view
+    );
+  });
+});
+
+describe("cart slice", () => {
+  const actions = cartSlice.actions;
+  // Prices moved to integer cents - compare the lines by id and quantity
+  const view = (state) =>
+    state.items.map(({ id, name, quantity }) => ({ id, name, quantity }));
+  const laptop = { id: 1, name: "Laptop", price: 999 };
+  const mouse = { id: 2, name: "Mouse", price: 29 };
+
+  test("matches the switch reducer", () => {
+    replay(
+      oldCartReducer,
+      cartSlice.reducer,
+      cartSlice.getInitialState(),
+      [
+        [{ type: "ADD_ITEM", payload: laptop }, actions.addItem(laptop)],
+        [{ type: "ADD_ITEM", payload: mouse }, actions.addItem(mouse)],
+        [{ type: "ADD_ITEM", payload: laptop }, actions.addItem(laptop)],
+        [
+          { type: "UPDATE_QUANTITY", payload: { id: 2, quantity: 4 } },
+          actions.updateQuantity(2, 4),
+        ],
+        [
+          { type: "UPDATE_QUANTITY", payload: { id: 1, quantity: 0 } },
+          actions.updateQuantity(1, 0),
+        ],
+        [{ type: "ADD_ITEM", payload: laptop }, actions.addItem(laptop)],
+        [{ type: "REMOVE_ITEM", payload: 2 }, actions.removeItem(2)],
+        [{ type: "CLEAR_CART" }, actions.clearCart()],
+      ],
+      view
+    );
+  });
+});
+
+describe("theme slice", () => {
+  const actions = themeSlice.actions;
+
+  test("matches the switch reducer", () => {
+    const initial = themeSlice.getInitialState();
+    expect(initial).toEqual({ theme: "light", fontSize: "medium" });
+
+    replay(oldThemeReducer, themeSlice.reducer, initial, [
+      [{ type: "TOGGLE_THEME" }, actions.toggleTheme()],
+      [{ type: "TOGGLE_THEME" }, actions.toggleTheme()],
+      [{ type: "SET_THEME", payload: "dark" }, actions.setTheme("dark")],
+      [{ type: "SET_FONT_SIZE", payload: "large" }, actions.setFontSize("large")],
+    ]);
+  });
+});
+
+describe("createSlice", () => {
+  test("action creators carry their type", () => {
+    const slice = createSlice({
+      name: "demo",
+      initialState: 0,
+      reducers: { add: (state, action) => state + action.payload },
+    });
+
+    expect(slice.actions.add(2)).toEqual({ type: "demo/add", payload: 2 });
+    expect(slice.actions.add.type).toBe("demo/add");
+    expect(String(slice.actions.add)).toBe("demo/add");
+    expect(slice.reducer(1, slice.actions.add(2))).toBe(3);
+  });
+});
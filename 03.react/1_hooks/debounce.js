@@ -0,0 +1,186 @@
+import { useState, useRef, useEffect, useMemo } from "react";
+
+// ==========================================
+// DEBOUNCE / THROTTLE CORE
+// ==========================================
+// Shared by 5_useRef.jsx (DebouncedSearch) and 8_customHooks.jsx (DebounceDemo).
+//
+// debounce(fn, wait, { leading, trailing, maxWait })
+//   leading  - call on the first event of a burst (default false)
+//   trailing - call once the burst has been quiet for `wait` ms (default true)
+//   maxWait  - never wait longer than this between calls, even mid-burst
+//
+// The returned function also has:
+//   cancel()  - drop the pending call
+//   flush()   - run the pending call right now
+//   pending() - is a call scheduled?
+//
+// Uses Date.now() + setTimeout only, so Jest's fake timers
+// (jest.useFakeTimers() + jest.advanceTimersByTime) drive it completely.
+export function debounce(
+  fn,
+  wait = 0,
+  { leading = false, trailing = true, maxWait } = {}
+) {
+  const hasMaxWait = maxWait !== undefined;
+  const maxDelay = hasMaxWait ? Math.max(maxWait, wait) : 0;
+
+  let timerId = null;
+  let lastArgs;
+  let lastThis;
+  let result;
+  let lastCallTime; // last time debounced() was called
+  let lastInvokeTime = 0; // last time fn actually ran
+
+  function invoke(time) {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    lastArgs = lastThis = undefined;
+    lastInvokeTime = time;
+    result = fn.apply(thisArg, args);
+    return result;
+  }
+
+  function remainingWait(time) {
+    const sinceCall = time - lastCallTime;
+    const sinceInvoke = time - lastInvokeTime;
+    const waitLeft = wait - sinceCall;
+    return hasMaxWait ? Math.min(waitLeft, maxDelay - sinceInvoke) : waitLeft;
+  }
+
+  function shouldInvoke(time) {
+    if (lastCallTime === undefined) return true; // first call ever
+    const sinceCall = time - lastCallTime;
+    const sinceInvoke = time - lastInvokeTime;
+    return (
+      sinceCall >= wait ||
+      sinceCall < 0 || // system clock went backwards
+      (hasMaxWait && sinceInvoke >= maxDelay)
+    );
+  }
+
+  function trailingEdge(time) {
+    timerId = null;
+    // Only call if there were events since the last invoke
+    if (trailing && lastArgs) return invoke(time);
+    lastArgs = lastThis = undefined;
+    return result;
+  }
+
+  function timerExpired() {
+    const time = Date.now();
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+      return;
+    }
+    // More calls came in - wait for the rest of the quiet period
+    timerId = setTimeout(timerExpired, remainingWait(time));
+  }
+
+  function leadingEdge(time) {
+    lastInvokeTime = time; // starts the maxWait clock
+    timerId = setTimeout(timerExpired, wait);
+    return leading ? invoke(time) : result;
+  }
+
+  function debounced(...args) {
+    const time = Date.now();
+    const isInvoking = shouldInvoke(time);
+
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timerId === null) return leadingEdge(time);
+      if (hasMaxWait) {
+        // maxWait reached in the middle of a burst
+        clearTimeout(timerId);
+        timerId = setTimeout(timerExpired, wait);
+        return invoke(time);
+      }
+    }
+    if (timerId === null) timerId = setTimeout(timerExpired, wait);
+    return result;
+  }
+
+  debounced.cancel = () => {
+    if (timerId !== null) clearTimeout(timerId);
+    timerId = null;
+    lastInvokeTime = 0;
+    lastArgs = lastThis = lastCallTime = undefined;
+  };
+
+  debounced.flush = () =>
+    timerId === null ? result : trailingEdge(Date.now());
+
+  debounced.pending = () => timerId !== null;
+
+  return debounced;
+}
+
+// Throttle = debounce that must fire at least every `wait` ms
+export function throttle(fn, wait = 0, { leading = true, trailing = true } = {}) {
+  return debounce(fn, wait, { leading, trailing, maxWait: wait });
+}
+
+// ==========================================
+// HOOK WRAPPERS
+// ==========================================
+
+// Stable debounced function that always calls the LATEST callback.
+// Pending calls are cancelled on unmount or when the timing options change.
+export function useDebouncedCallback(callback, wait, options = {}) {
+  const { leading = false, trailing = true, maxWait } = options;
+  const callbackRef = useRef(callback);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  const debounced = useMemo(
+    () =>
+      debounce((...args) => callbackRef.current(...args), wait, {
+        leading,
+        trailing,
+        maxWait,
+      }),
+    [wait, leading, trailing, maxWait]
+  );
+
+  useEffect(() => () => debounced.cancel(), [debounced]);
+
+  return debounced;
+}
+
+export function useThrottledCallback(callback, wait, options = {}) {
+  const { leading = true, trailing = true } = options;
+  return useDebouncedCallback(callback, wait, {
+    leading,
+    trailing,
+    maxWait: wait,
+  });
+}
+
+// Debounced copy of a value - the old useDebounce(value, delay)
+export function useDebouncedValue(value, wait, options) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+  const update = useDebouncedCallback(setDebouncedValue, wait, options);
+
+  useEffect(() => {
+    update(value);
+  }, [value, update]);
+
+  return debouncedValue;
+}
+
+export function useThrottledValue(value, wait, options) {
+  const [throttledValue, setThrottledValue] = useState(value);
+  const update = useThrottledCallback(setThrottledValue, wait, options);
+
+  useEffect(() => {
+    update(value);
+  }, [value, update]);
+
+  return throttledValue;
+}
@@ -0,0 +1,191 @@
+// ==========================================
+// debounce / throttle - edge modes under fake timers
+// ==========================================
+
+import { debounce, throttle } from "./debounce";
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("debounce - trailing (default)", () => {
+  test("calls once after the burst has been quiet for `wait` ms", () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 100);
+
+    debounced("a");
+    jest.advanceTimersByTime(50);
+    debounced("b");
+    jest.advanceTimersByTime(99);
+    expect(fn).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith("b");
+  });
+
+  test("keeps `this` of the last call", () => {
+    const seen = [];
+    const obj = {
+      name: "obj",
+      save: debounce(function () {
+        seen.push(this.name);
+      }, 10),
+    };
+
+    obj.save();
+    jest.advanceTimersByTime(10);
+    expect(seen).toEqual(["obj"]);
+  });
+});
+
+describe("debounce - leading", () => {
+  test("leading only: calls on the first event and ignores the rest of the burst", () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 100, { leading: true, trailing: false });
+
+    debounced("a");
+    debounced("b");
+    debounced("c");
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith("a");
+
+    jest.advanceTimersByTime(100);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    // A new burst after the quiet period fires again
+    debounced("d");
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveBeenLastCalledWith("d");
+  });
+
+  test("leading + trailing: a lone call fires once, a burst fires twice", () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 100, { leading: true, trailing: true });
+
+    debounced("alone");
+    jest.advanceTimersByTime(100);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    debounced("first");
+    debounced("last");
+    jest.advanceTimersByTime(100);
+    expect(fn.mock.calls).toEqual([["alone"], ["first"], ["last"]]);
+  });
+
+  test("neither edge: never calls", () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 100, { leading: false, trailing: false });
+
+    debounced();
+    jest.advanceTimersByTime(500);
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe("debounce - maxWait", () => {
+  test("fires mid-burst once maxWait has passed", () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 100, { maxWait: 250 });
+
+    // A call every 50ms never leaves a 100ms gap
+    for (let i = 0; i < 10; i++) {
+      debounced(i);
+      jest.advanceTimersByTime(50);
+    }
+    // 500ms of typing → flushed at 250 and 500 with the latest args
+    expect(fn.mock.calls).toEqual([[4], [9]]);
+
+    // The 500ms flush already sent the last call - no extra trailing call
+    jest.advanceTimersByTime(100);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test("throttle calls at most once per `wait` ms", () => {
+    const fn = jest.fn();
+    const throttled = throttle(fn, 100);
+
+    throttled(1); // leading
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    for (let i = 2; i <= 10; i++) {
+      jest.advanceTimersByTime(20);
+      throttled(i);
+    }
+    // 180ms in: leading call + one at 100ms
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(100);
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(fn).toHaveBeenLastCalledWith(10);
+  });
+});
+
+describe("debounce - cancel / flush / pending", () => {
+  test("pending() reports a scheduled call", () => {
+    const debounced = debounce(jest.fn(), 100);
+
+    expect(debounced.pending()).toBe(false);
+    debounced();
+    expect(debounced.pending()).toBe(true);
+    jest.advanceTimersByTime(100);
+    expect(debounced.pending()).toBe(false);
+  });
+
+  test("cancel() drops the pending call", () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 100);
+
+    debounced("a");
+    debounced.cancel();
+    expect(debounced.pending()).toBe(false);
+
+    jest.advanceTimersByTime(500);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test("cancel() resets the maxWait clock", () => {
+    const fn = jest.fn();
+    const debounced = debounce(fn, 100, { maxWait: 150 });
+
+    debounced();
+    jest.advanceTimersByTime(90);
+    debounced.cancel();
+
+    debounced();
+    jest.advanceTimersByTime(90);
+    expect(fn).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(10);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("flush() runs the pending call now and returns its result", () => {
+    const fn = jest.fn((value) => value * 2);
+    const debounced = debounce(fn, 100);
+
+    debounced(21);
+    expect(debounced.flush()).toBe(42);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(debounced.pending()).toBe(false);
+
+    // Nothing left for the timer to do
+    jest.advanceTimersByTime(100);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("flush() with nothing pending returns the last result without calling", () => {
+    const fn = jest.fn((value) => value);
+    const debounced = debounce(fn, 100);
+
+    expect(debounced.flush()).toBeUndefined();
+    debounced("x");
+    jest.advanceTimersByTime(100);
+
+    expect(debounced.flush()).toBe("x");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
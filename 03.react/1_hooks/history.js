@@ -0,0 +1,208 @@
+import { useCallback, useEffect, useMemo, useReducer } from "react";
+
+// ==========================================
+// WITH HISTORY - undo / redo for any reducer
+// ==========================================
+// Used by 7_useReducer.jsx (TodoListDemo). A higher-order reducer: it wraps
+// an existing reducer and returns a new one whose state is
+//
+//   { past: [...snapshots], present: state, future: [...snapshots] }
+//
+// const undoableTodos = withHistory(todoReducer, {
+//   limit: 50,                                    // max undo steps kept
+//   filter: (action) => !setFilter.match(action), // false → not undoable
+//   preserve: (current, restored) => ({ ...restored, filter: current.filter }),
+// });
+// const [history, dispatch, { undo, redo }] =
+//   useUndoable(undoableTodos, todoSlice.getInitialState());
+// history.present → the todo state
+//
+// Snapshots are the state objects the reducer returned - nothing is cloned.
+// With draft/produce reducers, consecutive snapshots share every branch an
+// action didn't touch, so 50 steps of a 1000-todo list cost 50 small copies,
+// not 50 lists.
+//
+// Non-undoable actions still change `present`, but every older snapshot holds
+// the value from before them. preserve(current, restored) runs on undo/redo
+// and carries that state over into the snapshot being restored - without
+// it, undo would revert the last edit AND switch the filter back.
+//
+// Grouping: actions with the same groupBy(action) key arriving within
+// groupWindow ms of each other become ONE undo step (e.g. typing, dragging
+// a slider). The time comes from action.meta.time, which useUndoable's
+// dispatch stamps - the reducer itself stays pure (no Date.now() inside).
+
+export const UNDO = "history/undo";
+export const REDO = "history/redo";
+export const JUMP = "history/jump";
+export const CLEAR_HISTORY = "history/clear";
+
+export const historyActions = {
+  undo: () => ({ type: UNDO }),
+  redo: () => ({ type: REDO }),
+  // jump(-2) = undo twice, jump(1) = redo once
+  jump: (steps) => ({ type: JUMP, payload: steps }),
+  clearHistory: () => ({ type: CLEAR_HISTORY }),
+};
+
+/* ============================================
+   1. HISTORY STATE
+   ============================================ */
+
+// Doubles as the `init` argument of useReducer:
+//   useReducer(undoableTodos, initialTodos, createHistory)
+export const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  group: null, // { key, time } of the last recorded action
+});
+
+function jump(history, steps, preserve) {
+  const { past, present, future } = history;
+  if (steps < 0) {
+    const index = past.length + steps;
+    if (index < 0) return history;
+    return {
+      past: past.slice(0, index),
+      present: preserve(present, past[index]),
+      future: [...past.slice(index + 1), present, ...future],
+      group: null,
+    };
+  }
+  if (steps > 0) {
+    if (steps > future.length) return history;
+    return {
+      past: [...past, present, ...future.slice(0, steps - 1)],
+      present: preserve(present, future[steps - 1]),
+      future: future.slice(steps),
+      group: null,
+    };
+  }
+  return history;
+}
+
+/* ============================================
+   2. withHistory
+   ============================================ */
+
+export function withHistory(
+  reducer,
+  {
+    limit = 100,
+    filter = () => true,
+    groupBy = (action) => action.type,
+    groupWindow = 300,
+    preserve = (current, restored) => restored,
+  } = {}
+) {
+  return (history, action) => {
+    switch (action.type) {
+      case UNDO:
+        return jump(history, -1, preserve);
+      case REDO:
+        return jump(history, 1, preserve);
+      case JUMP:
+        return jump(history, action.payload, preserve);
+      case CLEAR_HISTORY:
+        return history.past.length || history.future.length
+          ? createHistory(history.present)
+          : history;
+      default:
+        break;
+    }
+
+    const { past, present } = history;
+    const next = reducer(present, action);
+    if (next === present) return history; // no-op → no empty undo step
+
+    // Not undoable (UI-only state like a filter): update in place
+    if (!filter(action, present, next)) {
+      return { ...history, present: next, group: null };
+    }
+
+    const key = groupBy(action);
+    const time = action.meta?.time;
+    const grouped =
+      key != null &&
+      time !== undefined &&
+      history.group?.key === key &&
+      time - history.group.time <= groupWindow;
+
+    return {
+      // Grouped: keep the snapshot from before the burst, replace present
+      past: grouped ? past : [...past, present].slice(-limit),
+      present: next,
+      future: [],
+      group: { key, time },
+    };
+  };
+}
+
+/* ============================================
+   3. useUndoable + KEYBOARD SHORTCUTS
+   ============================================ */
+
+// useReducer for a withHistory reducer. dispatch stamps meta.time so
+// grouping works; the controls never change identity.
+export function useUndoable(historyReducer, initialPresent) {
+  const [history, rawDispatch] = useReducer(
+    historyReducer,
+    initialPresent,
+    createHistory
+  );
+
+  const dispatch = useCallback(
+    (action) =>
+      rawDispatch({ ...action, meta: { ...action.meta, time: Date.now() } }),
+    []
+  );
+
+  const controls = useMemo(
+    () => ({
+      undo: () => rawDispatch(historyActions.undo()),
+      redo: () => rawDispatch(historyActions.redo()),
+      jump: (steps) => rawDispatch(historyActions.jump(steps)),
+      clearHistory: () => rawDispatch(historyActions.clearHistory()),
+    }),
+    []
+  );
+
+  return [
+    history,
+    dispatch,
+    {
+      ...controls,
+      canUndo: history.past.length > 0,
+      canRedo: history.future.length > 0,
+    },
+  ];
+}
+
+const isEditable = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+// Ctrl+Z → undo, Ctrl+Shift+Z / Ctrl+Y → redo (Cmd on macOS).
+// Skipped while typing in a field, so the browser's own text undo still works.
+export function useUndoShortcuts({ undo, redo }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditable(e.target)) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+}
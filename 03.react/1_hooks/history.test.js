@@ -0,0 +1,81 @@
+// ==========================================
+// withHistory - undo / redo around a reducer
+// ==========================================
+
+import { withHistory, createHistory, historyActions } from "./history";
+
+// A list of items plus a UI-only filter
+const reducer = (state, action) => {
+  switch (action.type) {
+    case "add":
+      return { ...state, items: [...state.items, action.payload] };
+    case "filter":
+      return { ...state, filter: action.payload };
+    default:
+      return state;
+  }
+};
+
+const add = (item, time) => ({ type: "add", payload: item, meta: { time } });
+const setFilter = (filter) => ({ type: "filter", payload: filter });
+
+const run = (historyReducer, actions) =>
+  actions.reduce(
+    historyReducer,
+    createHistory({ items: [], filter: "all" })
+  );
+
+describe("withHistory", () => {
+  test("undo and redo step through the edits", () => {
+    const undoable = withHistory(reducer);
+    const history = run(undoable, [add("a", 0), add("b", 1000)]);
+
+    const undone = undoable(history, historyActions.undo());
+    expect(undone.present.items).toEqual(["a"]);
+
+    const redone = undoable(undone, historyActions.redo());
+    expect(redone.present.items).toEqual(["a", "b"]);
+  });
+
+  test("filtered actions are not undo steps", () => {
+    const undoable = withHistory(reducer, {
+      filter: (action) => action.type !== "filter",
+    });
+    const history = run(undoable, [add("a", 0), setFilter("done")]);
+
+    expect(history.past).toHaveLength(1);
+    expect(history.present.filter).toBe("done");
+  });
+
+  test("preserve carries non-undoable state across undo and redo", () => {
+    const undoable = withHistory(reducer, {
+      filter: (action) => action.type !== "filter",
+      preserve: (current, restored) => ({ ...restored, filter: current.filter }),
+    });
+    const history = run(undoable, [add("a", 0), add("b", 1000), setFilter("done")]);
+
+    const undone = undoable(history, historyActions.undo());
+    expect(undone.present).toEqual({ items: ["a"], filter: "done" });
+
+    const changed = undoable(undone, setFilter("active"));
+    const redone = undoable(changed, historyActions.redo());
+    expect(redone.present).toEqual({ items: ["a", "b"], filter: "active" });
+  });
+
+  test("without preserve, undo restores the snapshot as it was", () => {
+    const undoable = withHistory(reducer, {
+      filter: (action) => action.type !== "filter",
+    });
+    const history = run(undoable, [add("a", 0), add("b", 1000), setFilter("done")]);
+
+    const undone = undoable(history, historyActions.undo());
+    expect(undone.present).toEqual({ items: ["a"], filter: "all" });
+  });
+
+  test("actions with the same group key inside the window are one step", () => {
+    const undoable = withHistory(reducer, { groupWindow: 300 });
+    const history = run(undoable, [add("a", 0), add("b", 100), add("c", 1000)]);
+
+    expect(history.past.map((state) => state.items)).toEqual([[], ["a", "b"]]);
+  });
+});
@@ -0,0 +1,175 @@
+import { useCallback, useState } from "react";
+import { produce } from "./produce";
+
+// ==========================================
+// IMMUTABLE UPDATES - path helpers + structural sharing
+// ==========================================
+// Used by 1_useState.jsx (ImmutableUpdates). Instead of hand-written spreads
+//   setUser((prev) => ({ ...prev, address: { ...prev.address, city: "LA" } }))
+// write
+//   setUser((prev) => setIn(prev, ["address", "city"], "LA"))
+//
+// Every helper copies ONLY the objects on the path it changes. Everything
+// else keeps its reference, so memo children / useMemo deps that receive an
+// untouched branch see the very same object and skip their work. And when
+// nothing actually changes (same value written back, missing key removed)
+// the ORIGINAL object is returned - React bails out of the re-render.
+//
+// Path keys that are integers create arrays when a level is missing:
+//   setIn({}, ["todos", 0, "title"], "x") → { todos: [{ title: "x" }] }
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  (Object.getPrototypeOf(value) === Object.prototype ||
+    Object.getPrototypeOf(value) === null);
+
+const emptyFor = (key) => (Number.isInteger(key) ? [] : {});
+
+const hasKey = (target, key) =>
+  target !== null && typeof target === "object" && key in target;
+
+function assign(target, key, value) {
+  const copy = Array.isArray(target) ? target.slice() : { ...target };
+  copy[key] = value;
+  return copy;
+}
+
+function assertContainer(target, key) {
+  if (target !== null && target !== undefined && typeof target !== "object") {
+    throw new TypeError(
+      `Cannot set "${String(key)}" on a ${typeof target} (${String(target)})`
+    );
+  }
+}
+
+/* ============================================
+   1. PATH HELPERS
+   ============================================ */
+
+export function getIn(target, path, notSetValue) {
+  let current = target;
+  for (const key of path) {
+    if (!hasKey(current, key)) return notSetValue;
+    current = current[key];
+  }
+  return current;
+}
+
+export function setIn(target, path, value) {
+  if (!path.length) return value;
+  const [key, ...rest] = path;
+  assertContainer(target, key);
+
+  const current = hasKey(target, key) ? target[key] : undefined;
+  const child =
+    current === undefined && rest.length ? emptyFor(rest[0]) : current;
+  const next = setIn(child, rest, value);
+
+  if (hasKey(target, key) && Object.is(current, next)) return target;
+  return assign(target ?? emptyFor(key), key, next);
+}
+
+// updater(current) → next value. notSetValue is passed when the path is
+// missing: updateIn(state, ["counts", id], (n) => n + 1, 0)
+export function updateIn(target, path, updater, notSetValue) {
+  return setIn(target, path, updater(getIn(target, path, notSetValue)));
+}
+
+// Objects lose the key, arrays lose the element (later items shift down)
+export function removeIn(target, path) {
+  if (!path.length) throw new Error("removeIn needs a non-empty path");
+  const [key, ...rest] = path;
+  if (!hasKey(target, key)) return target;
+
+  if (!rest.length) {
+    if (Array.isArray(target)) return removeAt(target, key);
+    const copy = { ...target };
+    delete copy[key];
+    return copy;
+  }
+
+  const next = removeIn(target[key], rest);
+  return next === target[key] ? target : assign(target, key, next);
+}
+
+// Recursively merges plain objects; anything else (arrays included) in
+// `source` replaces the value in `target`
+export function mergeDeep(target, source) {
+  let result = target;
+
+  Object.keys(source).forEach((key) => {
+    const prev = target[key];
+    const next =
+      isPlainObject(prev) && isPlainObject(source[key])
+        ? mergeDeep(prev, source[key])
+        : source[key];
+
+    if (!(key in target) || !Object.is(prev, next)) {
+      if (result === target) result = { ...target };
+      result[key] = next;
+    }
+  });
+
+  return result;
+}
+
+/* ============================================
+   2. ARRAY HELPERS
+   ============================================ */
+// Combine with the path helpers for nested arrays:
+//   updateIn(state, ["todos"], (todos) => insertAt(todos, 0, newTodo))
+
+export const push = (array, ...items) =>
+  items.length ? [...array, ...items] : array;
+
+export function insertAt(array, index, ...items) {
+  if (!items.length) return array;
+  const copy = array.slice();
+  copy.splice(index, 0, ...items);
+  return copy;
+}
+
+export function removeAt(array, index, count = 1) {
+  if (index < 0 || index >= array.length || count < 1) return array;
+  const copy = array.slice();
+  copy.splice(index, count);
+  return copy;
+}
+
+export function updateAt(array, index, updater) {
+  if (index < 0 || index >= array.length) return array;
+  const next = updater(array[index], index);
+  return Object.is(next, array[index]) ? array : assign(array, index, next);
+}
+
+export function move(array, from, to) {
+  if (from === to || from < 0 || from >= array.length) return array;
+  const copy = array.slice();
+  const [item] = copy.splice(from, 1);
+  copy.splice(Math.max(0, Math.min(to, copy.length)), 0, item);
+  return copy;
+}
+
+/* ============================================
+   3. useImmerState
+   ============================================ */
+// useState whose setter also takes a draft recipe (see produce.js):
+//   const [todos, updateTodos] = useImmerState([]);
+//   updateTodos((draft) => { draft[1].done = true; });   // mutate the draft
+//   updateTodos([]);                                     // or a plain value
+// Like Immer, a recipe that RETURNS a value replaces the state with it.
+export function useImmerState(initialState) {
+  const [state, setState] = useState(initialState);
+
+  const update = useCallback((recipeOrValue) => {
+    setState((prev) =>
+      typeof recipeOrValue === "function"
+        ? produce(prev, recipeOrValue)
+        : recipeOrValue
+    );
+  }, []);
+
+  return [state, update];
+}
@@ -0,0 +1,267 @@
+// ==========================================
+// immutable - path helpers, array helpers, useImmerState
+// ==========================================
+
+import { act, renderHook } from "@testing-library/react";
+import {
+  getIn,
+  setIn,
+  updateIn,
+  removeIn,
+  mergeDeep,
+  push,
+  insertAt,
+  removeAt,
+  updateAt,
+  move,
+  useImmerState,
+} from "./immutable";
+
+const makeState = () => ({
+  user: { name: "Alice", address: { city: "NY", zip: "10001" } },
+  todos: [
+    { id: 1, title: "a", done: false },
+    { id: 2, title: "b", done: false },
+  ],
+  settings: { theme: "light" },
+});
+
+describe("setIn", () => {
+  test("copies only the objects on the path", () => {
+    const state = makeState();
+    const next = setIn(state, ["user", "address", "city"], "LA");
+
+    expect(next.user.address).toEqual({ city: "LA", zip: "10001" });
+    expect(next).not.toBe(state);
+    expect(next.user).not.toBe(state.user);
+    expect(next.todos).toBe(state.todos);
+    expect(next.settings).toBe(state.settings);
+    expect(state.user.address.city).toBe("NY");
+  });
+
+  test("writing the same value back returns the same object", () => {
+    const state = makeState();
+    expect(setIn(state, ["user", "address", "city"], "NY")).toBe(state);
+  });
+
+  test("creates missing levels, arrays for integer keys", () => {
+    expect(setIn({}, ["todos", 0, "title"], "x")).toEqual({
+      todos: [{ title: "x" }],
+    });
+  });
+
+  test("updates array elements by index", () => {
+    const state = makeState();
+    const next = setIn(state, ["todos", 1, "done"], true);
+
+    expect(Array.isArray(next.todos)).toBe(true);
+    expect(next.todos[1].done).toBe(true);
+    expect(next.todos[0]).toBe(state.todos[0]);
+    expect(next.user).toBe(state.user);
+  });
+
+  test("refuses to set a key on a primitive", () => {
+    expect(() => setIn({ name: "Alice" }, ["name", "first"], "A")).toThrow(
+      TypeError
+    );
+  });
+});
+
+describe("updateIn", () => {
+  test("passes the current value to the updater", () => {
+    const state = makeState();
+    const next = updateIn(state, ["todos", 0, "title"], (title) =>
+      title.toUpperCase()
+    );
+
+    expect(next.todos[0].title).toBe("A");
+    expect(next.todos[1]).toBe(state.todos[1]);
+    expect(next.settings).toBe(state.settings);
+  });
+
+  test("uses notSetValue for a missing path", () => {
+    const next = updateIn({ counts: {} }, ["counts", "x"], (n) => n + 1, 0);
+    expect(next).toEqual({ counts: { x: 1 } });
+  });
+
+  test("an updater that returns its input is a no-op", () => {
+    const state = makeState();
+    expect(updateIn(state, ["user"], (user) => user)).toBe(state);
+  });
+});
+
+describe("removeIn", () => {
+  test("drops an object key and keeps sibling branches", () => {
+    const state = makeState();
+    const next = removeIn(state, ["user", "address", "zip"]);
+
+    expect(next.user.address).toEqual({ city: "NY" });
+    expect(next.todos).toBe(state.todos);
+    expect(next.settings).toBe(state.settings);
+    expect(state.user.address.zip).toBe("10001");
+  });
+
+  test("removes array elements and shifts the rest down", () => {
+    const state = makeState();
+    const next = removeIn(state, ["todos", 0]);
+
+    expect(next.todos).toEqual([state.todos[1]]);
+    expect(next.todos[0]).toBe(state.todos[1]);
+  });
+
+  test("a missing path returns the same object", () => {
+    const state = makeState();
+    expect(removeIn(state, ["user", "phone"])).toBe(state);
+    expect(removeIn(state, ["nope", "deeper"])).toBe(state);
+  });
+
+  test("needs a path", () => {
+    expect(() => removeIn(makeState(), [])).toThrow(/non-empty path/);
+  });
+});
+
+describe("mergeDeep", () => {
+  test("merges nested plain objects and shares untouched branches", () => {
+    const state = makeState();
+    const next = mergeDeep(state, { user: { address: { city: "LA" } } });
+
+    expect(next.user).toEqual({
+      name: "Alice",
+      address: { city: "LA", zip: "10001" },
+    });
+    expect(next.todos).toBe(state.todos);
+    expect(next.settings).toBe(state.settings);
+  });
+
+  test("arrays in the source replace, they don't merge", () => {
+    const next = mergeDeep({ tags: ["a", "b"] }, { tags: ["c"] });
+    expect(next.tags).toEqual(["c"]);
+  });
+
+  test("merging values that are already there returns the same object", () => {
+    const state = makeState();
+    expect(
+      mergeDeep(state, { user: { address: { city: "NY" } }, settings: {} })
+    ).toBe(state);
+  });
+
+  test("adds keys that were missing, even with an undefined value", () => {
+    expect(mergeDeep({ a: 1 }, { b: undefined })).toHaveProperty("b");
+  });
+});
+
+describe("array helpers", () => {
+  const items = ["a", "b", "c"];
+
+  test("push / insertAt add items without touching the input", () => {
+    expect(push(items, "d")).toEqual(["a", "b", "c", "d"]);
+    expect(insertAt(items, 1, "x", "y")).toEqual(["a", "x", "y", "b", "c"]);
+    expect(items).toEqual(["a", "b", "c"]);
+  });
+
+  test("removeAt / updateAt / move return new arrays", () => {
+    expect(removeAt(items, 1)).toEqual(["a", "c"]);
+    expect(removeAt(items, 0, 2)).toEqual(["c"]);
+    expect(updateAt(items, 2, (item) => item.toUpperCase())).toEqual([
+      "a",
+      "b",
+      "C",
+    ]);
+    expect(move(items, 0, 2)).toEqual(["b", "c", "a"]);
+    expect(move(items, 2, 99)).toEqual(["a", "b", "c"]);
+    expect(items).toEqual(["a", "b", "c"]);
+  });
+
+  test("no-op calls return the same array", () => {
+    expect(push(items)).toBe(items);
+    expect(insertAt(items, 1)).toBe(items);
+    expect(removeAt(items, 5)).toBe(items);
+    expect(removeAt(items, -1)).toBe(items);
+    expect(updateAt(items, 0, (item) => item)).toBe(items);
+    expect(updateAt(items, 9, () => "z")).toBe(items);
+    expect(move(items, 1, 1)).toBe(items);
+  });
+
+  test("untouched elements keep their reference", () => {
+    const todos = makeState().todos;
+    const next = updateAt(todos, 1, (todo) => ({ ...todo, done: true }));
+
+    expect(next[0]).toBe(todos[0]);
+    expect(next[1]).toEqual({ ...todos[1], done: true });
+  });
+
+  test("combine with the path helpers for nested arrays", () => {
+    const state = makeState();
+    const todo = { id: 3, title: "c", done: false };
+    const next = updateIn(state, ["todos"], (todos) => insertAt(todos, 0, todo));
+
+    expect(next.todos.map((t) => t.id)).toEqual([3, 1, 2]);
+    expect(next.user).toBe(state.user);
+  });
+});
+
+describe("getIn", () => {
+  test("reads a nested value or falls back to notSetValue", () => {
+    const state = makeState();
+    expect(getIn(state, ["todos", 1, "title"])).toBe("b");
+    expect(getIn(state, ["user", "phone"], "n/a")).toBe("n/a");
+    expect(getIn(state, ["user", "name", "first"], "n/a")).toBe("n/a");
+  });
+});
+
+describe("useImmerState", () => {
+  test("a recipe mutates a draft and shares untouched branches", () => {
+    const initial = makeState();
+    const { result } = renderHook(() => useImmerState(initial));
+
+    act(() => {
+      result.current[1]((draft) => {
+        draft.todos[1].done = true;
+      });
+    });
+
+    const [state] = result.current;
+    expect(state).not.toBe(initial);
+    expect(state.todos[1].done).toBe(true);
+    expect(state.todos[0]).toBe(initial.todos[0]);
+    expect(state.user).toBe(initial.user);
+    expect(initial.todos[1].done).toBe(false);
+  });
+
+  test("a recipe that changes nothing keeps the same state", () => {
+    const initial = makeState();
+    const { result } = renderHook(() => useImmerState(initial));
+
+    act(() => {
+      result.current[1]((draft) => void draft.user.name);
+    });
+
+    expect(result.current[0]).toBe(initial);
+  });
+
+  test("a plain value or a returned value replaces the state", () => {
+    const { result } = renderHook(() => useImmerState(makeState()));
+
+    act(() => {
+      result.current[1]({ count: 1 });
+    });
+    expect(result.current[0]).toEqual({ count: 1 });
+
+    act(() => {
+      result.current[1]((draft) => ({ count: draft.count + 1 }));
+    });
+    expect(result.current[0]).toEqual({ count: 2 });
+  });
+
+  test("the setter is stable across renders", () => {
+    const { result, rerender } = renderHook(() => useImmerState(0));
+    const setter = result.current[1];
+
+    act(() => {
+      setter(1);
+    });
+    rerender();
+
+    expect(result.current[1]).toBe(setter);
+  });
+});
@@ -0,0 +1,170 @@
+import { useCallback, useRef, useState, useSyncExternalStore } from "react";
+
+// ==========================================
+// MIDDLEWARE - Redux-style dispatch pipeline for useReducer
+// ==========================================
+// Used by 7_useReducer.jsx (AsyncDemo), together with createAsyncThunk.js.
+//
+// const [state, dispatch] = useReducerWithMiddleware(reducer, initialState, [
+//   thunk,                 // dispatch(functions) → async logic outside the reducer
+//   createActionLogger(),  // prev state / action / next state in the console
+//   recorder.middleware,   // devtools-style action history for the UI
+// ]);
+//
+// A middleware has the exact Redux signature, so redux-thunk & co. plug in:
+//   ({ getState, dispatch }) => (next) => (action) => next(action)
+//
+// Unlike plain useReducer, getState() is correct RIGHT AFTER dispatch:
+// the reducer runs eagerly on the latest state (it's pure, so running it
+// outside React is safe) and the result is handed to React with setState.
+// That's what lets a logger print "next state" or a thunk read the state
+// between two awaits.
+//
+// The middleware list is read once on mount - pass a stable array.
+
+/* ============================================
+   1. useReducerWithMiddleware
+   ============================================ */
+
+// compose(f, g, h)(x) === f(g(h(x)))
+const compose = (...fns) =>
+  fns.reduce(
+    (a, b) =>
+      (...args) =>
+        a(b(...args)),
+    (x) => x
+  );
+
+export function useReducerWithMiddleware(
+  reducer,
+  initialArg,
+  middlewares = [],
+  init
+) {
+  const [state, setState] = useState(() =>
+    init ? init(initialArg) : initialArg
+  );
+  const stateRef = useRef(state);
+  const reducerRef = useRef(reducer);
+  reducerRef.current = reducer;
+
+  const getState = useCallback(() => stateRef.current, []);
+
+  const dispatchRef = useRef(null);
+  if (!dispatchRef.current) {
+    const baseDispatch = (action) => {
+      if (!action || typeof action.type !== "string") {
+        throw new Error(
+          "Actions must be objects with a string `type`. " +
+            "Dispatching a function? Add the thunk middleware."
+        );
+      }
+      stateRef.current = reducerRef.current(stateRef.current, action);
+      setState(stateRef.current);
+      return action;
+    };
+
+    let dispatch = () => {
+      throw new Error("Can't dispatch while the middleware is being built");
+    };
+    const api = { getState, dispatch: (action) => dispatch(action) };
+    dispatch = compose(...middlewares.map((middleware) => middleware(api)))(
+      baseDispatch
+    );
+    dispatchRef.current = dispatch;
+  }
+
+  return [state, dispatchRef.current, getState];
+}
+
+/* ============================================
+   2. BUILT-IN MIDDLEWARE
+   ============================================ */
+
+// dispatch(fn) calls fn(dispatch, getState, extra) and returns its result
+// (usually a promise) - async logic lives here, reducers stay pure
+export const createThunk =
+  (extra) =>
+  ({ dispatch, getState }) =>
+  (next) =>
+  (action) =>
+    typeof action === "function"
+      ? action(dispatch, getState, extra)
+      : next(action);
+
+export const thunk = createThunk();
+
+export const createActionLogger =
+  ({ log = console.log, predicate = () => true } = {}) =>
+  ({ getState }) =>
+  (next) =>
+  (action) => {
+    if (!predicate(action, getState())) return next(action);
+    const prevState = getState();
+    const result = next(action);
+    log(`action ${action.type}`, {
+      prevState,
+      action,
+      nextState: getState(),
+    });
+    return result;
+  };
+
+/* ============================================
+   3. ACTION RECORDER (devtools-style)
+   ============================================ */
+// const recorder = createRecorder({ limit: 20 });
+// ...middlewares: [thunk, recorder.middleware]
+// const entries = recorder.useEntries(); // re-renders on every action
+//
+// Each entry: { id, type, action, prevState, nextState, time, duration }.
+// Module-level by design - create one recorder per store you want to watch.
+
+export function createRecorder({ limit = 50 } = {}) {
+  const listeners = new Set();
+  let entries = [];
+  let nextId = 1;
+
+  const notify = () => listeners.forEach((listener) => listener());
+  const getEntries = () => entries;
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const middleware =
+    ({ getState }) =>
+    (next) =>
+    (action) => {
+      // Thunks are recorded through the plain actions they dispatch
+      if (typeof action === "function") return next(action);
+
+      const prevState = getState();
+      const start = performance.now();
+      const result = next(action);
+      entries = [
+        ...entries,
+        {
+          id: nextId++,
+          type: action.type,
+          action,
+          prevState,
+          nextState: getState(),
+          time: Date.now(),
+          duration: performance.now() - start,
+        },
+      ].slice(-limit);
+      notify();
+      return result;
+    };
+
+  const clear = () => {
+    entries = [];
+    notify();
+  };
+
+  const useEntries = () =>
+    useSyncExternalStore(subscribe, getEntries, getEntries);
+
+  return { middleware, getEntries, subscribe, clear, useEntries };
+}
@@ -0,0 +1,149 @@
+// ==========================================
+// PRODUCE - Immer-style draft updates (no dependency)
+// ==========================================
+// produce(base, draft => { draft.user.name = "Bob" }) returns a NEW object
+// where only the changed path is copied - every untouched branch is the
+// very same reference as in `base` (structural sharing).
+//
+// How it works:
+// - the draft is a Proxy over `base`; reading an object property hands out
+//   a child draft (created lazily)
+// - the first write to a draft makes a shallow copy of it AND of every
+//   parent draft up to the root (copy-on-write)
+// - at the end, copies are "finalized": child drafts are swapped for their
+//   results, untouched drafts turn back into the original objects
+//
+// Supports plain objects and arrays (Map/Set/class instances are treated as
+// values). If the recipe returns something other than undefined, that
+// return value is used instead of the draft - like Immer.
+
+const DRAFT = Symbol("draft");
+
+const isDraftable = (value) =>
+  Array.isArray(value) ||
+  (value !== null &&
+    typeof value === "object" &&
+    (Object.getPrototypeOf(value) === Object.prototype ||
+      Object.getPrototypeOf(value) === null));
+
+export const isDraft = (value) => Boolean(value && value[DRAFT]);
+
+function shallowCopy(base) {
+  return Array.isArray(base)
+    ? base.slice()
+    : Object.assign(Object.create(Object.getPrototypeOf(base)), base);
+}
+
+function markChanged(draft) {
+  if (draft.copy) return;
+  draft.copy = shallowCopy(draft.base);
+  // Existing child drafts must live in the copy so later writes reach them
+  draft.children.forEach((child, key) => {
+    draft.copy[key] = child.proxy;
+  });
+  // Only write back while we still own that slot - after
+  // `const x = s.todos[0]; s.todos = [x]` the draft lives in the new array
+  // and s.todos[0] must not be overwritten with it
+  if (draft.parent && draft.parent.children.get(draft.key) === draft) {
+    markChanged(draft.parent);
+    draft.parent.copy[draft.key] = draft.proxy;
+  }
+}
+
+function createDraft(base, parent, key) {
+  const draft = { base, copy: null, parent, key, children: new Map() };
+  const source = () => draft.copy ?? draft.base;
+
+  draft.proxy = new Proxy(base, {
+    get(target, prop) {
+      if (prop === DRAFT) return draft;
+      const current = source();
+      const value = current[prop];
+      if (!Object.prototype.hasOwnProperty.call(current, prop)) return value;
+      if (isDraft(value)) return value;
+      if (!isDraftable(value)) return value;
+
+      let child = draft.children.get(prop);
+      if (!child || child.base !== value) {
+        child = createDraft(value, draft, prop);
+        draft.children.set(prop, child);
+        if (draft.copy) draft.copy[prop] = child.proxy;
+      }
+      return child.proxy;
+    },
+    set(target, prop, value) {
+      const current = source();
+      // Writing the same value back is not a change
+      if (current[prop] === value && (value !== undefined || prop in current)) {
+        return true;
+      }
+      markChanged(draft);
+      draft.children.delete(prop);
+      draft.copy[prop] = value;
+      return true;
+    },
+    deleteProperty(target, prop) {
+      if (!(prop in source())) return true;
+      markChanged(draft);
+      draft.children.delete(prop);
+      delete draft.copy[prop];
+      return true;
+    },
+    has: (target, prop) => prop in source(),
+    ownKeys: () => Reflect.ownKeys(source()),
+    getOwnPropertyDescriptor(target, prop) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(source(), prop);
+      // Proxy invariant: can't report a property the target lacks as
+      // non-configurable
+      if (descriptor && !Object.prototype.hasOwnProperty.call(target, prop)) {
+        descriptor.configurable = true;
+      }
+      return descriptor;
+    },
+  });
+
+  return draft;
+}
+
+// Replace drafts inside a value with their finalized results
+function finalize(value) {
+  if (isDraft(value)) return finalizeDraft(value[DRAFT]);
+  if (!isDraftable(value)) return value;
+
+  // A new object built in the recipe may hold drafts, e.g.
+  // draft.todos = draft.todos.filter(...)
+  let result = value;
+  for (const key of Object.keys(value)) {
+    const finalized = finalize(value[key]);
+    if (finalized !== value[key]) {
+      if (result === value) result = shallowCopy(value);
+      result[key] = finalized;
+    }
+  }
+  return result;
+}
+
+function finalizeDraft(draft) {
+  if (!draft.copy) return draft.base; // never written - share the original
+
+  const { copy, base } = draft;
+  for (const key of Object.keys(copy)) {
+    if (copy[key] !== base[key] || isDraft(copy[key])) {
+      copy[key] = finalize(copy[key]);
+    }
+  }
+  return copy;
+}
+
+export function produce(base, recipe) {
+  if (!isDraftable(base)) {
+    const result = recipe(base);
+    return result === undefined ? base : result;
+  }
+
+  const root = createDraft(base, null, null);
+  const result = recipe(root.proxy);
+
+  if (result !== undefined && result !== root.proxy) return finalize(result);
+  return finalizeDraft(root);
+}
@@ -0,0 +1,60 @@
+// ==========================================
+// produce - copy-on-write drafts
+// ==========================================
+
+import { produce } from "./produce";
+
+const todo = (id, completed = false) => ({ id, completed });
+
+describe("produce", () => {
+  test("copies only the changed path", () => {
+    const base = { todos: [todo(1), todo(2)], user: { name: "Alice" } };
+
+    const next = produce(base, (draft) => {
+      draft.todos[1].completed = true;
+    });
+
+    expect(next).not.toBe(base);
+    expect(next.todos[0]).toBe(base.todos[0]);
+    expect(next.todos[1]).toEqual(todo(2, true));
+    expect(next.user).toBe(base.user);
+    expect(base.todos[1].completed).toBe(false);
+  });
+
+  test("returns the base when nothing changed", () => {
+    const base = { todos: [todo(1)] };
+    expect(produce(base, (draft) => void draft.todos[0].id)).toBe(base);
+  });
+
+  test("a draft moved to a new slot doesn't write back into its old one", () => {
+    const base = { todos: [todo(1), todo(2)] };
+
+    const next = produce(base, (draft) => {
+      const first = draft.todos[0];
+      draft.todos = [first];
+      first.completed = true;
+    });
+
+    expect(next.todos).toEqual([todo(1, true)]);
+    expect(base.todos).toEqual([todo(1), todo(2)]);
+  });
+
+  test("a draft moved under another key keeps its edits", () => {
+    const base = { a: { value: 1 }, b: null };
+
+    const next = produce(base, (draft) => {
+      const moved = draft.a;
+      draft.a = null;
+      draft.b = moved;
+      moved.value = 2;
+    });
+
+    expect(next).toEqual({ a: null, b: { value: 2 } });
+    expect(base.a).toEqual({ value: 1 });
+  });
+
+  test("a returned value replaces the draft", () => {
+    const base = { count: 1 };
+    expect(produce(base, () => ({ count: 0 }))).toEqual({ count: 0 });
+  });
+});
@@ -0,0 +1,181 @@
+// ==========================================
+// useFetch - shared cache, de-dupe, abort, retries
+// ==========================================
+// Every test talks to createFetchStub under fake timers, so latency and
+// retry delays are stepped through explicitly. The cache is module-wide,
+// so each test uses its own URLs.
+
+import { act, renderHook } from "@testing-library/react";
+import { useFetch, createFetchStub } from "./8_customHooks";
+
+const LATENCY = 100;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// Advance the clock and let the resolved promises settle
+const advance = (ms) =>
+  act(async () => {
+    await jest.advanceTimersByTimeAsync(ms);
+  });
+
+// Records the stub's request / success / error / abort events
+function track(stub) {
+  const events = [];
+  stub.subscribe(({ type, url }) => events.push(`${type} ${url}`));
+  return events;
+}
+
+describe("useFetch", () => {
+  test("two consumers of the same URL share one request", async () => {
+    const stub = createFetchStub(
+      { "/shared": () => ["a"] },
+      { latency: LATENCY }
+    );
+    const options = { fetcher: stub };
+
+    const first = renderHook(() => useFetch("/shared", options));
+    const second = renderHook(() => useFetch("/shared", options));
+    expect(first.result.current.loading).toBe(true);
+
+    await advance(LATENCY);
+
+    expect(stub.calls).toBe(1);
+    expect(first.result.current.data).toEqual(["a"]);
+    expect(second.result.current.data).toEqual(["a"]);
+    expect(second.result.current.loading).toBe(false);
+  });
+
+  test("aborts only when the last consumer unmounts", async () => {
+    const stub = createFetchStub({ "/slow": () => "done" }, { latency: LATENCY });
+    const events = track(stub);
+    const options = { fetcher: stub };
+
+    const first = renderHook(() => useFetch("/slow", options));
+    const second = renderHook(() => useFetch("/slow", options));
+
+    first.unmount();
+    expect(events).toEqual(["request /slow"]);
+
+    second.unmount();
+    expect(events).toEqual(["request /slow", "abort /slow"]);
+
+    // The aborted request never lands in the cache
+    await advance(LATENCY);
+    expect(events).not.toContain("success /slow");
+  });
+
+  test("refetch asks again and keeps the old data meanwhile", async () => {
+    let version = 0;
+    const stub = createFetchStub(
+      { "/count": () => ++version },
+      { latency: LATENCY }
+    );
+
+    const { result } = renderHook(() => useFetch("/count", { fetcher: stub }));
+    await advance(LATENCY);
+    expect(result.current.data).toBe(1);
+
+    act(() => {
+      result.current.refetch();
+    });
+    expect(result.current.isValidating).toBe(true);
+    // The old data stays on screen while the refetch runs
+    expect(result.current.data).toBe(1);
+
+    await advance(LATENCY);
+    expect(stub.calls).toBe(2);
+    expect(result.current.data).toBe(2);
+    expect(result.current.isValidating).toBe(false);
+  });
+
+  test("stale data shows instantly and revalidates in the background", async () => {
+    let version = 0;
+    const stub = createFetchStub(
+      { "/swr": () => ++version },
+      { latency: LATENCY }
+    );
+    const options = { fetcher: stub, staleTime: 1000 };
+
+    const first = renderHook(() => useFetch("/swr", options));
+    await advance(LATENCY);
+    first.unmount();
+
+    // Still fresh - a new consumer reads the cache without a request
+    const fresh = renderHook(() => useFetch("/swr", options));
+    expect(fresh.result.current.data).toBe(1);
+    expect(stub.calls).toBe(1);
+    fresh.unmount();
+
+    await advance(2000);
+
+    const stale = renderHook(() => useFetch("/swr", options));
+    expect(stale.result.current.data).toBe(1);
+    expect(stale.result.current.loading).toBe(false);
+    expect(stale.result.current.isValidating).toBe(true);
+
+    await advance(LATENCY);
+    expect(stub.calls).toBe(2);
+    expect(stale.result.current.data).toBe(2);
+  });
+
+  test("retries a 5xx and recovers", async () => {
+    const stub = createFetchStub(
+      { "/flaky": () => "ok" },
+      { latency: LATENCY, failRate: 1 }
+    );
+    // Fail once, then succeed
+    stub.subscribe(({ type }) => {
+      if (type === "error") stub.failRate = 0;
+    });
+
+    const { result } = renderHook(() =>
+      useFetch("/flaky", { fetcher: stub, retryDelay: () => 50 })
+    );
+
+    await advance(LATENCY);
+    expect(result.current.retryCount).toBe(1);
+    expect(result.current.error).toBeNull();
+
+    await advance(50 + LATENCY);
+    expect(stub.calls).toBe(2);
+    expect(result.current.data).toBe("ok");
+    expect(result.current.retryCount).toBe(0);
+  });
+
+  test("gives up on a 5xx after `retries` attempts", async () => {
+    const stub = createFetchStub(
+      { "/down": () => "ok" },
+      { latency: LATENCY, failRate: 1 }
+    );
+
+    const { result } = renderHook(() =>
+      useFetch("/down", { fetcher: stub, retries: 2, retryDelay: () => 50 })
+    );
+
+    await advance(3 * LATENCY + 2 * 50);
+    expect(stub.calls).toBe(3);
+    expect(result.current.error.status).toBe(500);
+    expect(result.current.loading).toBe(false);
+  });
+
+  test("does not retry a 4xx", async () => {
+    const stub = createFetchStub({}, { latency: LATENCY });
+
+    const { result } = renderHook(() =>
+      useFetch("/missing", { fetcher: stub, retryDelay: () => 50 })
+    );
+
+    await advance(LATENCY);
+    expect(result.current.error.status).toBe(404);
+    expect(result.current.loading).toBe(false);
+
+    await advance(1000);
+    expect(stub.calls).toBe(1);
+  });
+});
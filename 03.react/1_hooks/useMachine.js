@@ -0,0 +1,37 @@
+import { useState, useSyncExternalStore } from "react";
+// TypeScript from the TS section - needs a bundler that compiles .ts
+// imports (see "Running the Examples" in 03.react/README.MD)
+import { createService } from "../../02.typescript/01fundamentals/stateMachine";
+
+// ==========================================
+// USE MACHINE - a state machine as component state
+// ==========================================
+// React binding for stateMachine.ts. Used by 7_useReducer.jsx
+// (FetchMachineDemo).
+//
+// const [state, send, service] = useMachine(fetchMachine);
+// state.value            → "idle" | "loading" | ...
+// state.context          → the machine's extended state (data, error, ...)
+// send({ type: "FETCH" }) / send("FETCH")
+// service.getLog()       → every event, accepted or rejected
+//
+// Like useReducer, but the machine - not the component - decides whether
+// an event is allowed in the current state. A rejected event leaves the
+// state alone; the component still re-renders so the log is up to date.
+//
+// The machine is read once on mount (one service per component).
+// options.state starts from a saved state: machine.restore(json).
+
+export function useMachine(machine, options) {
+  const [service] = useState(() => createService(machine, options));
+
+  const state = useSyncExternalStore(
+    service.subscribe,
+    service.getState,
+    service.getState
+  );
+  // Subscribed separately: a rejected event changes the log, not the state
+  useSyncExternalStore(service.subscribe, service.getLog, service.getLog);
+
+  return [state, service.send, service];
+}
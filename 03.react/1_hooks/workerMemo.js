@@ -0,0 +1,174 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+// ==========================================
+// useWorkerMemo - useMemo that runs in a Web Worker
+// ==========================================
+// Used by 4_useMemo.jsx (FilterSortDemo).
+//
+// const { value, pending, error, duration } =
+//   useWorkerMemo(compute, [items, query], { worker: true });
+//
+// compute(...deps) is called with the dependency values as arguments and
+// must be PURE and SELF-CONTAINED: it is sent to the worker as source code,
+// so it can't see imports or variables from the surrounding module.
+//
+// - Arguments are structured-cloned into the worker. The worker keeps the
+//   last arguments, so an unchanged one (same reference) isn't sent again -
+//   typing a query doesn't copy 500k items on every keystroke.
+// - ArrayBuffers / typed arrays in the result are TRANSFERRED back
+//   (zero-copy) instead of cloned.
+// - When the deps change while a job is still running, that worker is
+//   terminated - the only way to really stop a busy thread - and a fresh
+//   one takes the new job. A stale result can never overwrite a newer one.
+// - No Worker (jsdom / Jest, SSR) or { worker: false }: compute runs
+//   synchronously during render, exactly like useMemo. pending is false
+//   and value is ready on the first render, so tests need no waitFor.
+
+export const canUseWorkers = () =>
+  typeof Worker !== "undefined" &&
+  typeof Blob !== "undefined" &&
+  typeof URL !== "undefined" &&
+  typeof URL.createObjectURL === "function";
+
+// Buffers inside the result (the value itself, or one level down in an
+// object/array). Each buffer once - transferring a buffer twice throws.
+function collectTransferables(value) {
+  const buffers = new Set();
+  const add = (item) => {
+    if (item instanceof ArrayBuffer) buffers.add(item);
+    else if (ArrayBuffer.isView(item)) buffers.add(item.buffer);
+  };
+  add(value);
+  if (value && typeof value === "object" && !ArrayBuffer.isView(value)) {
+    Object.values(value).forEach(add);
+  }
+  return [...buffers];
+}
+
+// Worker script: message = { id, args: { [index]: value }, length }
+// where args only holds the arguments that changed since the last job
+const workerSource = (computeSource) => `
+const compute = (${computeSource});
+${collectTransferables.toString()}
+let args = [];
+
+self.onmessage = ({ data: { id, args: changed, length } }) => {
+  for (const index in changed) args[index] = changed[index];
+  args.length = length;
+
+  const start = performance.now();
+  try {
+    const value = compute(...args);
+    self.postMessage(
+      { id, value, duration: performance.now() - start },
+      collectTransferables(value)
+    );
+  } catch (error) {
+    self.postMessage({ id, error: String(error && error.message || error) });
+  }
+};
+`;
+
+function spawn(source) {
+  const url = URL.createObjectURL(
+    new Blob([workerSource(source)], { type: "text/javascript" })
+  );
+  return { worker: new Worker(url), url, source, sent: [], busy: false };
+}
+
+function terminate(instance) {
+  instance.worker.terminate();
+  URL.revokeObjectURL(instance.url);
+}
+
+function runSync(compute, args) {
+  const start = performance.now();
+  try {
+    const value = compute(...args);
+    return { value, pending: false, error: null, duration: performance.now() - start };
+  } catch (error) {
+    return { value: undefined, pending: false, error, duration: performance.now() - start };
+  }
+}
+
+let nextJobId = 1;
+
+export function useWorkerMemo(compute, deps, { worker = true } = {}) {
+  const inWorker = worker && canUseWorkers();
+  const source = compute.toString();
+
+  // Synchronous path - a plain useMemo
+  const syncResult = useMemo(
+    () => (inWorker ? null : runSync(compute, deps)),
+    [inWorker, source, ...deps]
+  );
+
+  const [result, setResult] = useState({
+    value: undefined,
+    pending: true,
+    error: null,
+    duration: 0,
+  });
+  const instanceRef = useRef(null);
+
+  useEffect(() => {
+    if (!inWorker) return undefined;
+
+    let instance = instanceRef.current;
+    if (instance && instance.source !== source) {
+      terminate(instance);
+      instance = null;
+    }
+    if (!instance) instance = instanceRef.current = spawn(source);
+
+    const id = nextJobId++;
+    const changed = {};
+    deps.forEach((arg, index) => {
+      if (!(index in instance.sent) || !Object.is(instance.sent[index], arg)) {
+        changed[index] = arg;
+      }
+    });
+
+    const finish = (next) => {
+      instance.busy = false;
+      setResult({ pending: false, duration: 0, value: undefined, error: null, ...next });
+    };
+
+    instance.worker.onmessage = ({ data }) => {
+      if (data.id !== id) return; // stale
+      if (data.error) finish({ error: new Error(data.error) });
+      else finish({ value: data.value, duration: data.duration });
+    };
+    instance.worker.onerror = (event) => {
+      event.preventDefault();
+      finish({ error: new Error(event.message || "Worker failed") });
+    };
+
+    setResult((prev) => (prev.pending ? prev : { ...prev, pending: true }));
+    try {
+      instance.worker.postMessage({ id, args: changed, length: deps.length });
+      instance.sent = [...deps];
+      instance.busy = true;
+    } catch (error) {
+      finish({ error }); // DataCloneError - an argument can't be cloned
+    }
+
+    return () => {
+      // Deps changed (or unmount) mid-job: kill the stale computation
+      if (instance.busy) {
+        terminate(instance);
+        if (instanceRef.current === instance) instanceRef.current = null;
+      }
+    };
+  }, [inWorker, source, ...deps]);
+
+  useEffect(
+    () => () => {
+      if (instanceRef.current) terminate(instanceRef.current);
+      instanceRef.current = null;
+    },
+    []
+  );
+
+  return inWorker ? result : syncResult;
+}
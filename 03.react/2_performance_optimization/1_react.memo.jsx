@@ -1,33 +1,31 @@
-import React, { useState, useMemo, memo, useCallback, useRef } from "react";
+import React, { useState, useMemo, memo, useCallback } from "react";
+import { profiled, RenderBadge, ProfilerPanel } from "./profiler";
 
 // ==========================================
 // 1. BASIC REACT.MEMO DEMO
 // ==========================================
-const RegularChild = ({ name }) => {
-  const renderCount = useRef(0);
-  renderCount.current++;
-
+const RegularChild = profiled(({ name }) => {
   return (
     <div className="p-3 bg-red-100 rounded border border-red-300">
       <p className="font-semibold">Regular Child (No memo)</p>
       <p className="text-sm">Name: {name}</p>
-      <p className="text-xs text-red-600">Renders: {renderCount.current}</p>
+      <RenderBadge className="text-xs text-red-600" />
     </div>
   );
-};
-
-const MemoizedChild = memo(({ name }) => {
-  const renderCount = useRef(0);
-  renderCount.current++;
+}, "RegularChild");
 
-  return (
-    <div className="p-3 bg-green-100 rounded border border-green-300">
-      <p className="font-semibold">Memoized Child (With memo)</p>
-      <p className="text-sm">Name: {name}</p>
-      <p className="text-xs text-green-600">Renders: {renderCount.current}</p>
-    </div>
-  );
-});
+const MemoizedChild = profiled(
+  memo(({ name }) => {
+    return (
+      <div className="p-3 bg-green-100 rounded border border-green-300">
+        <p className="font-semibold">Memoized Child (With memo)</p>
+        <p className="text-sm">Name: {name}</p>
+        <RenderBadge className="text-xs text-green-600" />
+      </div>
+    );
+  }),
+  "MemoizedChild"
+);
 
 const BasicMemoDemo = () => {
   const [parentCount, setParentCount] = useState(0);
@@ -68,17 +66,17 @@ const BasicMemoDemo = () => {
 // ==========================================
 // 2. OBJECT PROPS PROBLEM
 // ==========================================
-const ChildWithObject = memo(({ user }) => {
-  const renderCount = useRef(0);
-  renderCount.current++;
-
-  return (
-    <div className="p-3 bg-purple-100 rounded border">
-      <p className="text-sm">User: {user.name}</p>
-      <p className="text-xs">Renders: {renderCount.current}</p>
-    </div>
-  );
-});
+const ChildWithObject = profiled(
+  memo(({ user }) => {
+    return (
+      <div className="p-3 bg-purple-100 rounded border">
+        <p className="text-sm">User: {user.name}</p>
+        <RenderBadge className="text-xs" />
+      </div>
+    );
+  }),
+  "ChildWithObject"
+);
 
 const ObjectPropsDemo = () => {
   const [count, setCount] = useState(0);
@@ -125,22 +123,22 @@ const ObjectPropsDemo = () => {
 // ==========================================
 // 3. FUNCTION PROPS PROBLEM
 // ==========================================
-const ChildWithFunction = memo(({ onClick, label }) => {
-  const renderCount = useRef(0);
-  renderCount.current++;
-
-  return (
-    <div className="p-3 bg-orange-100 rounded border">
-      <button
-        onClick={onClick}
-        className="px-3 py-1 bg-orange-500 text-white rounded text-sm"
-      >
-        {label}
-      </button>
-      <p className="text-xs mt-2">Renders: {renderCount.current}</p>
-    </div>
-  );
-});
+const ChildWithFunction = profiled(
+  memo(({ onClick, label }) => {
+    return (
+      <div className="p-3 bg-orange-100 rounded border">
+        <button
+          onClick={onClick}
+          className="px-3 py-1 bg-orange-500 text-white rounded text-sm"
+        >
+          {label}
+        </button>
+        <RenderBadge className="text-xs mt-2" />
+      </div>
+    );
+  }),
+  "ChildWithFunction"
+);
 
 const FunctionPropsDemo = () => {
   const [count, setCount] = useState(0);
@@ -192,39 +190,39 @@ const FunctionPropsDemo = () => {
 // 4. CUSTOM COMPARISON FUNCTION
 // ==========================================
 // Shallow comparison (default)
-const ShallowMemoChild = memo(({ user }) => {
-  const renderCount = useRef(0);
-  renderCount.current++;
-
-  return (
-    <div className="p-3 bg-blue-100 rounded border">
-      <p className="text-sm">
-        {user.name} (ID: {user.id})
-      </p>
-      <p className="text-xs">Renders: {renderCount.current}</p>
-    </div>
-  );
-});
-
-// Custom comparison - only care about ID
-const CustomMemoChild = memo(
-  ({ user }) => {
-    const renderCount = useRef(0);
-    renderCount.current++;
-
+const ShallowMemoChild = profiled(
+  memo(({ user }) => {
     return (
-      <div className="p-3 bg-green-100 rounded border">
+      <div className="p-3 bg-blue-100 rounded border">
         <p className="text-sm">
           {user.name} (ID: {user.id})
         </p>
-        <p className="text-xs">Renders: {renderCount.current}</p>
+        <RenderBadge className="text-xs" />
       </div>
     );
-  },
-  (prevProps, nextProps) => {
-    // Return true = don't re-render
-    return prevProps.user.id === nextProps.user.id;
-  }
+  }),
+  "ShallowMemoChild"
+);
+
+// Custom comparison - only care about ID
+const CustomMemoChild = profiled(
+  memo(
+    ({ user }) => {
+      return (
+        <div className="p-3 bg-green-100 rounded border">
+          <p className="text-sm">
+            {user.name} (ID: {user.id})
+          </p>
+          <RenderBadge className="text-xs" />
+        </div>
+      );
+    },
+    (prevProps, nextProps) => {
+      // Return true = don't re-render
+      return prevProps.user.id === nextProps.user.id;
+    }
+  ),
+  "CustomMemoChild"
 );
 
 const CustomComparisonDemo = () => {
@@ -278,17 +276,17 @@ const CustomComparisonDemo = () => {
 // ==========================================
 // 5. WHEN MEMO DOESN'T HELP
 // ==========================================
-const FastComponent = memo(({ text }) => {
-  const renderCount = useRef(0);
-  renderCount.current++;
-
-  return (
-    <div className="p-2 bg-gray-100 rounded text-sm">
-      <p>{text}</p>
-      <p className="text-xs">Renders: {renderCount.current}</p>
-    </div>
-  );
-});
+const FastComponent = profiled(
+  memo(({ text }) => {
+    return (
+      <div className="p-2 bg-gray-100 rounded text-sm">
+        <p>{text}</p>
+        <RenderBadge className="text-xs" />
+      </div>
+    );
+  }),
+  "FastComponent"
+);
 
 const WhenMemoDoesntHelp = () => {
   const [count, setCount] = useState(0);
@@ -334,35 +332,35 @@ const WhenMemoDoesntHelp = () => {
 // ==========================================
 // 6. COMPLETE OPTIMIZATION PATTERN
 // ==========================================
-const ExpensiveListItem = memo(({ item, onDelete }) => {
-  const renderCount = useRef(0);
-  renderCount.current++;
-
-  // Simulate expensive render
-  const expensiveValue = useMemo(() => {
-    let result = 0;
-    for (let i = 0; i < 1000; i++) {
-      result += Math.sqrt(item.value);
-    }
-    return result.toFixed(2);
-  }, [item.value]);
+const ExpensiveListItem = profiled(
+  memo(({ item, onDelete }) => {
+    // Simulate expensive render
+    const expensiveValue = useMemo(() => {
+      let result = 0;
+      for (let i = 0; i < 1000; i++) {
+        result += Math.sqrt(item.value);
+      }
+      return result.toFixed(2);
+    }, [item.value]);
 
-  return (
-    <div className="p-2 bg-white border rounded flex justify-between items-center">
-      <div>
-        <p className="text-sm font-medium">{item.name}</p>
-        <p className="text-xs text-gray-600">Computed: {expensiveValue}</p>
-        <p className="text-xs text-gray-500">Renders: {renderCount.current}</p>
+    return (
+      <div className="p-2 bg-white border rounded flex justify-between items-center">
+        <div>
+          <p className="text-sm font-medium">{item.name}</p>
+          <p className="text-xs text-gray-600">Computed: {expensiveValue}</p>
+          <RenderBadge className="text-xs text-gray-500" />
+        </div>
+        <button
+          onClick={() => onDelete(item.id)}
+          className="px-2 py-1 bg-red-500 text-white rounded text-xs"
+        >
+          Delete
+        </button>
       </div>
-      <button
-        onClick={() => onDelete(item.id)}
-        className="px-2 py-1 bg-red-500 text-white rounded text-xs"
-      >
-        Delete
-      </button>
-    </div>
-  );
-});
+    );
+  }),
+  "ExpensiveListItem"
+);
 
 const CompletePattern = () => {
   const [items, setItems] = useState([
@@ -437,6 +435,7 @@ export default function App() {
       <CustomComparisonDemo />
       <WhenMemoDoesntHelp />
       <CompletePattern />
+      <ProfilerPanel />
 
       <div className="mt-6 p-4 bg-white border-2 border-gray-300 rounded">
         <h3 className="font-bold mb-2">🎯 React.memo Interview Checklist:</h3>
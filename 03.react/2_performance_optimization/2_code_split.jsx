@@ -1,4 +1,16 @@
 import React, { useState, lazy, Suspense, useRef } from "react";
+import {
+  Router,
+  Outlet,
+  Link,
+  useRouter,
+  createHashHistory,
+  registerChunk,
+  lazyChunk,
+  useChunkRegistry,
+  lazyWithRetry,
+} from "./lazyRouter";
+import { ErrorBoundary, useErrorBoundary } from "./errorBoundary";
 
 // ==========================================
 // 1. BASIC LAZY LOADING DEMO
@@ -70,124 +82,191 @@ const BasicLazyDemo = () => {
 };
 
 // ==========================================
-// 2. ROUTE-BASED SPLITTING SIMULATION
+// 2. ROUTE-BASED SPLITTING
 // ==========================================
 
-const HomePage = () => (
-  <div className="p-4 bg-green-100 rounded border">
-    <h4 className="font-semibold">🏠 Home Page</h4>
-    <p className="text-sm mt-2">Lightweight landing page</p>
-    <p className="text-xs text-gray-600 mt-2">Bundle: ~50KB</p>
-  </div>
+// The pages are real modules (./pages/*) loaded with import(). A fake
+// network sits in front of each import so the demo can show latency,
+// a flaky connection (retried with backoff) and a deleted chunk after a
+// deploy (retries fail → the page reloads once and gets the new files).
+const network = { mode: "ok" };
+const failedAttempts = new Map();
+
+const overNetwork = (id, importer, latency = 600) => async () => {
+  await new Promise((resolve) => setTimeout(resolve, latency));
+
+  const failures = failedAttempts.get(id) || 0;
+  const fails =
+    network.mode === "deleted" || (network.mode === "flaky" && failures < 2);
+  if (fails) {
+    failedAttempts.set(id, failures + 1);
+    throw new TypeError(
+      `Failed to fetch dynamically imported module: /assets/${id}.chunk.js`
+    );
+  }
+  return importer();
+};
+
+const homeChunk = registerChunk(
+  "home",
+  overNetwork("home", () => import("./pages/HomePage"))
+);
+const dashboardChunk = registerChunk(
+  "dashboard",
+  overNetwork("dashboard", () => import("./pages/DashboardPage"))
+);
+const adminChunk = registerChunk(
+  "admin",
+  overNetwork("admin", () => import("./pages/AdminPage"))
 );
 
-const DashboardPage = () => (
-  <div className="p-4 bg-purple-100 rounded border">
-    <h4 className="font-semibold">📊 Dashboard</h4>
-    <p className="text-sm mt-2">Heavy dashboard with charts</p>
-    <div className="mt-2 space-y-1">
-      <div className="h-16 bg-purple-300 rounded"></div>
-      <div className="h-16 bg-purple-300 rounded"></div>
+const NotFoundPage = () => {
+  const { pathname } = useRouter();
+  return (
+    <div className="p-4 bg-gray-100 rounded border text-sm">
+      No route matches <code>{pathname}</code>
     </div>
-    <p className="text-xs text-gray-600 mt-2">
-      Bundle: ~200KB (loaded on demand)
-    </p>
-  </div>
-);
+  );
+};
 
-const AdminPage = () => (
-  <div className="p-4 bg-red-100 rounded border">
-    <h4 className="font-semibold">🔐 Admin Panel</h4>
-    <p className="text-sm mt-2">Admin-only features</p>
-    <p className="text-xs text-gray-600 mt-2">
-      Bundle: ~150KB (loaded on demand)
-    </p>
+// Nested routes: children render inside the parent's <Outlet />
+const routes = [
+  { path: "/", component: lazyChunk(homeChunk) },
+  {
+    path: "/dashboard",
+    component: lazyChunk(dashboardChunk),
+    children: [
+      { index: true, component: lazyChunk(dashboardChunk, "DashboardOverview") },
+      { path: "reports", component: lazyChunk(dashboardChunk, "DashboardReports") },
+    ],
+  },
+  {
+    path: "/admin",
+    component: lazyChunk(adminChunk),
+    children: [
+      { path: "users/:userId", component: lazyChunk(adminChunk, "AdminUser") },
+    ],
+  },
+  { path: "*", component: NotFoundPage },
+];
+
+// URLs look like #/dashboard/reports - back/forward buttons work
+const history = createHashHistory();
+
+const ROUTE_CHUNKS = ["home", "dashboard", "admin"];
+const NETWORK_MODES = [
+  { value: "ok", label: "Normal" },
+  { value: "flaky", label: "Flaky (first 2 requests fail)" },
+  { value: "deleted", label: "Chunk deleted by a deploy" },
+];
+
+const CHUNK_STATUS_STYLES = {
+  idle: "bg-gray-100 text-gray-500",
+  loading: "bg-yellow-100 text-yellow-700",
+  loaded: "bg-green-100 text-green-700",
+  failed: "bg-red-100 text-red-700",
+};
+
+const RouteSpinner = () => (
+  <div className="p-8 border rounded bg-white text-center">
+    <div className="animate-spin h-8 w-8 border-4 border-purple-500 border-t-transparent rounded-full mx-auto mb-2"></div>
+    <p className="text-sm text-gray-600">Loading route...</p>
   </div>
 );
 
+const navClass =
+  (activeColor) =>
+  ({ isActive }) =>
+    `px-3 py-2 rounded text-sm ${
+      isActive ? `${activeColor} text-white` : "bg-white border hover:bg-gray-50"
+    }`;
+
+const CurrentUrl = () => {
+  const { pathname } = useRouter();
+  return (
+    <p className="text-xs text-gray-500 mb-2 font-mono">URL: #{pathname}</p>
+  );
+};
+
+const ChunkList = ({ ids }) => {
+  const chunks = useChunkRegistry().filter((chunk) => ids.includes(chunk.id));
+
+  return (
+    <div className="flex gap-2 flex-wrap">
+      {chunks.map((chunk) => (
+        <span
+          key={chunk.id}
+          title={chunk.error || undefined}
+          className={`px-2 py-1 rounded text-xs ${
+            CHUNK_STATUS_STYLES[chunk.status]
+          }`}
+        >
+          {chunk.id}.chunk.js - {chunk.status}
+          {chunk.reason === "prefetch" && " (prefetched)"}
+          {chunk.requests > 0 && ` · ${chunk.requests} request(s)`}
+        </span>
+      ))}
+    </div>
+  );
+};
+
 const RouteBasedSplitting = () => {
-  const [currentRoute, setCurrentRoute] = useState("home");
-  const [loading, setLoading] = useState(false);
-  const [loadedRoutes, setLoadedRoutes] = useState(["home"]);
+  const [mode, setMode] = useState(network.mode);
 
-  const handleRouteChange = (route) => {
-    if (!loadedRoutes.includes(route)) {
-      setLoading(true);
-      setTimeout(() => {
-        setCurrentRoute(route);
-        setLoadedRoutes([...loadedRoutes, route]);
-        setLoading(false);
-      }, 600);
-    } else {
-      setCurrentRoute(route);
-    }
+  const changeMode = (next) => {
+    network.mode = next;
+    failedAttempts.clear();
+    setMode(next);
   };
 
   return (
     <div className="p-4 border rounded mb-4 bg-purple-50">
       <h3 className="font-bold text-lg mb-3">2. Route-Based Code Splitting</h3>
 
-      <div className="flex gap-2 mb-4">
-        <button
-          onClick={() => handleRouteChange("home")}
-          className={`px-3 py-2 rounded text-sm ${
-            currentRoute === "home"
-              ? "bg-green-500 text-white"
-              : "bg-white border hover:bg-gray-50"
-          }`}
-        >
-          Home
-        </button>
-        <button
-          onClick={() => handleRouteChange("dashboard")}
-          className={`px-3 py-2 rounded text-sm ${
-            currentRoute === "dashboard"
-              ? "bg-purple-500 text-white"
-              : "bg-white border hover:bg-gray-50"
-          }`}
-        >
-          Dashboard
-        </button>
-        <button
-          onClick={() => handleRouteChange("admin")}
-          className={`px-3 py-2 rounded text-sm ${
-            currentRoute === "admin"
-              ? "bg-red-500 text-white"
-              : "bg-white border hover:bg-gray-50"
-          }`}
-        >
-          Admin
-        </button>
-      </div>
-
-      {loading ? (
-        <div className="p-8 border rounded bg-white text-center">
-          <div className="animate-spin h-8 w-8 border-4 border-purple-500 border-t-transparent rounded-full mx-auto mb-2"></div>
-          <p className="text-sm text-gray-600">Loading route...</p>
-        </div>
-      ) : (
-        <>
-          {currentRoute === "home" && <HomePage />}
-          {currentRoute === "dashboard" && <DashboardPage />}
-          {currentRoute === "admin" && <AdminPage />}
-        </>
-      )}
+      <Router routes={routes} history={history} fallback={<RouteSpinner />}>
+        <nav className="flex gap-2 mb-2">
+          <Link to="/" end className={navClass("bg-green-500")}>
+            Home
+          </Link>
+          <Link to="/dashboard" className={navClass("bg-purple-500")}>
+            Dashboard
+          </Link>
+          <Link
+            to="/admin"
+            prefetch="visible"
+            className={navClass("bg-red-500")}
+          >
+            Admin
+          </Link>
+        </nav>
+        <CurrentUrl />
+        <Outlet />
+      </Router>
 
       <div className="mt-4 p-3 bg-white rounded border text-sm">
-        <p className="font-semibold mb-2">📦 Loaded Chunks:</p>
-        <div className="flex gap-2 flex-wrap">
-          {loadedRoutes.map((route) => (
-            <span
-              key={route}
-              className="px-2 py-1 bg-green-100 text-green-700 rounded text-xs"
-            >
-              {route}.chunk.js
-            </span>
+        <p className="font-semibold mb-2">🌐 Network:</p>
+        <div className="flex gap-3 flex-wrap mb-3">
+          {NETWORK_MODES.map((option) => (
+            <label key={option.value} className="flex items-center gap-1 text-xs">
+              <input
+                type="radio"
+                name="network-mode"
+                checked={mode === option.value}
+                onChange={() => changeMode(option.value)}
+              />
+              {option.label}
+            </label>
           ))}
         </div>
-        <p className="text-xs text-gray-600 mt-2">
-          Only routes you visit get loaded!
-        </p>
+
+        <p className="font-semibold mb-2">📦 Loaded Chunks:</p>
+        <ChunkList ids={ROUTE_CHUNKS} />
+        <ul className="text-xs text-gray-600 mt-2 list-disc list-inside">
+          <li>Only routes you visit get loaded!</li>
+          <li>Hover "Dashboard" → its chunk starts downloading early</li>
+          <li>"Admin" prefetches as soon as the link is visible</li>
+          <li>Each chunk is requested once, whoever asks first</li>
+        </ul>
       </div>
     </div>
   );
@@ -271,58 +350,58 @@ const ModalSplitting = () => {
 // 4. TAB CONTENT SPLITTING
 // ==========================================
 
-const ProfileTab = () => (
-  <div className="p-4 bg-blue-100 rounded">
-    <h4 className="font-semibold">Profile Information</h4>
-    <p className="text-sm mt-2">User profile data and forms</p>
-  </div>
-);
+// Same registry as the routes: hovering a tab prefetches its chunk
+const TABS = {
+  profile: lazyChunk(
+    registerChunk(
+      "profile-tab",
+      overNetwork("profile-tab", () => import("./tabs/ProfileTab"), 400)
+    )
+  ),
+  analytics: lazyChunk(
+    registerChunk(
+      "analytics-tab",
+      overNetwork("analytics-tab", () => import("./tabs/AnalyticsTab"), 400)
+    )
+  ),
+  settings: lazyChunk(
+    registerChunk(
+      "settings-tab",
+      overNetwork("settings-tab", () => import("./tabs/SettingsTab"), 400)
+    )
+  ),
+};
 
-const AnalyticsTab = () => (
-  <div className="p-4 bg-green-100 rounded">
-    <h4 className="font-semibold">Analytics Dashboard</h4>
-    <div className="mt-2 space-y-2">
-      <div className="h-12 bg-green-300 rounded"></div>
-      <div className="h-12 bg-green-300 rounded"></div>
-    </div>
-    <p className="text-xs text-gray-600 mt-2">Heavy chart library</p>
-  </div>
-);
+const TAB_CHUNKS = ["profile-tab", "analytics-tab", "settings-tab"];
 
-const SettingsTab = () => (
-  <div className="p-4 bg-purple-100 rounded">
-    <h4 className="font-semibold">Settings</h4>
-    <p className="text-sm mt-2">Configuration options</p>
+const TabSkeleton = () => (
+  <div className="p-8 border rounded bg-white text-center">
+    <div className="animate-pulse space-y-2">
+      <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+      <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+    </div>
   </div>
 );
 
 const TabSplitting = () => {
   const [activeTab, setActiveTab] = useState("profile");
-  const [loading, setLoading] = useState(false);
-  const [loadedTabs, setLoadedTabs] = useState(["profile"]);
+  const loadedTabs = useChunkRegistry().filter(
+    (chunk) => TAB_CHUNKS.includes(chunk.id) && chunk.status === "loaded"
+  );
 
-  const handleTabChange = (tab) => {
-    if (!loadedTabs.includes(tab)) {
-      setLoading(true);
-      setTimeout(() => {
-        setActiveTab(tab);
-        setLoadedTabs([...loadedTabs, tab]);
-        setLoading(false);
-      }, 400);
-    } else {
-      setActiveTab(tab);
-    }
-  };
+  const ActiveTab = TABS[activeTab];
 
   return (
     <div className="p-4 border rounded mb-4 bg-green-50">
       <h3 className="font-bold text-lg mb-3">4. Tab Content Splitting</h3>
 
       <div className="flex gap-2 mb-4 border-b">
-        {["profile", "analytics", "settings"].map((tab) => (
+        {Object.keys(TABS).map((tab) => (
           <button
             key={tab}
-            onClick={() => handleTabChange(tab)}
+            onClick={() => setActiveTab(tab)}
+            onMouseEnter={TABS[tab].preload}
+            onFocus={TABS[tab].preload}
             className={`px-4 py-2 text-sm capitalize ${
               activeTab === tab
                 ? "border-b-2 border-blue-500 font-semibold"
@@ -334,33 +413,15 @@ const TabSplitting = () => {
         ))}
       </div>
 
-      {loading ? (
-        <div className="p-8 border rounded bg-white text-center">
-          <div className="animate-pulse space-y-2">
-            <div className="h-4 bg-gray-200 rounded w-3/4"></div>
-            <div className="h-4 bg-gray-200 rounded w-1/2"></div>
-          </div>
-        </div>
-      ) : (
-        <>
-          {activeTab === "profile" && <ProfileTab />}
-          {activeTab === "analytics" && <AnalyticsTab />}
-          {activeTab === "settings" && <SettingsTab />}
-        </>
-      )}
+      <Suspense fallback={<TabSkeleton />}>
+        <ActiveTab />
+      </Suspense>
 
       <div className="mt-4 p-3 bg-white rounded border text-sm">
-        <p className="font-semibold mb-1">Loaded Tabs: {loadedTabs.length}/3</p>
-        <div className="flex gap-2">
-          {loadedTabs.map((tab) => (
-            <span
-              key={tab}
-              className="px-2 py-1 bg-green-100 text-green-700 rounded text-xs capitalize"
-            >
-              {tab}
-            </span>
-          ))}
-        </div>
+        <p className="font-semibold mb-1">
+          Loaded Tabs: {loadedTabs.length}/{TAB_CHUNKS.length}
+        </p>
+        <ChunkList ids={TAB_CHUNKS} />
       </div>
     </div>
   );
@@ -370,79 +431,142 @@ const TabSplitting = () => {
 // 5. ERROR HANDLING DEMO
 // ==========================================
 
-const ErrorBoundaryDemo = () => {
-  const [showError, setShowError] = useState(false);
-  const [hasError, setHasError] = useState(false);
-  const [loading, setLoading] = useState(false);
-
-  const handleLoad = () => {
-    setLoading(true);
-    setTimeout(() => {
-      if (showError) {
-        setHasError(true);
+// A dynamic import that fails its first `failures` requests, then succeeds.
+// lazyWithRetry retries twice on its own; when it still fails, the
+// ErrorBoundary shows the fallback and "Try Again" imports once more.
+const WIDGET_RETRIES = 2;
+const FAILURE_OPTIONS = [
+  { failures: 0, label: "Healthy network" },
+  { failures: 2, label: "Fails 2× (retries recover)" },
+  { failures: 4, label: "Fails 4× (needs Try Again)" },
+];
+
+const createWidget = (failures, log) => {
+  let requests = 0;
+  return lazyWithRetry(
+    async () => {
+      requests += 1;
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      if (requests <= failures) {
+        log(`request ${requests} ✗ failed`);
+        throw new TypeError(
+          "Failed to fetch dynamically imported module: /assets/analytics-widget.chunk.js"
+        );
       }
-      setLoading(false);
-    }, 800);
+      log(`request ${requests} ✓ loaded`);
+      return import("./tabs/AnalyticsTab");
+    },
+    {
+      retries: WIDGET_RETRIES,
+      baseDelay: 300,
+      onRetry: (retry) => log(`retry ${retry}/${WIDGET_RETRIES} scheduled`),
+    }
+  );
+};
+
+const WidgetError = ({ error, resetErrorBoundary }) => (
+  <div className="p-4 border-2 border-red-500 rounded bg-white">
+    <h4 className="font-semibold text-red-600 mb-2">
+      ⚠️ Error Loading Component
+    </h4>
+    <p className="text-xs text-gray-600 mb-3 break-all">{error.message}</p>
+    <button
+      onClick={resetErrorBoundary}
+      className="px-3 py-1 bg-red-500 text-white rounded text-sm hover:bg-red-600"
+    >
+      Try Again
+    </button>
+  </div>
+);
+
+// Errors in event handlers and promises never reach an error boundary on
+// their own - showBoundary() hands them over
+const SaveReportButton = () => {
+  const { showBoundary } = useErrorBoundary();
+  const [saving, setSaving] = useState(false);
+
+  const save = () => {
+    setSaving(true);
+    new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("POST /api/reports → 500")), 500)
+    ).catch(showBoundary);
   };
 
-  const reset = () => {
-    setHasError(false);
-    setLoading(false);
+  return (
+    <button
+      onClick={save}
+      disabled={saving}
+      className="mt-2 px-3 py-1 bg-gray-700 text-white rounded text-sm disabled:bg-gray-400"
+    >
+      {saving ? "Saving..." : "Save report (async error)"}
+    </button>
+  );
+};
+
+const ErrorBoundaryDemo = () => {
+  const [failures, setFailures] = useState(2);
+  const [Widget, setWidget] = useState(null);
+  const [log, setLog] = useState([]);
+
+  const addLog = (entry) => setLog((prev) => [...prev, entry]);
+
+  // A fresh lazy component = a fresh page load with an empty module cache
+  const handleLoad = () => {
+    setLog([]);
+    setWidget(() => createWidget(failures, addLog));
   };
 
   return (
     <div className="p-4 border rounded mb-4 bg-red-50">
       <h3 className="font-bold text-lg mb-3">5. Error Handling</h3>
 
-      <div className="mb-4">
-        <label className="flex items-center gap-2 text-sm">
-          <input
-            type="checkbox"
-            checked={showError}
-            onChange={(e) => setShowError(e.target.checked)}
-            className="rounded"
-          />
-          Simulate loading error
-        </label>
+      <div className="mb-4 space-y-1">
+        {FAILURE_OPTIONS.map((option) => (
+          <label
+            key={option.failures}
+            className="flex items-center gap-2 text-sm"
+          >
+            <input
+              type="radio"
+              name="widget-failures"
+              checked={failures === option.failures}
+              onChange={() => setFailures(option.failures)}
+            />
+            {option.label}
+          </label>
+        ))}
       </div>
 
       <button
         onClick={handleLoad}
-        disabled={loading}
-        className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 disabled:bg-gray-400 mb-4"
+        className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 mb-4"
       >
-        {loading ? "Loading..." : "Load Component"}
+        Load Component
       </button>
 
-      {loading && (
-        <div className="p-4 border rounded bg-white">
-          <div className="animate-pulse">Loading chunk...</div>
-        </div>
-      )}
-
-      {hasError && (
-        <div className="p-4 border-2 border-red-500 rounded bg-white">
-          <h4 className="font-semibold text-red-600 mb-2">
-            ⚠️ Error Loading Component
-          </h4>
-          <p className="text-sm mb-3">
-            Failed to load component. This might happen due to:
-          </p>
-          <ul className="text-xs list-disc list-inside mb-3 space-y-1">
-            <li>Network error</li>
-            <li>Chunk not found (deployment issue)</li>
-            <li>CDN failure</li>
-          </ul>
-          <button
-            onClick={reset}
-            className="px-3 py-1 bg-red-500 text-white rounded text-sm hover:bg-red-600"
+      {Widget ? (
+        // resetKeys: loading a new widget clears a previous error by itself
+        <ErrorBoundary
+          resetKeys={[Widget]}
+          FallbackComponent={WidgetError}
+          onError={(error) => addLog(`onError → reported "${error.message}"`)}
+          onReset={({ reason }) => {
+            Widget.reset();
+            addLog(`onReset (${reason})`);
+          }}
+        >
+          <Suspense
+            fallback={
+              <div className="p-4 border rounded bg-white">
+                <div className="animate-pulse">Loading chunk...</div>
+              </div>
+            }
           >
-            Try Again
-          </button>
-        </div>
-      )}
-
-      {!loading && !hasError && (
+            <Widget />
+            <SaveReportButton />
+          </Suspense>
+        </ErrorBoundary>
+      ) : (
         <div className="p-3 bg-white rounded border text-sm">
           <p className="font-semibold mb-2">
             🛡️ Error Handling Best Practices:
@@ -455,6 +579,16 @@ const ErrorBoundaryDemo = () => {
           </ul>
         </div>
       )}
+
+      {log.length > 0 && (
+        <ol className="mt-3 p-3 bg-white rounded border text-xs font-mono space-y-1 list-decimal list-inside">
+          {log.map((entry, index) => (
+            <li key={index} className="break-all">
+              {entry}
+            </li>
+          ))}
+        </ol>
+      )}
     </div>
   );
 };
@@ -1,41 +1,34 @@
-import React, { useState, memo, useMemo, useCallback, useRef } from "react";
+import React, { useState, memo, useMemo, useCallback } from "react";
+import { profiled, RenderBadge, ProfilerPanel } from "./profiler";
 
-// ==========================================
-// HELPER: Render counter component
-// ==========================================
-function RenderCounter({ label }) {
-  const renderCount = useRef(0);
-  renderCount.current++;
-
-  return (
-    <div className="text-xs text-gray-600">
-      {label} renders: {renderCount.current}
-    </div>
-  );
-}
+// Every "renders" badge below comes from React.Profiler via profiled() -
+// open the 📊 panel (bottom right) to see WHY each component re-rendered.
 
 // ==========================================
 // 1. DEFAULT RE-RENDER BEHAVIOR
 // ==========================================
-function ChildWithoutMemo({ label }) {
+const ChildWithoutMemo = profiled(function ChildWithoutMemo({ label }) {
   return (
     <div className="bg-red-100 p-3 rounded border border-red-300">
       <p className="font-semibold text-sm">{label}</p>
-      <RenderCounter label="Child" />
-    </div>
-  );
-}
-
-const ChildWithMemo = memo(({ label }) => {
-  return (
-    <div className="bg-green-100 p-3 rounded border border-green-300">
-      <p className="font-semibold text-sm">{label}</p>
-      <RenderCounter label="Child" />
+      <RenderBadge label="Child renders" />
     </div>
   );
 });
 
-function DefaultBehaviorDemo() {
+const ChildWithMemo = profiled(
+  memo(({ label }) => {
+    return (
+      <div className="bg-green-100 p-3 rounded border border-green-300">
+        <p className="font-semibold text-sm">{label}</p>
+        <RenderBadge label="Child renders" />
+      </div>
+    );
+  }),
+  "ChildWithMemo"
+);
+
+const DefaultBehaviorDemo = profiled(function DefaultBehaviorDemo() {
   const [parentCount, setParentCount] = useState(0);
 
   return (
@@ -49,7 +42,7 @@ function DefaultBehaviorDemo() {
         >
           Re-render Parent: {parentCount}
         </button>
-        <RenderCounter label="Parent" />
+        <RenderBadge label="Parent renders" />
 
         <div className="grid grid-cols-2 gap-4 mt-3">
           <ChildWithoutMemo label="❌ Without React.memo" />
@@ -63,28 +56,31 @@ function DefaultBehaviorDemo() {
       </div>
     </div>
   );
-}
+});
 
 // ==========================================
 // 2. REFERENCE EQUALITY PROBLEM
 // ==========================================
-const ExpensiveChild = memo(({ config, onClick }) => {
-  return (
-    <div className="bg-white p-3 rounded border">
-      <p className="text-sm mb-1">Theme: {config.theme}</p>
-      <p className="text-sm mb-2">Language: {config.language}</p>
-      <button
-        onClick={onClick}
-        className="px-3 py-1 bg-purple-500 text-white rounded text-sm"
-      >
-        Click me
-      </button>
-      <RenderCounter label="Expensive Child" />
-    </div>
-  );
-});
+const ExpensiveChild = profiled(
+  memo(({ config, onClick }) => {
+    return (
+      <div className="bg-white p-3 rounded border">
+        <p className="text-sm mb-1">Theme: {config.theme}</p>
+        <p className="text-sm mb-2">Language: {config.language}</p>
+        <button
+          onClick={onClick}
+          className="px-3 py-1 bg-purple-500 text-white rounded text-sm"
+        >
+          Click me
+        </button>
+        <RenderBadge label="Expensive Child renders" />
+      </div>
+    );
+  }),
+  "ExpensiveChild"
+);
 
-function ReferenceEqualityDemo() {
+const ReferenceEqualityDemo = profiled(function ReferenceEqualityDemo() {
   const [count, setCount] = useState(0);
 
   // ❌ New object and function every render
@@ -106,7 +102,7 @@ function ReferenceEqualityDemo() {
         >
           Re-render Parent: {count}
         </button>
-        <RenderCounter label="Parent" />
+        <RenderBadge label="Parent renders" />
 
         <div className="grid grid-cols-2 gap-4 mt-3">
           <div className="bg-red-50 p-3 rounded">
@@ -137,12 +133,12 @@ function ReferenceEqualityDemo() {
       </div>
     </div>
   );
-}
+});
 
 // ==========================================
 // 3. CHILDREN PROPS PATTERN
 // ==========================================
-function ContainerWithoutChildren() {
+const ContainerWithoutChildren = profiled(function ContainerWithoutChildren() {
   const [count, setCount] = useState(0);
 
   return (
@@ -154,22 +150,26 @@ function ContainerWithoutChildren() {
       >
         Count: {count}
       </button>
-      <RenderCounter label="Container" />
+      <RenderBadge label="Container renders" />
       <ExpensiveContentWithoutPattern />
     </div>
   );
-}
+});
 
-function ExpensiveContentWithoutPattern() {
-  return (
-    <div className="bg-white p-2 rounded mt-2">
-      <p className="text-xs">Expensive Content</p>
-      <RenderCounter label="Content" />
-    </div>
-  );
-}
+const ExpensiveContentWithoutPattern = profiled(
+  function ExpensiveContentWithoutPattern() {
+    return (
+      <div className="bg-white p-2 rounded mt-2">
+        <p className="text-xs">Expensive Content</p>
+        <RenderBadge label="Content renders" />
+      </div>
+    );
+  }
+);
 
-function ContainerWithChildren({ children }) {
+const ContainerWithChildren = profiled(function ContainerWithChildren({
+  children,
+}) {
   const [count, setCount] = useState(0);
 
   return (
@@ -181,20 +181,22 @@ function ContainerWithChildren({ children }) {
       >
         Count: {count}
       </button>
-      <RenderCounter label="Container" />
+      <RenderBadge label="Container renders" />
       {children}
     </div>
   );
-}
+});
 
-function ExpensiveContentWithPattern() {
-  return (
-    <div className="bg-white p-2 rounded mt-2">
-      <p className="text-xs">Expensive Content</p>
-      <RenderCounter label="Content" />
-    </div>
-  );
-}
+const ExpensiveContentWithPattern = profiled(
+  function ExpensiveContentWithPattern() {
+    return (
+      <div className="bg-white p-2 rounded mt-2">
+        <p className="text-xs">Expensive Content</p>
+        <RenderBadge label="Content renders" />
+      </div>
+    );
+  }
+);
 
 function ChildrenPropsDemo() {
   return (
@@ -259,7 +261,7 @@ function StateColocationDemo() {
   );
 }
 
-function BadColocation() {
+const BadColocation = profiled(function BadColocation() {
   const [menuOpen, setMenuOpen] = useState(false);
 
   return (
@@ -272,21 +274,21 @@ function BadColocation() {
         >
           Toggle Menu: {menuOpen ? "Open" : "Closed"}
         </button>
-        <RenderCounter label="Parent" />
+        <RenderBadge label="Parent renders" />
       </div>
 
       <div className="grid grid-cols-3 gap-2">
         <div className="bg-gray-100 p-2 rounded">
           <p className="text-xs font-semibold">Sidebar</p>
-          <RenderCounter label="Component" />
+          <RenderBadge label="Component renders" />
         </div>
         <div className="bg-gray-100 p-2 rounded">
           <p className="text-xs font-semibold">Content</p>
-          <RenderCounter label="Component" />
+          <RenderBadge label="Component renders" />
         </div>
         <div className="bg-gray-100 p-2 rounded">
           <p className="text-xs font-semibold">Footer</p>
-          <RenderCounter label="Component" />
+          <RenderBadge label="Component renders" />
         </div>
       </div>
 
@@ -295,25 +297,25 @@ function BadColocation() {
       </p>
     </div>
   );
-}
+});
 
-function GoodColocation() {
+const GoodColocation = profiled(function GoodColocation() {
   return (
     <div className="space-y-3">
       <div className="bg-green-50 p-3 rounded border border-green-300">
         <p className="font-semibold text-sm mb-2">Parent (no menu state)</p>
-        <RenderCounter label="Parent" />
+        <RenderBadge label="Parent renders" />
       </div>
 
       <div className="grid grid-cols-3 gap-2">
         <MenuComponent />
         <div className="bg-gray-100 p-2 rounded">
           <p className="text-xs font-semibold">Content</p>
-          <RenderCounter label="Component" />
+          <RenderBadge label="Component renders" />
         </div>
         <div className="bg-gray-100 p-2 rounded">
           <p className="text-xs font-semibold">Footer</p>
-          <RenderCounter label="Component" />
+          <RenderBadge label="Component renders" />
         </div>
       </div>
 
@@ -322,9 +324,9 @@ function GoodColocation() {
       </p>
     </div>
   );
-}
+});
 
-function MenuComponent() {
+const MenuComponent = profiled(function MenuComponent() {
   const [menuOpen, setMenuOpen] = useState(false);
 
   return (
@@ -336,31 +338,34 @@ function MenuComponent() {
       >
         {menuOpen ? "Open" : "Closed"}
       </button>
-      <RenderCounter label="Menu" />
+      <RenderBadge label="Menu renders" />
     </div>
   );
-}
+});
 
 // ==========================================
 // 5. INLINE PROPS PROBLEM
 // ==========================================
-const DisplayComponent = memo(({ style, onClick, data }) => {
-  return (
-    <div className="bg-white p-3 rounded border">
-      <p className="text-sm mb-2">Data: {JSON.stringify(data)}</p>
-      <button
-        onClick={onClick}
-        style={style}
-        className="px-3 py-1 rounded text-white text-sm"
-      >
-        Click me
-      </button>
-      <RenderCounter label="Display" />
-    </div>
-  );
-});
+const DisplayComponent = profiled(
+  memo(({ style, onClick, data }) => {
+    return (
+      <div className="bg-white p-3 rounded border">
+        <p className="text-sm mb-2">Data: {JSON.stringify(data)}</p>
+        <button
+          onClick={onClick}
+          style={style}
+          className="px-3 py-1 rounded text-white text-sm"
+        >
+          Click me
+        </button>
+        <RenderBadge label="Display renders" />
+      </div>
+    );
+  }),
+  "DisplayComponent"
+);
 
-function InlinePropsDemo() {
+const InlinePropsDemo = profiled(function InlinePropsDemo() {
   const [count, setCount] = useState(0);
 
   // ✅ Memoized props
@@ -379,7 +384,7 @@ function InlinePropsDemo() {
         >
           Re-render Parent: {count}
         </button>
-        <RenderCounter label="Parent" />
+        <RenderBadge label="Parent renders" />
 
         <div className="grid grid-cols-2 gap-4 mt-3">
           <div className="bg-red-50 p-3 rounded">
@@ -415,7 +420,7 @@ function InlinePropsDemo() {
       </div>
     </div>
   );
-}
+});
 
 // ==========================================
 // 6. CONTEXT RE-RENDERS
@@ -485,27 +490,27 @@ function ContextRerendersDemo() {
   );
 }
 
-function CountConsumer() {
+const CountConsumer = profiled(function CountConsumer() {
   const count = React.useContext(CountContext);
   return (
     <div className="bg-white p-2 rounded">
       <p className="text-sm">Count: {count}</p>
-      <RenderCounter label="Count Consumer" />
+      <RenderBadge label="Count Consumer renders" />
     </div>
   );
-}
+});
 
-function ThemeConsumer() {
+const ThemeConsumer = profiled(function ThemeConsumer() {
   const theme = React.useContext(ThemeContext);
   return (
     <div className="bg-white p-2 rounded">
       <p className="text-sm">Theme: {theme}</p>
-      <RenderCounter label="Theme Consumer" />
+      <RenderBadge label="Theme Consumer renders" />
     </div>
   );
-}
+});
 
-function BothConsumer() {
+const BothConsumer = profiled(function BothConsumer() {
   const count = React.useContext(CountContext);
   const theme = React.useContext(ThemeContext);
   return (
@@ -513,10 +518,10 @@ function BothConsumer() {
       <p className="text-sm">
         Count: {count}, Theme: {theme}
       </p>
-      <RenderCounter label="Both Consumer" />
+      <RenderBadge label="Both Consumer renders" />
     </div>
   );
-}
+});
 
 // ==========================================
 // 7. OPTIMIZATION COMPARISON
@@ -577,14 +582,14 @@ function NoOptimization() {
   );
 }
 
-function UnoptimizedChild({ config }) {
+const UnoptimizedChild = profiled(function UnoptimizedChild({ config }) {
   return (
     <div className="bg-white p-2 rounded text-xs">
       Value: {config.value}
-      <RenderCounter label="Child" />
+      <RenderBadge label="Child renders" />
     </div>
   );
-}
+});
 
 function PartialOptimization() {
   const config1 = { value: 1 };
@@ -600,14 +605,17 @@ function PartialOptimization() {
   );
 }
 
-const PartiallyOptimizedChild = memo(({ config }) => {
-  return (
-    <div className="bg-white p-2 rounded text-xs">
-      Value: {config.value}
-      <RenderCounter label="Child" />
-    </div>
-  );
-});
+const PartiallyOptimizedChild = profiled(
+  memo(({ config }) => {
+    return (
+      <div className="bg-white p-2 rounded text-xs">
+        Value: {config.value}
+        <RenderBadge label="Child renders" />
+      </div>
+    );
+  }),
+  "PartiallyOptimizedChild"
+);
 
 function FullOptimization() {
   const config1 = useMemo(() => ({ value: 1 }), []);
@@ -623,14 +631,17 @@ function FullOptimization() {
   );
 }
 
-const FullyOptimizedChild = memo(({ config }) => {
-  return (
-    <div className="bg-white p-2 rounded text-xs">
-      Value: {config.value}
-      <RenderCounter label="Child" />
-    </div>
-  );
-});
+const FullyOptimizedChild = profiled(
+  memo(({ config }) => {
+    return (
+      <div className="bg-white p-2 rounded text-xs">
+        Value: {config.value}
+        <RenderBadge label="Child renders" />
+      </div>
+    );
+  }),
+  "FullyOptimizedChild"
+);
 
 // ==========================================
 // MAIN APP
@@ -652,6 +663,7 @@ export default function App() {
       <InlinePropsDemo />
       <ContextRerendersDemo />
       <OptimizationComparison />
+      <ProfilerPanel />
 
       <div className="mt-6 p-4 bg-white border-2 border-gray-300 rounded">
         <h3 className="font-bold mb-2">🎯 Re-render Prevention Checklist:</h3>
@@ -1,4 +1,14 @@
-import React, { useState, memo, useMemo, useRef } from "react";
+import React, {
+  useState,
+  memo,
+  useMemo,
+  useRef,
+  useEffect,
+  useLayoutEffect,
+  useCallback,
+  useImperativeHandle,
+  forwardRef,
+} from "react";
 
 // ==========================================
 // MOCK DATA GENERATION
@@ -13,23 +23,331 @@ const generateItems = (count) => {
   }));
 };
 
+// ==========================================
+// VIRTUAL LIST (reusable windowing component)
+// ==========================================
+// Renders only the rows between scrollTop and scrollTop + height, plus
+// `overscan` rows on each side so fast scrolling doesn't flash blank space.
+// Rows are absolutely positioned inside a spacer as tall as the whole list,
+// so the scrollbar behaves as if every item were rendered.
+//
+// <VirtualList items={items} height={256} itemHeight={64}>
+//   {({ item, style }) => <div style={style}>{item.name}</div>}
+// </VirtualList>
+const VirtualList = memo(
+  forwardRef(function VirtualList(
+    {
+      items,
+      height,
+      itemHeight,
+      overscan = 3,
+      getKey = (item) => item.id,
+      onRangeChange,
+      className = "",
+      children: renderRow,
+    },
+    ref
+  ) {
+    const containerRef = useRef(null);
+    const [scrollTop, setScrollTop] = useState(0);
+
+    const totalHeight = items.length * itemHeight;
+    const firstVisible = Math.floor(scrollTop / itemHeight);
+    const lastVisible = Math.min(
+      items.length - 1,
+      Math.ceil((scrollTop + height) / itemHeight) - 1
+    );
+    const startIndex = Math.max(0, firstVisible - overscan);
+    const endIndex = Math.min(items.length - 1, lastVisible + overscan);
+
+    useImperativeHandle(
+      ref,
+      () => ({
+        // align: "start" puts the row at the top, "center" in the middle,
+        // "auto" only scrolls if the row is outside the viewport
+        scrollToIndex(index, align = "auto") {
+          const container = containerRef.current;
+          if (!container || items.length === 0) return;
+
+          const clamped = Math.max(0, Math.min(index, items.length - 1));
+          const rowTop = clamped * itemHeight;
+          const rowBottom = rowTop + itemHeight;
+          const current = container.scrollTop;
+
+          let target = rowTop;
+          if (align === "center") {
+            target = rowTop - (height - itemHeight) / 2;
+          } else if (align === "auto") {
+            if (rowTop >= current && rowBottom <= current + height) return;
+            target = rowTop < current ? rowTop : rowBottom - height;
+          }
+
+          container.scrollTop = Math.max(
+            0,
+            Math.min(target, totalHeight - height)
+          );
+        },
+      }),
+      [items.length, itemHeight, height, totalHeight]
+    );
+
+    // The list can shrink under the current scroll position
+    useEffect(() => {
+      const maxScroll = Math.max(0, totalHeight - height);
+      if (scrollTop > maxScroll) setScrollTop(maxScroll);
+    }, [totalHeight, height, scrollTop]);
+
+    useEffect(() => {
+      onRangeChange?.({ startIndex, endIndex, firstVisible, lastVisible });
+    }, [onRangeChange, startIndex, endIndex, firstVisible, lastVisible]);
+
+    const rows = [];
+    for (let index = startIndex; index <= endIndex; index++) {
+      const item = items[index];
+      const style = {
+        position: "absolute",
+        top: index * itemHeight,
+        left: 0,
+        right: 0,
+        height: itemHeight,
+      };
+      // Key by item identity, not slot - rows keep their state while scrolling
+      rows.push(
+        <React.Fragment key={getKey(item, index)}>
+          {renderRow({ item, index, style })}
+        </React.Fragment>
+      );
+    }
+
+    return (
+      <div
+        ref={containerRef}
+        className={`overflow-auto border rounded bg-white ${className}`}
+        style={{ height, position: "relative" }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div style={{ height: totalHeight, position: "relative" }}>{rows}</div>
+      </div>
+    );
+  })
+);
+
+// ==========================================
+// VARIABLE SIZE LIST (measured windowing)
+// ==========================================
+// Same idea as VirtualList, but rows can be any height:
+// - every row starts with an estimated height
+// - rendered rows are measured (first on layout, then by ResizeObserver)
+// - row offsets are a prefix sum, cached and only recomputed from the
+//   first row whose size changed
+// - when a row ABOVE the viewport changes size, scrollTop is shifted by the
+//   same amount so the content the user is looking at doesn't jump
+
+// Binary search: last index whose offset is <= target
+function findIndexAtOffset(offsets, count, target) {
+  let low = 0;
+  let high = count - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= target) low = mid;
+    else high = mid - 1;
+  }
+  return Math.max(0, low);
+}
+
+function MeasuredRow({ index, top, onResize, observer, children }) {
+  const rowRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const node = rowRef.current;
+    // Measure before paint so the first frame already uses real sizes
+    onResize(index, node.getBoundingClientRect().height);
+    if (!observer) return;
+    observer.observe(node);
+    return () => observer.unobserve(node);
+  }, [index, onResize, observer]);
+
+  return (
+    <div
+      ref={rowRef}
+      data-index={index}
+      style={{ position: "absolute", top, left: 0, right: 0 }}
+    >
+      {children}
+    </div>
+  );
+}
+
+const defaultEstimate = () => 50;
+const defaultGetKey = (item) => item.id;
+
+const VariableSizeList = memo(function VariableSizeList({
+  items,
+  height,
+  estimateHeight = defaultEstimate,
+  overscan = 3,
+  getKey = defaultGetKey,
+  onStatsChange,
+  className = "",
+  children: renderRow,
+}) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [layoutVersion, setLayoutVersion] = useState(0);
+
+  // Latest callbacks for the (stable) resize handler - callers can pass
+  // inline functions without re-creating the ResizeObserver every render
+  const latest = useRef({ getKey, estimateHeight });
+  latest.current = { getKey, estimateHeight };
+
+  // Measured heights by item key, so measurements survive inserts/reorders
+  const sizesRef = useRef(new Map());
+  // offsets[i] = top of row i; valid up to (and including) validUpTo
+  const cacheRef = useRef({ offsets: [0], validUpTo: 0 });
+
+  const getSize = (index) =>
+    sizesRef.current.get(getKey(items[index], index)) ?? estimateHeight(index);
+
+  // Items changed identity/length - every offset after 0 is suspect
+  const itemsRef = useRef(items);
+  if (itemsRef.current !== items) {
+    itemsRef.current = items;
+    cacheRef.current.validUpTo = 0;
+  }
+
+  const cache = cacheRef.current;
+  for (let i = cache.validUpTo; i < items.length; i++) {
+    cache.offsets[i + 1] = cache.offsets[i] + getSize(i);
+  }
+  cache.offsets.length = items.length + 1;
+  cache.validUpTo = items.length;
+  const { offsets } = cache;
+  const totalHeight = offsets[items.length];
+
+  const firstVisible = findIndexAtOffset(offsets, items.length, scrollTop);
+  const lastVisible = findIndexAtOffset(
+    offsets,
+    items.length,
+    scrollTop + height - 1
+  );
+  const startIndex = Math.max(0, firstVisible - overscan);
+  const endIndex = Math.min(items.length - 1, lastVisible + overscan);
+
+  const handleResize = useCallback(
+    (index, measured) => {
+      const { getKey, estimateHeight } = latest.current;
+      const key = getKey(itemsRef.current[index], index);
+      const previous = sizesRef.current.get(key) ?? estimateHeight(index);
+      if (Math.abs(previous - measured) < 0.5) {
+        sizesRef.current.set(key, measured);
+        return;
+      }
+
+      sizesRef.current.set(key, measured);
+      const cache = cacheRef.current;
+      cache.validUpTo = Math.min(cache.validUpTo, index);
+
+      // Scroll anchoring: growth above the viewport pushes content down,
+      // so move the scroll position with it
+      const container = containerRef.current;
+      if (container && cache.offsets[index] < container.scrollTop) {
+        container.scrollTop += measured - previous;
+      }
+
+      setLayoutVersion((v) => v + 1);
+    },
+    []
+  );
+
+  // One observer for the whole list; rows register themselves
+  const [observer, setObserver] = useState(null);
+  useEffect(() => {
+    if (typeof ResizeObserver === "undefined") return; // e.g. jsdom
+    const ro = new ResizeObserver((entries) => {
+      entries.forEach((entry) => {
+        const index = Number(entry.target.dataset.index);
+        const measured =
+          entry.borderBoxSize?.[0]?.blockSize ??
+          entry.target.getBoundingClientRect().height;
+        handleResize(index, measured);
+      });
+    });
+    setObserver(ro);
+    return () => ro.disconnect();
+  }, [handleResize]);
+
+  useEffect(() => {
+    onStatsChange?.({
+      measured: sizesRef.current.size,
+      total: items.length,
+      totalHeight,
+      startIndex,
+      endIndex,
+    });
+  }, [onStatsChange, layoutVersion, items.length, totalHeight, startIndex, endIndex]);
+
+  const rows = [];
+  for (let index = startIndex; index <= endIndex; index++) {
+    const item = items[index];
+    rows.push(
+      <MeasuredRow
+        key={getKey(item, index)}
+        index={index}
+        top={offsets[index]}
+        onResize={handleResize}
+        observer={observer}
+      >
+        {renderRow({ item, index })}
+      </MeasuredRow>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`overflow-auto border rounded bg-white ${className}`}
+      style={{ height, position: "relative", overflowAnchor: "none" }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div style={{ height: totalHeight, position: "relative" }}>{rows}</div>
+    </div>
+  );
+});
+
 // ==========================================
 // 1. PERFORMANCE COMPARISON
 // ==========================================
+const ROW_HEIGHT = 64;
+const LIST_HEIGHT = 256; // h-64
+
 function PerformanceComparison() {
   const [count, setCount] = useState(100);
   const [useVirtual, setUseVirtual] = useState(false);
-  const [renderTime, setRenderTime] = useState(0);
+  const [stats, setStats] = useState({ domRows: 0, renderTime: 0 });
+  const [range, setRange] = useState(null);
+  const [jumpTo, setJumpTo] = useState("");
   const items = useMemo(() => generateItems(count), [count]);
 
-  const handleRender = () => {
-    const start = performance.now();
-    // Force re-render
-    setUseVirtual((v) => v);
-    const end = performance.now();
-    setRenderTime(end - start);
+  const listAreaRef = useRef(null);
+  const virtualListRef = useRef(null);
+  const measureStart = useRef(performance.now());
+
+  // Start the clock in the event handler, stop it after React commits
+  const startMeasure = () => {
+    measureStart.current = performance.now();
   };
 
+  useLayoutEffect(() => {
+    setStats({
+      domRows: listAreaRef.current.querySelectorAll("[data-row]").length,
+      renderTime: performance.now() - measureStart.current,
+    });
+  }, [count, useVirtual]);
+
+  const heapMB = performance.memory
+    ? (performance.memory.usedJSHeapSize / 1024 / 1024).toFixed(1)
+    : null;
+
   return (
     <div className="p-4 border rounded mb-4 bg-blue-50">
       <h3 className="font-bold text-lg mb-3">1. Performance Comparison</h3>
@@ -46,7 +364,10 @@ function PerformanceComparison() {
               max="10000"
               step="100"
               value={count}
-              onChange={(e) => setCount(Number(e.target.value))}
+              onChange={(e) => {
+                startMeasure();
+                setCount(Number(e.target.value));
+              }}
               className="w-full"
             />
             <div className="flex justify-between text-xs text-gray-600">
@@ -61,60 +382,101 @@ function PerformanceComparison() {
               Rendering mode:
             </label>
             <button
-              onClick={() => setUseVirtual(!useVirtual)}
+              onClick={() => {
+                startMeasure();
+                setUseVirtual(!useVirtual);
+              }}
               className={`px-4 py-2 rounded font-semibold ${
                 useVirtual ? "bg-green-500 text-white" : "bg-red-500 text-white"
               }`}
             >
-              {useVirtual ? "✅ Virtual (20 items)" : "❌ All items"}
+              {useVirtual ? "✅ Virtual (visible rows)" : "❌ All items"}
             </button>
+
+            {useVirtual && (
+              <div className="flex gap-2 mt-2">
+                <input
+                  type="number"
+                  min="1"
+                  max={count}
+                  value={jumpTo}
+                  onChange={(e) => setJumpTo(e.target.value)}
+                  placeholder="Item #"
+                  className="border rounded px-2 py-1 text-sm w-24"
+                />
+                <button
+                  onClick={() =>
+                    virtualListRef.current.scrollToIndex(
+                      Number(jumpTo) - 1,
+                      "start"
+                    )
+                  }
+                  className="px-3 py-1 bg-blue-500 text-white rounded text-sm"
+                >
+                  Jump
+                </button>
+              </div>
+            )}
           </div>
         </div>
 
         <div className="grid grid-cols-3 gap-4 mb-4 text-sm">
           <div className="bg-gray-100 p-3 rounded">
-            <p className="text-gray-600 text-xs">DOM Nodes</p>
-            <p className="text-2xl font-bold">{useVirtual ? "~20" : count}</p>
+            <p className="text-gray-600 text-xs">Rows in DOM</p>
+            <p className="text-2xl font-bold">{stats.domRows}</p>
             <p className="text-xs text-gray-600 mt-1">
-              {useVirtual
-                ? `${Math.round((20 / count) * 100)}% of total`
-                : "100% of total"}
+              {Math.round((stats.domRows / count) * 100)}% of total
             </p>
           </div>
 
           <div className="bg-gray-100 p-3 rounded">
-            <p className="text-gray-600 text-xs">Memory Usage</p>
+            <p className="text-gray-600 text-xs">JS Heap</p>
             <p className="text-2xl font-bold">
-              {useVirtual ? "~2MB" : `~${Math.round(count / 100)}MB`}
+              {heapMB ? `${heapMB}MB` : "n/a"}
             </p>
-            <p
-              className={`text-xs mt-1 ${
-                useVirtual ? "text-green-600" : "text-red-600"
-              }`}
-            >
-              {useVirtual ? "95% less" : "Full"}
+            <p className="text-xs mt-1 text-gray-600">
+              {heapMB ? "performance.memory" : "Chrome only"}
             </p>
           </div>
 
           <div className="bg-gray-100 p-3 rounded">
-            <p className="text-gray-600 text-xs">Render Time</p>
+            <p className="text-gray-600 text-xs">Last Render + Commit</p>
             <p className="text-2xl font-bold">
-              {useVirtual ? "<16ms" : `${Math.round(count / 10)}ms`}
+              {stats.renderTime.toFixed(1)}ms
             </p>
             <p
               className={`text-xs mt-1 ${
-                useVirtual ? "text-green-600" : "text-red-600"
+                stats.renderTime < 16 ? "text-green-600" : "text-red-600"
               }`}
             >
-              {useVirtual ? "60 FPS" : count > 1000 ? "<30 FPS" : "~60 FPS"}
+              {stats.renderTime < 16 ? "Within a 60 FPS frame" : "Dropped frames"}
             </p>
           </div>
         </div>
 
-        {useVirtual ? (
-          <VirtualListSimulation items={items.slice(0, 20)} />
-        ) : (
-          <RegularListSimulation items={items} />
+        <div ref={listAreaRef}>
+          {useVirtual ? (
+            <VirtualList
+              ref={virtualListRef}
+              items={items}
+              height={LIST_HEIGHT}
+              itemHeight={ROW_HEIGHT}
+              overscan={3}
+              onRangeChange={setRange}
+            >
+              {({ item, style }) => <ItemRow item={item} style={style} />}
+            </VirtualList>
+          ) : (
+            <RegularList items={items} />
+          )}
+        </div>
+
+        {useVirtual && range && (
+          <p className="text-xs text-gray-600 mt-2">
+            Visible: {range.firstVisible + 1}–{range.lastVisible + 1} •
+            Rendered (with overscan): {range.startIndex + 1}–
+            {range.endIndex + 1}
+          </p>
         )}
       </div>
 
@@ -130,48 +492,21 @@ function PerformanceComparison() {
   );
 }
 
-function RegularListSimulation({ items }) {
+const ItemRow = memo(function ItemRow({ item, style }) {
   return (
-    <div className="h-64 overflow-auto border rounded bg-white">
-      {items.map((item) => (
-        <div key={item.id} className="p-3 border-b hover:bg-gray-50">
-          <p className="font-semibold text-sm">{item.name}</p>
-          <p className="text-xs text-gray-600">{item.description}</p>
-        </div>
-      ))}
+    <div data-row className="p-3 border-b hover:bg-gray-50" style={style}>
+      <p className="font-semibold text-sm">{item.name}</p>
+      <p className="text-xs text-gray-600">{item.description}</p>
     </div>
   );
-}
-
-function VirtualListSimulation({ items }) {
-  const [scrollTop, setScrollTop] = useState(0);
-  const containerHeight = 256; // 64 * 4
-  const itemHeight = 64;
-  const totalHeight = 10000 * itemHeight; // Simulated total
-
-  const startIndex = Math.floor(scrollTop / itemHeight);
-  const visibleCount = Math.ceil(containerHeight / itemHeight);
-  const visibleItems = items.slice(0, visibleCount);
+});
 
+function RegularList({ items }) {
   return (
-    <div
-      className="h-64 overflow-auto border rounded bg-white relative"
-      onScroll={(e) => setScrollTop(e.target.scrollTop)}
-    >
-      <div style={{ height: totalHeight }}>
-        <div style={{ transform: `translateY(${startIndex * itemHeight}px)` }}>
-          {visibleItems.map((item, i) => (
-            <div
-              key={item.id}
-              className="p-3 border-b hover:bg-gray-50"
-              style={{ height: itemHeight }}
-            >
-              <p className="font-semibold text-sm">{item.name}</p>
-              <p className="text-xs text-gray-600">{item.description}</p>
-            </div>
-          ))}
-        </div>
-      </div>
+    <div className="h-64 overflow-auto border rounded bg-white">
+      {items.map((item) => (
+        <ItemRow key={item.id} item={item} style={{ height: ROW_HEIGHT }} />
+      ))}
     </div>
   );
 }
@@ -181,8 +516,18 @@ function VirtualListSimulation({ items }) {
 // ==========================================
 function FixedVsVariableSize() {
   const [mode, setMode] = useState("fixed");
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [listStats, setListStats] = useState(null);
   const items = useMemo(() => generateItems(50), []);
 
+  const toggleExpanded = (id) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  };
+
   return (
     <div className="p-4 border rounded mb-4 bg-green-50">
       <h3 className="font-bold text-lg mb-3">
@@ -231,23 +576,58 @@ function FixedVsVariableSize() {
           </div>
         </div>
 
-        <div className="h-64 overflow-auto border rounded">
-          {items.slice(0, 10).map((item, i) => (
-            <div
-              key={item.id}
-              className="p-3 border-b"
-              style={{
-                height: mode === "fixed" ? "60px" : `${60 + (i % 3) * 30}px`,
-              }}
+        {mode === "fixed" ? (
+          <VirtualList items={items} height={LIST_HEIGHT} itemHeight={60}>
+            {({ item, style }) => (
+              <div className="p-3 border-b" style={style}>
+                <p className="font-semibold text-sm">{item.name}</p>
+                <p className="text-xs text-gray-600">{item.description}</p>
+              </div>
+            )}
+          </VirtualList>
+        ) : (
+          <>
+            <VariableSizeList
+              items={items}
+              height={LIST_HEIGHT}
+              estimateHeight={() => 60}
+              onStatsChange={setListStats}
             >
-              <p className="font-semibold text-sm">{item.name}</p>
-              <p className="text-xs text-gray-600">{item.description}</p>
-              {mode === "variable" && i % 3 === 2 && (
-                <p className="text-xs text-gray-500 mt-1">Extra content line</p>
+              {({ item, index }) => (
+                <div
+                  className="p-3 border-b cursor-pointer hover:bg-gray-50"
+                  style={{ minHeight: `${60 + (index % 3) * 30}px` }}
+                  onClick={() => toggleExpanded(item.id)}
+                >
+                  <p className="font-semibold text-sm">{item.name}</p>
+                  <p className="text-xs text-gray-600">{item.description}</p>
+                  {index % 3 === 2 && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Extra content line
+                    </p>
+                  )}
+                  {expanded.has(item.id) && (
+                    <p className="text-xs text-purple-700 mt-2">
+                      {item.category} • ${item.price}. Click again to
+                      collapse - rows resized above the viewport don't make
+                      the list jump.
+                    </p>
+                  )}
+                </div>
               )}
-            </div>
-          ))}
-        </div>
+            </VariableSizeList>
+
+            {listStats && (
+              <p className="text-xs text-gray-600 mt-2">
+                Measured {listStats.measured}/{listStats.total} rows •
+                Rendered rows {listStats.startIndex + 1}–
+                {listStats.endIndex + 1} • Total height{" "}
+                {Math.round(listStats.totalHeight)}px (estimates for
+                unmeasured rows)
+              </p>
+            )}
+          </>
+        )}
       </div>
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
@@ -259,43 +639,224 @@ function FixedVsVariableSize() {
 }
 
 // ==========================================
-// 3. INFINITE LOADING SIMULATION
+// 3. INFINITE LOADING
 // ==========================================
-function InfiniteLoadingDemo() {
-  const [items, setItems] = useState(() => generateItems(20));
-  const [loading, setLoading] = useState(false);
-  const [hasMore, setHasMore] = useState(true);
-  const loadingRef = useRef(false);
-
-  const loadMore = () => {
-    if (loadingRef.current || !hasMore) return;
-
-    loadingRef.current = true;
-    setLoading(true);
-
-    setTimeout(() => {
-      const newItems = generateItems(20).map((item) => ({
-        ...item,
-        id: items.length + item.id,
-        name: `Item ${items.length + item.id}`,
-      }));
-
-      setItems((prev) => [...prev, ...newItems]);
-      setLoading(false);
-      loadingRef.current = false;
-
-      if (items.length >= 100) {
-        setHasMore(false);
+// Pieces that compose with either a plain scroll container or VirtualList:
+// - fetchItemsPage: mock cursor-paginated API (can fail on demand)
+// - useCursorPagination: items + cursor + error state, de-duplicated loads
+// - useInfiniteLoader: react-window-infinite-loader style contract -
+//   isItemLoaded(index) / loadMoreItems(start, stop) → onRangeChange
+// - LoadMoreSentinel: IntersectionObserver trigger for plain lists
+
+const TOTAL_REMOTE_ITEMS = 100;
+
+// The cursor is the index of the next item, so ids never depend on
+// component state (the old demo read a stale `items.length`)
+function fetchItemsPage(cursor, limit, { failRate = 0, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (Math.random() < failRate) {
+        reject(new Error("Network error - failed to load items"));
+        return;
       }
-    }, 1000);
-  };
+      const start = cursor ?? 0;
+      const end = Math.min(start + limit, TOTAL_REMOTE_ITEMS);
+      const items = generateItems(end).slice(start);
+      resolve({ items, nextCursor: end < TOTAL_REMOTE_ITEMS ? end : null });
+    }, 800);
+
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    });
+  });
+}
 
-  const handleScroll = (e) => {
-    const { scrollTop, scrollHeight, clientHeight } = e.target;
-    if (scrollHeight - scrollTop <= clientHeight * 1.5) {
-      loadMore();
+function useCursorPagination(fetchPage, { pageSize = 20 } = {}) {
+  const [state, setState] = useState({
+    items: [],
+    cursor: null,
+    hasMore: true,
+    isLoading: false,
+    error: null,
+  });
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const inFlight = useRef(null); // shared promise - de-duplicates loadMore
+  const controllerRef = useRef(null);
+
+  const loadMore = useCallback(() => {
+    const { cursor, hasMore, error } = stateRef.current;
+    if (inFlight.current) return inFlight.current;
+    // After a failure, only an explicit retry() may load again
+    if (!hasMore || error) return Promise.resolve();
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setState((s) => ({ ...s, isLoading: true }));
+
+    inFlight.current = fetchPage(cursor, pageSize, controller.signal)
+      .then(({ items, nextCursor }) => {
+        setState((s) => ({
+          ...s,
+          items: [...s.items, ...items],
+          cursor: nextCursor,
+          hasMore: nextCursor !== null,
+          isLoading: false,
+        }));
+      })
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        setState((s) => ({ ...s, isLoading: false, error }));
+      })
+      .finally(() => {
+        if (controllerRef.current === controller) inFlight.current = null;
+      });
+
+    return inFlight.current;
+  }, [fetchPage, pageSize]);
+
+  const retry = useCallback(() => {
+    stateRef.current = { ...stateRef.current, error: null };
+    setState((s) => ({ ...s, error: null }));
+    return loadMore();
+  }, [loadMore]);
+
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    inFlight.current = null;
+    const initial = {
+      items: [],
+      cursor: null,
+      hasMore: true,
+      isLoading: false,
+      error: null,
+    };
+    stateRef.current = initial;
+    setState(initial);
+  }, []);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { ...state, loadMore, retry, reset };
+}
+
+function useInfiniteLoader({
+  isItemLoaded,
+  itemCount,
+  loadMoreItems,
+  threshold = 5,
+}) {
+  const latest = useRef({ isItemLoaded, itemCount, loadMoreItems, threshold });
+  latest.current = { isItemLoaded, itemCount, loadMoreItems, threshold };
+  const pending = useRef(new Set()); // "start:stop" ranges being loaded
+
+  // Pass to VirtualList's onRangeChange (or call with your own range)
+  return useCallback(({ startIndex, endIndex }) => {
+    const { isItemLoaded, itemCount, loadMoreItems, threshold } =
+      latest.current;
+    const stop = Math.min(itemCount - 1, endIndex + threshold);
+
+    let first = -1;
+    let last = -1;
+    for (let i = startIndex; i <= stop; i++) {
+      if (!isItemLoaded(i)) {
+        if (first === -1) first = i;
+        last = i;
+      }
     }
-  };
+    if (first === -1) return;
+
+    const key = `${first}:${last}`;
+    const covered = [...pending.current].some((range) => {
+      const [s, e] = range.split(":").map(Number);
+      return first >= s && last <= e;
+    });
+    if (covered) return;
+
+    pending.current.add(key);
+    Promise.resolve(loadMoreItems(first, last)).finally(() =>
+      pending.current.delete(key)
+    );
+  }, []);
+}
+
+function LoadMoreSentinel({ onVisible, disabled, rootRef, rootMargin = "200px" }) {
+  const sentinelRef = useRef(null);
+  const onVisibleRef = useRef(onVisible);
+  onVisibleRef.current = onVisible;
+
+  useEffect(() => {
+    if (disabled || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver(
+      ([entry]) => entry.isIntersecting && onVisibleRef.current(),
+      { root: rootRef?.current ?? null, rootMargin }
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [disabled, rootRef, rootMargin]);
+
+  return <div ref={sentinelRef} style={{ height: 1 }} aria-hidden="true" />;
+}
+
+function LoadingRow({ style }) {
+  return (
+    <div className="p-4 text-center" style={style}>
+      <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-purple-500"></div>
+      <p className="text-sm text-gray-600 mt-2">Loading more...</p>
+    </div>
+  );
+}
+
+function ErrorRow({ error, onRetry, style }) {
+  return (
+    <div className="p-4 text-center bg-red-50" style={style}>
+      <p className="text-sm text-red-700 mb-2">❌ {error.message}</p>
+      <button
+        onClick={onRetry}
+        className="px-3 py-1 bg-red-500 text-white rounded text-sm"
+      >
+        Retry
+      </button>
+    </div>
+  );
+}
+
+function InfiniteLoadingDemo() {
+  const [mode, setMode] = useState("plain");
+  const [failRate, setFailRate] = useState(0);
+  const [requests, setRequests] = useState(0);
+  const scrollRef = useRef(null);
+
+  const fetchPage = useCallback(
+    (cursor, limit, signal) => {
+      setRequests((n) => n + 1);
+      return fetchItemsPage(cursor, limit, { failRate, signal });
+    },
+    [failRate]
+  );
+
+  const { items, hasMore, isLoading, error, loadMore, retry, reset } =
+    useCursorPagination(fetchPage, { pageSize: 20 });
+
+  // First page
+  useEffect(() => {
+    if (items.length === 0 && hasMore && !error) loadMore();
+  }, [items.length, hasMore, error, loadMore]);
+
+  // Windowed mode: one extra row at the end for loading/error/end states
+  const rowCount = hasMore || error ? items.length + 1 : items.length;
+  const onRangeChange = useInfiniteLoader({
+    isItemLoaded: (index) => index < items.length,
+    itemCount: rowCount,
+    loadMoreItems: () => (error ? undefined : loadMore()),
+    threshold: 5,
+  });
+  const rows = useMemo(
+    () => (rowCount > items.length ? [...items, { id: "__status__" }] : items),
+    [items, rowCount]
+  );
 
   return (
     <div className="p-4 border rounded mb-4 bg-purple-50">
@@ -304,52 +865,95 @@ function InfiniteLoadingDemo() {
       </h3>
 
       <div className="bg-white p-4 rounded border">
-        <div className="mb-3 flex justify-between items-center">
+        <div className="mb-3 flex flex-wrap gap-3 justify-between items-center">
           <p className="text-sm">
-            Loaded: <span className="font-bold">{items.length}</span> items
+            Loaded: <span className="font-bold">{items.length}</span> items •
+            Requests: <span className="font-bold">{requests}</span>
           </p>
-          <button
-            onClick={() => {
-              setItems(generateItems(20));
-              setHasMore(true);
-            }}
-            className="px-3 py-1 bg-purple-500 text-white rounded text-sm"
-          >
-            Reset
-          </button>
-        </div>
 
-        <div
-          className="h-96 overflow-auto border rounded"
-          onScroll={handleScroll}
-        >
-          {items.map((item) => (
-            <div key={item.id} className="p-3 border-b">
-              <p className="font-semibold text-sm">{item.name}</p>
-              <p className="text-xs text-gray-600">
-                {item.category} - ${item.price}
-              </p>
-            </div>
-          ))}
+          <div className="flex gap-2 items-center">
+            <button
+              onClick={() => setMode(mode === "plain" ? "windowed" : "plain")}
+              className="px-3 py-1 bg-gray-200 rounded text-sm"
+            >
+              {mode === "plain" ? "Plain list" : "Windowed list"}
+            </button>
+            <label className="text-xs flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={failRate > 0}
+                onChange={(e) => setFailRate(e.target.checked ? 0.5 : 0)}
+              />
+              Flaky network (50% errors)
+            </label>
+            <button
+              onClick={() => {
+                setRequests(0);
+                reset();
+              }}
+              className="px-3 py-1 bg-purple-500 text-white rounded text-sm"
+            >
+              Reset
+            </button>
+          </div>
+        </div>
 
-          {loading && (
-            <div className="p-4 text-center">
-              <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-purple-500"></div>
-              <p className="text-sm text-gray-600 mt-2">Loading more...</p>
-            </div>
-          )}
+        {mode === "plain" ? (
+          <div ref={scrollRef} className="h-96 overflow-auto border rounded">
+            {items.map((item) => (
+              <div key={item.id} className="p-3 border-b">
+                <p className="font-semibold text-sm">{item.name}</p>
+                <p className="text-xs text-gray-600">
+                  {item.category} - ${item.price}
+                </p>
+              </div>
+            ))}
 
-          {!hasMore && (
-            <div className="p-4 text-center text-sm text-gray-500">
-              No more items to load
-            </div>
-          )}
-        </div>
+            {isLoading && <LoadingRow />}
+            {error && <ErrorRow error={error} onRetry={retry} />}
+            {!hasMore && (
+              <div className="p-4 text-center text-sm text-gray-500">
+                No more items to load
+              </div>
+            )}
+
+            {/* Disabling while loading re-arms the observer afterwards, so a
+                sentinel that is still visible triggers the next page */}
+            <LoadMoreSentinel
+              onVisible={loadMore}
+              disabled={!hasMore || !!error || isLoading || items.length === 0}
+              rootRef={scrollRef}
+            />
+          </div>
+        ) : (
+          <VirtualList
+            items={rows}
+            height={384}
+            itemHeight={64}
+            onRangeChange={onRangeChange}
+          >
+            {({ item, style }) =>
+              item.id !== "__status__" ? (
+                <div className="p-3 border-b" style={style}>
+                  <p className="font-semibold text-sm">{item.name}</p>
+                  <p className="text-xs text-gray-600">
+                    {item.category} - ${item.price}
+                  </p>
+                </div>
+              ) : error ? (
+                <ErrorRow error={error} onRetry={retry} style={style} />
+              ) : (
+                <LoadingRow style={style} />
+              )
+            }
+          </VirtualList>
+        )}
       </div>
 
       <div className="mt-3 bg-yellow-100 p-2 rounded text-xs">
-        💡 Scroll to bottom to load more items. Virtual scrolling + infinite
-        loading = perfect combo!
+        💡 Scroll to bottom to load more items. Loads are de-duplicated, so
+        fast scrolling fires one request per page. Virtual scrolling +
+        infinite loading = perfect combo!
       </div>
     </div>
   );
@@ -8,18 +8,20 @@ import {
   CheckCircle,
   TrendingDown,
 } from "lucide-react";
-
-// Simulated library data
-const LIBRARIES = {
-  lodash: { size: 500, treeshakeable: false, alternative: "lodash-es" },
-  "lodash-es": { size: 25, treeshakeable: true },
-  moment: { size: 290, treeshakeable: false, alternative: "dayjs" },
-  dayjs: { size: 7, treeshakeable: true },
-  "chart.js": { size: 250, treeshakeable: false },
-  recharts: { size: 180, treeshakeable: true },
-  "@mui/material": { size: 500, treeshakeable: false },
-  "react-icons/fa": { size: 2, treeshakeable: true },
-};
+import {
+  LIBRARIES,
+  analyzeStats,
+  compareReports,
+  layoutTreemap,
+  formatKB,
+} from "./bundleAnalyzer.mjs";
+// Sample builds of the same app - run `node bundleAnalyzer.mjs <stats.json>`
+// on your own build output to get the same report
+import webpackStats from "./fixtures/webpack-stats.json";
+import viteStats from "./fixtures/vite-stats.json";
+// Generated - measured from this folder's .jsx files. Regenerate after
+// editing them (command in compressionReport.mjs / 5_bundle_size.md)
+import compressionReport from "./fixtures/compression-report.json";
 
 // 1. TREE SHAKING DEMONSTRATION
 function TreeShakingDemo() {
@@ -361,49 +363,72 @@ import Dashboard from './Dashboard';
   );
 }
 
-// 3. BUNDLE ANALYZER SIMULATION
+// 3. BUNDLE ANALYZER
+// Reports are computed from real stats files (webpack before, Vite after)
+const reports = {
+  unoptimized: analyzeStats(webpackStats),
+  optimized: analyzeStats(viteStats),
+};
+const savings = -compareReports(reports.unoptimized, reports.optimized).reduce(
+  (sum, row) => sum + row.delta,
+  0
+);
+
+const TREEMAP_WIDTH = 200;
+const TREEMAP_HEIGHT = 100;
+
+const treemapColor = (pkg) =>
+  pkg.category === "app"
+    ? "bg-purple-500"
+    : pkg.issue
+    ? "bg-red-500"
+    : "bg-blue-500";
+
+function Treemap({ packages }) {
+  const rects = useMemo(
+    () =>
+      layoutTreemap(packages, { width: TREEMAP_WIDTH, height: TREEMAP_HEIGHT }),
+    [packages]
+  );
+
+  return (
+    <div className="relative w-full h-48 rounded overflow-hidden">
+      {rects.map((rect) => (
+        <div
+          key={rect.name}
+          title={`${rect.name}: ${formatKB(rect.size)}KB`}
+          className={`absolute border border-white text-white text-xs p-1 overflow-hidden ${treemapColor(
+            rect
+          )}`}
+          style={{
+            left: `${(rect.x / TREEMAP_WIDTH) * 100}%`,
+            top: `${(rect.y / TREEMAP_HEIGHT) * 100}%`,
+            width: `${(rect.width / TREEMAP_WIDTH) * 100}%`,
+            height: `${(rect.height / TREEMAP_HEIGHT) * 100}%`,
+          }}
+        >
+          <p className="font-semibold truncate">{rect.name}</p>
+          <p className="truncate">{formatKB(rect.size)}KB</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function BundleAnalyzerDemo() {
   const [optimized, setOptimized] = useState(false);
 
-  const bundles = {
-    unoptimized: [
-      { name: "lodash", size: 500, category: "vendor", issue: "Use lodash-es" },
-      {
-        name: "moment",
-        size: 290,
-        category: "vendor",
-        issue: "Replace with dayjs",
-      },
-      {
-        name: "chart.js",
-        size: 250,
-        category: "vendor",
-        issue: "Consider recharts",
-      },
-      { name: "react", size: 100, category: "vendor", issue: null },
-      { name: "react-dom", size: 120, category: "vendor", issue: null },
-      { name: "app code", size: 300, category: "app", issue: null },
-    ],
-    optimized: [
-      { name: "lodash-es", size: 25, category: "vendor", issue: null },
-      { name: "dayjs", size: 7, category: "vendor", issue: null },
-      { name: "recharts", size: 180, category: "vendor", issue: null },
-      { name: "react", size: 100, category: "vendor", issue: null },
-      { name: "react-dom", size: 120, category: "vendor", issue: null },
-      { name: "app code", size: 300, category: "app", issue: null },
-    ],
-  };
-
-  const currentBundles = optimized ? bundles.optimized : bundles.unoptimized;
-  const totalSize = currentBundles.reduce((sum, b) => sum + b.size, 0);
-  const issues = currentBundles.filter((b) => b.issue).length;
+  const report = optimized ? reports.optimized : reports.unoptimized;
+  const currentBundles = report.packages;
+  const totalSize = formatKB(report.totalSize);
+  const issues = report.issues.length;
 
   return (
     <div className="p-6 border-2 border-green-200 rounded-lg bg-gradient-to-br from-green-50 to-white">
       <div className="flex items-center gap-2 mb-4">
         <Package className="text-green-600" size={24} />
         <h3 className="text-xl font-bold text-gray-800">
-          3. Bundle Analyzer Simulation
+          3. Bundle Analyzer
         </h3>
       </div>
 
@@ -419,6 +444,11 @@ function BundleAnalyzerDemo() {
           >
             {optimized ? "✅ Optimized Bundle" : "⚠️ Unoptimized Bundle"}
           </button>
+          <span className="text-xs text-gray-500">
+            Parsed from fixtures/
+            {optimized ? "vite-stats.json" : "webpack-stats.json"} (
+            {report.format})
+          </span>
         </div>
 
         <div className="grid md:grid-cols-2 gap-6">
@@ -427,14 +457,21 @@ function BundleAnalyzerDemo() {
               <h4 className="font-semibold mb-3 text-gray-700">
                 Bundle Treemap:
               </h4>
+              <Treemap packages={currentBundles} />
+            </div>
+
+            <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+              <h4 className="font-semibold mb-3 text-gray-700">Packages:</h4>
               <div className="space-y-1">
                 {currentBundles.map((bundle) => {
-                  const percentage = (bundle.size / totalSize) * 100;
+                  const percentage = (bundle.size / report.totalSize) * 100;
                   return (
                     <div key={bundle.name}>
                       <div className="flex justify-between text-xs mb-1">
                         <span className="font-medium">{bundle.name}</span>
-                        <span className="font-bold">{bundle.size}KB</span>
+                        <span className="font-bold">
+                          {formatKB(bundle.size)}KB
+                        </span>
                       </div>
                       <div className="h-8 bg-gray-200 rounded overflow-hidden relative">
                         <div
@@ -499,26 +536,29 @@ function BundleAnalyzerDemo() {
                 <div className="flex justify-between">
                   <span>Vendor code:</span>
                   <span className="font-bold">
-                    {currentBundles
-                      .filter((b) => b.category === "vendor")
-                      .reduce((sum, b) => sum + b.size, 0)}
+                    {formatKB(
+                      currentBundles
+                        .filter((b) => b.category === "vendor")
+                        .reduce((sum, b) => sum + b.size, 0)
+                    )}
                     KB
                   </span>
                 </div>
                 <div className="flex justify-between">
                   <span>App code:</span>
                   <span className="font-bold">
-                    {currentBundles
-                      .filter((b) => b.category === "app")
-                      .reduce((sum, b) => sum + b.size, 0)}
+                    {formatKB(
+                      currentBundles
+                        .filter((b) => b.category === "app")
+                        .reduce((sum, b) => sum + b.size, 0)
+                    )}
                     KB
                   </span>
                 </div>
                 <div className="flex justify-between pt-2 border-t border-gray-300">
                   <span className="font-semibold">Savings:</span>
                   <span className="font-bold text-green-600">
-                    {bundles.unoptimized.reduce((sum, b) => sum + b.size, 0) -
-                      bundles.optimized.reduce((sum, b) => sum + b.size, 0)}
+                    {formatKB(savings)}
                     KB
                   </span>
                 </div>
@@ -529,9 +569,14 @@ function BundleAnalyzerDemo() {
               <div className="bg-yellow-50 p-3 rounded-lg border border-yellow-300">
                 <h4 className="font-semibold text-sm mb-2">Recommendations:</h4>
                 <ul className="text-xs space-y-1 list-disc list-inside">
-                  <li>Replace lodash with lodash-es (475KB savings)</li>
-                  <li>Replace moment with dayjs (283KB savings)</li>
-                  <li>Consider lighter charting library (70KB savings)</li>
+                  {report.issues.map((issue) => (
+                    <li key={issue.name}>
+                      {issue.name}: {issue.message}
+                      {issue.savings
+                        ? ` (${formatKB(issue.savings)}KB savings)`
+                        : ""}
+                    </li>
+                  ))}
                 </ul>
               </div>
             )}
@@ -543,18 +588,26 @@ function BundleAnalyzerDemo() {
 }
 
 // 4. COMPRESSION IMPACT
+// Real gzip/brotli sizes of this folder's .jsx files, per compression level
+const { levels: COMPRESSION_LEVELS, totals: compressedTotals } =
+  compressionReport;
+
+const percentOf = (size, total) => Math.round((size / total) * 100);
+
 function CompressionDemo() {
   const [compressionType, setCompressionType] = useState("none");
+  const [gzipLevel, setGzipLevel] = useState(6);
+  const [brotliLevel, setBrotliLevel] = useState(11);
 
-  const originalSize = 500;
+  const originalSize = formatKB(compressedTotals.raw);
   const sizes = {
     none: originalSize,
-    gzip: Math.round(originalSize * 0.25),
-    brotli: Math.round(originalSize * 0.2),
+    gzip: formatKB(compressedTotals.gzip[gzipLevel]),
+    brotli: formatKB(compressedTotals.brotli[brotliLevel]),
   };
 
   const savings = originalSize - sizes[compressionType];
-  const savingsPercent = Math.round((savings / originalSize) * 100);
+  const savingsPercent = percentOf(savings, originalSize);
 
   return (
     <div className="p-6 border-2 border-indigo-200 rounded-lg bg-gradient-to-br from-indigo-50 to-white">
@@ -595,18 +648,48 @@ function CompressionDemo() {
             </div>
           </div>
 
+          {compressionType !== "none" && (
+            <div>
+              <label className="block text-sm font-semibold mb-2 text-gray-700">
+                {compressionType === "gzip" ? "Gzip level:" : "Brotli quality:"}
+              </label>
+              <div className="flex gap-2">
+                {COMPRESSION_LEVELS[compressionType].map((level) => {
+                  const active =
+                    level ===
+                    (compressionType === "gzip" ? gzipLevel : brotliLevel);
+                  return (
+                    <button
+                      key={level}
+                      onClick={() =>
+                        compressionType === "gzip"
+                          ? setGzipLevel(level)
+                          : setBrotliLevel(level)
+                      }
+                      className={`px-3 py-1 rounded text-sm ${
+                        active ? "bg-indigo-500 text-white" : "bg-gray-200"
+                      }`}
+                    >
+                      {level}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           <div className="bg-gray-900 p-4 rounded-lg">
             <pre className="text-sm font-mono text-green-400">
               {compressionType === "none"
                 ? `# No compression
 Content-Encoding: identity`
                 : compressionType === "gzip"
-                ? `# Gzip compression
+                ? `# Gzip compression (level ${gzipLevel})
 Content-Encoding: gzip
-# 75% size reduction`
-                : `# Brotli compression
+# ${savingsPercent}% size reduction`
+                : `# Brotli compression (quality ${brotliLevel})
 Content-Encoding: br
-# 80% size reduction`}
+# ${savingsPercent}% size reduction`}
             </pre>
           </div>
         </div>
@@ -651,7 +734,9 @@ Content-Encoding: br
                 <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
                   <div
                     className="h-full bg-yellow-500 transition-all duration-500"
-                    style={{ width: "25%" }}
+                    style={{
+                      width: `${percentOf(sizes.gzip, originalSize)}%`,
+                    }}
                   />
                 </div>
               </div>
@@ -663,7 +748,9 @@ Content-Encoding: br
                 <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
                   <div
                     className="h-full bg-green-500 transition-all duration-500"
-                    style={{ width: "20%" }}
+                    style={{
+                      width: `${percentOf(sizes.brotli, originalSize)}%`,
+                    }}
                   />
                 </div>
               </div>
@@ -674,7 +761,8 @@ Content-Encoding: br
             <p className="text-sm">
               💡 <strong>Tip:</strong> Modern servers automatically compress
               files. Enable gzip/brotli in your server configuration for free
-              performance gains!
+              performance gains! Check real numbers (and size budgets) with{" "}
+              <code>node compressionReport.mjs dist --budget budget.json</code>
             </p>
           </div>
         </div>
@@ -0,0 +1,375 @@
+// ==========================================
+// BUNDLE ANALYZER - what's actually in the build?
+// ==========================================
+// Reads a webpack stats.json or a Rollup/Vite report from
+// rollup-plugin-visualizer (template: "raw-data"), groups every module by
+// npm package and flags known heavy packages.
+//
+// Produce the input:
+//   webpack:    npx webpack --profile --json > stats.json
+//   Vite/Rollup: visualizer({ template: "raw-data", filename: "stats.json" })
+//
+// Run it:
+//   node bundleAnalyzer.mjs stats.json
+//   node bundleAnalyzer.mjs stats.json --json report.json      (save report)
+//   node bundleAnalyzer.mjs stats.json --baseline report.json  (diff vs. last run)
+//
+// BundleAnalyzerDemo in 5_bundle_size.jsx imports the same functions and
+// renders analyzeStats() output for the two sample builds in ./fixtures.
+
+// Known packages - typical minified sizes (kB) and what to use instead.
+// Add a row whenever a review finds a new heavy dependency.
+export const LIBRARIES = {
+  lodash: {
+    size: 500,
+    treeshakeable: false,
+    alternative: "lodash-es",
+    issue: "Use lodash-es",
+  },
+  "lodash-es": { size: 25, treeshakeable: true },
+  moment: {
+    size: 290,
+    treeshakeable: false,
+    alternative: "dayjs",
+    issue: "Replace with dayjs",
+  },
+  dayjs: { size: 7, treeshakeable: true },
+  "chart.js": {
+    size: 250,
+    treeshakeable: false,
+    alternative: "recharts",
+    issue: "Consider recharts",
+  },
+  recharts: { size: 180, treeshakeable: true },
+  "@mui/material": {
+    size: 500,
+    treeshakeable: false,
+    issue: "Use path imports (@mui/material/Button)",
+  },
+  "react-icons/fa": { size: 2, treeshakeable: true },
+  "core-js": {
+    size: 150,
+    treeshakeable: false,
+    issue: "Polyfill only what your browserslist needs",
+  },
+};
+
+const KB = 1000; // bundlers (and this report) use decimal kB
+
+export const formatKB = (bytes) => Math.round(bytes / KB);
+
+/* ============================================
+   1. PARSING STATS FILES
+   ============================================ */
+
+// "./node_modules/.pnpm/lodash@4.17.21/node_modules/lodash/map.js"
+//   → { name: "lodash", root: ".../lodash@4.17.21/node_modules/lodash" }
+export function packageOf(modulePath) {
+  const path = modulePath.replace(/\\/g, "/");
+  const marker = "node_modules/";
+  const index = path.lastIndexOf(marker);
+  if (index === -1) return null;
+
+  const rest = path.slice(index + marker.length).split("/");
+  const name = rest[0].startsWith("@") ? `${rest[0]}/${rest[1]}` : rest[0];
+  return { name, root: path.slice(0, index + marker.length) + name };
+}
+
+// webpack: { modules: [{ name, size, modules?: [...] }], children?: [...] }
+function parseWebpack(stats) {
+  const modules = [];
+
+  const visit = (module) => {
+    // Concatenated modules ("./src/index.js + 12 modules") list their parts
+    if (Array.isArray(module.modules) && module.modules.length) {
+      module.modules.forEach(visit);
+      return;
+    }
+    modules.push({ path: module.name, size: module.size || 0 });
+  };
+
+  const walk = (compilation) => {
+    (compilation.modules || [])
+      // orphans are already counted inside their concatenated parent
+      .filter((module) => !module.orphan)
+      .forEach(visit);
+    (compilation.children || []).forEach(walk);
+  };
+
+  walk(stats);
+  return modules;
+}
+
+// rollup-plugin-visualizer raw data:
+// { nodeMetas: { uid: { id, moduleParts: { file: partUid } } },
+//   nodeParts: { partUid: { renderedLength } } }
+function parseVisualizer(stats) {
+  return Object.values(stats.nodeMetas).map((meta) => ({
+    path: meta.id,
+    size: Object.values(meta.moduleParts).reduce(
+      (sum, partUid) => sum + (stats.nodeParts[partUid]?.renderedLength || 0),
+      0
+    ),
+  }));
+}
+
+export function parseStats(stats) {
+  if (stats && stats.nodeMetas && stats.nodeParts) {
+    return { format: "rollup", modules: parseVisualizer(stats) };
+  }
+  if (stats && (Array.isArray(stats.modules) || Array.isArray(stats.children))) {
+    const modules = parseWebpack(stats);
+    if (modules.length) return { format: "webpack", modules };
+  }
+  throw new Error(
+    "Unrecognized stats file: expected webpack `--json` output (with modules) " +
+      'or a rollup-plugin-visualizer "raw-data" report'
+  );
+}
+
+/* ============================================
+   2. GROUPING + RULES
+   ============================================ */
+
+export const APP_CODE = "app code";
+
+function issueFor(group) {
+  const rule = LIBRARIES[group.name];
+
+  if (group.roots.size > 1) {
+    return {
+      message: `${group.roots.size} copies bundled - dedupe versions`,
+      savings: Math.round(group.size - group.size / group.roots.size),
+    };
+  }
+  if (!rule || !rule.issue) return null;
+
+  const alternative = rule.alternative && LIBRARIES[rule.alternative];
+  return {
+    message: rule.issue,
+    savings: alternative
+      ? Math.max(0, group.size - alternative.size * KB)
+      : null,
+  };
+}
+
+// → { format, totalSize, packages: [{ name, size, category, issue, ... }],
+//     issues: [{ name, message, savings }] }
+// Sizes are in bytes; packages are sorted largest first.
+export function analyzeStats(stats) {
+  const { format, modules } = parseStats(stats);
+  const groups = new Map();
+
+  for (const module of modules) {
+    const pkg = packageOf(module.path);
+    const name = pkg ? pkg.name : APP_CODE;
+    const group = groups.get(name) || {
+      name,
+      category: pkg ? "vendor" : "app",
+      size: 0,
+      modules: 0,
+      roots: new Set(),
+    };
+    group.size += module.size;
+    group.modules += 1;
+    if (pkg) group.roots.add(pkg.root);
+    groups.set(name, group);
+  }
+
+  const packages = [...groups.values()]
+    .map((group) => {
+      const issue = issueFor(group);
+      return {
+        name: group.name,
+        size: group.size,
+        category: group.category,
+        modules: group.modules,
+        copies: group.roots.size || 1,
+        issue: issue ? issue.message : null,
+        savings: issue ? issue.savings : null,
+      };
+    })
+    .sort((a, b) => b.size - a.size);
+
+  return {
+    format,
+    totalSize: packages.reduce((sum, pkg) => sum + pkg.size, 0),
+    packages,
+    issues: packages
+      .filter((pkg) => pkg.issue)
+      .map(({ name, issue, savings }) => ({ name, message: issue, savings })),
+  };
+}
+
+// Which packages grew/shrank since the baseline report?
+// → [{ name, before, after, delta }] sorted by biggest change
+export function compareReports(baseline, current) {
+  const sizes = (report) =>
+    new Map(report.packages.map((pkg) => [pkg.name, pkg.size]));
+  const before = sizes(baseline);
+  const after = sizes(current);
+  const names = new Set([...before.keys(), ...after.keys()]);
+
+  return [...names]
+    .map((name) => ({
+      name,
+      before: before.get(name) || 0,
+      after: after.get(name) || 0,
+    }))
+    .map((row) => ({ ...row, delta: row.after - row.before }))
+    .filter((row) => row.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/* ============================================
+   3. TREEMAP LAYOUT (squarified)
+   ============================================ */
+
+// Worst aspect ratio in a row laid along a side of length `side`
+function worstRatio(row, side) {
+  const areas = row.map((node) => node.area);
+  const total = areas.reduce((a, b) => a + b, 0);
+  const max = Math.max(...areas);
+  const min = Math.min(...areas);
+  return Math.max(
+    (side * side * max) / (total * total),
+    (total * total) / (side * side * min)
+  );
+}
+
+function layoutRow(row, rect, out) {
+  const total = row.reduce((sum, node) => sum + node.area, 0);
+
+  if (rect.width >= rect.height) {
+    // Column on the left edge
+    const width = total / rect.height;
+    let y = rect.y;
+    row.forEach(({ item, area }) => {
+      out.push({ ...item, x: rect.x, y, width, height: area / width });
+      y += area / width;
+    });
+    return { ...rect, x: rect.x + width, width: rect.width - width };
+  }
+
+  // Row along the top edge
+  const height = total / rect.width;
+  let x = rect.x;
+  row.forEach(({ item, area }) => {
+    out.push({ ...item, x, y: rect.y, width: area / height, height });
+    x += area / height;
+  });
+  return { ...rect, y: rect.y + height, height: rect.height - height };
+}
+
+// Squarified treemap (Bruls et al.) - every item gets a rectangle whose
+// area is proportional to item.size, kept as close to square as possible.
+// Returns items with { x, y, width, height } in the given coordinate space.
+export function layoutTreemap(items, { width = 100, height = 100 } = {}) {
+  const visible = items.filter((item) => item.size > 0);
+  const total = visible.reduce((sum, item) => sum + item.size, 0);
+  if (!total) return [];
+
+  const scale = (width * height) / total;
+  const queue = [...visible]
+    .sort((a, b) => b.size - a.size)
+    .map((item) => ({ item, area: item.size * scale }));
+
+  const out = [];
+  let rect = { x: 0, y: 0, width, height };
+  let row = [];
+
+  while (queue.length) {
+    const side = Math.min(rect.width, rect.height);
+    const next = queue[0];
+    if (!row.length || worstRatio([...row, next], side) <= worstRatio(row, side)) {
+      row.push(queue.shift());
+    } else {
+      rect = layoutRow(row, rect, out);
+      row = [];
+    }
+  }
+  if (row.length) layoutRow(row, rect, out);
+
+  return out;
+}
+
+/* ============================================
+   4. CLI
+   ============================================ */
+
+const pad = (text, width) => String(text).padEnd(width);
+const kb = (bytes) => `${(bytes / KB).toFixed(1)} kB`.padStart(10);
+
+function printReport(report) {
+  const lines = [
+    `Bundle report (${report.format}) - ${kb(report.totalSize).trim()} total, ` +
+      `${report.issues.length} issue(s)`,
+    "",
+  ];
+  report.packages.forEach((pkg) => {
+    const share = ((pkg.size / report.totalSize) * 100).toFixed(1);
+    const issue = pkg.issue
+      ? `  ⚠️  ${pkg.issue}${pkg.savings ? ` (~${formatKB(pkg.savings)} kB)` : ""}`
+      : "";
+    lines.push(`  ${pad(pkg.name, 24)}${kb(pkg.size)}${share.padStart(7)}%${issue}`);
+  });
+  return lines.join("\n");
+}
+
+function printComparison(rows) {
+  if (!rows.length) return "\nNo size changes since baseline";
+  return [
+    "\nChanges since baseline:",
+    ...rows.map(
+      ({ name, before, after, delta }) =>
+        `  ${pad(name, 24)}${kb(before)} →${kb(after)}  ${delta > 0 ? "+" : ""}${(
+          delta / KB
+        ).toFixed(1)} kB`
+    ),
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { readFile, writeFile } = await import("node:fs/promises");
+  const [statsFile, ...rest] = argv;
+  const option = (name) => {
+    const index = rest.indexOf(name);
+    return index === -1 ? null : rest[index + 1];
+  };
+
+  if (!statsFile) {
+    console.log(
+      "Usage: node bundleAnalyzer.mjs <stats.json> [--json out.json] [--baseline report.json]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const readJSON = async (file) => JSON.parse(await readFile(file, "utf8"));
+  const report = analyzeStats(await readJSON(statsFile));
+  console.log(printReport(report));
+
+  const baselineFile = option("--baseline");
+  if (baselineFile) {
+    console.log(printComparison(compareReports(await readJSON(baselineFile), report)));
+  }
+
+  const outFile = option("--json");
+  if (outFile) {
+    await writeFile(outFile, JSON.stringify(report, null, 2));
+    console.log(`\nReport written to ${outFile}`);
+  }
+}
+
+// Only run the CLI when executed directly, not when imported by the demo
+const isCLI =
+  typeof process !== "undefined" &&
+  process.argv?.[1] &&
+  decodeURIComponent(new URL(import.meta.url).pathname) === process.argv[1];
+
+if (isCLI) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,272 @@
+// ==========================================
+// COMPRESSION REPORT - real gzip/brotli sizes + size budgets
+// ==========================================
+// Compresses every file with Node's zlib at several levels and reports the
+// raw, gzip and brotli sizes - what the browser actually downloads.
+//
+//   node compressionReport.mjs dist                       (a build directory)
+//   node compressionReport.mjs dist/assets/*.js           (specific files)
+//   node compressionReport.mjs dist --json report.json    (save the report)
+//   node compressionReport.mjs dist --budget size-budget.json
+//
+// Budget file - the CI step fails (exit code 1) when a chunk outgrows it:
+//   {
+//     "budgets": [
+//       { "path": "assets/index-*.js", "limit": "150 kB", "compression": "gzip" },
+//       { "path": "*.css", "limit": "20 kB", "compression": "brotli", "level": 11 }
+//     ]
+//   }
+// `compression` is "raw", "gzip" (default) or "brotli"; without `level` the
+// check uses DEFAULT_LEVELS - the settings a typical server uses.
+//
+// CompressionDemo in 5_bundle_size.jsx renders fixtures/compression-report.json.
+// It is generated output measured from this folder's .jsx files, so it goes
+// stale whenever one of them changes - regenerate it from this folder with
+//   node compressionReport.mjs *.jsx --json fixtures/compression-report.json --budget fixtures/size-budget.json
+
+import { readFile, readdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import zlib from "node:zlib";
+
+export const LEVELS = {
+  gzip: [1, 6, 9], // zlib 1-9, 6 is nginx/Express default
+  brotli: [4, 9, 11], // quality 0-11, 4 ≈ on-the-fly, 11 = pre-compressed
+};
+
+export const DEFAULT_LEVELS = { gzip: 6, brotli: 11 };
+
+const EXTENSIONS = [".js", ".mjs", ".cjs", ".css", ".html", ".svg", ".json"];
+
+/* ============================================
+   1. MEASURING
+   ============================================ */
+
+const gzipSize = (buffer, level) => zlib.gzipSync(buffer, { level }).length;
+
+const brotliSize = (buffer, quality) =>
+  zlib.brotliCompressSync(buffer, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: quality,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+    },
+  }).length;
+
+// → { raw, gzip: { 1: n, 6: n, 9: n }, brotli: { 4: n, 9: n, 11: n } }
+export function measureBuffer(buffer, levels = LEVELS) {
+  const sizes = (measure, list) =>
+    Object.fromEntries(list.map((level) => [level, measure(buffer, level)]));
+
+  return {
+    raw: buffer.length,
+    gzip: sizes(gzipSize, levels.gzip),
+    brotli: sizes(brotliSize, levels.brotli),
+  };
+}
+
+// Files as given, directories walked recursively (compressed .gz/.br
+// copies and non-web assets are skipped)
+async function collectFiles(target) {
+  const info = await stat(target);
+  if (!info.isDirectory()) return [{ file: target, base: path.dirname(target) }];
+
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) await walk(full);
+      else if (EXTENSIONS.includes(path.extname(entry.name))) {
+        files.push({ file: full, base: target });
+      }
+    }
+  };
+  await walk(target);
+  return files;
+}
+
+const sum = (rows, pick) => rows.reduce((total, row) => total + pick(row), 0);
+
+// → { levels, files: [{ file, raw, gzip, brotli }], totals: { raw, gzip, brotli } }
+// File names are relative to the directory they were found in, so budget
+// patterns like "assets/*.js" work no matter where the build lives.
+export async function measureFiles(targets, levels = LEVELS) {
+  const found = (await Promise.all(targets.map(collectFiles))).flat();
+
+  const files = [];
+  for (const { file, base } of found) {
+    const name = path.relative(base, file).split(path.sep).join("/");
+    files.push({ file: name, ...measureBuffer(await readFile(file), levels) });
+  }
+  files.sort((a, b) => b.raw - a.raw);
+
+  const totalsFor = (type) =>
+    Object.fromEntries(
+      levels[type].map((level) => [level, sum(files, (f) => f[type][level])])
+    );
+
+  return {
+    levels,
+    files,
+    totals: {
+      raw: sum(files, (f) => f.raw),
+      gzip: totalsFor("gzip"),
+      brotli: totalsFor("brotli"),
+    },
+  };
+}
+
+/* ============================================
+   2. BUDGETS
+   ============================================ */
+
+const UNITS = { b: 1, kb: 1000, mb: 1000 * 1000 };
+
+// "150 kB" → 150000, 2048 → 2048
+export function parseSize(limit) {
+  if (typeof limit === "number") return limit;
+  const match = String(limit)
+    .trim()
+    .match(/^([\d.]+)\s*(b|kb|mb)?$/i);
+  if (!match) throw new Error(`Invalid size limit: "${limit}"`);
+  return Math.round(Number(match[1]) * UNITS[(match[2] || "b").toLowerCase()]);
+}
+
+// "assets/index-*.js" → /^assets\/index-[^/]*\.js$/ ("**" crosses folders)
+function globToRegExp(pattern) {
+  const source = pattern
+    .split("**")
+    .map((part) =>
+      part
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, "[^/]*")
+    )
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+function sizeOf(entry, compression, level) {
+  if (compression === "raw") return entry.raw;
+  const sizes = entry[compression];
+  if (!sizes) throw new Error(`Unknown compression "${compression}"`);
+  if (sizes[level] === undefined) {
+    throw new Error(`No ${compression} level ${level} in report`);
+  }
+  return sizes[level];
+}
+
+// → [{ path, file, compression, level, size, limit, ok }] - one row per
+//   matching file; a budget that matches nothing is reported as failing
+//   (a renamed chunk would otherwise slip through silently)
+export function checkBudgets(report, budgets) {
+  return budgets.flatMap((budget) => {
+    const compression = budget.compression || "gzip";
+    const level = budget.level ?? DEFAULT_LEVELS[compression];
+    const limit = parseSize(budget.limit);
+    const pattern = globToRegExp(budget.path);
+    const matches = report.files.filter((entry) => pattern.test(entry.file));
+
+    if (!matches.length) {
+      return [
+        { path: budget.path, file: null, compression, level, size: 0, limit, ok: false },
+      ];
+    }
+
+    return matches.map((entry) => {
+      const size = sizeOf(entry, compression, level);
+      return {
+        path: budget.path,
+        file: entry.file,
+        compression,
+        level,
+        size,
+        limit,
+        ok: size <= limit,
+      };
+    });
+  });
+}
+
+/* ============================================
+   3. CLI
+   ============================================ */
+
+const kb = (bytes) => `${(bytes / 1000).toFixed(1)} kB`;
+
+function printReport(report) {
+  const columns = [
+    "raw",
+    ...report.levels.gzip.map((level) => `gzip-${level}`),
+    ...report.levels.brotli.map((level) => `br-${level}`),
+  ];
+  const row = (name, entry) =>
+    name.padEnd(32) +
+    [
+      entry.raw,
+      ...report.levels.gzip.map((level) => entry.gzip[level]),
+      ...report.levels.brotli.map((level) => entry.brotli[level]),
+    ]
+      .map((bytes) => kb(bytes).padStart(11))
+      .join("");
+
+  return [
+    "file".padEnd(32) + columns.map((c) => c.padStart(11)).join(""),
+    ...report.files.map((entry) => row(entry.file, entry)),
+    row("TOTAL", report.totals),
+  ].join("\n");
+}
+
+function printBudgets(results) {
+  return results
+    .map(({ path: pattern, file, compression, level, size, limit, ok }) => {
+      const label = compression === "raw" ? "raw" : `${compression}-${level}`;
+      if (!file) return `  ✗ ${pattern}: no file matches this budget`;
+      return `  ${ok ? "✓" : "✗"} ${file} (${label}): ${kb(size)} / ${kb(limit)}`;
+    })
+    .join("\n");
+}
+
+async function main(argv) {
+  const targets = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) options[argv[i].slice(2)] = argv[++i];
+    else targets.push(argv[i]);
+  }
+
+  if (!targets.length) {
+    console.log(
+      "Usage: node compressionReport.mjs <files|dir...> [--json out.json] [--budget budget.json]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = await measureFiles(targets);
+  console.log(printReport(report));
+
+  if (options.json) {
+    await writeFile(options.json, JSON.stringify(report, null, 2) + "\n");
+    console.log(`\nReport written to ${options.json}`);
+  }
+
+  if (options.budget) {
+    const { budgets } = JSON.parse(await readFile(options.budget, "utf8"));
+    const results = checkBudgets(report, budgets);
+    const failed = results.filter((result) => !result.ok);
+    console.log(`\nBudgets (${options.budget}):\n${printBudgets(results)}`);
+    if (failed.length) {
+      console.log(`\n${failed.length} budget(s) exceeded`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+const isCLI =
+  process.argv[1] &&
+  decodeURIComponent(new URL(import.meta.url).pathname) === process.argv[1];
+
+if (isCLI) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,104 @@
+import React, { Component, createContext, useContext, useState } from "react";
+
+// ==========================================
+// ERROR BOUNDARY - catch render errors below it, show a fallback
+// ==========================================
+// Same API as the react-error-boundary package:
+//
+// <ErrorBoundary
+//   fallbackRender={({ error, resetErrorBoundary }) => ...}  // or fallback / FallbackComponent
+//   onError={(error, info) => reportToMonitoring(error, info.componentStack)}
+//   onReset={({ reason }) => ...}      // clean up before children remount
+//   resetKeys={[userId]}               // any change → reset automatically
+// >
+//
+// Error boundaries only catch errors thrown while RENDERING. Errors from
+// event handlers, timers and promises go through useErrorBoundary():
+//   const { showBoundary } = useErrorBoundary();
+//   fetchData().catch(showBoundary);
+
+const ErrorBoundaryContext = createContext(null);
+
+const keysChanged = (prev = [], next = []) =>
+  prev.length !== next.length ||
+  prev.some((key, index) => !Object.is(key, next[index]));
+
+export class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    this.props.onError?.(error, info);
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    // Only reset for key changes that happened AFTER the error - otherwise
+    // the render that caused the error would immediately clear it
+    if (
+      this.state.error &&
+      prevState.error &&
+      keysChanged(prevProps.resetKeys, this.props.resetKeys)
+    ) {
+      this.reset({
+        reason: "keys",
+        prev: prevProps.resetKeys,
+        next: this.props.resetKeys,
+      });
+    }
+  }
+
+  reset(details) {
+    this.props.onReset?.(details);
+    this.setState({ error: null });
+  }
+
+  resetErrorBoundary = (...args) => {
+    if (this.state.error) this.reset({ reason: "imperative-api", args });
+  };
+
+  render() {
+    const { error } = this.state;
+    const { children, fallback, fallbackRender, FallbackComponent } =
+      this.props;
+
+    let content = children;
+    if (error) {
+      const fallbackProps = {
+        error,
+        resetErrorBoundary: this.resetErrorBoundary,
+      };
+      if (fallbackRender) content = fallbackRender(fallbackProps);
+      else if (FallbackComponent) content = <FallbackComponent {...fallbackProps} />;
+      else if (fallback !== undefined) content = fallback;
+      else throw error; // no fallback - let the next boundary up handle it
+    }
+
+    return (
+      <ErrorBoundaryContext.Provider
+        value={{ error, resetErrorBoundary: this.resetErrorBoundary }}
+      >
+        {content}
+      </ErrorBoundaryContext.Provider>
+    );
+  }
+}
+
+// Push async errors into the nearest boundary:
+// showBoundary(error) re-throws it during the next render.
+export function useErrorBoundary() {
+  const context = useContext(ErrorBoundaryContext);
+  if (!context) {
+    throw new Error("useErrorBoundary must be used within <ErrorBoundary>");
+  }
+
+  const [error, setError] = useState(null);
+  if (error) throw error;
+
+  return {
+    showBoundary: (nextError) => setError(nextError),
+    resetBoundary: context.resetErrorBoundary,
+  };
+}
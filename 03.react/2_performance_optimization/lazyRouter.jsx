@@ -0,0 +1,501 @@
+import React, {
+  createContext,
+  lazy,
+  Suspense,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useSyncExternalStore,
+} from "react";
+import { ErrorBoundary } from "./errorBoundary";
+
+// ==========================================
+// LAZY ROUTER - route-level code splitting
+// ==========================================
+// Three small pieces used by 2_code_split.jsx:
+//
+// 1. Chunk registry - every dynamic import goes through registerChunk(), so
+//    a chunk is requested ONCE no matter who asks first (hover prefetch,
+//    visibility prefetch or navigation). Failed imports are retried with
+//    exponential backoff; if the chunk is still missing (typical after a
+//    deploy replaced the hashed files) the page reloads once.
+//    lazyWithRetry() gives a single React.lazy component the same retries.
+// 2. History - hash or browser URLs with back/forward support.
+// 3. Router - nested route matching, <Outlet /> with Suspense per level,
+//    <Link prefetch="hover" | "visible" | "none">.
+
+/* ============================================
+   1. CHUNK REGISTRY
+   ============================================ */
+
+const RELOAD_KEY_PREFIX = "chunk-reload:";
+
+// webpack: ChunkLoadError "Loading chunk 42 failed."
+// Vite / native import(): "Failed to fetch dynamically imported module",
+// Firefox: "error loading dynamically imported module",
+// Safari: "Importing a module script failed."
+const CHUNK_ERROR =
+  /Loading (CSS )?chunk .+ failed|Failed to fetch dynamically imported module|error loading dynamically imported module|Importing a module script failed/i;
+
+export const isChunkLoadError = (error) =>
+  Boolean(error) &&
+  (error.name === "ChunkLoadError" || CHUNK_ERROR.test(error.message || ""));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry chunk-load failures with backoff: 500ms, 1s, 2s...
+// Other errors (a bug inside the module) are not retried.
+export async function importWithRetry(
+  factory,
+  { retries = 3, baseDelay = 500, onRetry } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await factory();
+    } catch (error) {
+      if (!isChunkLoadError(error) || attempt >= retries) throw error;
+      onRetry?.(attempt + 1, error);
+      await sleep(baseDelay * 2 ** attempt);
+    }
+  }
+}
+
+// The old index.html points at hashed chunks the new deploy deleted -
+// retrying can't help, a fresh page load can. Reload at most once per
+// chunk per session so a genuinely broken chunk can't loop forever.
+function reloadOnce(id) {
+  try {
+    const key = RELOAD_KEY_PREFIX + id;
+    if (sessionStorage.getItem(key)) return false;
+    sessionStorage.setItem(key, String(Date.now()));
+  } catch {
+    return false; // storage blocked - don't risk a reload loop
+  }
+  window.location.reload();
+  return true;
+}
+
+const chunks = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+function notify() {
+  snapshot = [...chunks.values()].map(
+    ({ id, status, attempts, requests, reason, error }) => ({
+      id,
+      status,
+      attempts,
+      requests,
+      reason,
+      error,
+    })
+  );
+  listeners.forEach((listener) => listener());
+}
+
+function loadChunk(entry, reason) {
+  if (entry.promise) return entry.promise;
+
+  entry.status = "loading";
+  entry.reason = reason;
+  entry.attempts = 1;
+  entry.error = null;
+  notify();
+
+  entry.promise = importWithRetry(
+    () => {
+      entry.requests += 1;
+      return entry.factory();
+    },
+    {
+      ...entry.options,
+      onRetry: (retry) => {
+        entry.attempts = retry + 1;
+        notify();
+      },
+    }
+  ).then(
+    (module) => {
+      entry.module = module;
+      entry.status = "loaded";
+      notify();
+      try {
+        sessionStorage.removeItem(RELOAD_KEY_PREFIX + entry.id);
+      } catch {}
+      return module;
+    },
+    (error) => {
+      if (isChunkLoadError(error) && reloadOnce(entry.id)) {
+        return new Promise(() => {}); // page is reloading
+      }
+      entry.status = "failed";
+      entry.error = error.message;
+      // A failed prefetch must not poison the real navigation later
+      if (entry.reason === "prefetch") entry.promise = null;
+      notify();
+      throw error;
+    }
+  );
+  return entry.promise;
+}
+
+// registerChunk("dashboard", () => import("./pages/DashboardPage"))
+// → { id, load(reason), preload() }
+export function registerChunk(id, factory, options = {}) {
+  if (!chunks.has(id)) {
+    chunks.set(id, {
+      id,
+      factory,
+      options,
+      status: "idle",
+      promise: null,
+      module: null,
+      attempts: 0,
+      requests: 0,
+      generation: 0,
+      reason: null,
+      error: null,
+    });
+    notify();
+  }
+  const entry = chunks.get(id);
+
+  return {
+    id,
+    load: (reason = "render") => loadChunk(entry, reason),
+    preload: () => loadChunk(entry, "prefetch").catch(() => {}),
+    generation: () => entry.generation,
+    module: () => entry.module,
+  };
+}
+
+// "Try again" after a failed load: the next render starts a fresh import.
+// Deliberately manual - React re-renders right after a lazy component
+// rejects, and an automatic retry there would loop forever.
+export function retryFailedChunks() {
+  chunks.forEach((entry) => {
+    if (entry.status !== "failed") return;
+    entry.promise = null;
+    entry.generation += 1;
+    entry.status = "idle";
+  });
+  notify();
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+const getSnapshot = () => snapshot;
+
+// [{ id, status, attempts, requests, reason, error }] - re-renders on change
+export function useChunkRegistry() {
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
+
+// React.lazy on top of a registered chunk. exportName lets several
+// components share one chunk (a page and its nested routes).
+// React.lazy caches a rejection forever, so a new lazy component is made
+// after retryFailedChunks() - that's what lets "Try again" work.
+export function lazyChunk(chunk, exportName = "default") {
+  let Lazy = null;
+  let generation = -1;
+
+  function LazyChunk(props) {
+    // Already downloaded (e.g. a nested route of the current page) -
+    // render straight away instead of suspending for a tick
+    const module = chunk.module();
+    if (module) {
+      const Loaded = module[exportName];
+      return <Loaded {...props} />;
+    }
+
+    if (!Lazy || generation !== chunk.generation()) {
+      generation = chunk.generation();
+      Lazy = lazy(() =>
+        chunk.load().then((module) => ({ default: module[exportName] }))
+      );
+    }
+    return <Lazy {...props} />;
+  }
+
+  LazyChunk.preload = chunk.preload;
+  LazyChunk.displayName = `Lazy(${chunk.id}${
+    exportName === "default" ? "" : `.${exportName}`
+  })`;
+  return LazyChunk;
+}
+
+// React.lazy with chunk-load retries, for components outside the router:
+//   const Chart = lazyWithRetry(() => import("./Chart"), { retries: 2 });
+//   <ErrorBoundary onReset={Chart.reset} fallbackRender={...}><Chart /></ErrorBoundary>
+// Once all retries fail the error reaches the boundary; reset() throws away
+// the cached rejection so the boundary's "Try again" imports once more.
+export function lazyWithRetry(factory, options = {}) {
+  let promise = null;
+  let failed = false;
+  let Lazy = null;
+
+  const load = () => {
+    if (!promise) {
+      promise = importWithRetry(factory, options).catch((error) => {
+        failed = true;
+        throw error;
+      });
+    }
+    return promise;
+  };
+
+  function LazyWithRetry(props) {
+    if (!Lazy) Lazy = lazy(load);
+    return <Lazy {...props} />;
+  }
+
+  LazyWithRetry.preload = () => load().catch(LazyWithRetry.reset);
+  // No-op unless the import failed - a loaded component stays cached
+  LazyWithRetry.reset = () => {
+    if (!failed) return;
+    failed = false;
+    promise = null;
+    Lazy = null;
+  };
+  return LazyWithRetry;
+}
+
+/* ============================================
+   2. HISTORY
+   ============================================ */
+
+function createHistory({ read, write, createHref, event }) {
+  const historyListeners = new Set();
+  const emit = () => historyListeners.forEach((listener) => listener());
+
+  return {
+    location: read,
+    createHref,
+    push: (to) => {
+      write(to, "push");
+      emit();
+    },
+    replace: (to) => {
+      write(to, "replace");
+      emit();
+    },
+    listen: (listener) => {
+      historyListeners.add(listener);
+      window.addEventListener(event, listener); // back/forward buttons
+      return () => {
+        historyListeners.delete(listener);
+        window.removeEventListener(event, listener);
+      };
+    },
+  };
+}
+
+// example.com/#/dashboard - works on any static host, no server config
+export const createHashHistory = () =>
+  createHistory({
+    read: () => decodeURI(window.location.hash.slice(1)) || "/",
+    write: (to, mode) => window.history[`${mode}State`](null, "", `#${to}`),
+    createHref: (to) => `#${to}`,
+    event: "popstate",
+  });
+
+// example.com/dashboard - needs the server to return index.html for every path
+export const createBrowserHistory = () =>
+  createHistory({
+    read: () => window.location.pathname,
+    write: (to, mode) => window.history[`${mode}State`](null, "", to),
+    createHref: (to) => to,
+    event: "popstate",
+  });
+
+/* ============================================
+   3. ROUTER
+   ============================================ */
+
+const split = (path) => path.split("/").filter(Boolean);
+
+// Routes: [{ path, component, children }] - child paths are relative,
+// { index: true } matches the parent's own URL, "*" matches anything.
+// → [{ route, params }] from the outermost to the innermost match
+export function matchRoutes(routes, pathname) {
+  const walk = (list, rest, params) => {
+    for (const route of list) {
+      if (route.index) {
+        if (!rest.length) return [{ route, params }];
+        continue;
+      }
+      if (route.path === "*") {
+        return [{ route, params: { ...params, "*": rest.join("/") } }];
+      }
+
+      const parts = split(route.path);
+      if (parts.length > rest.length) continue;
+
+      const next = { ...params };
+      const matches = parts.every((part, i) => {
+        if (part.startsWith(":")) {
+          next[part.slice(1)] = decodeURIComponent(rest[i]);
+          return true;
+        }
+        return part === rest[i];
+      });
+      if (!matches) continue;
+
+      const remaining = rest.slice(parts.length);
+      if (route.children) {
+        const child = walk(route.children, remaining, next);
+        if (child) return [{ route, params: next }, ...child];
+      }
+      if (!remaining.length) return [{ route, params: next }];
+    }
+    return null;
+  };
+
+  return walk(routes, split(pathname), {}) || [];
+}
+
+const RouterContext = createContext(null);
+const OutletDepthContext = createContext(0);
+
+export function Router({ routes, history, fallback = null, children }) {
+  const pathname = useSyncExternalStore(history.listen, history.location);
+  const matches = useMemo(
+    () => matchRoutes(routes, pathname),
+    [routes, pathname]
+  );
+
+  const value = useMemo(
+    () => ({
+      pathname,
+      matches,
+      fallback,
+      history,
+      navigate: (to, { replace = false } = {}) =>
+        replace ? history.replace(to) : history.push(to),
+      // Start downloading every chunk the URL would need
+      preload: (to) =>
+        matchRoutes(routes, to).forEach(({ route }) =>
+          route.component.preload?.()
+        ),
+    }),
+    [pathname, matches, fallback, history, routes]
+  );
+
+  return (
+    <RouterContext.Provider value={value}>{children}</RouterContext.Provider>
+  );
+}
+
+export function useRouter() {
+  const context = useContext(RouterContext);
+  if (!context) throw new Error("useRouter must be used within <Router>");
+  return context;
+}
+
+export function useParams() {
+  const { matches } = useRouter();
+  return matches.length ? matches[matches.length - 1].params : {};
+}
+
+// A failed chunk (after all retries) shouldn't take the whole app down.
+// "Try again" and navigating elsewhere both reset the boundary, and
+// retryFailedChunks() makes the next render request the chunk again.
+function RouteError({ error, resetErrorBoundary }) {
+  return (
+    <div className="p-4 border-2 border-red-500 rounded bg-white">
+      <p className="font-semibold text-red-600">⚠️ Couldn't load this page</p>
+      <p className="text-xs text-gray-600 my-2">{error.message}</p>
+      <button
+        onClick={resetErrorBoundary}
+        className="px-3 py-1 bg-red-500 text-white rounded text-sm"
+      >
+        Try again
+      </button>
+    </div>
+  );
+}
+
+// Renders the route matched at this nesting level. Each level has its own
+// Suspense, so the dashboard layout stays put while a child route loads.
+export function Outlet() {
+  const { matches, fallback, pathname } = useRouter();
+  const depth = useContext(OutletDepthContext);
+  const match = matches[depth];
+  if (!match) return null;
+
+  const RouteComponent = match.route.component;
+  return (
+    <OutletDepthContext.Provider value={depth + 1}>
+      <ErrorBoundary
+        FallbackComponent={RouteError}
+        onReset={retryFailedChunks}
+        resetKeys={[pathname]}
+      >
+        <Suspense fallback={fallback}>
+          <RouteComponent />
+        </Suspense>
+      </ErrorBoundary>
+    </OutletDepthContext.Provider>
+  );
+}
+
+export function Link({
+  to,
+  prefetch = "hover",
+  end = false,
+  className,
+  children,
+  ...rest
+}) {
+  const { pathname, navigate, preload, history } = useRouter();
+  const ref = useRef(null);
+
+  const isActive =
+    pathname === to || (!end && to !== "/" && pathname.startsWith(`${to}/`));
+
+  // Prefetch as soon as the link scrolls into view
+  useEffect(() => {
+    if (prefetch !== "visible" || typeof IntersectionObserver === "undefined") {
+      return;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        preload(to);
+        observer.disconnect();
+      }
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [prefetch, preload, to]);
+
+  const handleClick = (e) => {
+    // Let the browser handle new-tab / new-window clicks
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to);
+  };
+
+  const onIntent = prefetch === "hover" ? () => preload(to) : undefined;
+
+  return (
+    <a
+      ref={ref}
+      href={history.createHref(to)}
+      onClick={handleClick}
+      onMouseEnter={onIntent}
+      onFocus={onIntent}
+      aria-current={isActive ? "page" : undefined}
+      className={
+        typeof className === "function" ? className({ isActive }) : className
+      }
+      {...rest}
+    >
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,243 @@
+// ==========================================
+// Lazy loading that fails, then succeeds
+// ==========================================
+// A dynamic import is simulated by a factory that rejects with a chunk-load
+// error a few times before resolving to a module.
+
+import React, { useState } from "react";
+import { act, render, screen, fireEvent } from "@testing-library/react";
+import {
+  importWithRetry,
+  isChunkLoadError,
+  lazyChunk,
+  lazyWithRetry,
+  registerChunk,
+  retryFailedChunks,
+} from "./lazyRouter";
+import { ErrorBoundary } from "./errorBoundary";
+
+const chunkError = () =>
+  new TypeError("Failed to fetch dynamically imported module: /assets/Page.js");
+
+// Fails `failures` times, then resolves to a module exporting `Component`
+function flakyImport(failures, Component, error = chunkError) {
+  const factory = jest.fn(() =>
+    factory.mock.calls.length <= failures
+      ? Promise.reject(error())
+      : Promise.resolve({ default: Component })
+  );
+  return factory;
+}
+
+const Page = () => <p>Page loaded</p>;
+
+function RetryFallback({ error, resetErrorBoundary }) {
+  return (
+    <div>
+      <p>Failed: {error.message}</p>
+      <button onClick={resetErrorBoundary}>Try again</button>
+    </div>
+  );
+}
+
+beforeEach(() => {
+  // React logs every error a boundary catches
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  sessionStorage.clear();
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe("importWithRetry", () => {
+  test("retries chunk-load errors until the import succeeds", async () => {
+    const factory = flakyImport(2, Page);
+    const onRetry = jest.fn();
+
+    const module = await importWithRetry(factory, { baseDelay: 1, onRetry });
+
+    expect(module.default).toBe(Page);
+    expect(factory).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2]);
+  });
+
+  test("gives up after `retries` attempts", async () => {
+    const factory = flakyImport(5, Page);
+
+    await expect(
+      importWithRetry(factory, { retries: 2, baseDelay: 1 })
+    ).rejects.toThrow(/dynamically imported module/);
+    expect(factory).toHaveBeenCalledTimes(3);
+  });
+
+  test("does not retry errors from inside the module", async () => {
+    const factory = flakyImport(1, Page, () => new ReferenceError("x is undefined"));
+
+    await expect(importWithRetry(factory, { baseDelay: 1 })).rejects.toThrow(
+      ReferenceError
+    );
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+
+  test("recognises the browsers' chunk-load messages", () => {
+    expect(isChunkLoadError(new Error("Loading chunk 42 failed."))).toBe(true);
+    expect(isChunkLoadError(chunkError())).toBe(true);
+    expect(isChunkLoadError(new Error("x is undefined"))).toBe(false);
+  });
+});
+
+describe("lazyWithRetry", () => {
+  test("retries quietly and renders once the import succeeds", async () => {
+    const LazyPage = lazyWithRetry(flakyImport(1, Page), { baseDelay: 1 });
+
+    render(
+      <React.Suspense fallback={<p>Loading...</p>}>
+        <LazyPage />
+      </React.Suspense>
+    );
+
+    expect(screen.getByText("Loading...")).toBeTruthy();
+    expect(await screen.findByText("Page loaded")).toBeTruthy();
+  });
+
+  test("a boundary reset imports again after all retries failed", async () => {
+    const factory = flakyImport(2, Page);
+    const LazyPage = lazyWithRetry(factory, { retries: 1, baseDelay: 1 });
+
+    render(
+      <ErrorBoundary FallbackComponent={RetryFallback} onReset={LazyPage.reset}>
+        <React.Suspense fallback={<p>Loading...</p>}>
+          <LazyPage />
+        </React.Suspense>
+      </ErrorBoundary>
+    );
+
+    expect(await screen.findByText(/Failed:/)).toBeTruthy();
+    expect(factory).toHaveBeenCalledTimes(2);
+
+    fireEvent.click(screen.getByText("Try again"));
+
+    expect(await screen.findByText("Page loaded")).toBeTruthy();
+    expect(factory).toHaveBeenCalledTimes(3);
+  });
+
+  test("reset() keeps a component that loaded fine", async () => {
+    const factory = flakyImport(0, Page);
+    const LazyPage = lazyWithRetry(factory);
+
+    await LazyPage.preload();
+    LazyPage.reset();
+    render(
+      <React.Suspense fallback={null}>
+        <LazyPage />
+      </React.Suspense>
+    );
+
+    expect(await screen.findByText("Page loaded")).toBeTruthy();
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("ErrorBoundary resetKeys", () => {
+  function Profile({ userId }) {
+    if (userId === "broken") throw new Error(`No user ${userId}`);
+    return <p>User {userId}</p>;
+  }
+
+  function App() {
+    const [userId, setUserId] = useState("broken");
+    return (
+      <>
+        <button onClick={() => setUserId("alice")}>Switch user</button>
+        <ErrorBoundary
+          resetKeys={[userId]}
+          fallbackRender={({ error }) => <p>Error: {error.message}</p>}
+        >
+          <Profile userId={userId} />
+        </ErrorBoundary>
+      </>
+    );
+  }
+
+  test("changing a reset key clears the error and renders the children", () => {
+    render(<App />);
+    expect(screen.getByText("Error: No user broken")).toBeTruthy();
+
+    fireEvent.click(screen.getByText("Switch user"));
+    expect(screen.getByText("User alice")).toBeTruthy();
+  });
+
+  test("re-rendering with the same keys keeps the fallback", () => {
+    const onReset = jest.fn();
+    const tree = (
+      <ErrorBoundary
+        resetKeys={["broken"]}
+        onReset={onReset}
+        fallbackRender={() => <p>Still broken</p>}
+      >
+        <Profile userId="broken" />
+      </ErrorBoundary>
+    );
+
+    const { rerender } = render(tree);
+    rerender(tree);
+
+    expect(screen.getByText("Still broken")).toBeTruthy();
+    expect(onReset).not.toHaveBeenCalled();
+  });
+});
+
+describe("retryFailedChunks", () => {
+  test("a failed chunk is imported again on the next render", async () => {
+    // A bug-style error: no retries, no reload - the chunk just fails
+    const factory = flakyImport(1, Page, () => new Error("Server said 500"));
+    const chunk = registerChunk("retry-test", factory);
+    const LazyPage = lazyChunk(chunk);
+
+    render(
+      <ErrorBoundary
+        onReset={retryFailedChunks}
+        FallbackComponent={RetryFallback}
+      >
+        <React.Suspense fallback={<p>Loading...</p>}>
+          <LazyPage />
+        </React.Suspense>
+      </ErrorBoundary>
+    );
+
+    expect(await screen.findByText("Failed: Server said 500")).toBeTruthy();
+    expect(factory).toHaveBeenCalledTimes(1);
+
+    fireEvent.click(screen.getByText("Try again"));
+
+    expect(await screen.findByText("Page loaded")).toBeTruthy();
+    expect(factory).toHaveBeenCalledTimes(2);
+  });
+
+  test("only resets chunks that failed", async () => {
+    const factory = flakyImport(0, Page);
+    const chunk = registerChunk("loaded-test", factory);
+
+    await chunk.load();
+    const generation = chunk.generation();
+    act(() => retryFailedChunks());
+
+    expect(chunk.generation()).toBe(generation);
+    await chunk.load();
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+
+  test("a chunk already reloaded for this session fails instead of looping", async () => {
+    // reloadOnce() left this marker before the previous page reload
+    sessionStorage.setItem("chunk-reload:reload-test", "1");
+    const factory = flakyImport(5, Page);
+    const chunk = registerChunk("reload-test", factory, {
+      retries: 1,
+      baseDelay: 1,
+    });
+
+    await expect(chunk.load()).rejects.toThrow(/dynamically imported module/);
+    expect(factory).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,52 @@
+import React from "react";
+import { Link, Outlet, useParams } from "../lazyRouter";
+
+// Route chunk: "/admin" - with nested "/admin/users/:userId"
+
+const USERS = [
+  { id: "1", name: "Alice", role: "owner" },
+  { id: "2", name: "Bob", role: "editor" },
+];
+
+export default function AdminPage() {
+  return (
+    <div className="p-4 bg-red-100 rounded border">
+      <h4 className="font-semibold">🔐 Admin Panel</h4>
+      <p className="text-sm mt-2">Admin-only features</p>
+
+      <div className="flex gap-2 my-2 text-xs">
+        {USERS.map((user) => (
+          <Link
+            key={user.id}
+            to={`/admin/users/${user.id}`}
+            className={({ isActive }) =>
+              `px-2 py-1 rounded ${
+                isActive ? "bg-red-500 text-white" : "bg-white border"
+              }`
+            }
+          >
+            {user.name}
+          </Link>
+        ))}
+      </div>
+
+      <Outlet />
+
+      <p className="text-xs text-gray-600 mt-2">
+        Bundle: ~150KB (loaded on demand)
+      </p>
+    </div>
+  );
+}
+
+export function AdminUser() {
+  const { userId } = useParams();
+  const user = USERS.find((u) => u.id === userId);
+
+  if (!user) return <p className="text-sm">No user #{userId}</p>;
+  return (
+    <p className="text-sm">
+      #{user.id} {user.name} - <span className="font-mono">{user.role}</span>
+    </p>
+  );
+}
@@ -0,0 +1,54 @@
+import React from "react";
+import { Link, Outlet } from "../lazyRouter";
+
+// Route chunk: "/dashboard" - the layout and both nested routes live in
+// this one chunk, so visiting /dashboard/reports costs no extra request
+
+const tabClass = ({ isActive }) =>
+  `px-2 py-1 rounded text-xs ${
+    isActive ? "bg-purple-500 text-white" : "bg-white border"
+  }`;
+
+export default function DashboardPage() {
+  return (
+    <div className="p-4 bg-purple-100 rounded border">
+      <h4 className="font-semibold">📊 Dashboard</h4>
+      <p className="text-sm mt-2">Heavy dashboard with charts</p>
+
+      <nav className="flex gap-2 my-2">
+        <Link to="/dashboard" end className={tabClass}>
+          Overview
+        </Link>
+        <Link to="/dashboard/reports" className={tabClass}>
+          Reports
+        </Link>
+      </nav>
+
+      {/* Nested route renders here */}
+      <Outlet />
+
+      <p className="text-xs text-gray-600 mt-2">
+        Bundle: ~200KB (loaded on demand)
+      </p>
+    </div>
+  );
+}
+
+export function DashboardOverview() {
+  return (
+    <div className="mt-2 space-y-1">
+      <div className="h-16 bg-purple-300 rounded"></div>
+      <div className="h-16 bg-purple-300 rounded"></div>
+    </div>
+  );
+}
+
+export function DashboardReports() {
+  return (
+    <ul className="mt-2 text-sm list-disc list-inside">
+      <li>Weekly revenue</li>
+      <li>Churn by cohort</li>
+      <li>Top products</li>
+    </ul>
+  );
+}
@@ -0,0 +1,12 @@
+import React from "react";
+
+// Route chunk: "/" - loaded by 2_code_split.jsx through the chunk registry
+export default function HomePage() {
+  return (
+    <div className="p-4 bg-green-100 rounded border">
+      <h4 className="font-semibold">🏠 Home Page</h4>
+      <p className="text-sm mt-2">Lightweight landing page</p>
+      <p className="text-xs text-gray-600 mt-2">Bundle: ~50KB</p>
+    </div>
+  );
+}
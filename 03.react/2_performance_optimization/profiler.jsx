@@ -0,0 +1,444 @@
+import React, {
+  createContext,
+  isValidElement,
+  memo,
+  Profiler,
+  useContext,
+  useEffect,
+  useId,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+
+// ==========================================
+// RENDER PROFILER - React.Profiler + "why did this render?"
+// ==========================================
+// Powers the "renders:" badges in 1_react.memo.jsx, 3_prevent-re-renders.jsx
+// and 1_hooks/3_useCallback.jsx:
+//
+//   const Row = profiled(memo(({ item }) => (
+//     <div>{item.name} <RenderBadge /></div>
+//   )), "Row");
+//   ...
+//   <ProfilerPanel />   // overlay: every profiled component + JSON export
+//
+// profiled() puts a <Profiler> INSIDE the memo boundary, so a commit is only
+// recorded when the component itself rendered - not when the parent did and
+// memo bailed out, and not when only a descendant updated. For each render
+// it records the actual/base duration and WHY it rendered:
+//   mount | props changed (which ones, and how) | parent re-rendered with
+//   equal props (memo would skip it) | own state or context
+//
+// React.Profiler is disabled in production builds (use react-dom/profiling).
+
+const HISTORY_LIMIT = 50;
+const MEMO_TYPE = Symbol.for("react.memo");
+
+/* ============================================
+   1. STORE
+   ============================================ */
+
+const entries = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+function notify() {
+  snapshot = [...entries.values()];
+  listeners.forEach((listener) => listener());
+}
+
+// Entries are replaced, never mutated - a badge only re-renders when
+// its own component's entry changes
+function recordCommit(id, name, commit) {
+  const prev = entries.get(id);
+  const instance =
+    prev?.instance ??
+    [...entries.values()].filter((entry) => entry.name === name).length + 1;
+
+  entries.set(id, {
+    id,
+    name,
+    instance,
+    label: `${name} #${instance}`,
+    mounted: true,
+    renders: (prev?.renders ?? 0) + 1,
+    mounts: (prev?.mounts ?? 0) + (commit.phase === "mount" ? 1 : 0),
+    totalActualDuration:
+      (prev?.totalActualDuration ?? 0) + commit.actualDuration,
+    maxActualDuration: Math.max(
+      prev?.maxActualDuration ?? 0,
+      commit.actualDuration
+    ),
+    lastActualDuration: commit.actualDuration,
+    lastBaseDuration: commit.baseDuration,
+    history: [...(prev?.history ?? []), commit].slice(-HISTORY_LIMIT),
+  });
+  notify();
+}
+
+function setMounted(id, mounted) {
+  const entry = entries.get(id);
+  if (!entry || entry.mounted === mounted) return;
+  entries.set(id, { ...entry, mounted });
+  notify();
+}
+
+export function resetProfile() {
+  entries.clear();
+  notify();
+}
+
+export const getProfile = () => snapshot;
+
+// JSON string - attach to a bug report or diff two runs
+export function exportProfile() {
+  return JSON.stringify(
+    { exportedAt: new Date().toISOString(), components: snapshot },
+    null,
+    2
+  );
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export function useProfile() {
+  return useSyncExternalStore(subscribe, getProfile, getProfile);
+}
+
+function useProfileEntry(id) {
+  const getEntry = () => entries.get(id);
+  return useSyncExternalStore(subscribe, getEntry, getEntry);
+}
+
+/* ============================================
+   2. WHY DID IT RENDER?
+   ============================================ */
+
+const isPlainObject = (value) =>
+  Array.isArray(value) ||
+  (value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype);
+
+// Equal content, different reference? Plain objects/arrays only, and only
+// a few levels deep - it's a hint, not a deep-equal library
+function sameContent(a, b, depth = 0) {
+  if (Object.is(a, b)) return true;
+  if (depth > 3 || !isPlainObject(a) || !isPlainObject(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(
+    (key) => key in b && sameContent(a[key], b[key], depth + 1)
+  );
+}
+
+function preview(value) {
+  if (typeof value === "function") return `ƒ ${value.name || "anonymous"}()`;
+  if (isValidElement(value)) {
+    const type = value.type;
+    return `<${typeof type === "string" ? type : type?.displayName || type?.name || "Component"} />`;
+  }
+  if (value !== null && typeof value === "object") {
+    try {
+      const json = JSON.stringify(value);
+      return json.length > 60 ? `${json.slice(0, 57)}...` : json;
+    } catch {
+      return Array.isArray(value) ? "[Array]" : "[Object]";
+    }
+  }
+  return String(value);
+}
+
+// → [{ name, change, prev, next }]
+//   change: "value"     - really different
+//           "reference" - same content, new object (useMemo would avoid it)
+//           "function"  - new function (useCallback would avoid it)
+//           "element"   - new JSX element (children are new every render)
+export function diffProps(prevProps, nextProps) {
+  const names = new Set([...Object.keys(prevProps), ...Object.keys(nextProps)]);
+  const changes = [];
+
+  names.forEach((name) => {
+    const prev = prevProps[name];
+    const next = nextProps[name];
+    if (Object.is(prev, next)) return;
+
+    let change = "value";
+    if (typeof prev === "function" && typeof next === "function") {
+      change = "function";
+    } else if (isValidElement(prev) && isValidElement(next)) {
+      change = "element";
+    } else if (sameContent(prev, next)) {
+      change = "reference";
+    }
+    changes.push({ name, change, prev: preview(prev), next: preview(next) });
+  });
+
+  return changes;
+}
+
+function reasonFor(phase, tracker, changedProps) {
+  if (phase === "mount") return "mount";
+  if (!tracker.parentRendered) return "state or context";
+  if (changedProps.length) return "props changed";
+  return "parent re-rendered (equal props)";
+}
+
+/* ============================================
+   3. PROFILED COMPONENTS
+   ============================================ */
+
+const ProfiledIdContext = createContext(null);
+
+// profiled(Component, name) / profiled(memo(Component, compare?), name)
+export function profiled(Component, name) {
+  const isMemo = Component.$$typeof === MEMO_TYPE;
+  const render = isMemo ? Component.type : Component;
+  const displayName = name || render.displayName || render.name || "Anonymous";
+
+  // The component's own render - calling it here makes its hooks ours,
+  // and lets us tell "it rendered" apart from "a child rendered"
+  function Tracked({ props, tracker }) {
+    tracker.rendered = true;
+    return render(props);
+  }
+  Tracked.displayName = displayName;
+
+  function Profiled(props) {
+    const id = `${displayName}${useId()}`;
+    const trackerRef = useRef(null);
+    if (!trackerRef.current) {
+      trackerRef.current = {
+        rendered: false,
+        parentRendered: false,
+        props,
+        committedProps: null,
+      };
+    }
+    const tracker = trackerRef.current;
+    tracker.parentRendered = true;
+    tracker.props = props;
+
+    // Runs in the commit phase, so discarded renders are never counted
+    const onRender = (
+      profilerId,
+      phase,
+      actualDuration,
+      baseDuration,
+      startTime,
+      commitTime
+    ) => {
+      const rendered = tracker.rendered;
+      tracker.rendered = false;
+      if (!rendered) {
+        tracker.parentRendered = false;
+        return; // only a descendant (e.g. the badge) re-rendered
+      }
+
+      const changedProps =
+        phase === "mount" || !tracker.committedProps
+          ? []
+          : diffProps(tracker.committedProps, tracker.props);
+      const reason = reasonFor(phase, tracker, changedProps);
+      tracker.parentRendered = false;
+      tracker.committedProps = tracker.props;
+
+      recordCommit(profilerId, displayName, {
+        phase,
+        reason,
+        changedProps,
+        actualDuration,
+        baseDuration,
+        commitTime,
+      });
+    };
+
+    useEffect(() => {
+      setMounted(id, true);
+      return () => setMounted(id, false);
+    }, [id]);
+
+    return (
+      <ProfiledIdContext.Provider value={id}>
+        <Profiler id={id} onRender={onRender}>
+          <Tracked props={props} tracker={tracker} />
+        </Profiler>
+      </ProfiledIdContext.Provider>
+    );
+  }
+
+  const Wrapped = isMemo ? memo(Profiled, Component.compare) : Profiled;
+  Wrapped.displayName = `Profiled(${displayName})`;
+  return Wrapped;
+}
+
+const describeChange = ({ name, change }) =>
+  change === "value" ? name : `${name} (${change})`;
+
+export const describeCommit = (commit) =>
+  commit.changedProps.length
+    ? `${commit.reason}: ${commit.changedProps.map(describeChange).join(", ")}`
+    : commit.reason;
+
+// "Renders: 3" for the nearest profiled() component. Its own component so
+// a count update re-renders just the badge - not the component it measures.
+// as="span" renders inline, inheriting the surrounding text style.
+export function RenderBadge({
+  label = "Renders",
+  as: Tag = "p",
+  className = Tag === "span" ? undefined : "text-xs text-gray-600",
+}) {
+  const entry = useProfileEntry(useContext(ProfiledIdContext));
+  const last = entry?.history[entry.history.length - 1];
+
+  return (
+    <Tag
+      className={className}
+      title={
+        last && `${describeCommit(last)} · ${last.actualDuration.toFixed(2)}ms`
+      }
+    >
+      {label}: {entry?.renders ?? 0}
+    </Tag>
+  );
+}
+
+/* ============================================
+   4. OVERLAY PANEL
+   ============================================ */
+
+const REASON_STYLES = {
+  mount: "text-gray-500",
+  "props changed": "text-orange-600",
+  "parent re-rendered (equal props)": "text-red-600",
+  "state or context": "text-blue-600",
+};
+
+function downloadProfile() {
+  const url = URL.createObjectURL(
+    new Blob([exportProfile()], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `render-profile-${Date.now()}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+const ms = (value) => `${value.toFixed(2)}ms`;
+
+export function ProfilerPanel({ defaultOpen = false }) {
+  const [open, setOpen] = useState(defaultOpen);
+  const [expanded, setExpanded] = useState(null);
+  const profile = useProfile();
+  const totalRenders = profile.reduce((sum, entry) => sum + entry.renders, 0);
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="fixed bottom-4 right-4 px-3 py-2 bg-gray-900 text-white rounded shadow-lg text-sm"
+      >
+        📊 Profiler ({totalRenders} renders)
+      </button>
+    );
+  }
+
+  const sorted = [...profile].sort((a, b) => b.renders - a.renders);
+
+  return (
+    <div className="fixed bottom-4 right-4 w-[28rem] max-h-96 overflow-y-auto bg-gray-900 text-gray-100 rounded shadow-lg text-xs z-50">
+      <div className="flex items-center gap-2 p-2 border-b border-gray-700 sticky top-0 bg-gray-900">
+        <span className="font-semibold flex-1">
+          📊 Render Profiler - {profile.length} components, {totalRenders}{" "}
+          renders
+        </span>
+        <button
+          onClick={downloadProfile}
+          className="px-2 py-1 bg-blue-600 rounded"
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={resetProfile}
+          className="px-2 py-1 bg-gray-700 rounded"
+        >
+          Reset
+        </button>
+        <button
+          onClick={() => setOpen(false)}
+          className="px-2 py-1 bg-gray-700 rounded"
+        >
+          ✕
+        </button>
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-gray-400 text-left">
+            <th className="p-1">Component</th>
+            <th className="p-1 text-right">Renders</th>
+            <th className="p-1 text-right">Last / base</th>
+            <th className="p-1">Last reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((entry) => {
+            const last = entry.history[entry.history.length - 1];
+            return (
+              <React.Fragment key={entry.id}>
+                <tr
+                  onClick={() =>
+                    setExpanded(expanded === entry.id ? null : entry.id)
+                  }
+                  className={`cursor-pointer hover:bg-gray-800 ${entry.mounted ? "" : "opacity-40"}`}
+                >
+                  <td className="p-1">{entry.label}</td>
+                  <td className="p-1 text-right">{entry.renders}</td>
+                  <td className="p-1 text-right">
+                    {ms(entry.lastActualDuration)} /{" "}
+                    {ms(entry.lastBaseDuration)}
+                  </td>
+                  <td className={`p-1 ${REASON_STYLES[last.reason] || ""}`}>
+                    {last.reason}
+                  </td>
+                </tr>
+                {expanded === entry.id && (
+                  <tr>
+                    <td colSpan={4} className="p-2 bg-gray-800">
+                      <p className="mb-1 text-gray-400">
+                        total {ms(entry.totalActualDuration)} · max{" "}
+                        {ms(entry.maxActualDuration)} · mounts {entry.mounts}
+                      </p>
+                      <ol className="space-y-1 list-decimal list-inside">
+                        {entry.history.slice(-5).map((commit, index) => (
+                          <li key={index}>
+                            {commit.reason} ({ms(commit.actualDuration)})
+                            {commit.changedProps.map((prop) => (
+                              <div
+                                key={prop.name}
+                                className="pl-4 text-gray-400"
+                              >
+                                {prop.name} [{prop.change}]: {prop.prev} →{" "}
+                                {prop.next}
+                              </div>
+                            ))}
+                          </li>
+                        ))}
+                      </ol>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from "react";
+
+export default function AnalyticsTab() {
+  return (
+    <div className="p-4 bg-green-100 rounded">
+      <h4 className="font-semibold">Analytics Dashboard</h4>
+      <div className="mt-2 space-y-2">
+        <div className="h-12 bg-green-300 rounded"></div>
+        <div className="h-12 bg-green-300 rounded"></div>
+      </div>
+      <p className="text-xs text-gray-600 mt-2">Heavy chart library</p>
+    </div>
+  );
+}
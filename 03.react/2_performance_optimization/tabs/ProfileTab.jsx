@@ -0,0 +1,10 @@
+import React from "react";
+
+export default function ProfileTab() {
+  return (
+    <div className="p-4 bg-blue-100 rounded">
+      <h4 className="font-semibold">Profile Information</h4>
+      <p className="text-sm mt-2">User profile data and forms</p>
+    </div>
+  );
+}
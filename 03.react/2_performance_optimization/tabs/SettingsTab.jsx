@@ -0,0 +1,10 @@
+import React from "react";
+
+export default function SettingsTab() {
+  return (
+    <div className="p-4 bg-purple-100 rounded">
+      <h4 className="font-semibold">Settings</h4>
+      <p className="text-sm mt-2">Configuration options</p>
+    </div>
+  );
+}
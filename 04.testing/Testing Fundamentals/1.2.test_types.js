@@ -7,17 +7,15 @@ import { render, screen, within } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 import { axe } from "jest-axe";
 
+// Shared cart module: integer-cent math, so 19.99 - 20% is exactly 15.99
+import { calculateDiscount } from "../../03.react/1_hooks/cart";
+
 // ==========================================
 // EXAMPLE COMPONENTS (Imagine these exist)
 // ==========================================
 
-// Simple utility function
-function calculateDiscount(price, discountPercent) {
-  if (discountPercent < 0 || discountPercent > 100) {
-    throw new Error("Discount must be between 0 and 100");
-  }
-  return price * (1 - discountPercent / 100);
-}
+// Simple utility function: calculateDiscount(price, discountPercent),
+// imported above - throws unless 0 <= discountPercent <= 100
 
 // Example components would be imported:
 // import { ShoppingCart, ProductCard, CheckoutForm } from './components';
@@ -5,6 +5,9 @@
 import { render, screen } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 
+// Real components - see components.jsx (cart math from the shared cart module)
+import { ShoppingCart, ProductCard } from "./components";
+
 // ==========================================
 // 1. BASIC TEST STRUCTURE
 // ==========================================
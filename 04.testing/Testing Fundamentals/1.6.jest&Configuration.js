@@ -368,6 +368,9 @@ global.TextDecoder = require('util').TextDecoder;
 
 // jest.setup.js
 import '@testing-library/jest-dom';
+// The app's logger - copy 02.typescript/01fundamentals/logger.ts into the
+// project as src/lib/logger.ts (this repo has no src/, adjust the path)
+import { logger, captureLogs } from './src/lib/logger';
 
 // Mock window.matchMedia
 Object.defineProperty(window, 'matchMedia', {
@@ -403,9 +406,16 @@ global.ResizeObserver = class ResizeObserver {
   unobserve() {}
 };
 
-// Suppress console in tests
+// Capture app logs instead of patching console.error for them
+// App code logs through one logger (imported above), so tests can silence
+// it AND assert on it - no string matching on console output.
+// React's own warnings don't go through that logger - they still need the
+// console.error filter.
 const originalError = console.error;
 beforeAll(() => {
+  // Every record goes to an in-memory buffer; nothing is printed
+  global.testLogs = captureLogs(logger);
+
   console.error = (...args) => {
     if (
       typeof args[0] === 'string' &&
@@ -417,10 +427,21 @@ beforeAll(() => {
   };
 });
 
+afterEach(() => {
+  global.testLogs.clear();
+});
+
 afterAll(() => {
+  global.testLogs.restore();
   console.error = originalError;
 });
 
+// In a test:
+// await submitOrder(cart);
+// expect(testLogs.find({ level: 'ERROR', message: 'Payment failed' })).toBeDefined();
+// expect(testLogs.messages({ logger: 'checkout' })).toEqual(['Order submitted']);
+// expect(testLogs.find({ message: 'Login' }).context.password).toBe('[REDACTED]');
+
 // Global test utilities
 global.testUser = {
   id: 1,
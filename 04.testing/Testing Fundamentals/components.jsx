@@ -0,0 +1,118 @@
+// ==========================================
+// COMPONENTS UNDER TEST
+// ==========================================
+// Real implementations of the components 1.3.test_anatomy.js renders, so
+// those examples run as they are. All cart math comes from the shared cart
+// module (integer cents, memoized selectors) - the tests check what the
+// user sees, not how it's calculated.
+//
+// Written to be found the way Testing Library looks for things: by role,
+// accessible name and visible text.
+
+import React, { useMemo, useReducer, useState } from "react";
+import {
+  cartActions,
+  cartReducer,
+  createCartSelectors,
+  createCartState,
+  formatCents,
+  toCents,
+} from "../../03.react/1_hooks/cart";
+
+// ==========================================
+// 1. SHOPPING CART
+// ==========================================
+// items: [{ id, name, price, quantity? }] - the cart's STARTING content;
+// after that the cart owns its state (remove, quantities).
+// taxRate defaults to 0 so "Total" is the plain sum of the lines.
+export function ShoppingCart({ items = [], taxRate = 0, onCheckout }) {
+  const [state, dispatch] = useReducer(cartReducer, items, createCartState);
+  const selectors = useMemo(() => createCartSelectors({ taxRate }), [taxRate]);
+
+  const lineCount = selectors.selectLineCount(state);
+  const summary = selectors.selectSummary(state);
+
+  return (
+    <section aria-label="Shopping cart" className="p-4 border rounded">
+      <h2 className="font-bold text-lg mb-2">Shopping Cart</h2>
+
+      {lineCount === 0 ? (
+        <p className="text-gray-500">Your cart is empty</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-2">
+            {lineCount} {lineCount === 1 ? "item" : "items"}
+          </p>
+          <ul className="space-y-2 mb-3">
+            {state.items.map((item) => (
+              <li key={item.id} className="flex items-center gap-2">
+                <span className="flex-1">
+                  {item.name} × {item.quantity}
+                </span>
+                <span>{formatCents(item.priceCents * item.quantity)}</span>
+                <button
+                  aria-label={`Remove ${item.name}`}
+                  onClick={() => dispatch(cartActions.removeItem(item.id))}
+                  className="px-2 py-1 bg-gray-500 text-white rounded text-sm"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <p className="font-bold">Total: {formatCents(summary.total)}</p>
+      <button
+        disabled={lineCount === 0}
+        onClick={() => onCheckout?.(summary)}
+        className="mt-2 px-4 py-2 bg-blue-500 text-white rounded disabled:opacity-50"
+      >
+        Checkout
+      </button>
+    </section>
+  );
+}
+
+// ==========================================
+// 2. PRODUCT CARD
+// ==========================================
+// product: { id, name, price, description?, inStock? } - inStock defaults
+// to true. onAddToCart(product) is optional; the card confirms either way.
+export function ProductCard({ product, onAddToCart }) {
+  const [added, setAdded] = useState(false);
+  const inStock = product.inStock !== false;
+
+  const handleAdd = () => {
+    onAddToCart?.(product);
+    setAdded(true);
+  };
+
+  return (
+    <article aria-label={product.name} className="p-4 border rounded">
+      <h3 className="font-semibold">{product.name}</h3>
+      <p>{formatCents(toCents(product.price))}</p>
+      {product.description && (
+        <p className="text-sm text-gray-600">{product.description}</p>
+      )}
+
+      <span
+        className={`text-xs px-2 py-1 rounded ${
+          inStock ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+        }`}
+      >
+        {inStock ? "In Stock" : "Out of Stock"}
+      </span>
+
+      <button
+        disabled={!inStock}
+        onClick={handleAdd}
+        className="block mt-2 px-4 py-2 bg-blue-500 text-white rounded disabled:opacity-50"
+      >
+        Add to Cart
+      </button>
+      {added && <p role="status">Added to cart</p>}
+    </article>
+  );
+}